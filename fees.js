@@ -0,0 +1,151 @@
+/**
+ * BSV Quantum Vault - Fee Engine
+ *
+ * Fees are always computed from the serialized size of the transaction they
+ * pay for. Rates are satoshis per 1000 bytes, the unit miners quote in
+ * mAPI / ARC policy responses.
+ *
+ * Policies default to economy 500, standard 1000 and priority 2000 sat/kB and
+ * can be overridden with FEE_POLICIES="economy:250,standard:500,priority:1000".
+ *
+ * @version 1
+ */
+
+// =============================================================================
+// POLICIES
+// =============================================================================
+
+const DEFAULT_POLICY = 'standard';
+const MAX_SAT_PER_KB = 50000;       // a mistyped rate must not drain a vault
+const QUOTE_VALIDITY_MS = 10 * 60 * 1000;
+
+// <DER signature + sighash byte (max 73)> <33-byte compressed public key>
+const P2PKH_UNLOCK_SIZE = 1 + 73 + 1 + 33;
+
+let policies = parsePolicies(process.env.FEE_POLICIES);
+
+function parsePolicies(spec) {
+    const parsed = { economy: 500, standard: 1000, priority: 2000 };
+    if (!spec) return parsed;
+
+    for (const entry of spec.split(',')) {
+        const [name, value] = entry.split(':').map(part => part.trim());
+        const rate = Number(value);
+        if (!name || !(rate > 0) || rate > MAX_SAT_PER_KB) {
+            throw new Error(`Invalid FEE_POLICIES entry: ${entry}`);
+        }
+        parsed[name] = rate;
+    }
+    return parsed;
+}
+
+function setFeePolicies(newPolicies) {
+    policies = { ...newPolicies };
+}
+
+function getFeePolicies() {
+    return { ...policies };
+}
+
+/**
+ * Rate in sat/kB from request-style options, first match wins:
+ *   satPerKb   explicit sat/kB
+ *   feeRate    explicit sat/byte (older API)
+ *   feePolicy  'economy' | 'standard' | 'priority'
+ */
+function resolveFeeRate(options = {}) {
+    let rate;
+    if (options.satPerKb !== undefined && options.satPerKb !== null && options.satPerKb !== '') {
+        rate = Number(options.satPerKb);
+    } else if (options.feeRate !== undefined && options.feeRate !== null && options.feeRate !== '') {
+        rate = Number(options.feeRate) * 1000;
+    } else {
+        const name = options.feePolicy || DEFAULT_POLICY;
+        if (!Object.prototype.hasOwnProperty.call(policies, name)) {
+            throw new Error(`Unknown fee policy: ${name} (use ${Object.keys(policies).join(', ')})`);
+        }
+        rate = policies[name];
+    }
+
+    if (!Number.isFinite(rate) || rate <= 0) {
+        throw new Error('Fee rate must be a positive number');
+    }
+    if (rate > MAX_SAT_PER_KB) {
+        throw new Error(`Fee rate ${rate} sat/kB exceeds the ${MAX_SAT_PER_KB} sat/kB limit`);
+    }
+    return rate;
+}
+
+// =============================================================================
+// SIZE AND FEE
+// =============================================================================
+
+function feeForSize(bytes, satPerKb) {
+    return Math.ceil(bytes * satPerKb / 1000);
+}
+
+function varIntSize(n) {
+    if (n < 0xfd) return 1;
+    if (n <= 0xffff) return 3;
+    if (n <= 0xffffffff) return 5;
+    return 9;
+}
+
+/**
+ * Exact serialized size from unlocking and locking script lengths
+ */
+function transactionSize(inputScriptSizes, outputScriptSizes) {
+    const inputs = inputScriptSizes.reduce((sum, size) => sum + 32 + 4 + varIntSize(size) + size + 4, 0);
+    const outputs = outputScriptSizes.reduce((sum, size) => sum + 8 + varIntSize(size) + size, 0);
+    return 4 + varIntSize(inputScriptSizes.length) + inputs +
+        varIntSize(outputScriptSizes.length) + outputs + 4;
+}
+
+/**
+ * Fixed-point fee for transactions whose size is only known once signed.
+ * build(fee) returns { size, ... }; it is re-run with the fee its own size
+ * requires until that fee no longer grows.
+ */
+function fitFee(build, satPerKb, maxIterations = 10) {
+    let fee = 0;
+    for (let i = 0; i < maxIterations; i++) {
+        const result = build(fee);
+        const needed = feeForSize(result.size, satPerKb);
+        if (needed <= fee) {
+            return { ...result, fee };
+        }
+        fee = needed;
+    }
+    throw new Error('Fee did not converge');
+}
+
+// =============================================================================
+// FEE QUOTE
+// =============================================================================
+
+/**
+ * Local policy quote shaped like an mAPI feeQuote payload
+ */
+function buildFeeQuote(extra = {}) {
+    const now = Date.now();
+    return {
+        apiVersion: '1.0',
+        timestamp: new Date(now).toISOString(),
+        expiryTime: new Date(now + QUOTE_VALIDITY_MS).toISOString(),
+        defaultPolicy: DEFAULT_POLICY,
+        maxSatPerKb: MAX_SAT_PER_KB,
+        fees: Object.entries(policies).map(([feeType, satoshis]) => ({
+            feeType,
+            miningFee: { satoshis, bytes: 1000 },
+            relayFee: { satoshis, bytes: 1000 }
+        })),
+        ...extra
+    };
+}
+
+module.exports = {
+    DEFAULT_POLICY, MAX_SAT_PER_KB, P2PKH_UNLOCK_SIZE,
+    setFeePolicies, getFeePolicies, resolveFeeRate,
+    feeForSize, varIntSize, transactionSize, fitFee,
+    buildFeeQuote
+};
@@ -0,0 +1,1878 @@
+/**
+ * BSV Quantum Vault - Local Script Interpreter
+ *
+ * Executes unlocking + locking script pairs the same way a BSV node does
+ * (post-Genesis rules, BIP143/ForkID sighash) so a broken WOTS-16 unlock
+ * is caught locally instead of by TAAL/GorillaPool/WhatsOnChain.
+ *
+ * @version 1
+ */
+
+const {
+    OP, WOTS16, sha256, hash256, hash160, iteratedSha256, getCovenantPublicKey, encodePushData,
+    buildStandardLockingScript, buildMaximumSecurityScript,
+    buildFullWOTS16LockingScript, buildCovenantWOTS16LockingScript, buildCompactWOTS16LockingScript,
+    WOTS_W_VALUES, getWOTSParams, buildWOTSLockingScript,
+    XMSS, buildXMSSLockingScript, computeXMSSRoot,
+    MULTISIG, buildMultisigLockingScript
+} = require('./winternitz');
+const crypto = require('crypto');
+
+let secp256k1 = null;
+try {
+    secp256k1 = require('secp256k1');
+} catch (e) {
+    // OP_CHECKSIG reports a clear error when the library is missing
+}
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const SIGHASH = {
+    ALL: 0x01,
+    NONE: 0x02,
+    SINGLE: 0x03,
+    FORKID: 0x40,
+    ANYONECANPAY: 0x80
+};
+
+const MAX_SCRIPT_NUM_LENGTH = 750000;
+
+// Resource limits for evalScript, so a hostile /api/simulate payload cannot
+// exhaust memory (OP_DUP/OP_CAT doubling) or CPU (huge op counts, or
+// hashing and shifting megabyte elements over and over). The processing
+// budget covers one transaction: every byte hashed, shifted, combined or
+// converted to a number, with MUL/DIV/MOD charged by operand product.
+const MAX_ELEMENT_SIZE = 1024 * 1024;
+const MAX_STACK_MEMORY = 16 * 1024 * 1024;
+const MAX_STACK_ITEMS = 1000;
+const MAX_OPS = 200000;
+const MAX_PROCESSED_BYTES = 64 * 1024 * 1024;
+const LOCKTIME_THRESHOLD = 500000000;
+const SEQUENCE_FINAL = 0xffffffff;
+
+// Reverse lookup for error reports (first name wins, so OP_0 beats OP_FALSE)
+const OPCODE_NAMES = {};
+for (const [name, code] of Object.entries(OP)) {
+    if (OPCODE_NAMES[code] === undefined) OPCODE_NAMES[code] = name;
+}
+
+function opcodeName(opcode) {
+    if (opcode >= 0x01 && opcode <= 0x4b) return `OP_PUSHBYTES_${opcode}`;
+    return OPCODE_NAMES[opcode] || `OP_UNKNOWN_0x${opcode.toString(16).padStart(2, '0')}`;
+}
+
+// =============================================================================
+// SCRIPT PARSING
+// =============================================================================
+
+/**
+ * Split a script into chunks: { opcode, data, offset, size }
+ * `data` is only set for push operations.
+ *
+ * A malformed push throws, unless options.partial is set: then parsing
+ * stops there and the last chunk is { opcode, offset, size, error }.
+ */
+function parseScript(script, options = {}) {
+    const buf = Buffer.isBuffer(script) ? script : Buffer.from(script, 'hex');
+    const chunks = [];
+    let i = 0;
+
+    const malformed = (offset, message) => {
+        if (!options.partial) throw new Error(message);
+        chunks.push({ opcode: buf[offset], offset, size: buf.length - offset, error: message });
+        return chunks;
+    };
+
+    while (i < buf.length) {
+        const offset = i;
+        const opcode = buf[i++];
+        let len = -1;
+
+        if (opcode >= 0x01 && opcode <= 0x4b) {
+            len = opcode;
+        } else if (opcode === OP.OP_PUSHDATA1) {
+            if (i + 1 > buf.length) return malformed(offset, `Truncated OP_PUSHDATA1 at byte ${offset}`);
+            len = buf[i];
+            i += 1;
+        } else if (opcode === OP.OP_PUSHDATA2) {
+            if (i + 2 > buf.length) return malformed(offset, `Truncated OP_PUSHDATA2 at byte ${offset}`);
+            len = buf.readUInt16LE(i);
+            i += 2;
+        } else if (opcode === OP.OP_PUSHDATA4) {
+            if (i + 4 > buf.length) return malformed(offset, `Truncated OP_PUSHDATA4 at byte ${offset}`);
+            len = buf.readUInt32LE(i);
+            i += 4;
+        }
+
+        if (len >= 0) {
+            if (i + len > buf.length) {
+                return malformed(offset, `Push of ${len} bytes at byte ${offset} runs past end of script`);
+            }
+            chunks.push({ opcode, data: buf.slice(i, i + len), offset, size: i + len - offset });
+            i += len;
+        } else {
+            chunks.push({ opcode, offset, size: 1 });
+        }
+    }
+
+    return chunks;
+}
+
+function isPushOnly(chunks) {
+    return chunks.every(c => c.opcode <= OP.OP_16 && c.opcode !== 0x50);
+}
+
+// =============================================================================
+// SCRIPT NUMBERS
+// =============================================================================
+
+function decodeScriptNum(buf, requireMinimal = true) {
+    if (buf.length > MAX_SCRIPT_NUM_LENGTH) {
+        throw new Error(`Script number overflow (${buf.length} bytes)`);
+    }
+    if (buf.length === 0) return 0n;
+
+    if (requireMinimal && (buf[buf.length - 1] & 0x7f) === 0) {
+        if (buf.length === 1 || (buf[buf.length - 2] & 0x80) === 0) {
+            throw new Error('Non-minimally encoded script number');
+        }
+    }
+
+    // Little-endian magnitude with the sign in the top bit; one hex parse is
+    // linear where shifting byte by byte is quadratic
+    const be = Buffer.from(buf).reverse();
+    const negative = (be[0] & 0x80) !== 0;
+    be[0] &= 0x7f;
+    const result = BigInt('0x' + be.toString('hex'));
+    return negative ? -result : result;
+}
+
+function encodeScriptNumBig(value) {
+    if (value === 0n) return Buffer.alloc(0);
+
+    const neg = value < 0n;
+    let hex = (neg ? -value : value).toString(16);
+    if (hex.length % 2) hex = '0' + hex;
+    const bytes = Buffer.from(hex, 'hex').reverse();
+    if (bytes[bytes.length - 1] & 0x80) {
+        return Buffer.concat([bytes, Buffer.from([neg ? 0x80 : 0x00])]);
+    }
+    if (neg) bytes[bytes.length - 1] |= 0x80;
+    return bytes;
+}
+
+/**
+ * OP_LSHIFT / OP_RSHIFT of a fixed-width big-endian bit string, byte by byte
+ */
+function shiftBytes(data, bits, left) {
+    const out = Buffer.alloc(data.length);
+    const byteShift = Math.floor(bits / 8);
+    const bitShift = bits % 8;
+    if (bitShift === 0) {
+        if (left) data.copy(out, 0, byteShift);
+        else data.copy(out, byteShift, 0, Math.max(0, data.length - byteShift));
+        return out;
+    }
+    for (let i = 0; i < data.length; i++) {
+        const src = left ? i + byteShift : i - byteShift;
+        if (src < 0 || src >= data.length) continue;
+        let value;
+        if (left) {
+            value = data[src] << bitShift;
+            if (bitShift && src + 1 < data.length) value |= data[src + 1] >> (8 - bitShift);
+        } else {
+            value = data[src] >> bitShift;
+            if (bitShift && src > 0) value |= data[src - 1] << (8 - bitShift);
+        }
+        out[i] = value & 0xff;
+    }
+    return out;
+}
+
+function castToBool(buf) {
+    for (let i = 0; i < buf.length; i++) {
+        if (buf[i] !== 0) {
+            // Negative zero is false
+            return !(i === buf.length - 1 && buf[i] === 0x80);
+        }
+    }
+    return false;
+}
+
+// =============================================================================
+// TRANSACTION PARSING
+// =============================================================================
+
+function readVarInt(buf, offset) {
+    const first = buf[offset];
+    if (first < 0xfd) return { value: first, size: 1 };
+    if (first === 0xfd) return { value: buf.readUInt16LE(offset + 1), size: 3 };
+    if (first === 0xfe) return { value: buf.readUInt32LE(offset + 1), size: 5 };
+    return { value: Number(buf.readBigUInt64LE(offset + 1)), size: 9 };
+}
+
+function encodeVarInt(n) {
+    if (n < 0xfd) return Buffer.from([n]);
+    if (n <= 0xffff) {
+        const buf = Buffer.alloc(3);
+        buf[0] = 0xfd;
+        buf.writeUInt16LE(n, 1);
+        return buf;
+    }
+    if (n <= 0xffffffff) {
+        const buf = Buffer.alloc(5);
+        buf[0] = 0xfe;
+        buf.writeUInt32LE(n, 1);
+        return buf;
+    }
+    const buf = Buffer.alloc(9);
+    buf[0] = 0xff;
+    buf.writeBigUInt64LE(BigInt(n), 1);
+    return buf;
+}
+
+/**
+ * Parse a raw transaction into its fields.
+ * Input txids are returned in display (reversed) byte order.
+ */
+function parseTransaction(rawTx) {
+    const buf = Buffer.isBuffer(rawTx) ? rawTx : Buffer.from(rawTx, 'hex');
+    let offset = 0;
+
+    const need = (n) => {
+        if (offset + n > buf.length) throw new Error('Transaction truncated');
+    };
+
+    need(4);
+    const version = buf.readUInt32LE(offset);
+    offset += 4;
+
+    let vi = readVarInt(buf, offset);
+    offset += vi.size;
+    const inputs = [];
+    for (let i = 0; i < vi.value; i++) {
+        need(36);
+        const txid = Buffer.from(buf.slice(offset, offset + 32)).reverse().toString('hex');
+        const vout = buf.readUInt32LE(offset + 32);
+        offset += 36;
+        const len = readVarInt(buf, offset);
+        offset += len.size;
+        need(len.value + 4);
+        const script = buf.slice(offset, offset + len.value);
+        offset += len.value;
+        const sequence = buf.readUInt32LE(offset);
+        offset += 4;
+        inputs.push({ txid, vout, script, sequence });
+    }
+
+    vi = readVarInt(buf, offset);
+    offset += vi.size;
+    const outputs = [];
+    for (let i = 0; i < vi.value; i++) {
+        need(8);
+        const value = Number(buf.readBigUInt64LE(offset));
+        offset += 8;
+        const len = readVarInt(buf, offset);
+        offset += len.size;
+        need(len.value);
+        const script = buf.slice(offset, offset + len.value);
+        offset += len.value;
+        outputs.push({ value, script });
+    }
+
+    need(4);
+    const lockTime = buf.readUInt32LE(offset);
+    offset += 4;
+
+    if (offset !== buf.length) {
+        throw new Error(`Unexpected ${buf.length - offset} trailing bytes after transaction`);
+    }
+
+    return {
+        txid: hash256(buf).reverse().toString('hex'),
+        version,
+        inputs,
+        outputs,
+        lockTime,
+        size: buf.length
+    };
+}
+
+// =============================================================================
+// SIGHASH (BIP143 + FORKID)
+// =============================================================================
+
+function outpointBuffer(input) {
+    const vout = Buffer.alloc(4);
+    vout.writeUInt32LE(input.vout);
+    return Buffer.concat([Buffer.from(input.txid, 'hex').reverse(), vout]);
+}
+
+function outputBuffer(output) {
+    const value = Buffer.alloc(8);
+    value.writeBigUInt64LE(BigInt(output.value));
+    return Buffer.concat([value, encodeVarInt(output.script.length), output.script]);
+}
+
+/**
+ * Build the BIP143 signature preimage that BSV hashes for OP_CHECKSIG
+ */
+function buildSighashPreimage(tx, inputIndex, scriptCode, satoshis, sighashType = SIGHASH.ALL | SIGHASH.FORKID) {
+    const input = tx.inputs[inputIndex];
+    if (!input) throw new Error(`Input ${inputIndex} does not exist`);
+
+    const baseType = sighashType & 0x1f;
+    const anyoneCanPay = (sighashType & SIGHASH.ANYONECANPAY) !== 0;
+    const zero = Buffer.alloc(32);
+
+    let hashPrevouts = zero;
+    if (!anyoneCanPay) {
+        hashPrevouts = hash256(Buffer.concat(tx.inputs.map(outpointBuffer)));
+    }
+
+    let hashSequence = zero;
+    if (!anyoneCanPay && baseType !== SIGHASH.SINGLE && baseType !== SIGHASH.NONE) {
+        hashSequence = hash256(Buffer.concat(tx.inputs.map(inp => {
+            const seq = Buffer.alloc(4);
+            seq.writeUInt32LE(inp.sequence);
+            return seq;
+        })));
+    }
+
+    let hashOutputs = zero;
+    if (baseType !== SIGHASH.SINGLE && baseType !== SIGHASH.NONE) {
+        hashOutputs = hash256(Buffer.concat(tx.outputs.map(outputBuffer)));
+    } else if (baseType === SIGHASH.SINGLE && inputIndex < tx.outputs.length) {
+        hashOutputs = hash256(outputBuffer(tx.outputs[inputIndex]));
+    }
+
+    const nVersion = Buffer.alloc(4);
+    nVersion.writeUInt32LE(tx.version);
+    const value = Buffer.alloc(8);
+    value.writeBigUInt64LE(BigInt(satoshis));
+    const nSequence = Buffer.alloc(4);
+    nSequence.writeUInt32LE(input.sequence);
+    const nLockTime = Buffer.alloc(4);
+    nLockTime.writeUInt32LE(tx.lockTime);
+    const type = Buffer.alloc(4);
+    type.writeUInt32LE(sighashType >>> 0);
+
+    return Buffer.concat([
+        nVersion, hashPrevouts, hashSequence, outpointBuffer(input),
+        encodeVarInt(scriptCode.length), scriptCode,
+        value, nSequence, hashOutputs, nLockTime, type
+    ]);
+}
+
+// =============================================================================
+// SIGNATURE CHECKING
+// =============================================================================
+
+function checkSignature(sig, pubKey, scriptCode, context) {
+    if (sig.length === 0) return false;
+
+    if (!context.tx) {
+        throw new Error('Transaction context required for signature checks');
+    }
+    if (!secp256k1) {
+        throw new Error('secp256k1 library not available');
+    }
+
+    const sighashType = sig[sig.length - 1];
+    if ((sighashType & SIGHASH.FORKID) === 0) {
+        throw new Error('Signature must use SIGHASH_FORKID');
+    }
+
+    let compact;
+    try {
+        compact = secp256k1.signatureImport(sig.slice(0, -1));
+    } catch (e) {
+        throw new Error('Signature is not valid DER');
+    }
+
+    const normalized = secp256k1.signatureNormalize(Buffer.from(compact));
+    if (!Buffer.from(normalized).equals(Buffer.from(compact))) {
+        throw new Error('Signature S value is not low (LOW_S)');
+    }
+
+    if (!secp256k1.publicKeyVerify(pubKey)) {
+        throw new Error('Invalid public key encoding');
+    }
+
+    const preimage = buildSighashPreimage(
+        context.tx, context.inputIndex, scriptCode, context.satoshis, sighashType
+    );
+    return secp256k1.ecdsaVerify(compact, hash256(preimage), pubKey);
+}
+
+// =============================================================================
+// EXECUTION
+// =============================================================================
+
+function scriptError(message) {
+    const err = new Error(message);
+    err.isScriptError = true;
+    return err;
+}
+
+/**
+ * Execute one script against the given stacks.
+ * Throws an Error decorated with `chunkIndex` on failure.
+ */
+function evalScript(script, stack, altStack, context, flags) {
+    const buf = Buffer.isBuffer(script) ? script : Buffer.from(script, 'hex');
+    const chunks = parseScript(buf);
+    const execStack = [];
+    let falseBranches = 0;
+    if (!context.budget) context.budget = { processedBytes: 0 };
+    let codeSeparatorOffset = 0;
+
+    // Stack memory is kept up to date on every push and pop; moves within
+    // or between the stacks leave it unchanged
+    let memory = 0;
+    for (const item of stack) memory += item.length;
+    for (const item of altStack) memory += item.length;
+
+    const push = (...items) => {
+        for (const item of items) {
+            if (item.length > MAX_ELEMENT_SIZE) {
+                throw scriptError(`Stack element of ${item.length} bytes exceeds ${MAX_ELEMENT_SIZE}`);
+            }
+            memory += item.length;
+        }
+        stack.push(...items);
+        if (stack.length + altStack.length > MAX_STACK_ITEMS) {
+            throw scriptError(`Stack size limit exceeded (${MAX_STACK_ITEMS} items)`);
+        }
+        if (memory > MAX_STACK_MEMORY) {
+            throw scriptError(`Stack memory limit exceeded (${MAX_STACK_MEMORY} bytes)`);
+        }
+    };
+    const pop = () => {
+        if (stack.length === 0) throw scriptError('Stack underflow');
+        const item = stack.pop();
+        memory -= item.length;
+        return item;
+    };
+    const top = (n = 1) => {
+        if (stack.length < n) throw scriptError('Stack underflow');
+        return stack[stack.length - n];
+    };
+    const charge = (bytes) => {
+        context.budget.processedBytes += bytes;
+        if (context.budget.processedBytes > MAX_PROCESSED_BYTES) {
+            throw scriptError(`Processing limit exceeded (${MAX_PROCESSED_BYTES} bytes hashed, shifted or computed)`);
+        }
+    };
+    const popNum = () => {
+        charge(top().length);
+        return decodeScriptNum(pop(), flags.requireMinimal);
+    };
+    const pushNum = (n) => {
+        const encoded = encodeScriptNumBig(n);
+        charge(encoded.length);
+        push(encoded);
+    };
+    const pushBool = (b) => push(b ? Buffer.from([0x01]) : Buffer.alloc(0));
+    let opCount = 0;
+
+    for (let index = 0; index < chunks.length; index++) {
+        const chunk = chunks[index];
+        const op = chunk.opcode;
+        const executing = falseBranches === 0;
+
+        try {
+            if (op > OP.OP_16 && ++opCount > MAX_OPS) {
+                throw scriptError(`Operation limit exceeded (${MAX_OPS} ops)`);
+            }
+
+            if (chunk.data !== undefined || op === OP.OP_0) {
+                if (executing) push(chunk.data || Buffer.alloc(0));
+                continue;
+            }
+
+            // Flow control is processed even inside unexecuted branches
+            if (op === OP.OP_IF || op === OP.OP_NOTIF) {
+                let value = false;
+                if (executing) {
+                    value = castToBool(pop());
+                    if (op === OP.OP_NOTIF) value = !value;
+                }
+                execStack.push(value);
+                if (!value) falseBranches++;
+                continue;
+            }
+            if (op === OP.OP_ELSE) {
+                if (execStack.length === 0) throw scriptError('OP_ELSE without OP_IF');
+                const value = !execStack[execStack.length - 1];
+                execStack[execStack.length - 1] = value;
+                falseBranches += value ? -1 : 1;
+                continue;
+            }
+            if (op === OP.OP_ENDIF) {
+                if (execStack.length === 0) throw scriptError('OP_ENDIF without OP_IF');
+                if (!execStack.pop()) falseBranches--;
+                continue;
+            }
+            if (op === 0x65 || op === 0x66) {
+                throw scriptError(`${opcodeName(op)} is disabled`);
+            }
+
+            if (!executing) continue;
+
+            if (op >= OP.OP_1 && op <= OP.OP_16) {
+                pushNum(BigInt(op - 0x50));
+                continue;
+            }
+
+            switch (op) {
+                case OP.OP_1NEGATE:
+                    pushNum(-1n);
+                    break;
+
+                case OP.OP_NOP:
+                case 0xb0: case 0xb3: case 0xb4: case 0xb5:
+                case 0xb6: case 0xb7: case 0xb8: case 0xb9:
+                    break;
+
+                case OP.OP_CHECKLOCKTIMEVERIFY: {
+                    // Reverted to OP_NOP2 for post-Genesis UTXOs
+                    if (!flags.enforceLocktime) break;
+                    const lockTime = decodeScriptNum(top(), flags.requireMinimal);
+                    if (lockTime < 0n) throw scriptError('Negative locktime');
+                    const tx = context.tx;
+                    if (!tx) throw scriptError('Transaction context required for OP_CHECKLOCKTIMEVERIFY');
+                    const txLockTime = BigInt(tx.lockTime);
+                    const threshold = BigInt(LOCKTIME_THRESHOLD);
+                    if ((txLockTime < threshold) !== (lockTime < threshold)) {
+                        throw scriptError('Locktime type mismatch');
+                    }
+                    if (lockTime > txLockTime) throw scriptError('Locktime requirement not satisfied');
+                    if (tx.inputs[context.inputIndex].sequence === SEQUENCE_FINAL) {
+                        throw scriptError('Input sequence is final, locktime is not enforced');
+                    }
+                    break;
+                }
+
+                case OP.OP_CHECKSEQUENCEVERIFY: {
+                    // Reverted to OP_NOP3 for post-Genesis UTXOs
+                    if (!flags.enforceLocktime) break;
+                    const sequence = decodeScriptNum(top(), flags.requireMinimal);
+                    if (sequence < 0n) throw scriptError('Negative sequence');
+                    if ((sequence & (1n << 31n)) !== 0n) break;
+                    const tx = context.tx;
+                    if (!tx) throw scriptError('Transaction context required for OP_CHECKSEQUENCEVERIFY');
+                    const txSequence = BigInt(tx.inputs[context.inputIndex].sequence);
+                    if (tx.version < 2 || (txSequence & (1n << 31n)) !== 0n) {
+                        throw scriptError('Sequence requirement not satisfied');
+                    }
+                    const mask = (1n << 22n) | 0xffffn;
+                    if (((txSequence & (1n << 22n)) !== 0n) !== ((sequence & (1n << 22n)) !== 0n) ||
+                        (sequence & mask) > (txSequence & mask)) {
+                        throw scriptError('Sequence requirement not satisfied');
+                    }
+                    break;
+                }
+
+                case OP.OP_VERIFY:
+                    if (!castToBool(pop())) throw scriptError('OP_VERIFY failed');
+                    break;
+
+                case OP.OP_RETURN:
+                    // Post-Genesis: terminates the script, result is the top of stack
+                    return { returned: true };
+
+                // Stack operations
+                case OP.OP_TOALTSTACK:
+                    top();
+                    altStack.push(stack.pop());
+                    break;
+                case OP.OP_FROMALTSTACK:
+                    if (altStack.length === 0) throw scriptError('Alt stack underflow');
+                    stack.push(altStack.pop());
+                    break;
+                case OP.OP_2DROP:
+                    top(2);
+                    pop();
+                    pop();
+                    break;
+                case OP.OP_2DUP: {
+                    const a = top(2), b = top(1);
+                    push(a, b);
+                    break;
+                }
+                case OP.OP_3DUP: {
+                    const a = top(3), b = top(2), c = top(1);
+                    push(a, b, c);
+                    break;
+                }
+                case OP.OP_2OVER: {
+                    const a = top(4), b = top(3);
+                    push(a, b);
+                    break;
+                }
+                case OP.OP_2ROT: {
+                    top(6);
+                    const moved = stack.splice(stack.length - 6, 2);
+                    stack.push(...moved);
+                    break;
+                }
+                case OP.OP_2SWAP: {
+                    top(4);
+                    const moved = stack.splice(stack.length - 4, 2);
+                    stack.push(...moved);
+                    break;
+                }
+                case OP.OP_IFDUP:
+                    if (castToBool(top())) push(top());
+                    break;
+                case OP.OP_DEPTH:
+                    pushNum(BigInt(stack.length));
+                    break;
+                case OP.OP_DROP:
+                    pop();
+                    break;
+                case OP.OP_DUP:
+                    push(top());
+                    break;
+                case OP.OP_NIP: {
+                    top(2);
+                    const [item] = stack.splice(stack.length - 2, 1);
+                    memory -= item.length;
+                    break;
+                }
+                case OP.OP_OVER:
+                    push(top(2));
+                    break;
+                case OP.OP_PICK:
+                case OP.OP_ROLL: {
+                    const n = popNum();
+                    if (n < 0n || n >= BigInt(stack.length)) {
+                        throw scriptError(`${opcodeName(op)} index ${n} out of range`);
+                    }
+                    const idx = stack.length - 1 - Number(n);
+                    const item = stack[idx];
+                    if (op === OP.OP_ROLL) {
+                        stack.splice(idx, 1);
+                        stack.push(item);
+                    } else {
+                        push(item);
+                    }
+                    break;
+                }
+                case OP.OP_ROT: {
+                    top(3);
+                    const [item] = stack.splice(stack.length - 3, 1);
+                    stack.push(item);
+                    break;
+                }
+                case OP.OP_SWAP: {
+                    const b = pop(), a = pop();
+                    push(b, a);
+                    break;
+                }
+                case OP.OP_TUCK: {
+                    const b = pop(), a = pop();
+                    push(b, a, b);
+                    break;
+                }
+
+                // Splice operations
+                case OP.OP_CAT: {
+                    const b = pop(), a = pop();
+                    if (a.length + b.length > MAX_ELEMENT_SIZE) {
+                        throw scriptError(`OP_CAT result exceeds ${MAX_ELEMENT_SIZE} bytes`);
+                    }
+                    charge(a.length + b.length);
+                    push(Buffer.concat([a, b]));
+                    break;
+                }
+                case OP.OP_SPLIT: {
+                    const n = popNum();
+                    const data = pop();
+                    if (n < 0n || n > BigInt(data.length)) {
+                        throw scriptError(`OP_SPLIT position ${n} out of range for ${data.length} bytes`);
+                    }
+                    push(data.slice(0, Number(n)), data.slice(Number(n)));
+                    break;
+                }
+                case OP.OP_NUM2BIN: {
+                    const size = popNum();
+                    if (size < 0n || size > BigInt(MAX_SCRIPT_NUM_LENGTH)) {
+                        throw scriptError('OP_NUM2BIN size out of range');
+                    }
+                    charge(Number(size) + top().length);
+                    const raw = pop();
+                    const value = encodeScriptNumBig(decodeScriptNum(raw, false));
+                    if (value.length > Number(size)) {
+                        throw scriptError(`OP_NUM2BIN cannot fit ${value.length} bytes into ${size}`);
+                    }
+                    const out = Buffer.alloc(Number(size));
+                    if (value.length > 0) {
+                        const signBit = value[value.length - 1] & 0x80;
+                        value.copy(out);
+                        out[value.length - 1] &= 0x7f;
+                        out[out.length - 1] |= signBit;
+                    }
+                    push(out);
+                    break;
+                }
+                case OP.OP_BIN2NUM: {
+                    charge(2 * top().length);
+                    const value = encodeScriptNumBig(decodeScriptNum(pop(), false));
+                    if (value.length > MAX_SCRIPT_NUM_LENGTH) throw scriptError('OP_BIN2NUM overflow');
+                    push(value);
+                    break;
+                }
+                case OP.OP_SIZE:
+                    pushNum(BigInt(top().length));
+                    break;
+
+                // Bitwise logic
+                case OP.OP_INVERT: {
+                    const a = pop();
+                    charge(a.length);
+                    const out = Buffer.alloc(a.length);
+                    for (let i = 0; i < a.length; i++) out[i] = ~a[i] & 0xff;
+                    push(out);
+                    break;
+                }
+                case OP.OP_AND:
+                case OP.OP_OR:
+                case OP.OP_XOR: {
+                    const b = pop(), a = pop();
+                    if (a.length !== b.length) throw scriptError(`${opcodeName(op)} operands differ in size`);
+                    charge(a.length);
+                    const out = Buffer.alloc(a.length);
+                    for (let i = 0; i < a.length; i++) {
+                        out[i] = op === OP.OP_AND ? a[i] & b[i] : op === OP.OP_OR ? a[i] | b[i] : a[i] ^ b[i];
+                    }
+                    push(out);
+                    break;
+                }
+                case OP.OP_LSHIFT:
+                case OP.OP_RSHIFT: {
+                    const n = popNum();
+                    if (n < 0n) throw scriptError('Negative shift');
+                    const data = pop();
+                    charge(data.length);
+                    const bits = BigInt(data.length * 8);
+                    // Anything past the width shifts every bit out
+                    const shift = n > bits ? bits : n;
+                    push(shiftBytes(data, Number(shift), op === OP.OP_LSHIFT));
+                    break;
+                }
+                case OP.OP_EQUAL:
+                case OP.OP_EQUALVERIFY: {
+                    const b = pop(), a = pop();
+                    const equal = a.equals(b);
+                    if (op === OP.OP_EQUALVERIFY) {
+                        if (!equal) throw scriptError('OP_EQUALVERIFY failed');
+                    } else {
+                        pushBool(equal);
+                    }
+                    break;
+                }
+
+                // Arithmetic
+                case OP.OP_1ADD: pushNum(popNum() + 1n); break;
+                case OP.OP_1SUB: pushNum(popNum() - 1n); break;
+                case OP.OP_NEGATE: pushNum(-popNum()); break;
+                case OP.OP_ABS: {
+                    const a = popNum();
+                    pushNum(a < 0n ? -a : a);
+                    break;
+                }
+                case OP.OP_NOT: pushBool(popNum() === 0n); break;
+                case OP.OP_0NOTEQUAL: pushBool(popNum() !== 0n); break;
+                case OP.OP_ADD:
+                case OP.OP_SUB:
+                case OP.OP_MUL:
+                case OP.OP_DIV:
+                case OP.OP_MOD:
+                case OP.OP_BOOLAND:
+                case OP.OP_BOOLOR:
+                case OP.OP_NUMEQUAL:
+                case OP.OP_NUMEQUALVERIFY:
+                case OP.OP_NUMNOTEQUAL:
+                case OP.OP_LESSTHAN:
+                case OP.OP_GREATERTHAN:
+                case OP.OP_LESSTHANOREQUAL:
+                case OP.OP_GREATERTHANOREQUAL:
+                case OP.OP_MIN:
+                case OP.OP_MAX: {
+                    if (op === OP.OP_MUL || op === OP.OP_DIV || op === OP.OP_MOD) {
+                        // Long multiplication and division are quadratic in the operand sizes
+                        charge(Math.ceil(top(1).length * top(2).length / 4096));
+                    }
+                    const b = popNum(), a = popNum();
+                    switch (op) {
+                        case OP.OP_ADD: pushNum(a + b); break;
+                        case OP.OP_SUB: pushNum(a - b); break;
+                        case OP.OP_MUL: pushNum(a * b); break;
+                        case OP.OP_DIV:
+                            if (b === 0n) throw scriptError('Division by zero');
+                            pushNum(a / b);
+                            break;
+                        case OP.OP_MOD:
+                            if (b === 0n) throw scriptError('Modulo by zero');
+                            pushNum(a % b);
+                            break;
+                        case OP.OP_BOOLAND: pushBool(a !== 0n && b !== 0n); break;
+                        case OP.OP_BOOLOR: pushBool(a !== 0n || b !== 0n); break;
+                        case OP.OP_NUMEQUAL: pushBool(a === b); break;
+                        case OP.OP_NUMEQUALVERIFY:
+                            if (a !== b) throw scriptError('OP_NUMEQUALVERIFY failed');
+                            break;
+                        case OP.OP_NUMNOTEQUAL: pushBool(a !== b); break;
+                        case OP.OP_LESSTHAN: pushBool(a < b); break;
+                        case OP.OP_GREATERTHAN: pushBool(a > b); break;
+                        case OP.OP_LESSTHANOREQUAL: pushBool(a <= b); break;
+                        case OP.OP_GREATERTHANOREQUAL: pushBool(a >= b); break;
+                        case OP.OP_MIN: pushNum(a < b ? a : b); break;
+                        case OP.OP_MAX: pushNum(a > b ? a : b); break;
+                    }
+                    break;
+                }
+                case OP.OP_WITHIN: {
+                    const max = popNum(), min = popNum(), x = popNum();
+                    pushBool(x >= min && x < max);
+                    break;
+                }
+
+                // Crypto
+                case OP.OP_RIPEMD160:
+                    charge(top().length);
+                    push(crypto.createHash('ripemd160').update(pop()).digest());
+                    break;
+                case OP.OP_SHA1:
+                    charge(top().length);
+                    push(crypto.createHash('sha1').update(pop()).digest());
+                    break;
+                case OP.OP_SHA256:
+                    charge(top().length);
+                    push(sha256(pop()));
+                    break;
+                case OP.OP_HASH160:
+                    charge(top().length);
+                    push(hash160(pop()));
+                    break;
+                case OP.OP_HASH256:
+                    charge(2 * top().length);
+                    push(hash256(pop()));
+                    break;
+                case OP.OP_CODESEPARATOR:
+                    codeSeparatorOffset = chunk.offset + 1;
+                    break;
+                case OP.OP_CHECKSIG:
+                case OP.OP_CHECKSIGVERIFY: {
+                    const pubKey = pop();
+                    const sig = pop();
+                    const scriptCode = buf.slice(codeSeparatorOffset);
+                    // The sighash preimage copies and hashes the scriptCode
+                    charge(scriptCode.length);
+                    const valid = checkSignature(sig, pubKey, scriptCode, context);
+                    if (op === OP.OP_CHECKSIGVERIFY) {
+                        if (!valid) throw scriptError('OP_CHECKSIGVERIFY failed');
+                    } else {
+                        pushBool(valid);
+                    }
+                    break;
+                }
+                case OP.OP_CHECKMULTISIG:
+                case OP.OP_CHECKMULTISIGVERIFY: {
+                    const keyCount = Number(popNum());
+                    if (keyCount < 0 || keyCount > stack.length) throw scriptError('Invalid public key count');
+                    const pubKeys = [];
+                    for (let i = 0; i < keyCount; i++) pubKeys.push(pop());
+                    const sigCount = Number(popNum());
+                    if (sigCount < 0 || sigCount > keyCount) throw scriptError('Invalid signature count');
+                    const sigs = [];
+                    for (let i = 0; i < sigCount; i++) sigs.push(pop());
+                    if (pop().length !== 0) throw scriptError('OP_CHECKMULTISIG dummy element must be empty');
+
+                    const scriptCode = buf.slice(codeSeparatorOffset);
+                    let valid = true;
+                    let k = 0;
+                    for (let s = 0; s < sigs.length && valid; s++) {
+                        while (k < pubKeys.length) {
+                        charge(scriptCode.length);
+                        if (checkSignature(sigs[s], pubKeys[k], scriptCode, context)) break;
+                        k++;
+                    }
+                        if (k >= pubKeys.length) valid = false;
+                        k++;
+                    }
+                    if (op === OP.OP_CHECKMULTISIGVERIFY) {
+                        if (!valid) throw scriptError('OP_CHECKMULTISIGVERIFY failed');
+                    } else {
+                        pushBool(valid);
+                    }
+                    break;
+                }
+
+                default:
+                    throw scriptError(`Unsupported or disabled opcode ${opcodeName(op)}`);
+            }
+        } catch (err) {
+            err.chunkIndex = index;
+            err.opcode = opcodeName(op);
+            err.offset = chunk.offset;
+            throw err;
+        }
+    }
+
+    if (execStack.length > 0) {
+        const err = scriptError('Unbalanced conditional (missing OP_ENDIF)');
+        err.chunkIndex = chunks.length;
+        err.opcode = null;
+        err.offset = buf.length;
+        throw err;
+    }
+
+    return { returned: false };
+}
+
+/**
+ * Run an unlocking + locking script pair.
+ *
+ * context: { tx, inputIndex, satoshis, budget } - tx is a parsed transaction
+ * and is only needed for signature and locktime opcodes; budget
+ * ({ processedBytes }) is shared by every input of one transaction.
+ *
+ * Returns { success, error?, failure?: { script, chunkIndex, opcode, offset }, stack, altStack }
+ */
+function verifyScript(unlockingScript, lockingScript, context = {}, options = {}) {
+    const flags = {
+        requireMinimal: options.requireMinimal !== false,
+        enforceLocktime: options.enforceLocktime === true,
+        requirePushOnly: options.requirePushOnly !== false,
+        requireCleanStack: options.requireCleanStack === true
+    };
+    const ctx = {
+        tx: context.tx || null,
+        inputIndex: context.inputIndex || 0,
+        satoshis: context.satoshis || 0,
+        budget: context.budget || { processedBytes: 0 }
+    };
+
+    const stack = [];
+    const altStack = [];
+    let phase = 'unlocking';
+
+    const snapshot = () => ({
+        stack: stack.map(b => b.toString('hex')),
+        altStack: altStack.map(b => b.toString('hex'))
+    });
+
+    try {
+        const unlockBuf = Buffer.isBuffer(unlockingScript) ? unlockingScript : Buffer.from(unlockingScript, 'hex');
+        const lockBuf = Buffer.isBuffer(lockingScript) ? lockingScript : Buffer.from(lockingScript, 'hex');
+
+        if (flags.requirePushOnly && !isPushOnly(parseScript(unlockBuf))) {
+            const err = scriptError('Unlocking script must be push-only');
+            err.chunkIndex = parseScript(unlockBuf).findIndex(c => c.opcode > OP.OP_16 || c.opcode === 0x50);
+            throw err;
+        }
+
+        evalScript(unlockBuf, stack, altStack, ctx, flags);
+        // Each script starts with an empty alt stack
+        altStack.length = 0;
+
+        phase = 'locking';
+        evalScript(lockBuf, stack, altStack, ctx, flags);
+
+        if (stack.length === 0 || !castToBool(stack[stack.length - 1])) {
+            const err = scriptError(stack.length === 0
+                ? 'Script finished with an empty stack'
+                : 'Script finished with a false value on top of the stack');
+            err.chunkIndex = null;
+            throw err;
+        }
+        if (flags.requireCleanStack && stack.length !== 1) {
+            const err = scriptError(`Stack not clean: ${stack.length} items remain`);
+            err.chunkIndex = null;
+            throw err;
+        }
+
+        return { success: true, ...snapshot() };
+
+    } catch (err) {
+        return {
+            success: false,
+            error: err.message,
+            failure: {
+                script: phase,
+                chunkIndex: err.chunkIndex !== undefined ? err.chunkIndex : null,
+                opcode: err.opcode || null,
+                offset: err.offset !== undefined ? err.offset : null
+            },
+            ...snapshot()
+        };
+    }
+}
+
+/**
+ * Verify every input of a raw transaction.
+ *
+ * prevouts[i] = { lockingScript, satoshis } for input i.
+ */
+function verifyTransaction(rawTx, prevouts, options = {}) {
+    const tx = parseTransaction(rawTx);
+
+    if (!Array.isArray(prevouts) || prevouts.length !== tx.inputs.length) {
+        throw new Error(`Expected ${tx.inputs.length} prevouts, got ${prevouts ? prevouts.length : 0}`);
+    }
+
+    const budget = { processedBytes: 0 };
+    const inputs = tx.inputs.map((input, inputIndex) => {
+        const prevout = prevouts[inputIndex];
+        const result = verifyScript(
+            input.script,
+            prevout.lockingScript,
+            { tx, inputIndex, satoshis: prevout.satoshis, budget },
+            options
+        );
+        return { inputIndex, outpoint: `${input.txid}:${input.vout}`, ...result };
+    });
+
+    const totalIn = prevouts.reduce((sum, p) => sum + p.satoshis, 0);
+    const totalOut = tx.outputs.reduce((sum, o) => sum + o.value, 0);
+
+    return {
+        valid: inputs.every(i => i.success) && totalOut <= totalIn,
+        txid: tx.txid,
+        size: tx.size,
+        fee: totalIn - totalOut,
+        inputs,
+        error: totalOut > totalIn ? `Outputs (${totalOut}) exceed inputs (${totalIn})` : undefined
+    };
+}
+
+/**
+ * One-line summary of the first failing input, for logs and API errors
+ */
+function describeFailure(result) {
+    if (result.valid) return null;
+    const failed = result.inputs.find(i => !i.success);
+    if (!failed) return result.error;
+    const f = failed.failure;
+    const where = f.chunkIndex !== null
+        ? `${f.script} script chunk ${f.chunkIndex}${f.opcode ? ` (${f.opcode})` : ''}`
+        : `${f.script} script`;
+    return `Input ${failed.inputIndex}: ${failed.error} at ${where}`;
+}
+
+// =============================================================================
+// SCRIPT TEMPLATES
+// =============================================================================
+
+/**
+ * Vault templates are matched against two builds with different dummy keys:
+ * chunks that differ between the builds are the key slots, every other
+ * chunk must match exactly. Slots are named by which dummy value fills them.
+ */
+const VAULT_TEMPLATES = [
+    { type: 'preimage-based', build: v => buildStandardLockingScript(v.hash) },
+    { type: 'preimage-ecdsa-covenant', build: v => buildMaximumSecurityScript(v.hash, v.publicKey) },
+    { type: 'wots16-full-verification', build: v => buildFullWOTS16LockingScript(null, v.commitments) },
+    { type: 'wots16-covenant', build: v => buildCovenantWOTS16LockingScript(v.commitments, v.covenantKey) },
+    { type: 'wots16-compact', build: v => buildCompactWOTS16LockingScript(v.hash) },
+    ...[false, true].flatMap(plus => WOTS_W_VALUES.map(w => {
+        const params = getWOTSParams(w, plus);
+        return { type: params.type, build: v => buildWOTSLockingScript({ params, publicKeyHash: v.hash, publicSeed: v.covenantKey }) };
+    })),
+    ...Array.from({ length: XMSS.MAX_HEIGHT }, (_, i) => ({
+        type: 'wots16-xmss',
+        fields: { height: i + 1 },
+        build: v => buildXMSSLockingScript(v.root, i + 1, v.covenantKey)
+    })),
+    ...Array.from({ length: MULTISIG.MAX_KEYS - MULTISIG.MIN_KEYS + 1 }, (_, i) => i + MULTISIG.MIN_KEYS)
+        .flatMap(n => Array.from({ length: n }, (_, j) => ({
+            type: 'wots16-multisig',
+            fields: { m: j + 1, n },
+            build: v => buildMultisigLockingScript(v.keyHashes.slice(0, n), j + 1, v.covenantKey)
+        })))
+];
+
+let compiledTemplates = null;
+
+function dummyTemplateValues(tag) {
+    const value = label => sha256(Buffer.from(`QV-TEMPLATE-${tag}-${label}`));
+    const totalChunks = WOTS16.CHUNKS + WOTS16.CHECKSUM_CHUNKS;
+    return {
+        hash: value('hash'),
+        root: value('root'),
+        keyHashes: Array.from({ length: MULTISIG.MAX_KEYS }, (_, i) => value(`key-${i}`)),
+        publicKey: getCovenantPublicKey(value('ephemeral')),
+        commitments: Array.from({ length: totalChunks }, (_, i) => value(`commitment-${i}`)),
+        covenantKey: value('covenant'),
+        covenantPublicKey: getCovenantPublicKey(value('covenant'))
+    };
+}
+
+function slotRole(data, values) {
+    if (data.equals(values.hash)) return { name: 'publicKeyHash' };
+    if (data.equals(values.root)) return { name: 'merkleRoot' };
+    const key = values.keyHashes.findIndex(hash => data.equals(hash));
+    if (key >= 0) return { name: 'publicKeyHashes', index: key };
+    if (data.equals(values.publicKey)) return { name: 'ephemeralPublicKey' };
+    if (data.equals(values.covenantPublicKey)) return { name: 'covenantPublicKey' };
+    const index = values.commitments.findIndex(c => data.equals(c));
+    if (index >= 0) return { name: 'commitments', index };
+    return null; // derived from a key (e.g. r*d in the OP_PUSH_TX block)
+}
+
+function compileTemplates() {
+    if (compiledTemplates) return compiledTemplates;
+
+    const a = dummyTemplateValues('A');
+    const b = dummyTemplateValues('B');
+    compiledTemplates = VAULT_TEMPLATES.map(template => {
+        const chunksA = parseScript(template.build(a));
+        const chunksB = parseScript(template.build(b));
+        const slots = new Map();
+        chunksA.forEach((chunk, i) => {
+            if (chunk.data && !chunk.data.equals(chunksB[i].data)) {
+                slots.set(i, slotRole(chunk.data, a));
+            }
+        });
+        return { type: template.type, fields: template.fields, chunks: chunksA, slots };
+    });
+    return compiledTemplates;
+}
+
+function sameChunk(x, y) {
+    if (x.opcode !== y.opcode) return false;
+    if (!x.data || !y.data) return !x.data && !y.data;
+    return x.data.equals(y.data);
+}
+
+function matchVaultTemplate(chunks) {
+    for (const template of compileTemplates()) {
+        if (template.chunks.length !== chunks.length) continue;
+
+        const fields = {};
+        const matched = template.chunks.every((expected, i) => {
+            const chunk = chunks[i];
+            if (!template.slots.has(i)) return sameChunk(expected, chunk);
+            if (!chunk.data) return false;
+
+            const role = template.slots.get(i);
+            if (!role) return true;
+            if (chunk.data.length !== expected.data.length) return false;
+            if (role.index !== undefined) {
+                (fields[role.name] = fields[role.name] || [])[role.index] = chunk.data.toString('hex');
+            } else {
+                fields[role.name] = chunk.data.toString('hex');
+            }
+            return true;
+        });
+
+        if (matched) return { type: template.type, ...template.fields, ...fields };
+    }
+    return null;
+}
+
+/**
+ * Identify an output script: P2PKH, OP_RETURN data, or one of the vault
+ * locking scripts this project builds (with or without a CLTV prefix).
+ * Returns { type, ...fields }; type is 'nonstandard' for anything else and
+ * 'invalid' when the script does not parse.
+ */
+function classifyScript(script) {
+    const buf = Buffer.isBuffer(script) ? script : Buffer.from(script, 'hex');
+
+    let chunks;
+    try {
+        chunks = parseScript(buf);
+    } catch (e) {
+        return { type: 'invalid', error: e.message };
+    }
+
+    if (buf.length === 25 && buf[0] === OP.OP_DUP && buf[1] === OP.OP_HASH160 && buf[2] === 0x14 &&
+        buf[23] === OP.OP_EQUALVERIFY && buf[24] === OP.OP_CHECKSIG) {
+        return { type: 'p2pkh', publicKeyHash: buf.slice(3, 23).toString('hex') };
+    }
+
+    const dataStart = chunks[0]?.opcode === OP.OP_RETURN ? 1
+        : chunks[0]?.opcode === OP.OP_0 && chunks[1]?.opcode === OP.OP_RETURN ? 2 : -1;
+    if (dataStart >= 0) {
+        const data = chunks.slice(dataStart);
+        return {
+            type: 'op-return',
+            data: isPushOnly(data) ? data.map(chunk => (chunk.data || Buffer.alloc(0)).toString('hex')) : null
+        };
+    }
+
+    // Optional <lockTime> OP_CHECKLOCKTIMEVERIFY OP_DROP prefix
+    let lockTime = 0;
+    let body = chunks;
+    if (chunks.length > 3 && chunks[1].opcode === OP.OP_CHECKLOCKTIMEVERIFY && chunks[2].opcode === OP.OP_DROP) {
+        const first = chunks[0];
+        if (first.data && first.data.length <= 5) {
+            lockTime = Number(decodeScriptNum(first.data, false));
+        } else if (first.opcode >= OP.OP_1 && first.opcode <= OP.OP_16) {
+            lockTime = first.opcode - OP.OP_1 + 1;
+        }
+        if (lockTime > 0) body = chunks.slice(3);
+    }
+
+    const vault = matchVaultTemplate(body);
+    if (vault) {
+        if (lockTime > 0 && vault.type === 'preimage-based') vault.type = 'preimage-timelock';
+        return { ...vault, lockTime, vault: true };
+    }
+
+    return { type: 'nonstandard' };
+}
+
+// =============================================================================
+// ASM
+// =============================================================================
+
+/**
+ * ASM format, chosen so that asmToScript(scriptToASM(s)) === s for every
+ * parseable script:
+ *   - opcodes by name (OP_0, OP_1 .. OP_16, OP_CHECKLOCKTIMEVERIFY, ...),
+ *     unassigned bytes as OP_UNKNOWN_0xNN
+ *   - minimal pushes (as encodePushData writes them) as bare hex
+ *   - any other push as its opcode followed by the data:
+ *     OP_PUSHBYTES_1 05, OP_PUSHDATA1 0x (empty), OP_PUSHDATA2 <hex>, ...
+ *   - a malformed trailing push as [error: ...], which does not assemble
+ * '#' starts a comment that runs to the end of the line.
+ */
+function chunkToASM(buf, chunk) {
+    if (chunk.error) return `[error: ${chunk.error}]`;
+    if (chunk.data === undefined) return opcodeName(chunk.opcode);
+
+    const raw = buf.slice(chunk.offset, chunk.offset + chunk.size);
+    const hex = chunk.data.toString('hex');
+    if (encodePushData(chunk.data).equals(raw)) return hex;
+    return `${opcodeName(chunk.opcode)} ${hex || '0x'}`;
+}
+
+function chunkRole(k, messageChunks = WOTS16.CHUNKS, digit = 'nibble') {
+    return k < messageChunks ? `message ${digit} ${k}` : `checksum ${digit} ${k - messageChunks}`;
+}
+
+/**
+ * Chain layout of the scripts that concatenate chain ends on the alt stack
+ * (compact WOTS-16, generic Winternitz), null for any other type
+ */
+function chainEndLayout(type) {
+    if (type === 'wots16-compact') {
+        return { messageChunks: WOTS16.CHUNKS, totalChunks: WOTS16.CHUNKS + WOTS16.CHECKSUM_CHUNKS, digit: 'nibble' };
+    }
+    const match = /^wots(\d+)(-plus)?$/.exec(type || '');
+    if (!match) return null;
+    const params = getWOTSParams(Number(match[1]), !!match[2]);
+    return { ...params, digit: 'digit' };
+}
+
+/**
+ * WOTS-16 annotation: one line per chunk section, each section ending with
+ * the OP_EQUAL(VERIFY) of commitment k (OP_TOALTSTACK for the compact
+ * script), plus a timelock and trailing section. XMSS scripts get one
+ * section for all chains, then the leaf, each Merkle level and the root.
+ * Multisig scripts get one section per key, then the m-of-n count check.
+ */
+function annotateASM(buf, chunks, template) {
+    const lines = [`# ${template.type}${template.lockTime ? `, lockTime ${template.lockTime}` : ''}`];
+    const section = (label, from, to) => {
+        lines.push(`# ${label}`, chunks.slice(from, to).map(chunk => chunkToASM(buf, chunk)).join(' '));
+    };
+    let start = 0;
+
+    if (template.lockTime > 0) {
+        lines.push('# timelock', chunks.slice(0, 3).map(chunk => chunkToASM(buf, chunk)).join(' '));
+        start = 3;
+    }
+
+    let k = 0;
+    const layout = chainEndLayout(template.type);
+    if (layout) {
+        for (let i = start; i < chunks.length && k < layout.totalChunks; i++) {
+            if (chunks[i].opcode === OP.OP_TOALTSTACK) {
+                lines.push(`# chunk ${k} (${chunkRole(k, layout.messageChunks, layout.digit)})`);
+                lines.push(chunks.slice(start, i + 1).map(chunk => chunkToASM(buf, chunk)).join(' '));
+                start = i + 1;
+                k++;
+            }
+        }
+    }
+
+    const rootAt = template.merkleRoot
+        ? chunks.findIndex((chunk, i) => i >= start && chunk.data && chunk.data.toString('hex') === template.merkleRoot)
+        : -1;
+    if (rootAt >= 0) {
+        const leafAt = rootAt - template.height * 6 - 2;
+        section('WOTS-16 chains over SHA256(hashPrevouts || hashOutputs), ends concatenated on the alt stack', start, leafAt);
+        section('leaf = sha256(chain ends)', leafAt, leafAt + 2);
+        for (let level = 0; level < template.height; level++) {
+            section(`Merkle level ${level}`, leafAt + 2 + level * 6, leafAt + 8 + level * 6);
+        }
+        section('merkleRoot check', rootAt, rootAt + 2);
+        start = rootAt + 2;
+    }
+
+    const multisig = template.type === 'wots16-multisig' && template.publicKeyHashes;
+    if (multisig) {
+        section('preimage and signature count to the alt stack', start, start + 3);
+        start += 3;
+        template.publicKeyHashes.forEach((hash, key) => {
+            const hashAt = chunks.findIndex((chunk, i) => i >= start && chunk.data && chunk.data.toString('hex') === hash);
+            section(`key ${key} (optional): WOTS-16 chains over SHA256(hashPrevouts || hashOutputs), ` +
+                `publicKeyHashes[${key}] check, count + 1`, start, hashAt + 8);
+            start = hashAt + 8;
+        });
+        section(`at least ${template.m} of ${template.n} keys signed`, start, start + 4);
+        start += 4;
+    }
+
+    for (let i = start; i < chunks.length && template.commitments; i++) {
+        const commitment = template.commitments[k];
+        const next = chunks[i + 1];
+        if (commitment && chunks[i].data && chunks[i].data.toString('hex') === commitment &&
+            next && (next.opcode === OP.OP_EQUALVERIFY || next.opcode === OP.OP_EQUAL)) {
+            lines.push(`# chunk ${k} (${chunkRole(k)}) commitment[${k}]`);
+            lines.push(chunks.slice(start, i + 2).map(chunk => chunkToASM(buf, chunk)).join(' '));
+            start = i + 2;
+            i++;
+            k++;
+        }
+    }
+
+    if (start < chunks.length) {
+        lines.push(template.type === 'wots16-covenant' || rootAt >= 0 || multisig ? '# OP_PUSH_TX (sighash preimage check)'
+            : layout ? '# publicKeyHash check' : '# trailer');
+        lines.push(chunks.slice(start).map(chunk => chunkToASM(buf, chunk)).join(' '));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Disassemble a script. options.annotate returns one line per WOTS-16
+ * chunk section (with '#' labels) for WOTS-16 vault scripts.
+ */
+function scriptToASM(script, options = {}) {
+    const buf = Buffer.isBuffer(script) ? script : Buffer.from(script, 'hex');
+    const chunks = parseScript(buf, { partial: true });
+
+    if (options.annotate) {
+        const template = classifyScript(buf);
+        if (template.commitments || template.merkleRoot || template.publicKeyHashes || chainEndLayout(template.type)) {
+            return annotateASM(buf, chunks, template);
+        }
+    }
+
+    return chunks.map(chunk => chunkToASM(buf, chunk)).join(' ');
+}
+
+function parseHexToken(token) {
+    const hex = token.startsWith('0x') ? token.slice(2) : token;
+    if (!/^([0-9a-fA-F]{2})*$/.test(hex)) return null;
+    return Buffer.from(hex, 'hex');
+}
+
+function explicitPush(opcode, data) {
+    let prefix;
+    if (opcode >= 0x01 && opcode <= 0x4b) {
+        if (data.length !== opcode) throw new Error(`${opcodeName(opcode)} needs ${opcode} bytes, got ${data.length}`);
+        prefix = Buffer.from([opcode]);
+    } else if (opcode === OP.OP_PUSHDATA1) {
+        if (data.length > 0xff) throw new Error(`OP_PUSHDATA1 cannot push ${data.length} bytes`);
+        prefix = Buffer.from([opcode, data.length]);
+    } else if (opcode === OP.OP_PUSHDATA2) {
+        if (data.length > 0xffff) throw new Error(`OP_PUSHDATA2 cannot push ${data.length} bytes`);
+        prefix = Buffer.alloc(3);
+        prefix[0] = opcode;
+        prefix.writeUInt16LE(data.length, 1);
+    } else {
+        prefix = Buffer.alloc(5);
+        prefix[0] = opcode;
+        prefix.writeUInt32LE(data.length, 1);
+    }
+    return Buffer.concat([prefix, data]);
+}
+
+/**
+ * Assemble ASM (as written by scriptToASM, annotated or not) into a script.
+ * Also accepts OP_FALSE/OP_TRUE, OP_NOP2/OP_NOP3 and a 0x prefix on hex.
+ */
+function asmToScript(asm) {
+    const tokens = asm.replace(/#[^\n]*/g, ' ').split(/\s+/).filter(Boolean);
+    const parts = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.startsWith('[error')) throw new Error('ASM of a malformed script cannot be assembled');
+
+        const pushBytes = /^OP_PUSHBYTES_(\d+)$/.exec(token);
+        if (pushBytes || token === 'OP_PUSHDATA1' || token === 'OP_PUSHDATA2' || token === 'OP_PUSHDATA4') {
+            const opcode = pushBytes ? Number(pushBytes[1]) : OP[token];
+            if (pushBytes && (opcode < 0x01 || opcode > 0x4b)) {
+                throw new Error(`Invalid push opcode ${token}`);
+            }
+            const data = i + 1 < tokens.length ? parseHexToken(tokens[i + 1]) : null;
+            if (!data) throw new Error(`${token} must be followed by hex data`);
+            parts.push(explicitPush(opcode, data));
+            i++;
+            continue;
+        }
+
+        if (token.startsWith('OP_')) {
+            const unknown = /^OP_UNKNOWN_0x([0-9a-fA-F]{2})$/.exec(token);
+            const opcode = unknown ? parseInt(unknown[1], 16) : OP[token];
+            if (opcode === undefined) throw new Error(`Unknown opcode ${token}`);
+            parts.push(Buffer.from([opcode]));
+            continue;
+        }
+
+        const data = parseHexToken(token);
+        if (!data) throw new Error(`Invalid ASM token "${token}"`);
+        parts.push(encodePushData(data));
+    }
+
+    return Buffer.concat(parts);
+}
+
+// =============================================================================
+// TRANSACTION DECODING
+// =============================================================================
+
+/**
+ * Fields of a BIP143 sighash preimage (as pushed by covenant unlocks)
+ */
+function parseSighashPreimage(preimage) {
+    const buf = Buffer.isBuffer(preimage) ? preimage : Buffer.from(preimage, 'hex');
+    if (buf.length < 4 + 32 + 32 + 36 + 1 + 8 + 4 + 32 + 4 + 4) {
+        throw new Error('Sighash preimage too short');
+    }
+
+    let offset = 104;
+    const scriptLen = readVarInt(buf, offset);
+    offset += scriptLen.size;
+    const scriptCode = buf.slice(offset, offset + scriptLen.value);
+    offset += scriptLen.value;
+
+    if (offset + 8 + 4 + 32 + 4 + 4 !== buf.length) {
+        throw new Error('Sighash preimage length does not match its scriptCode');
+    }
+
+    return {
+        version: buf.readUInt32LE(0),
+        hashPrevouts: buf.slice(4, 36).toString('hex'),
+        hashSequence: buf.slice(36, 68).toString('hex'),
+        outpoint: {
+            txid: Buffer.from(buf.slice(68, 100)).reverse().toString('hex'),
+            vout: buf.readUInt32LE(100)
+        },
+        scriptCode: scriptCode.toString('hex'),
+        value: Number(buf.readBigUInt64LE(offset)),
+        sequence: buf.readUInt32LE(offset + 8),
+        hashOutputs: buf.slice(offset + 12, offset + 44).toString('hex'),
+        lockTime: buf.readUInt32LE(offset + 44),
+        sighashType: buf.readUInt32LE(offset + 48)
+    };
+}
+
+/**
+ * WOTS-16 digits -> signed message. The first 64 digits are the message
+ * nibbles (high nibble first), the last 4 the checksum of (15 - digit),
+ * least significant nibble first.
+ */
+function recoverWOTS16Message(digits) {
+    const message = Buffer.alloc(WOTS16.CHUNKS / 2);
+    for (let i = 0; i < message.length; i++) {
+        message[i] = (digits[2 * i] << 4) | digits[2 * i + 1];
+    }
+
+    const expected = digits.slice(0, WOTS16.CHUNKS).reduce((sum, d) => sum + 15 - d, 0);
+    const checksum = digits.slice(WOTS16.CHUNKS).reduceRight((sum, d) => sum * 16 + d, 0);
+
+    return {
+        message: message.toString('hex'),
+        nibbles: digits.slice(0, WOTS16.CHUNKS),
+        checksum,
+        checksumValid: checksum === expected
+    };
+}
+
+/**
+ * Generic Winternitz digits -> signed message (see wotsMessageDigits)
+ */
+function recoverWOTSMessage(params, digits) {
+    const message = Buffer.alloc(32);
+    const perByte = 8 / params.bits;
+    for (let i = 0; i < message.length; i++) {
+        for (let j = 0; j < perByte; j++) {
+            message[i] = (message[i] << params.bits) | digits[i * perByte + j];
+        }
+    }
+
+    const expected = digits.slice(0, params.messageChunks).reduce((sum, d) => sum + params.w - 1 - d, 0);
+    const checksum = digits.slice(params.messageChunks).reduceRight((sum, d) => sum * params.w + d, 0);
+
+    return {
+        message: message.toString('hex'),
+        digits: digits.slice(0, params.messageChunks),
+        checksum,
+        checksumValid: checksum === expected
+    };
+}
+
+/**
+ * Generic Winternitz unlock (plain or WOTS+), identified by its chunk count
+ */
+function classifyWOTSUnlock(chunks) {
+    for (const plus of [false, true]) {
+        for (const w of WOTS_W_VALUES) {
+            const params = getWOTSParams(w, plus);
+            const groupSize = plus ? 2 : params.bits + 1;
+            if (chunks.length !== params.totalChunks * groupSize) continue;
+
+            const pairs = [];
+            for (let i = 0; i < params.totalChunks; i++) {
+                const group = chunks.slice((params.totalChunks - 1 - i) * groupSize, (params.totalChunks - i) * groupSize);
+                const sigChunk = group[groupSize - 1];
+                if (!sigChunk.data || sigChunk.data.length !== 32) return null;
+
+                let remaining;
+                if (plus) {
+                    const digit = group[0].data && group[0].data.length > 1
+                        ? Number(decodeScriptNum(group[0].data, false)) : smallNumber(group[0]);
+                    if (digit === null || digit < 0 || digit >= w) return null;
+                    remaining = w - 1 - digit;
+                } else {
+                    const bits = group.slice(0, params.bits).map(smallNumber);
+                    if (bits.some(bit => bit !== 0 && bit !== 1)) return null;
+                    remaining = bits.reduce((value, bit) => value * 2 + bit, 0);
+                }
+                pairs.push({ index: i, remaining, chunk: sigChunk.data.toString('hex') });
+            }
+
+            return {
+                type: params.type,
+                pairs,
+                ...recoverWOTSMessage(params, pairs.map(pair => w - 1 - pair.remaining))
+            };
+        }
+    }
+    return null;
+}
+
+function smallNumber(chunk) {
+    if (chunk.opcode === OP.OP_0) return 0;
+    if (chunk.opcode >= OP.OP_1 && chunk.opcode <= OP.OP_16) return chunk.opcode - OP.OP_1 + 1;
+    if (chunk.data && chunk.data.length === 1) return chunk.data[0];
+    return null;
+}
+
+function isSignaturePush(chunk) {
+    return !!chunk.data && chunk.data.length >= 9 && chunk.data.length <= 73 && chunk.data[0] === 0x30;
+}
+
+/**
+ * sig_67 ... sig_0 <sighash preimage>: the digits come from hashOutputs,
+ * or from SHA256(hashPrevouts || hashOutputs) with options.bindPrevouts (XMSS)
+ */
+function classifyCovenantUnlock(chunks, options = {}) {
+    const totalChunks = WOTS16.CHUNKS + WOTS16.CHECKSUM_CHUNKS;
+    if (chunks.length !== totalChunks + 1 ||
+        !chunks.slice(0, totalChunks).every(chunk => chunk.data && chunk.data.length === 32)) {
+        return null;
+    }
+
+    let preimage;
+    try {
+        preimage = parseSighashPreimage(chunks[totalChunks].data);
+    } catch (e) {
+        return null;
+    }
+
+    const hashOutputs = Buffer.from(preimage.hashOutputs, 'hex');
+    const message = options.bindPrevouts
+        ? sha256(Buffer.concat([Buffer.from(preimage.hashPrevouts, 'hex'), hashOutputs])) : hashOutputs;
+    const digits = [];
+    for (const byte of message) digits.push(byte >> 4, byte & 0x0f);
+    let checksum = digits.reduce((sum, d) => sum + 15 - d, 0);
+    for (let k = 0; k < WOTS16.CHECKSUM_CHUNKS; k++) {
+        digits.push(checksum & 0x0f);
+        checksum >>= 4;
+    }
+
+    return {
+        type: 'wots16-covenant',
+        pairs: digits.map((digit, i) => ({
+            index: i,
+            remaining: 15 - digit,
+            chunk: chunks[totalChunks - 1 - i].data.toString('hex')
+        })),
+        ...recoverWOTS16Message(digits),
+        preimage
+    };
+}
+
+/**
+ * Multisig unlock, for key n-1 down to key 0 either sig_67 ... sig_0 OP_1
+ * or OP_0, then the preimage. Every signing key's chains are decoded like
+ * an XMSS unlock and hashed up to the publicKeyHash they prove.
+ */
+function classifyMultisigUnlock(chunks) {
+    const totalChunks = WOTS16.CHUNKS + WOTS16.CHECKSUM_CHUNKS;
+    const preimage = chunks[chunks.length - 1];
+    const keys = [];
+
+    let at = chunks.length - 2;
+    while (at >= 0) {
+        const flag = chunks[at];
+        if (flag.data || (flag.opcode !== OP.OP_0 && flag.opcode !== OP.OP_1)) return null;
+        if (flag.opcode === OP.OP_0) {
+            keys.push(null);
+            at -= 1;
+            continue;
+        }
+        if (at < totalChunks) return null;
+        const covenant = classifyCovenantUnlock([...chunks.slice(at - totalChunks, at), preimage], { bindPrevouts: true });
+        if (!covenant) return null;
+        keys.push(covenant);
+        at -= totalChunks + 1;
+    }
+
+    const signed = keys.filter(Boolean);
+    if (keys.length < MULTISIG.MIN_KEYS || keys.length > MULTISIG.MAX_KEYS || signed.length === 0) return null;
+
+    const { pairs, ...message } = signed[0];
+    return {
+        ...message,
+        type: 'wots16-multisig',
+        keys: keys.length,
+        signers: keys.map((covenant, key) => covenant && {
+            key,
+            publicKeyHash: sha256(Buffer.concat(covenant.pairs.map(pair =>
+                iteratedSha256(Buffer.from(pair.chunk, 'hex'), pair.remaining)))).toString('hex'),
+            pairs: covenant.pairs
+        }).filter(Boolean)
+    };
+}
+
+/**
+ * Identify an unlocking script built by this project:
+ *   p2pkh                      <sig> <pubKey>
+ *   preimage-based             <preimage>               (standard and CLTV vaults)
+ *   preimage-ecdsa-covenant    <sig> <preimage>         (maximum security)
+ *   wots16-full-verification   68 x <remaining> <chunk>
+ *   wots16-covenant            68 x <chunk> <sighash preimage>
+ *   wots16-xmss                h x <bit> <sibling>, then the covenant unlock
+ *                              (digits from SHA256(hashPrevouts || hashOutputs))
+ *   wots16-multisig            per key (n-1 first) 68 x <chunk> OP_1 or OP_0,
+ *                              then <sighash preimage>
+ *   wots16-compact             68 x <b3> <b2> <b1> <b0> <chunk>
+ *   wots4 | wots16 | wots256   n x <remaining as log2(w) bits> <chunk>
+ *   wots4-plus | ... -plus     n x <digit> <chunk>
+ * WOTS-16 unlocks list the (remaining, chunk) pairs in chunk order and the
+ * message they sign; for the covenant the digits come from hashOutputs.
+ * XMSS unlocks add the leaf index, authentication path and the root it
+ * folds to; multisig unlocks list each signing key and its publicKeyHash.
+ */
+function classifyUnlockingScript(script) {
+    const buf = Buffer.isBuffer(script) ? script : Buffer.from(script, 'hex');
+
+    let chunks;
+    try {
+        chunks = parseScript(buf);
+    } catch (e) {
+        return { type: 'invalid', error: e.message };
+    }
+
+    if (chunks.length === 0) return { type: 'empty' };
+    if (!isPushOnly(chunks)) return { type: 'nonstandard' };
+
+    const totalChunks = WOTS16.CHUNKS + WOTS16.CHECKSUM_CHUNKS;
+
+    // rem_67 sig_67 ... rem_0 sig_0
+    if (chunks.length === totalChunks * 2) {
+        const pairs = [];
+        for (let i = 0; i < totalChunks; i++) {
+            const remChunk = chunks[(totalChunks - 1 - i) * 2];
+            const sigChunk = chunks[(totalChunks - 1 - i) * 2 + 1];
+            const remaining = smallNumber(remChunk);
+            if (remaining === null || remaining > 15 || !sigChunk.data || sigChunk.data.length !== 32) {
+                return { type: 'nonstandard' };
+            }
+            pairs.push({ index: i, remaining, chunk: sigChunk.data.toString('hex') });
+        }
+        return {
+            type: 'wots16-full-verification',
+            pairs,
+            ...recoverWOTS16Message(pairs.map(pair => 15 - pair.remaining))
+        };
+    }
+
+    // b3 b2 b1 b0 sig_67 ... b3 b2 b1 b0 sig_0, remaining = b3b2b1b0 in binary
+    if (chunks.length === totalChunks * 5) {
+        const pairs = [];
+        for (let i = 0; i < totalChunks; i++) {
+            const group = chunks.slice((totalChunks - 1 - i) * 5, (totalChunks - i) * 5);
+            const bits = group.slice(0, 4).map(smallNumber);
+            const sigChunk = group[4];
+            if (bits.some(bit => bit !== 0 && bit !== 1) || !sigChunk.data || sigChunk.data.length !== 32) {
+                return { type: 'nonstandard' };
+            }
+            const remaining = bits.reduce((value, bit) => value * 2 + bit, 0);
+            pairs.push({ index: i, remaining, chunk: sigChunk.data.toString('hex') });
+        }
+        return {
+            type: 'wots16-compact',
+            pairs,
+            ...recoverWOTS16Message(pairs.map(pair => 15 - pair.remaining))
+        };
+    }
+
+    const generic = classifyWOTSUnlock(chunks);
+    if (generic) return generic;
+
+    // sig_67 ... sig_0 preimage
+    if (chunks.length === totalChunks + 1) {
+        return classifyCovenantUnlock(chunks) || { type: 'nonstandard' };
+    }
+
+    // [sig_67 ... sig_0] OP_1 | OP_0 per key, preimage
+    const flag = chunks.length >= 3 ? chunks[chunks.length - 2] : null;
+    if (flag && !flag.data && (flag.opcode === OP.OP_0 || flag.opcode === OP.OP_1)) {
+        return classifyMultisigUnlock(chunks) || { type: 'nonstandard' };
+    }
+
+    // <bit_h-1> <sibling_h-1> ... <bit_0> <sibling_0> sig_67 ... sig_0 preimage
+    const pathChunks = chunks.length - totalChunks - 1;
+    if (pathChunks >= 2 && pathChunks <= 2 * XMSS.MAX_HEIGHT && pathChunks % 2 === 0) {
+        const covenant = classifyCovenantUnlock(chunks.slice(pathChunks), { bindPrevouts: true });
+        if (!covenant) return { type: 'nonstandard' };
+
+        const height = pathChunks / 2;
+        const authPath = [];
+        let leafIndex = 0;
+        for (let level = 0; level < height; level++) {
+            const bit = smallNumber(chunks[pathChunks - 2 - level * 2]);
+            const sibling = chunks[pathChunks - 1 - level * 2];
+            if ((bit !== 0 && bit !== 1) || !sibling.data || sibling.data.length !== 32) {
+                return { type: 'nonstandard' };
+            }
+            leafIndex |= bit << level;
+            authPath.push(sibling.data);
+        }
+
+        // The leaf is the WOTS-16 publicKeyHash the chains hash up to
+        const leaf = sha256(Buffer.concat(covenant.pairs.map(pair =>
+            iteratedSha256(Buffer.from(pair.chunk, 'hex'), pair.remaining))));
+
+        return {
+            ...covenant,
+            type: 'wots16-xmss',
+            height,
+            leafIndex,
+            authPath: authPath.map(node => node.toString('hex')),
+            leafPublicKeyHash: leaf.toString('hex'),
+            merkleRoot: computeXMSSRoot(leaf, leafIndex, authPath).toString('hex')
+        };
+    }
+
+    if (chunks.length === 2 && isSignaturePush(chunks[0]) && chunks[1].data) {
+        const second = chunks[1].data;
+        if ((second.length === 33 && (second[0] === 0x02 || second[0] === 0x03)) ||
+            (second.length === 65 && second[0] === 0x04)) {
+            return { type: 'p2pkh', signature: chunks[0].data.toString('hex'), publicKey: second.toString('hex') };
+        }
+        return {
+            type: 'preimage-ecdsa-covenant',
+            signature: chunks[0].data.toString('hex'),
+            preimageSize: second.length,
+            publicKeyHash: sha256(second).toString('hex')
+        };
+    }
+
+    if (chunks.length === 1 && chunks[0].data && chunks[0].data.length > 32) {
+        return {
+            type: 'preimage-based',
+            preimageSize: chunks[0].data.length,
+            publicKeyHash: sha256(chunks[0].data).toString('hex')
+        };
+    }
+
+    return { type: 'nonstandard' };
+}
+
+/**
+ * Full local decode of a raw transaction. prevouts[i] = { lockingScript,
+ * satoshis } adds the spent script's template and the fee when given.
+ */
+function decodeTransaction(rawTx, prevouts = null) {
+    const tx = parseTransaction(rawTx);
+
+    const inputs = tx.inputs.map((input, i) => {
+        const decoded = {
+            index: i,
+            txid: input.txid,
+            vout: input.vout,
+            sequence: input.sequence,
+            final: input.sequence === SEQUENCE_FINAL,
+            scriptSig: { hex: input.script.toString('hex'), asm: scriptToASM(input.script), size: input.script.length },
+            unlock: classifyUnlockingScript(input.script)
+        };
+        if (prevouts && prevouts[i]) {
+            decoded.prevout = {
+                satoshis: Number(prevouts[i].satoshis),
+                lockingScript: classifyScript(prevouts[i].lockingScript)
+            };
+        }
+        return decoded;
+    });
+
+    const outputs = tx.outputs.map((output, i) => ({
+        index: i,
+        value: output.value,
+        scriptPubKey: { hex: output.script.toString('hex'), asm: scriptToASM(output.script), size: output.script.length },
+        template: classifyScript(output.script)
+    }));
+
+    const outputValue = outputs.reduce((sum, output) => sum + output.value, 0);
+    const decoded = {
+        txid: tx.txid,
+        version: tx.version,
+        size: tx.size,
+        lockTime: tx.lockTime,
+        lockTimeType: tx.lockTime === 0 ? 'none' : tx.lockTime < LOCKTIME_THRESHOLD ? 'block-height' : 'timestamp',
+        lockTimeEnforced: tx.lockTime !== 0 && tx.inputs.some(input => input.sequence !== SEQUENCE_FINAL),
+        inputs,
+        outputs,
+        outputValue
+    };
+
+    if (prevouts && inputs.every(input => input.prevout)) {
+        decoded.inputValue = inputs.reduce((sum, input) => sum + input.prevout.satoshis, 0);
+        decoded.fee = decoded.inputValue - outputValue;
+        decoded.satPerKb = Math.round(decoded.fee * 1000 / tx.size);
+    }
+
+    return decoded;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+    SIGHASH, OPCODE_NAMES,
+    MAX_ELEMENT_SIZE, MAX_STACK_MEMORY, MAX_STACK_ITEMS, MAX_OPS, MAX_PROCESSED_BYTES,
+    opcodeName, parseScript, isPushOnly,
+    decodeScriptNum, encodeScriptNumBig, castToBool,
+    readVarInt, encodeVarInt, parseTransaction, buildSighashPreimage,
+    verifyScript, verifyTransaction, describeFailure,
+    scriptToASM, asmToScript,
+    classifyScript, classifyUnlockingScript, parseSighashPreimage, recoverWOTS16Message, recoverWOTSMessage,
+    chainEndLayout, decodeTransaction
+};
@@ -0,0 +1,89 @@
+/**
+ * BSV Quantum Vault - One-Time Signature Ledger
+ *
+ * File-backed record of every message each WOTS-16 public key has signed.
+ * A Winternitz key that signs two different messages leaks enough hash-chain
+ * positions to forge a third, so signWOTS16 checks here before signing.
+ *
+ * @version 1
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// =============================================================================
+// STORAGE
+// =============================================================================
+
+let dataDir = process.env.QV_DATA_DIR || path.join(__dirname, 'data');
+const LEDGER_FILE = 'signatures.json';
+
+function setDataDir(dir) {
+    dataDir = dir;
+}
+
+function getLedgerPath() {
+    return path.join(dataDir, LEDGER_FILE);
+}
+
+function loadLedger() {
+    const file = getLedgerPath();
+    if (!fs.existsSync(file)) return {};
+
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`Signature ledger is unreadable (${file}): ${e.message}`);
+    }
+}
+
+/**
+ * Write via temp file + rename so a crash never leaves a half-written ledger
+ */
+function saveLedger(ledger) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    const file = getLedgerPath();
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(ledger, null, 2));
+    fs.renameSync(tmp, file);
+}
+
+// =============================================================================
+// LEDGER OPERATIONS
+// =============================================================================
+
+function getSignatures(publicKeyHash) {
+    return loadLedger()[publicKeyHash.toLowerCase()] || [];
+}
+
+/**
+ * Messages other than `messageHex` already signed by this key
+ */
+function findConflicts(publicKeyHash, messageHex) {
+    return getSignatures(publicKeyHash).filter(entry => entry.message !== messageHex.toLowerCase());
+}
+
+/**
+ * Record a signed message (re-signing the same message is a no-op)
+ */
+function recordSignature(publicKeyHash, messageHex, details = {}) {
+    const key = publicKeyHash.toLowerCase();
+    const message = messageHex.toLowerCase();
+    const ledger = loadLedger();
+    const entries = ledger[key] || [];
+
+    if (entries.some(entry => entry.message === message)) {
+        return entries;
+    }
+
+    entries.push({ message, signedAt: new Date().toISOString(), ...details });
+    ledger[key] = entries;
+    saveLedger(ledger);
+    return entries;
+}
+
+module.exports = {
+    LEDGER_FILE,
+    setDataDir, getLedgerPath,
+    getSignatures, findConflicts, recordSignature
+};
@@ -0,0 +1,368 @@
+/**
+ * BSV Quantum Vault - m-of-n WOTS-16 Multisig
+ *
+ * Every custodian holds a key secret of their own; the vault is built from
+ * the custodians' public key hashes alone and described by a public
+ * descriptor. A spend goes:
+ *
+ *   propose   UTXOs and outputs are fixed in a spend proposal
+ *   sign      each custodian signs the proposal's boundSpendMessage
+ *   combine   any m partial signatures become the unlocking scripts
+ *
+ * All three are base64 JSON; only the key secret is private and it can be
+ * passphrase-encrypted like any vault secret:
+ *   key secret  { type: 'multisig-key', version, seed, keyIndex, publicKeyHash, network }
+ *   descriptor  { type: 'multisig', version, m, publicKeyHashes, lockTime, network }
+ *   proposal    { type: 'multisig-spend', version, descriptor, inputs, outputs, fee, satPerKb, createdAt }
+ *
+ * A custodian key is one-time like any WOTS-16 key: after it has signed a
+ * proposal the custodian moves to keyIndex + 1 for the next vault.
+ *
+ * @version 1
+ */
+
+const wots = require('./winternitz');
+const interpreter = require('./interpreter');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const MULTISIG_VERSION = 1;
+const MAX_KEY_INDEX = 0x7fffffff;
+
+function encodeJSON(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64');
+}
+
+function decodeJSON(encoded, what) {
+    if (encoded && typeof encoded === 'object') return encoded;
+    if (!encoded) throw new Error(`${what} required`);
+    try {
+        return JSON.parse(Buffer.from(encoded.trim(), 'base64').toString());
+    } catch (e) {
+        throw new Error(`Invalid ${what.toLowerCase()} format`);
+    }
+}
+
+function checkVersion(value, what) {
+    if (value.version > MULTISIG_VERSION) {
+        throw new Error(`Unsupported ${what} version: ${value.version}`);
+    }
+}
+
+// =============================================================================
+// CUSTODIAN KEYS
+// =============================================================================
+
+/**
+ * New custodian key from a fresh seed, a mnemonic or an existing seed
+ */
+function createCustodianKey(options = {}) {
+    const { keyIndex = 0, network = 'mainnet' } = options;
+
+    if (!Number.isInteger(keyIndex) || keyIndex < 0 || keyIndex > MAX_KEY_INDEX) {
+        throw new Error(`Invalid key index: ${keyIndex}`);
+    }
+    wots.getNetwork(network);
+
+    const seed = options.mnemonic ? wots.mnemonicToSeed(options.mnemonic)
+        : options.seed ? wots.normalizeSeed(options.seed)
+        : wots.generateSeed();
+    const keypair = wots.generateMultisigKeypair(seed, keyIndex);
+
+    const key = {
+        type: 'multisig-key',
+        version: MULTISIG_VERSION,
+        seed: seed.toString('hex'),
+        keyIndex,
+        publicKeyHash: keypair.publicKeyHashHex,
+        network
+    };
+
+    let mnemonic = null;
+    try {
+        mnemonic = wots.seedToMnemonic(seed);
+    } catch (e) {
+        // bsv wordlist unavailable; the key secret still carries the seed
+    }
+
+    return {
+        key,
+        keySecret: encodeJSON(key),
+        publicKeyHash: key.publicKeyHash,
+        mnemonic
+    };
+}
+
+/**
+ * Decode a (possibly encrypted) custodian key secret and rebuild its keypair
+ */
+function openCustodianKey(keySecret, passphrase = null) {
+    if (!keySecret) throw new Error('Custodian key secret required');
+
+    const trimmed = keySecret.trim();
+    const plain = wots.isEncryptedSecret(trimmed) ? wots.decryptSecret(trimmed, passphrase) : trimmed;
+    const key = decodeJSON(plain, 'Custodian key secret');
+
+    if (key.type !== 'multisig-key' || !key.seed) {
+        throw new Error('Not a multisig custodian key secret');
+    }
+    checkVersion(key, 'custodian key');
+
+    const keypair = wots.generateMultisigKeypair(key.seed, key.keyIndex || 0);
+    if (keypair.publicKeyHashHex !== key.publicKeyHash) {
+        throw new Error('Corrupted key secret: public key hash mismatch');
+    }
+    wots.getNetwork(key.network || 'mainnet');
+
+    return { key, keypair };
+}
+
+/**
+ * The custodian's key for their next vault (same seed, keyIndex + 1)
+ */
+function nextCustodianKey(key) {
+    return createCustodianKey({ seed: key.seed, keyIndex: (key.keyIndex || 0) + 1, network: key.network });
+}
+
+// =============================================================================
+// VAULT DESCRIPTOR
+// =============================================================================
+
+/**
+ * Vault from a descriptor; the locking script is rebuilt, never trusted
+ */
+function describeMultisigVault(descriptor) {
+    const { m, publicKeyHashes, lockTime = 0, network = 'mainnet' } = descriptor;
+    wots.getNetwork(network);
+
+    const covenantPrivateKey = wots.deriveMultisigCovenantPrivateKey(m, publicKeyHashes);
+    const lockingScript = wots.buildMultisigLockingScript(publicKeyHashes, m, covenantPrivateKey, { lockTime });
+    const scriptHash = wots.hash160(lockingScript);
+    const wocScriptHash = Buffer.from(wots.sha256(lockingScript)).reverse();
+
+    return {
+        descriptor: encodeJSON(descriptor),
+        m,
+        n: publicKeyHashes.length,
+        publicKeyHashes: publicKeyHashes.map(hash => hash.toLowerCase()),
+        lockingScript,
+        lockingScriptHex: lockingScript.toString('hex'),
+        scriptSize: lockingScript.length,
+        scriptHash: scriptHash.toString('hex'),
+        wocScriptHash: wocScriptHash.toString('hex'),
+        vaultId: wots.createVaultId(scriptHash),
+        scriptType: 'wots16-multisig',
+        securityLevel: 'ultimate-multisig',
+        lockTime,
+        network,
+        covenantPrivateKey,
+        covenantPublicKey: wots.getCovenantPublicKey(covenantPrivateKey).toString('hex')
+    };
+}
+
+/**
+ * New m-of-n vault from the custodians' public key hashes, in the order
+ * their signature slots appear in the script
+ */
+function createMultisigVault(options = {}) {
+    const {
+        m,
+        publicKeyHashes,
+        lockTime = 0,
+        lockType = 'blocks',
+        network = 'mainnet'
+    } = options;
+
+    const hashes = (publicKeyHashes || []).map(hash => String(hash).toLowerCase());
+    if (hashes.some(hash => !/^[0-9a-f]{64}$/.test(hash))) {
+        throw new Error('Public key hashes must be 64 hex characters');
+    }
+
+    return describeMultisigVault({
+        type: 'multisig',
+        version: MULTISIG_VERSION,
+        m,
+        publicKeyHashes: hashes,
+        lockTime: wots.resolveLockTime(lockTime, lockType),
+        network
+    });
+}
+
+function openMultisigVault(descriptor) {
+    const decoded = decodeJSON(descriptor, 'Multisig descriptor');
+    if (decoded.type !== 'multisig' || !Array.isArray(decoded.publicKeyHashes)) {
+        throw new Error('Not a multisig descriptor');
+    }
+    checkVersion(decoded, 'multisig descriptor');
+    return describeMultisigVault(decoded);
+}
+
+/**
+ * Position of a custodian's key in the vault's script
+ */
+function keySlot(vault, publicKeyHash) {
+    const slot = vault.publicKeyHashes.indexOf(String(publicKeyHash).toLowerCase());
+    if (slot < 0) {
+        throw new Error(`Key ${String(publicKeyHash).slice(0, 16)}... is not a custodian of ${vault.vaultId}`);
+    }
+    return slot;
+}
+
+// =============================================================================
+// SPEND PROPOSALS
+// =============================================================================
+
+/**
+ * proposal.inputs  = [{ txid, vout, value }]
+ * proposal.outputs = [{ script (hex), value }]
+ */
+function createSpendProposal(vault, spend) {
+    const proposal = {
+        type: 'multisig-spend',
+        version: MULTISIG_VERSION,
+        descriptor: vault.descriptor,
+        inputs: spend.inputs.map(input => ({ txid: input.txid, vout: input.vout, value: input.value })),
+        outputs: spend.outputs.map(output => ({
+            script: Buffer.isBuffer(output.script) ? output.script.toString('hex') : output.script,
+            value: output.value
+        })),
+        fee: spend.fee,
+        satPerKb: spend.satPerKb,
+        createdAt: new Date().toISOString()
+    };
+    return { proposal, encoded: encodeJSON(proposal) };
+}
+
+function openSpendProposal(encoded) {
+    const proposal = decodeJSON(encoded, 'Spend proposal');
+    if (proposal.type !== 'multisig-spend' || !Array.isArray(proposal.inputs) || !Array.isArray(proposal.outputs)) {
+        throw new Error('Not a multisig spend proposal');
+    }
+    checkVersion(proposal, 'spend proposal');
+
+    if (proposal.inputs.length === 0 || proposal.outputs.length === 0) {
+        throw new Error('Spend proposal needs at least one input and one output');
+    }
+    for (const input of proposal.inputs) {
+        if (!/^[0-9a-fA-F]{64}$/.test(input.txid) || !Number.isInteger(input.vout) || input.vout < 0 ||
+            !Number.isSafeInteger(input.value) || input.value <= 0) {
+            throw new Error('Spend proposal has a malformed input');
+        }
+    }
+    for (const output of proposal.outputs) {
+        if (!/^([0-9a-fA-F]{2})+$/.test(output.script) || !Number.isSafeInteger(output.value) || output.value < 0) {
+            throw new Error('Spend proposal has a malformed output');
+        }
+    }
+
+    const vault = openMultisigVault(proposal.descriptor);
+    const inputValue = proposal.inputs.reduce((sum, input) => sum + input.value, 0);
+    const outputValue = proposal.outputs.reduce((sum, output) => sum + output.value, 0);
+    if (outputValue > inputValue) {
+        throw new Error(`Spend proposal pays out ${outputValue} sats from ${inputValue} sats of inputs`);
+    }
+
+    return { proposal, vault, inputValue, outputValue, fee: inputValue - outputValue };
+}
+
+/**
+ * hashPrevouts and hashOutputs as BIP143 computes them, and the message
+ * every custodian signs. Recomputed from the inputs and outputs each time,
+ * so a custodian only ever signs what the proposal actually pays.
+ */
+function proposalMessage(proposal) {
+    const prevouts = proposal.inputs.map(input => {
+        const vout = Buffer.alloc(4);
+        vout.writeUInt32LE(input.vout);
+        return Buffer.concat([Buffer.from(input.txid, 'hex').reverse(), vout]);
+    });
+
+    const outputs = proposal.outputs.map(output => {
+        const script = Buffer.from(output.script, 'hex');
+        const value = Buffer.alloc(8);
+        value.writeBigUInt64LE(BigInt(output.value));
+        return Buffer.concat([value, interpreter.encodeVarInt(script.length), script]);
+    });
+
+    const hashPrevouts = wots.hash256(Buffer.concat(prevouts));
+    const hashOutputs = wots.hash256(Buffer.concat(outputs));
+    return { hashPrevouts, hashOutputs, message: wots.boundSpendMessage(hashPrevouts, hashOutputs) };
+}
+
+// =============================================================================
+// SIGNING AND COMBINING
+// =============================================================================
+
+/**
+ * One custodian's signature over a proposal:
+ *   { slot, publicKeyHash, message, signature }   (hex; signature is 68 x 32 bytes)
+ * Signing is recorded in the one-time signature ledger like any WOTS-16 key.
+ */
+function signSpendProposal(custodian, opened, options = {}) {
+    const slot = keySlot(opened.vault, custodian.key.publicKeyHash);
+    const { message } = proposalMessage(opened.proposal);
+
+    const signature = wots.signWOTS16(custodian.keypair, message, {
+        allowReuse: options.allowReuse,
+        reason: options.reason || `multisig spend from ${opened.vault.vaultId}`
+    });
+
+    return {
+        slot,
+        publicKeyHash: custodian.key.publicKeyHash,
+        message: message.toString('hex'),
+        signature: Buffer.concat(signature.chunks.map(chunk => chunk.value)).toString('hex')
+    };
+}
+
+/**
+ * Check every partial signature against the proposal's message and the
+ * vault's keys, then keep the first m valid ones in slot order.
+ * Returns { signatures: [n entries, { chunks } or null], signers: [slots] }.
+ */
+function combineSignatures(opened, partials) {
+    const { vault } = opened;
+    const { message } = proposalMessage(opened.proposal);
+
+    if (!Array.isArray(partials) || partials.length === 0) {
+        throw new Error('signatures must be a non-empty array of partial signatures');
+    }
+
+    const bySlot = new Map();
+    for (const partial of partials) {
+        const entry = decodeJSON(partial, 'Partial signature');
+        if (typeof entry.publicKeyHash !== 'string' || typeof entry.signature !== 'string') {
+            throw new Error('Partial signature needs publicKeyHash and signature');
+        }
+        const slot = keySlot(vault, entry.publicKeyHash);
+        const result = wots.verifyWOTS16(vault.publicKeyHashes[slot], message, entry.signature);
+        if (!result.valid) {
+            throw new Error(`Signature of custodian ${slot} (${entry.publicKeyHash.slice(0, 16)}...) ` +
+                'does not verify against this proposal');
+        }
+        bySlot.set(slot, entry.signature);
+    }
+
+    if (bySlot.size < vault.m) {
+        throw new Error(`Need ${vault.m} of ${vault.n} custodian signatures, have ${bySlot.size}`);
+    }
+
+    const signers = [...bySlot.keys()].sort((a, b) => a - b).slice(0, vault.m);
+    const signatures = vault.publicKeyHashes.map((hash, slot) => {
+        if (!signers.includes(slot)) return null;
+        const blob = Buffer.from(bySlot.get(slot), 'hex');
+        return { chunks: Array.from({ length: blob.length / 32 }, (_, i) => ({ value: blob.slice(i * 32, (i + 1) * 32) })) };
+    });
+
+    return { signatures, signers };
+}
+
+module.exports = {
+    MULTISIG_VERSION,
+    createCustodianKey, openCustodianKey, nextCustodianKey,
+    createMultisigVault, openMultisigVault, keySlot,
+    createSpendProposal, openSpendProposal, proposalMessage,
+    signSpendProposal, combineSignatures
+};
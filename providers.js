@@ -0,0 +1,415 @@
+/**
+ * BSV Quantum Vault - Chain Providers
+ *
+ * Every provider is a plain object built by a factory function. Read
+ * providers implement:
+ *   getBalance(address)              -> { confirmed, unconfirmed, total }
+ *   getUTXOs(address)                -> [{ tx_hash, tx_pos, value, height }]
+ *   getUTXOsByScriptHash(scriptHash) -> same shape (WhatsOnChain script hash)
+ *                                      (throws when the UTXOs cannot be read)
+ *   getHistoryByScriptHash(scriptHash) -> [{ tx_hash, height }] funding and spending txs
+ *                                      (throws when the history cannot be read)
+ *   getTransaction(txid)             -> WhatsOnChain-style decoded transaction
+ *   getPrice()                       -> BSV/USD rate (0 when unknown)
+ * Broadcasters implement:
+ *   broadcast(rawHex)                -> txid (throws on rejection)
+ *
+ * @version 1
+ */
+
+const axios = require('axios');
+const { sha256, hash256, base58CheckDecode, base58CheckEncode } = require('./winternitz');
+const interpreter = require('./interpreter');
+
+// =============================================================================
+// WHATSONCHAIN
+// =============================================================================
+
+function createWhatsOnChainProvider(options = {}) {
+    const baseUrl = options.baseUrl || 'https://api.whatsonchain.com/v1/bsv/main';
+    const timeout = options.timeout || 45000;
+
+    return {
+        name: 'WhatsOnChain',
+
+        async getBalance(address) {
+            try {
+                const response = await axios.get(`${baseUrl}/address/${address}/balance`, { timeout });
+                return {
+                    confirmed: response.data.confirmed || 0,
+                    unconfirmed: response.data.unconfirmed || 0,
+                    total: (response.data.confirmed || 0) + (response.data.unconfirmed || 0)
+                };
+            } catch (error) {
+                console.error('Balance fetch error:', error.message);
+                return { confirmed: 0, unconfirmed: 0, total: 0 };
+            }
+        },
+
+        async getUTXOs(address) {
+            try {
+                const response = await axios.get(`${baseUrl}/address/${address}/unspent`, { timeout });
+                return response.data || [];
+            } catch (error) {
+                console.error('UTXO fetch error:', error.message);
+                return [];
+            }
+        },
+
+        async getUTXOsByScriptHash(scriptHash) {
+            try {
+                const response = await axios.get(`${baseUrl}/script/${scriptHash}/unspent`, { timeout });
+                return response.data || [];
+            } catch (error) {
+                throw new Error(`Script UTXOs unavailable: ${error.message}`);
+            }
+        },
+
+        async getHistoryByScriptHash(scriptHash) {
+            try {
+                const response = await axios.get(`${baseUrl}/script/${scriptHash}/history`, { timeout });
+                return response.data || [];
+            } catch (error) {
+                throw new Error(`Script history unavailable: ${error.message}`);
+            }
+        },
+
+        async getTransaction(txid) {
+            try {
+                const response = await axios.get(`${baseUrl}/tx/${txid}`, { timeout });
+                return response.data;
+            } catch (error) {
+                throw new Error('Transaction not found');
+            }
+        },
+
+        async getPrice() {
+            try {
+                const response = await axios.get(`${baseUrl}/exchangerate`, { timeout: 5000 });
+                return response.data.rate || 0;
+            } catch {
+                return 0;
+            }
+        },
+
+        async broadcast(rawHex) {
+            try {
+                const response = await axios.post(
+                    `${baseUrl}/tx/raw`,
+                    { txhex: rawHex },
+                    { headers: { 'Content-Type': 'application/json' }, timeout }
+                );
+                return response.data.toString().replace(/"/g, '').trim();
+            } catch (e) {
+                throw new Error(e.response?.data || e.message);
+            }
+        }
+    };
+}
+
+// =============================================================================
+// ARC / TAAL
+// =============================================================================
+
+// Stand-in shipped in server.js CONFIG.TAAL_KEYS until TAAL_API_KEYS is set
+const ARC_KEY_PLACEHOLDER = 'API_KEYS_HERE';
+
+function createArcProvider(options = {}) {
+    const url = options.url || 'https://api.taal.com/api/v1/broadcast';
+    const apiKeys = (options.apiKeys || []).map(key => key && key.trim())
+        .filter(key => key && !key.includes(ARC_KEY_PLACEHOLDER));
+    const timeout = options.timeout || 45000;
+
+    return {
+        name: options.name || 'TAAL',
+
+        async broadcast(rawHex) {
+            const errors = [];
+            for (const key of apiKeys) {
+                try {
+                    const response = await axios.post(
+                        url,
+                        { rawTx: rawHex },
+                        {
+                            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${key}` },
+                            timeout
+                        }
+                    );
+                    if (response.status === 200 && response.data) {
+                        const txid = response.data.txid || response.data.result || response.data;
+                        return txid.toString().replace(/"/g, '');
+                    }
+                } catch (e) {
+                    errors.push(e.response?.data?.message || e.message);
+                }
+            }
+            throw new Error(errors.length ? errors.join('; ') : 'No API keys configured');
+        }
+    };
+}
+
+// =============================================================================
+// GORILLAPOOL (mAPI)
+// =============================================================================
+
+function createGorillaPoolProvider(options = {}) {
+    const url = options.url || 'https://mapi.gorillapool.io/mapi/tx';
+    const timeout = options.timeout || 45000;
+
+    return {
+        name: 'GorillaPool',
+
+        async broadcast(rawHex) {
+            let response;
+            try {
+                response = await axios.post(
+                    url,
+                    { rawtx: rawHex },
+                    { headers: { 'Content-Type': 'application/json' }, timeout }
+                );
+            } catch (e) {
+                throw new Error(e.response?.data?.message || e.message);
+            }
+            if (response.data?.returnResult === 'success' || response.data?.txid) {
+                return response.data.txid || hash256(Buffer.from(rawHex, 'hex')).reverse().toString('hex');
+            }
+            throw new Error(response.data?.resultDescription || 'Rejected');
+        }
+    };
+}
+
+// =============================================================================
+// IN-MEMORY REGTEST PROVIDER
+// =============================================================================
+
+function addressToScript(address) {
+    const { payload } = base58CheckDecode(address);
+    return Buffer.concat([Buffer.from([0x76, 0xa9, 0x14]), payload, Buffer.from([0x88, 0xac])]);
+}
+
+function scriptToAddress(script, addressVersion) {
+    if (script.length === 25 && script[0] === 0x76 && script[1] === 0xa9 &&
+        script[2] === 0x14 && script[23] === 0x88 && script[24] === 0xac) {
+        return base58CheckEncode(addressVersion, script.slice(3, 23));
+    }
+    return null;
+}
+
+/**
+ * Offline chain: keeps a UTXO set, validates every broadcast with the local
+ * interpreter and only confirms transactions when mine() is called.
+ */
+function createMockProvider(options = {}) {
+    const addressVersion = options.addressVersion !== undefined ? options.addressVersion : 0x00;
+    const price = options.price !== undefined ? options.price : 50;
+
+    const utxos = new Map();         // "txid:vout" -> { txid, vout, value, script, height }
+    const outputs = new Map();       // "txid:vout" -> script, spent or not
+    const transactions = new Map();  // txid -> { hex, height }
+    let height = options.startHeight || 1;
+    let fundingCounter = 0;
+
+    function listUTXOs(predicate) {
+        return [...utxos.values()]
+            .filter(utxo => predicate(utxo.script))
+            .map(utxo => ({ tx_hash: utxo.txid, tx_pos: utxo.vout, value: utxo.value, height: utxo.height }));
+    }
+
+    function addTransaction(rawHex, txHeight) {
+        const tx = interpreter.parseTransaction(Buffer.from(rawHex, 'hex'));
+        transactions.set(tx.txid, { hex: rawHex, height: txHeight });
+        tx.outputs.forEach((output, vout) => {
+            outputs.set(`${tx.txid}:${vout}`, output.script);
+            utxos.set(`${tx.txid}:${vout}`, { txid: tx.txid, vout, value: output.value, script: output.script, height: txHeight });
+        });
+        return tx;
+    }
+
+    return {
+        name: 'Mock',
+
+        /**
+         * Create coins out of thin air (confirmed) at an address or locking script
+         */
+        fund(target, satoshis) {
+            const script = Buffer.isBuffer(target) ? target
+                : /^[0-9a-fA-F]+$/.test(target) ? Buffer.from(target, 'hex')
+                : addressToScript(target);
+
+            const tag = Buffer.alloc(4);
+            tag.writeUInt32LE(++fundingCounter);
+            const value = Buffer.alloc(8);
+            value.writeBigUInt64LE(BigInt(satoshis));
+            const rawTx = Buffer.concat([
+                Buffer.from([0x01, 0x00, 0x00, 0x00, 0x01]),
+                Buffer.alloc(32), Buffer.from([0xff, 0xff, 0xff, 0xff]),
+                Buffer.from([0x05, 0x04]), tag, Buffer.from([0xff, 0xff, 0xff, 0xff]),
+                Buffer.from([0x01]), value, interpreter.encodeVarInt(script.length), script,
+                Buffer.alloc(4)
+            ]);
+
+            const tx = addTransaction(rawTx.toString('hex'), height);
+            return { txid: tx.txid, vout: 0, value: satoshis };
+        },
+
+        mine(blocks = 1) {
+            height += blocks;
+            for (const [txid, entry] of transactions) {
+                if (entry.height === 0) {
+                    entry.height = height;
+                    for (const utxo of utxos.values()) {
+                        if (utxo.txid === txid) utxo.height = height;
+                    }
+                }
+            }
+            return height;
+        },
+
+        getHeight() {
+            return height;
+        },
+
+        async getBalance(address) {
+            const script = addressToScript(address);
+            const found = listUTXOs(s => s.equals(script));
+            const confirmed = found.filter(u => u.height > 0).reduce((sum, u) => sum + u.value, 0);
+            const unconfirmed = found.filter(u => u.height === 0).reduce((sum, u) => sum + u.value, 0);
+            return { confirmed, unconfirmed, total: confirmed + unconfirmed };
+        },
+
+        async getUTXOs(address) {
+            const script = addressToScript(address);
+            return listUTXOs(s => s.equals(script));
+        },
+
+        async getUTXOsByScriptHash(scriptHash) {
+            return listUTXOs(s => Buffer.from(sha256(s)).reverse().toString('hex') === scriptHash);
+        },
+
+        async getHistoryByScriptHash(scriptHash) {
+            const matches = script => Buffer.from(sha256(script)).reverse().toString('hex') === scriptHash;
+            const history = [];
+            for (const [txid, entry] of transactions) {
+                const tx = interpreter.parseTransaction(Buffer.from(entry.hex, 'hex'));
+                const pays = tx.outputs.some(output => matches(output.script));
+                const spends = tx.inputs.some(input => {
+                    const script = outputs.get(`${input.txid}:${input.vout}`);
+                    return script && matches(script);
+                });
+                if (pays || spends) history.push({ tx_hash: txid, height: entry.height });
+            }
+            return history;
+        },
+
+        async getTransaction(txid) {
+            const entry = transactions.get(txid);
+            if (!entry) throw new Error('Transaction not found');
+
+            const tx = interpreter.parseTransaction(Buffer.from(entry.hex, 'hex'));
+            return {
+                txid: tx.txid,
+                hex: entry.hex,
+                size: tx.size,
+                locktime: tx.lockTime,
+                blockheight: entry.height || undefined,
+                confirmations: entry.height ? height - entry.height + 1 : 0,
+                vin: tx.inputs.map(input => ({
+                    txid: input.txid,
+                    vout: input.vout,
+                    scriptSig: { hex: input.script.toString('hex') },
+                    sequence: input.sequence
+                })),
+                vout: tx.outputs.map((output, n) => {
+                    const address = scriptToAddress(output.script, addressVersion);
+                    return {
+                        value: output.value / 1e8,
+                        n,
+                        scriptPubKey: {
+                            hex: output.script.toString('hex'),
+                            addresses: address ? [address] : []
+                        }
+                    };
+                })
+            };
+        },
+
+        async getPrice() {
+            return price;
+        },
+
+        async broadcast(rawHex) {
+            const tx = interpreter.parseTransaction(Buffer.from(rawHex, 'hex'));
+            if (transactions.has(tx.txid)) return tx.txid;
+
+            const prevouts = tx.inputs.map(input => {
+                const utxo = utxos.get(`${input.txid}:${input.vout}`);
+                if (!utxo) throw new Error(`Missing or spent input ${input.txid}:${input.vout}`);
+                return { lockingScript: utxo.script, satoshis: utxo.value };
+            });
+
+            const inputValue = prevouts.reduce((sum, prevout) => sum + prevout.satoshis, 0);
+            const outputValue = tx.outputs.reduce((sum, output) => sum + output.value, 0);
+            if (outputValue > inputValue) {
+                throw new Error(`Outputs (${outputValue} sats) exceed inputs (${inputValue} sats)`);
+            }
+
+            const result = interpreter.verifyTransaction(rawHex, prevouts);
+            if (!result.valid) {
+                throw new Error(`Script verification failed: ${interpreter.describeFailure(result)}`);
+            }
+
+            tx.inputs.forEach(input => utxos.delete(`${input.txid}:${input.vout}`));
+            addTransaction(rawHex, 0);
+            return tx.txid;
+        }
+    };
+}
+
+// =============================================================================
+// SELECTION
+// =============================================================================
+
+/**
+ * Build the provider set from configuration
+ *
+ * config.provider:     'whatsonchain' | 'mock'
+ * config.broadcasters: ordered list of 'taal' | 'arc' | 'gorillapool' | 'whatsonchain'
+ */
+function createProviders(config = {}) {
+    if (config.provider === 'mock') {
+        const mock = createMockProvider(config.mock || {});
+        return { chain: mock, broadcasters: [mock] };
+    }
+
+    if (config.provider && config.provider !== 'whatsonchain') {
+        throw new Error(`Unknown chain provider: ${config.provider}`);
+    }
+
+    const chain = createWhatsOnChainProvider({ baseUrl: config.wocBase, timeout: config.timeout });
+
+    const broadcasters = (config.broadcasters || ['taal', 'gorillapool', 'whatsonchain']).map(name => {
+        switch (name) {
+            case 'taal':
+            case 'arc':
+                return createArcProvider({
+                    name: name === 'taal' ? 'TAAL' : 'ARC',
+                    url: config.arcUrl,
+                    apiKeys: config.arcKeys,
+                    timeout: config.timeout
+                });
+            case 'gorillapool':
+                return createGorillaPoolProvider({ url: config.gorillaUrl, timeout: config.timeout });
+            case 'whatsonchain':
+                return chain;
+            default:
+                throw new Error(`Unknown broadcaster: ${name}`);
+        }
+    });
+
+    return { chain, broadcasters };
+}
+
+module.exports = {
+    createWhatsOnChainProvider, createArcProvider, createGorillaPoolProvider,
+    createMockProvider, createProviders
+};
@@ -28,6 +28,136 @@ async function apiRequest(endpoint, method = 'GET', body = null) {
     }
 }
 
+// =============================================================================
+// NETWORK
+// =============================================================================
+
+// Set from /api/health on load; vaults and addresses must match it
+let serverNetwork = 'mainnet';
+
+const ADDRESS_PREFIXES = {
+    mainnet: ['1'],
+    testnet: ['m', 'n'],
+    regtest: ['m', 'n']
+};
+
+function isNetworkAddress(address) {
+    const prefixes = ADDRESS_PREFIXES[serverNetwork] || ADDRESS_PREFIXES.mainnet;
+    return prefixes.some(prefix => address.startsWith(prefix));
+}
+
+function describeAddressPrefix() {
+    const prefixes = ADDRESS_PREFIXES[serverNetwork] || ADDRESS_PREFIXES.mainnet;
+    return prefixes.map(p => `"${p}"`).join(' or ');
+}
+
+/**
+ * Explorer link for a broadcast result (regtest has no explorer)
+ */
+function explorerLinkHtml(link) {
+    if (!link) return `<span class="explorer-link">No block explorer for ${serverNetwork}</span>`;
+    return `<a href="${link}" target="_blank" class="explorer-link">🔗 View on WhatsOnChain</a>`;
+}
+
+async function loadNetwork() {
+    const health = await apiRequest('/api/health');
+    if (!health.network) return;
+    
+    serverNetwork = health.network;
+    
+    if (serverNetwork !== 'mainnet') {
+        const badges = document.querySelector('.header-badges');
+        if (badges) {
+            const badge = document.createElement('span');
+            badge.className = 'badge badge-warning';
+            badge.textContent = `⚠ ${serverNetwork.toUpperCase()}`;
+            badges.prepend(badge);
+        }
+    }
+    
+    const hint = `BSV ${serverNetwork} P2PKH address (starting with ${describeAddressPrefix()})`;
+    ['inputAddress', 'sendElsewhereAddress'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) input.placeholder = hint;
+    });
+}
+
+// =============================================================================
+// SECRET HANDLING (plain or passphrase-encrypted)
+// =============================================================================
+
+const ENCRYPTED_SECRET_PREFIX = 'QVENC1:';
+
+// Passphrases entered this session, so one vault only prompts once
+const secretPassphrases = new Map();
+
+function isEncryptedSecret(secret) {
+    return secret.startsWith(ENCRYPTED_SECRET_PREFIX);
+}
+
+function isValidSecretFormat(secret) {
+    if (isEncryptedSecret(secret)) return true;
+    try {
+        JSON.parse(atob(secret));
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Request fields for a secret; prompts for the passphrase when it is
+ * encrypted. Returns null if the user cancels.
+ */
+function secretPayload(secret, field = 'secret') {
+    if (!isEncryptedSecret(secret)) return { [field]: secret };
+    
+    let passphrase = secretPassphrases.get(secret);
+    if (!passphrase) {
+        passphrase = prompt('🔐 This master secret is encrypted.\nEnter its passphrase:');
+        if (!passphrase) return null;
+        secretPassphrases.set(secret, passphrase);
+    }
+    return { [field]: secret, passphrase };
+}
+
+/**
+ * Drop a cached passphrase the server rejected so the next attempt re-prompts
+ */
+function checkPassphraseResult(secret, data) {
+    if (!data.success && /passphrase/i.test(data.error || '')) {
+        secretPassphrases.delete(secret);
+    }
+}
+
+async function encryptVaultSecret() {
+    const textarea = document.getElementById('vaultSecret');
+    const secret = textarea.value.trim();
+    
+    if (!secret || secret === '...') return;
+    if (isEncryptedSecret(secret)) {
+        showNotification('Master secret is already encrypted', 'info');
+        return;
+    }
+    
+    const passphrase = prompt('Choose a passphrase (at least 8 characters).\nWithout it the encrypted secret CANNOT be recovered:');
+    if (!passphrase) return;
+    if (prompt('Re-enter the passphrase:') !== passphrase) {
+        showNotification('Passphrases do not match', 'error');
+        return;
+    }
+    
+    const data = await apiRequest('/api/encrypt-secret', 'POST', { secret, passphrase });
+    if (!data.success) {
+        showNotification('❌ ' + data.error, 'error');
+        return;
+    }
+    
+    textarea.value = data.encryptedSecret;
+    secretPassphrases.set(data.encryptedSecret, passphrase);
+    showNotification('🔒 Master secret encrypted - copy and store it again', 'success');
+}
+
 // =============================================================================
 // QR CODE GENERATION
 // =============================================================================
@@ -113,13 +243,23 @@ function updateSecurityInfo() {
     let className = 'info-box';
     
     switch (securityLevel) {
-        case 'ultimate':
-            info = `<strong>🔐 ULTIMATE Security - MATHEMATICALLY PERFECT:</strong> Full on-chain WOTS-16 verification. 
-                    Signature verified entirely using quantum-resistant hash operations. No ECDSA at all - 
-                    pure post-quantum security. ~8-10KB script, ~2.5KB unlock. <em>ABSOLUTE</em> protection 
-                    against ALL attackers, classical and quantum, now and forever.`;
+        case 'ultimate-covenant':
+            info = `<strong>🛡️ ULTIMATE COVENANT - Outputs Enforced On Chain:</strong> The WOTS-16 signature signs 
+                    hashOutputs, and the locking script reads hashOutputs straight from the transaction using 
+                    OP_PUSH_TX. Signature digits and checksum are derived in script, so a miner cannot 
+                    redirect the funds. ~7.4KB script, ~2.4KB unlock.`;
             className = 'info-box info-ultimate';
             break;
+        case 'compact':
+            info = `<strong>⚠️ COMPACT - WOTS-16 Key, Outputs Not Bound:</strong> Same WOTS-16 key as 
+                    Ultimate Covenant, but the 68 chain ends are concatenated and checked once against the public key hash 
+                    instead of 68 inline commitments. ~1.7KB script, ~2.5KB unlock, roughly half the total fees. 
+                    The script never sees the outputs: until the spend confirms, anyone who sees it can replay the 
+                    unlock with their own outputs. Use Ultimate Covenant to spend safely. <em>Single use:</em> the 
+                    spender chooses the digits, so once a spend reveals the chain ends anyone can spend later 
+                    deposits. Fund it once; deposits after a spend are refused.`;
+            className = 'info-box warning-box';
+            break;
         case 'maximum':
             info = `<strong>🛡️ Maximum Security - Practical Front-Run Immunity:</strong> Uses ephemeral ECDSA covenant to bind 
                     transaction to your specific outputs. Attackers <em>cannot</em> create valid transactions 
@@ -252,6 +392,15 @@ async function createVault() {
             document.getElementById('lockingScript').textContent = data.lockingScript;
             document.getElementById('vaultSecret').value = data.secret;
             
+            // Seed backup (mnemonic + the parameters needed to rebuild the vault)
+            if (data.seedBackup) {
+                const backup = data.seedBackup;
+                document.getElementById('vaultMnemonic').value = backup.mnemonic || 'Unavailable (bsv library not installed)';
+                document.getElementById('vaultSeedParams').textContent =
+                    `Vault #${backup.vaultIndex} • ${backup.securityLevel} • lockTime ${backup.lockTime} • ${backup.network}`;
+                document.getElementById('vaultCompactSecret').value = data.compactSecret;
+            }
+            
             // Update security badges
             if (data.security) {
                 document.getElementById('sigType').textContent = data.security.signatureType || 'Winternitz OTS';
@@ -290,18 +439,25 @@ async function checkBalance() {
     }
     
     // Validate secret format
-    try {
-        const decoded = atob(secret);
-        JSON.parse(decoded);
-    } catch (e) {
-        statusDiv.innerHTML = '<div class="status-error">❌ Invalid secret format. Must be valid Base64-encoded JSON.</div>';
+    if (!isValidSecretFormat(secret)) {
+        statusDiv.innerHTML = '<div class="status-error">❌ Invalid secret format. Must be Base64-encoded JSON or an encrypted QVENC1 secret.</div>';
         return;
     }
     
+    const payload = secretPayload(secret);
+    if (!payload) return;
+    
     statusDiv.innerHTML = '<div class="status-loading">🔄 Checking balance on BSV blockchain...</div>';
     
     try {
-        const data = await apiRequest('/api/balance', 'POST', { secret });
+        const data = await apiRequest('/api/balance', 'POST', payload);
+        checkPassphraseResult(secret, data);
+        
+        // A wallet secret covers many vaults: scan them instead
+        if (!data.success && /wallet secret/i.test(data.error || '')) {
+            await scanWallet(secret, payload.passphrase);
+            return;
+        }
         
         if (data.success) {
             const canSweep = data.canSweep ? 
@@ -334,6 +490,61 @@ async function checkBalance() {
     }
 }
 
+// =============================================================================
+// WALLET SCAN
+// =============================================================================
+
+let walletVaults = [];
+
+async function scanWallet(walletSecret, passphrase) {
+    const statusDiv = document.getElementById('accessStatus');
+    statusDiv.innerHTML = '<div class="status-loading">🔍 Scanning wallet vaults...</div>';
+    
+    const data = await apiRequest('/api/wallet/scan', 'POST', { walletSecret, passphrase });
+    checkPassphraseResult(walletSecret, data);
+    
+    if (!data.success) {
+        statusDiv.innerHTML = `<div class="status-error">❌ ${data.error}</div>`;
+        return;
+    }
+    
+    walletVaults = data.vaults;
+    
+    const rows = data.vaults.map((vault, i) => `
+        <div style="display: flex; justify-content: space-between; align-items: center; gap: var(--spacing-sm); margin-top: var(--spacing-xs);">
+            <span>#${vault.index} ${vault.vaultId}</span>
+            <span>${vault.balance.total.toLocaleString()} sats</span>
+            <button class="btn btn-secondary btn-small" onclick="useWalletVault(${i})">Use</button>
+        </div>
+    `).join('');
+    
+    statusDiv.innerHTML = `
+        <div class="status-success">
+            <div class="balance-display">
+                <span class="balance-amount">${data.balance.bsv} BSV</span>
+                <span class="balance-sats">${data.balance.satoshis.toLocaleString()} satoshis in ${data.vaults.length} vault(s)</span>
+            </div>
+            <div class="balance-usd">≈ $${data.balance.usd} USD @ $${data.price}/BSV</div>
+            <div style="margin-top: var(--spacing-md); font-size: 0.85rem;">
+                ${rows || '<div style="text-align: center;">No funded vaults found</div>'}
+                <div style="margin-top: var(--spacing-sm); text-align: center;">
+                    Scanned ${data.scanned} vaults (gap limit ${data.gapLimit}) · next unused index: ${data.nextUnusedIndex}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Load one scanned vault's secret into the access form so it can be swept
+ */
+function useWalletVault(i) {
+    const vault = walletVaults[i];
+    if (!vault) return;
+    document.getElementById('inputSecret').value = vault.secret;
+    showNotification(`Vault #${vault.index} loaded - check balance or sweep`, 'success');
+}
+
 // =============================================================================
 // SWEEP VAULT
 // =============================================================================
@@ -354,16 +565,13 @@ async function sweepVault() {
         return;
     }
     
-    if (!toAddress.startsWith('1')) {
-        statusDiv.innerHTML = '<div class="status-error">❌ Destination must be a P2PKH address starting with "1"</div>';
+    if (!isNetworkAddress(toAddress)) {
+        statusDiv.innerHTML = `<div class="status-error">❌ Destination must be a ${serverNetwork} P2PKH address starting with ${describeAddressPrefix()}</div>`;
         return;
     }
     
     // Validate secret format
-    try {
-        const decoded = atob(secret);
-        JSON.parse(decoded);
-    } catch (e) {
+    if (!isValidSecretFormat(secret)) {
         statusDiv.innerHTML = '<div class="status-error">❌ Invalid secret format</div>';
         return;
     }
@@ -380,10 +588,14 @@ async function sweepVault() {
     
     if (!confirmed) return;
     
+    const payload = secretPayload(secret);
+    if (!payload) return;
+    
     statusDiv.innerHTML = '<div class="status-loading">📡 Building and broadcasting transaction...</div>';
     
     try {
-        const data = await apiRequest('/api/sweep', 'POST', { secret, toAddress });
+        const data = await apiRequest('/api/sweep', 'POST', { ...payload, toAddress });
+        checkPassphraseResult(secret, data);
         
         if (data.success) {
             statusDiv.innerHTML = `
@@ -418,10 +630,13 @@ async function sweepVault() {
                             <span>${data.details.broadcastVia}</span>
                         </div>
                     </div>
+                    ${data.details.warning ? `<div style="color: var(--warning); margin-bottom: var(--spacing-md);">⚠️ ${data.details.warning}</div>` : ''}
                     <div style="text-align: center;">
-                        <a href="${data.explorerLink}" target="_blank" class="explorer-link">
-                            🔗 View on WhatsOnChain
-                        </a>
+                        ${explorerLinkHtml(data.explorerLink)}
+                    </div>
+                    <div style="text-align: center; margin-top: var(--spacing-md);">
+                        <button class="btn btn-secondary btn-small" onclick="bumpSweepFee('${data.txid}')">⚡ Bump Fee (CPFP)</button>
+                        <div id="bumpStatus"></div>
                     </div>
                 </div>
             `;
@@ -437,6 +652,144 @@ async function sweepVault() {
     }
 }
 
+/**
+ * Child-pays-for-parent for a sweep stuck at too low a fee. Needs the key of
+ * the destination address; the child pays back to that same address.
+ */
+async function bumpSweepFee(txid) {
+    const statusDiv = document.getElementById('bumpStatus');
+    
+    const wif = prompt('⚡ Bump fee with child-pays-for-parent\nEnter the WIF private key of the destination address:');
+    if (!wif) return;
+    
+    statusDiv.innerHTML = '<div class="status-loading">📡 Building child transaction...</div>';
+    
+    try {
+        const data = await apiRequest('/api/bump-fee', 'POST', { txid, wif: wif.trim(), feePolicy: 'priority' });
+        
+        if (data.success) {
+            statusDiv.innerHTML = `
+                <div class="status-success">
+                    <div class="tx-details">
+                        <div class="detail-row">
+                            <span>Child TXID:</span>
+                            <span class="mono" style="font-size: 0.75rem;">${data.txid}</span>
+                        </div>
+                        <div class="detail-row">
+                            <span>Child fee:</span>
+                            <span>${data.details.fee} sats</span>
+                        </div>
+                        <div class="detail-row">
+                            <span>Package rate:</span>
+                            <span>${data.details.parent.satPerKb} → ${data.details.package.satPerKb} sat/kB</span>
+                        </div>
+                    </div>
+                    <div style="text-align: center;">
+                        ${explorerLinkHtml(data.explorerLink)}
+                    </div>
+                </div>
+            `;
+            showNotification('⚡ Fee bumped', 'success');
+        } else {
+            statusDiv.innerHTML = `<div class="status-error">❌ ${data.error}</div>`;
+        }
+        
+    } catch (error) {
+        statusDiv.innerHTML = `<div class="status-error">❌ ${error.message}</div>`;
+    }
+}
+
+// =============================================================================
+// TRANSACTION INSPECTOR
+// =============================================================================
+
+function decodeRow(label, value) {
+    return `
+        <div class="detail-row">
+            <span>${label}:</span>
+            <span class="mono" style="font-size: 0.75rem; word-break: break-all;">${value}</span>
+        </div>
+    `;
+}
+
+function describeUnlock(unlock, index) {
+    let html = decodeRow('Unlock', unlock.type);
+    
+    if (unlock.pairs) {
+        html += decodeRow('Signed message', unlock.message);
+        html += decodeRow('Checksum', `${unlock.checksum} ${unlock.checksumValid ? '✓' : '✗ mismatch'}`);
+        html += `
+            <div onclick="toggleDetails('decodePairs${index}')" class="clickable keys-toggle">
+                ${unlock.pairs.length} (remaining, chunk) pairs
+                <span class="toggle-icon" id="decodePairs${index}Icon">▼</span>
+            </div>
+            <div id="decodePairs${index}" class="collapsible">
+                <code class="code-block mono">${unlock.pairs.map(p => `${p.index}: ${p.remaining} ${p.chunk}`).join('<br>')}</code>
+            </div>
+        `;
+    } else if (unlock.publicKeyHash) {
+        html += decodeRow('Preimage hash', unlock.publicKeyHash);
+    }
+    
+    return html;
+}
+
+/**
+ * Decode pasted raw transaction hex with POST /api/decode
+ */
+async function decodeTransaction() {
+    const rawTx = document.getElementById('decodeInput').value.trim();
+    const resultDiv = document.getElementById('decodeResult');
+    
+    if (!rawTx) {
+        showNotification('Please paste a raw transaction', 'warning');
+        return;
+    }
+    
+    resultDiv.innerHTML = '<div class="status-loading">🔎 Decoding...</div>';
+    
+    try {
+        const data = await apiRequest('/api/decode', 'POST', { rawTx });
+        
+        if (!data.success) {
+            resultDiv.innerHTML = `<div class="status-error">❌ ${data.error}</div>`;
+            return;
+        }
+        
+        const tx = data.transaction;
+        let html = '<div class="tx-details">';
+        html += decodeRow('TXID', tx.txid);
+        html += decodeRow('Version', tx.version);
+        html += decodeRow('Size', `${tx.size} bytes`);
+        html += decodeRow('Lock time', tx.lockTimeType === 'none' ? 'none' :
+            `${tx.lockTime} (${tx.lockTimeType}${tx.lockTimeEnforced ? '' : ', not enforced: all inputs final'})`);
+        html += '</div>';
+        
+        tx.inputs.forEach(input => {
+            html += `<h4>Input ${input.index}</h4><div class="tx-details">`;
+            html += decodeRow('Outpoint', `${input.txid}:${input.vout}`);
+            html += decodeRow('Sequence', `0x${input.sequence.toString(16)}${input.final ? ' (final)' : ''}`);
+            html += decodeRow('Script size', `${input.scriptSig.size} bytes`);
+            html += describeUnlock(input.unlock, input.index);
+            html += '</div>';
+        });
+        
+        tx.outputs.forEach(output => {
+            html += `<h4>Output ${output.index}</h4><div class="tx-details">`;
+            html += decodeRow('Value', `${output.value} sats`);
+            html += decodeRow('Template', output.template.type + (output.template.lockTime ? ` (CLTV ${output.template.lockTime})` : ''));
+            if (output.address) html += decodeRow('Address', output.address);
+            if (output.template.data) html += decodeRow('Data', output.template.data.join(' '));
+            html += '</div>';
+        });
+        
+        resultDiv.innerHTML = `<div class="status-success">${html}</div>`;
+        
+    } catch (error) {
+        resultDiv.innerHTML = `<div class="status-error">❌ ${error.message}</div>`;
+    }
+}
+
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
@@ -553,6 +906,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize vault options UI
     initVaultOptions();
     
+    // Pick up the server's network (address prefixes, badge)
+    loadNetwork();
+    
     // Auto-expand script details if present
     const scriptDetails = document.getElementById('scriptDetails');
     if (scriptDetails) {
@@ -578,7 +934,11 @@ document.addEventListener('DOMContentLoaded', () => {
 window.createVault = createVault;
 window.checkBalance = checkBalance;
 window.sweepVault = sweepVault;
+window.bumpSweepFee = bumpSweepFee;
+window.decodeTransaction = decodeTransaction;
 window.copyToClipboard = copyToClipboard;
+window.encryptVaultSecret = encryptVaultSecret;
+window.useWalletVault = useWalletVault;
 window.toggleDetails = toggleDetails;
 window.showInfo = showInfo;
 window.showHelp = showHelp;
@@ -638,19 +998,20 @@ async function loadVaultForFunding() {
     }
     
     // Validate secret format
-    try {
-        const decoded = atob(secret);
-        JSON.parse(decoded);
-    } catch (e) {
+    if (!isValidSecretFormat(secret)) {
         showNotification('Invalid secret format', 'error');
         return;
     }
     
+    const payload = secretPayload(secret);
+    if (!payload) return;
+    
     currentVaultSecret = secret;
     
     // Verify vault and get info
     try {
-        const data = await apiRequest('/api/verify', 'POST', { secret });
+        const data = await apiRequest('/api/verify', 'POST', payload);
+        checkPassphraseResult(secret, data);
         
         if (data.success) {
             // Update vault info display
@@ -667,7 +1028,7 @@ async function loadVaultForFunding() {
             showNotification('✅ Vault loaded successfully!', 'success');
             
         } else {
-            showNotification('❌ Invalid vault secret', 'error');
+            showNotification('❌ ' + (data.error || 'Invalid vault secret'), 'error');
         }
         
     } catch (error) {
@@ -827,10 +1188,14 @@ async function depositToVault() {
     resultDiv.innerHTML = '<div class="status-loading">📡 Building and broadcasting deposit transaction...</div>';
     
     try {
+        const payload = secretPayload(currentVaultSecret, 'vaultSecret');
+        if (!payload) throw new Error('Passphrase required');
+        
         const data = await apiRequest('/api/deposit-to-vault', 'POST', {
             fundingData: currentFundingData,
-            vaultSecret: currentVaultSecret
+            ...payload
         });
+        checkPassphraseResult(currentVaultSecret, data);
         
         if (data.success) {
             // Stop balance checking
@@ -868,9 +1233,7 @@ async function depositToVault() {
                         </div>
                     </div>
                     
-                    <a href="${data.explorerLink}" target="_blank" class="explorer-link">
-                        🔗 View on WhatsOnChain
-                    </a>
+                    ${explorerLinkHtml(data.explorerLink)}
                     
                     <div style="margin-top: var(--spacing-xl);">
                         <button class="btn btn-secondary" onclick="resetFunding()">
@@ -934,8 +1297,8 @@ async function sendElsewhere() {
         return;
     }
     
-    if (!toAddress.startsWith('1')) {
-        showNotification('Address must start with "1" (P2PKH)', 'error');
+    if (!isNetworkAddress(toAddress)) {
+        showNotification(`Address must start with ${describeAddressPrefix()} (${serverNetwork} P2PKH)`, 'error');
         return;
     }
     
@@ -1001,9 +1364,7 @@ async function sendElsewhere() {
                         </div>
                     </div>
                     
-                    <a href="${data.explorerLink}" target="_blank" class="explorer-link">
-                        🔗 View on WhatsOnChain
-                    </a>
+                    ${explorerLinkHtml(data.explorerLink)}
                     
                     <div style="margin-top: var(--spacing-xl);">
                         <button class="btn btn-secondary" onclick="resetFunding()">
@@ -1066,10 +1427,7 @@ function quickFund() {
     }
     
     // Validate secret format
-    try {
-        const decoded = atob(secret);
-        JSON.parse(decoded);
-    } catch (e) {
+    if (!isValidSecretFormat(secret)) {
         showNotification('Invalid secret format', 'error');
         return;
     }
@@ -6,13 +6,38 @@
  * ENDPOINTS:
  * - GET  /api/health
  * - GET  /api/create
+ * - POST /api/restore
+ * - POST /api/wallet/create
+ * - POST /api/wallet/vaults
+ * - POST /api/wallet/scan
+ * - POST /api/multisig/key
+ * - POST /api/multisig/create
+ * - POST /api/multisig/propose
+ * - POST /api/multisig/sign
+ * - POST /api/multisig/combine
  * - POST /api/balance
  * - POST /api/verify
+ * - POST /api/encrypt-secret
  * - POST /api/generate-funding-address
  * - POST /api/check-funding              
  * - POST /api/send-from-funding
  * - POST /api/deposit-to-vault           
  * - POST /api/sweep
+ * - POST /api/rotate
+ * - POST /api/withdraw
+ * - POST /api/spend
+ * - POST /api/bump-fee
+ * - POST /api/simulate
+ * - POST /api/decode
+ * - POST /api/asm
+ * - POST /api/verify-signature
+ * - POST /api/sign-message
+ * - POST /api/verify-message
+ * - POST /api/xmss-status
+ * - GET  /api/fee-quote
+ * - GET  /api/signatures/:publicKeyHash
+ * - POST /api/regtest/fund               (CHAIN_PROVIDER=mock only)
+ * - POST /api/regtest/mine               (CHAIN_PROVIDER=mock only)
  * - GET  /api/price
  * - GET  /api/tx/:txid
  * 
@@ -22,11 +47,28 @@
 const express = require('express');
 const crypto = require('crypto');
 const path = require('path');
-const axios = require('axios');
 
 // Winternitz module
 const wots = require('./winternitz');
 
+// Local script interpreter (pre-broadcast verification)
+const interpreter = require('./interpreter');
+
+// One-time signature ledger
+const ledger = require('./ledger');
+
+// Chain providers (WhatsOnChain, TAAL/ARC, GorillaPool, in-memory mock)
+const { createProviders } = require('./providers');
+
+// Hierarchical wallet (many vaults from one seed)
+const walletLib = require('./wallet');
+
+// m-of-n WOTS-16 multisig (custodian keys, descriptors, spend proposals)
+const multisigLib = require('./multisig');
+
+// Fee policies and size-based fee calculation
+const fees = require('./fees');
+
 // secp256k1 for covenant signing
 let secp256k1 = null;
 try {
@@ -52,21 +94,77 @@ const PORT = process.env.PORT || 3000;
 // CONFIGURATION
 // =============================================================================
 
+// mainnet | testnet | regtest - vaults and funding keys carry their own network
+const NETWORK = wots.getNetwork(process.env.BSV_NETWORK || 'mainnet');
+
 const CONFIG = {
-    WOC_BASE: 'https://api.whatsonchain.com/v1/bsv/main',
+    NETWORK: NETWORK.name,
+    WOC_BASE: process.env.WOC_BASE || NETWORK.wocBase,
     TAAL_URL: 'https://api.taal.com/api/v1/broadcast',
     TAAL_KEYS: process.env.TAAL_API_KEYS?.split(',') || [
         'mainnet_API_KEYS_HERE',
         'mainnet_API_KEYS_HERE'
     ],
     GORILLA_URL: 'https://mapi.gorillapool.io/mapi/tx',
-    FEE_RATE_STANDARD: 1,
-    FEE_RATE_PRIORITY: 2,
+    // 'whatsonchain' or 'mock' (in-memory regtest chain, no network access)
+    PROVIDER: process.env.CHAIN_PROVIDER || (NETWORK.wocBase ? 'whatsonchain' : 'mock'),
+    BROADCASTERS: process.env.BROADCASTERS?.split(',') || ['taal', 'gorillapool', 'whatsonchain'],
     MIN_OUTPUT: 546,
     MIN_SWEEP: 2000,
+    MAX_RECIPIENTS: 100,
     API_TIMEOUT: 45000
 };
 
+if (CONFIG.PROVIDER !== 'mock' && !CONFIG.WOC_BASE) {
+    throw new Error(`No WhatsOnChain endpoint for ${CONFIG.NETWORK}; set CHAIN_PROVIDER=mock or WOC_BASE`);
+}
+
+const providers = createProviders({
+    provider: CONFIG.PROVIDER,
+    broadcasters: CONFIG.BROADCASTERS,
+    wocBase: CONFIG.WOC_BASE,
+    arcUrl: CONFIG.TAAL_URL,
+    arcKeys: CONFIG.TAAL_KEYS,
+    gorillaUrl: CONFIG.GORILLA_URL,
+    timeout: CONFIG.API_TIMEOUT,
+    mock: { addressVersion: NETWORK.addressVersion }
+});
+console.log(`🔌 Chain provider: ${providers.chain.name} on ${CONFIG.NETWORK} (broadcast: ${providers.broadcasters.map(b => b.name).join(', ')})`);
+
+/**
+ * Refuse to act on a vault or funding key created for another network
+ */
+function requireNetwork(network, what) {
+    const name = network || 'mainnet';
+    if (name !== CONFIG.NETWORK) {
+        throw new Error(`${what} is for ${name} but this server is running on ${CONFIG.NETWORK}`);
+    }
+}
+
+// Levels no longer offered for new vaults (create, wallets, rotation).
+// Existing vaults of these levels still sweep.
+const RETIRED_LEVELS = {
+    ultimate: {
+        replacement: 'ultimate-covenant',
+        reason: 'its script checks the chain ends against commitments it publishes, so anyone can spend it'
+    }
+};
+
+/**
+ * Security level for a new vault; a retired level is refused
+ */
+function offeredLevel(level) {
+    const retired = RETIRED_LEVELS[level];
+    if (retired) {
+        throw new Error(`The ${level} level is retired: ${retired.reason}. Use ${retired.replacement}`);
+    }
+    return level;
+}
+
+function explorerLink(txid) {
+    return wots.explorerTxLink(txid, CONFIG.NETWORK);
+}
+
 // =============================================================================
 // MIDDLEWARE
 // =============================================================================
@@ -203,6 +301,19 @@ function buildOutputScript(address) {
     ]);
 }
 
+/**
+ * OP_FALSE OP_RETURN <data>... (provably unspendable, carries 0 sats)
+ */
+function buildDataScript(data) {
+    const pushes = (Array.isArray(data) ? data : [data]).map(hex => {
+        if (typeof hex !== 'string' || !/^([0-9a-fA-F]{2})*$/.test(hex)) {
+            throw new Error('data must be hex (or an array of hex pushes)');
+        }
+        return encodePushData(Buffer.from(hex, 'hex'));
+    });
+    return Buffer.concat([Buffer.from([0x00, 0x6a]), ...pushes]);
+}
+
 function serializeOutputs(outputs) {
     const parts = [];
     for (const output of outputs) {
@@ -223,137 +334,243 @@ function serializeOutputs(outputs) {
  * Get balance for an address
  */
 async function getBalance(address) {
-    try {
-        const response = await axios.get(
-            `${CONFIG.WOC_BASE}/address/${address}/balance`,
-            { timeout: CONFIG.API_TIMEOUT }
-        );
-        return {
-            confirmed: response.data.confirmed || 0,
-            unconfirmed: response.data.unconfirmed || 0,
-            total: (response.data.confirmed || 0) + (response.data.unconfirmed || 0)
-        };
-    } catch (error) {
-        console.error('Balance fetch error:', error.message);
-        return { confirmed: 0, unconfirmed: 0, total: 0 };
-    }
+    return providers.chain.getBalance(address);
 }
 
 /**
  * Get UTXOs for an address
  */
 async function getUTXOs(address) {
-    try {
-        const response = await axios.get(
-            `${CONFIG.WOC_BASE}/address/${address}/unspent`,
-            { timeout: CONFIG.API_TIMEOUT }
-        );
-        return response.data || [];
-    } catch (error) {
-        console.error('UTXO fetch error:', error.message);
-        return [];
-    }
+    return providers.chain.getUTXOs(address);
 }
 
 async function getUTXOsByScriptHash(scriptHash) {
-    try {
-        const response = await axios.get(
-            `${CONFIG.WOC_BASE}/script/${scriptHash}/unspent`,
-            { timeout: CONFIG.API_TIMEOUT }
-        );
-        return response.data || [];
-    } catch (error) {
-        console.error('Script UTXO fetch error:', error.message);
-        return [];
-    }
+    return providers.chain.getUTXOsByScriptHash(scriptHash);
+}
+
+async function getHistoryByScriptHash(scriptHash) {
+    return providers.chain.getHistoryByScriptHash(scriptHash);
 }
 
 async function getBSVPrice() {
-    try {
-        const response = await axios.get(
-            `${CONFIG.WOC_BASE}/exchangerate`,
-            { timeout: 5000 }
-        );
-        return response.data.rate || 0;
-    } catch {
-        return 0;
-    }
+    return providers.chain.getPrice();
 }
 
 async function getTransaction(txid) {
-    try {
-        const response = await axios.get(
-            `${CONFIG.WOC_BASE}/tx/${txid}`,
-            { timeout: CONFIG.API_TIMEOUT }
-        );
-        return response.data;
-    } catch (error) {
-        throw new Error('Transaction not found');
+    return providers.chain.getTransaction(txid);
+}
+
+/**
+ * { lockingScript, satoshis } for each [{ txid, vout }] spent, from the chain
+ */
+async function fetchPrevouts(inputs) {
+    const prevouts = [];
+    for (const input of inputs) {
+        const prevTx = await getTransaction(input.txid);
+        const prevOut = prevTx.vout && prevTx.vout[input.vout];
+        if (!prevOut) {
+            throw new Error(`Previous output ${input.txid}:${input.vout} not found`);
+        }
+        prevouts.push({
+            lockingScript: prevOut.scriptPubKey.hex,
+            satoshis: Math.round(prevOut.value * 100000000)
+        });
     }
+    return prevouts;
 }
 
-async function broadcastTransaction(rawHex) {
-    const errors = [];
+/**
+ * Run the transaction through the local script interpreter.
+ * prevouts[i] = { lockingScript, satoshis } for input i.
+ */
+function simulateTransaction(rawHex, prevouts) {
+    const simulation = interpreter.verifyTransaction(rawHex, prevouts);
+    if (!simulation.valid) {
+        console.log(`❌ Local script verification failed: ${interpreter.describeFailure(simulation)}`);
+    }
+    return simulation;
+}
+
+function scriptToAddress(script) {
+    if (script.length === 25 && script[0] === 0x76 && script[1] === 0xa9 &&
+        script[2] === 0x14 && script[23] === 0x88 && script[24] === 0xac) {
+        return wots.base58CheckEncode(NETWORK.addressVersion, script.slice(3, 23));
+    }
+    return null;
+}
+
+/**
+ * Resolve a spend destination to an output script.
+ *
+ * destination: an address string, or one of
+ *   { address }                      P2PKH on this server's network
+ *   { script, nonStandard? }         raw output script (hex)
+ *   { vaultSecret, passphrase? }     another vault, by its secret
+ *   { vaultId, lockingScript }       another vault, checked against its id
+ * Returns { script, type, label }.
+ */
+function resolveDestination(destination) {
+    if (!destination) {
+        throw new Error('Destination address required');
+    }
     
-    // Try TAAL first
-    for (const key of CONFIG.TAAL_KEYS) {
-        if (!key || key.includes('PLACEHOLDER')) continue;
-        try {
-            console.log('Broadcasting via TAAL...');
-            const response = await axios.post(
-                CONFIG.TAAL_URL,
-                { rawTx: rawHex },
-                {
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${key}`
-                    },
-                    timeout: CONFIG.API_TIMEOUT
-                }
-            );
-            if (response.status === 200 && response.data) {
-                const txid = response.data.txid || response.data.result || response.data;
-                return { success: true, txid: txid.toString().replace(/"/g, ''), via: 'TAAL' };
-            }
-        } catch (e) {
-            errors.push(`TAAL: ${e.response?.data?.message || e.message}`);
+    if (typeof destination === 'string' || destination.address) {
+        const address = typeof destination === 'string' ? destination : destination.address;
+        if (!wots.isValidP2PKHAddress(address, CONFIG.NETWORK)) {
+            throw new Error(`Destination must be a ${CONFIG.NETWORK} P2PKH address`);
         }
+        return { script: buildOutputScript(address), type: 'p2pkh', label: address };
     }
     
-    // Try GorillaPool
-    try {
-        console.log('Broadcasting via GorillaPool...');
-        const response = await axios.post(
-            CONFIG.GORILLA_URL,
-            { rawtx: rawHex },
-            {
-                headers: { 'Content-Type': 'application/json' },
-                timeout: CONFIG.API_TIMEOUT
-            }
-        );
-        if (response.data?.returnResult === 'success' || response.data?.txid) {
-            const txid = response.data.txid || hash256(Buffer.from(rawHex, 'hex')).reverse().toString('hex');
-            return { success: true, txid, via: 'GorillaPool' };
+    if (destination.vaultSecret) {
+        const target = wots.restoreVaultFromSecret(destination.vaultSecret, destination.passphrase);
+        requireNetwork(target.network, 'Destination vault');
+        return { script: target.lockingScript, type: target.scriptType, label: target.vaultId };
+    }
+    
+    if (destination.multisigDescriptor) {
+        const target = multisigLib.openMultisigVault(destination.multisigDescriptor);
+        requireNetwork(target.network, 'Destination vault');
+        return { script: target.lockingScript, type: target.scriptType, label: target.vaultId };
+    }
+    
+    if (destination.vaultId) {
+        if (!destination.lockingScript) {
+            throw new Error('vaultId needs its lockingScript (a vaultId is a truncated hash of the script)');
         }
-    } catch (e) {
-        errors.push(`GorillaPool: ${e.response?.data?.message || e.message}`);
+        const script = Buffer.from(destination.lockingScript, 'hex');
+        const template = interpreter.classifyScript(script);
+        if (!template.vault) {
+            throw new Error('lockingScript is not a vault locking script');
+        }
+        if (wots.createVaultId(hash160(script)) !== destination.vaultId) {
+            throw new Error('vaultId does not match lockingScript');
+        }
+        return { script, type: template.type, label: destination.vaultId };
     }
     
-    // Try WhatsOnChain
-    try {
-        console.log('Broadcasting via WhatsOnChain...');
-        const response = await axios.post(
-            `${CONFIG.WOC_BASE}/tx/raw`,
-            { txhex: rawHex },
-            {
-                headers: { 'Content-Type': 'application/json' },
-                timeout: CONFIG.API_TIMEOUT
-            }
-        );
-        const txid = response.data.toString().replace(/"/g, '').trim();
-        return { success: true, txid, via: 'WhatsOnChain' };
-    } catch (e) {
-        errors.push(`WhatsOnChain: ${e.response?.data || e.message}`);
+    if (destination.script) {
+        if (!/^([0-9a-fA-F]{2})+$/.test(destination.script)) {
+            throw new Error('script must be hex');
+        }
+        const script = Buffer.from(destination.script, 'hex');
+        const template = interpreter.classifyScript(script);
+        if (template.type === 'invalid') {
+            throw new Error(`Invalid output script: ${template.error}`);
+        }
+        if (template.type === 'op-return') {
+            throw new Error('OP_RETURN outputs are unspendable; use the data field instead');
+        }
+        if (template.type === 'nonstandard' && destination.nonStandard !== true) {
+            throw new Error('Unrecognised output script (pass nonStandard: true to send to it anyway)');
+        }
+        const label = template.type === 'p2pkh' ? scriptToAddress(script)
+            : template.vault ? wots.createVaultId(hash160(script)) : `script:${template.type}`;
+        return { script, type: template.type, label };
+    }
+    
+    throw new Error('Unknown destination: give an address, script, vaultSecret, multisigDescriptor or vaultId + lockingScript');
+}
+
+/**
+ * A spend must not pay the vault it spends from: its key is burned once signed
+ */
+function checkNotSelf(destination, vault) {
+    if (destination.script.equals(vault.lockingScript)) {
+        throw new Error('Destination is the vault being spent; its one-time key is burned after signing');
+    }
+}
+
+/**
+ * Dry-run view of a built transaction: everything needed to review it
+ * (or hand it to external tooling) without broadcasting. An unsigned
+ * preview (options.signed === false) holds placeholder unlocks, so it is
+ * not simulated and cannot be broadcast.
+ */
+function describeTransaction(rawHex, prevouts, options = {}) {
+    const tx = interpreter.parseTransaction(Buffer.from(rawHex, 'hex'));
+    const signed = options.signed !== false;
+    const simulation = signed ? simulateTransaction(rawHex, prevouts) : null;
+    
+    const inputValue = prevouts.reduce((sum, p) => sum + p.satoshis, 0);
+    const outputValue = tx.outputs.reduce((sum, o) => sum + o.value, 0);
+    
+    return {
+        rawTx: rawHex,
+        txid: tx.txid,
+        size: tx.size,
+        fee: inputValue - outputValue,
+        feeRate: Number(((inputValue - outputValue) / tx.size).toFixed(3)),
+        satPerKb: Math.round((inputValue - outputValue) * 1000 / tx.size),
+        inputValue,
+        outputValue,
+        inputs: tx.inputs.map((input, i) => ({
+            index: i,
+            outpoint: `${input.txid}:${input.vout}`,
+            satoshis: prevouts[i].satoshis,
+            unlockingScriptSize: input.script.length,
+            lockingScriptSize: Buffer.from(prevouts[i].lockingScript, 'hex').length,
+            sequence: input.sequence,
+            valid: signed ? simulation.inputs[i].success : null
+        })),
+        outputs: tx.outputs.map((output, i) => ({
+            index: i,
+            value: output.value,
+            address: scriptToAddress(output.script),
+            type: interpreter.classifyScript(output.script).type,
+            scriptSize: output.script.length
+        })),
+        decoded: {
+            version: tx.version,
+            lockTime: tx.lockTime,
+            vin: tx.inputs.map(input => ({
+                txid: input.txid,
+                vout: input.vout,
+                sequence: input.sequence,
+                scriptSig: { hex: input.script.toString('hex'), asm: wots.scriptToASM(input.script) }
+            })),
+            vout: tx.outputs.map((output, i) => ({
+                n: i,
+                value: output.value,
+                scriptPubKey: { hex: output.script.toString('hex'), asm: wots.scriptToASM(output.script) }
+            }))
+        },
+        signed,
+        simulation: signed ? {
+            valid: simulation.valid,
+            error: simulation.valid ? undefined : interpreter.describeFailure(simulation)
+        } : {
+            valid: null,
+            skipped: 'Unsigned preview: the unlocks are placeholders of the signed size'
+        }
+    };
+}
+
+async function broadcastTransaction(rawHex, prevouts = null) {
+    const errors = [];
+    
+    // Never hand a transaction to the network that fails locally
+    if (prevouts) {
+        const simulation = simulateTransaction(rawHex, prevouts);
+        if (!simulation.valid) {
+            return {
+                success: false,
+                error: 'Local script verification failed: ' + interpreter.describeFailure(simulation),
+                simulation
+            };
+        }
+        console.log('✅ Local script verification passed');
+    }
+    
+    // Try each configured broadcaster in order
+    for (const broadcaster of providers.broadcasters) {
+        try {
+            console.log(`Broadcasting via ${broadcaster.name}...`);
+            const txid = await broadcaster.broadcast(rawHex);
+            return { success: true, txid, via: broadcaster.name };
+        } catch (e) {
+            errors.push(`${broadcaster.name}: ${e.message}`);
+        }
     }
     
     return {
@@ -366,6 +583,8 @@ async function broadcastTransaction(rawHex) {
 // ECDSA SIGNING FOR COVENANT
 // =============================================================================
 
+const EPHEMERAL_DER_SIZE = 70;
+
 function signWithCovenantKey(privateKey, sighash) {
     if (!secp256k1) {
         throw new Error('secp256k1 library not available');
@@ -374,6 +593,25 @@ function signWithCovenantKey(privateKey, sighash) {
     return ecdsaToDER(sigObj.signature);
 }
 
+/**
+ * SIGHASH_ALL|FORKID signature by a maximum vault's ephemeral key. The nonce
+ * is re-drawn until the DER body is 70 bytes, so the unlock's size is known
+ * before signing.
+ */
+function signWithEphemeralKey(privateKey, sighash) {
+    if (!secp256k1) {
+        throw new Error('secp256k1 library not available');
+    }
+    const extra = Buffer.alloc(32);
+    for (let counter = 0; ; counter++) {
+        extra.writeUInt32BE(counter, 28);
+        const der = ecdsaToDER(secp256k1.ecdsaSign(sighash, privateKey, { data: extra }).signature);
+        if (der.length === EPHEMERAL_DER_SIZE) {
+            return Buffer.concat([der, Buffer.from([interpreter.SIGHASH.ALL | interpreter.SIGHASH.FORKID])]);
+        }
+    }
+}
+
 function ecdsaToDER(signature) {
     let r = Buffer.from(signature.slice(0, 32));
     let s = Buffer.from(signature.slice(32, 64));
@@ -408,7 +646,70 @@ function ecdsaToDER(signature) {
 // TRANSACTION BUILDING
 // =============================================================================
 
-function buildRawTransaction(utxos, lockingScript, unlockingScript, outputScript, outputValue, nLockTime = 0) {
+/**
+ * Lay out a vault spend: fixed `payments` first, then a change output that
+ * takes whatever is left after the fee. A sweep is a spend with no payments.
+ *
+ * spend   = { payments: [{ script, value }], changeScript }
+ * measure = outputs -> serialized size of the finished transaction
+ *
+ * The size may depend on the outputs themselves (a WOTS+ unlock's digit
+ * pushes follow the signed hashOutputs), so the fee is re-measured on the
+ * outputs it produces until it covers them.
+ *
+ * Change below the dust limit is left to the miners when there are payments.
+ * satPerKb is the fee rate in satoshis per 1000 bytes.
+ */
+function planSpendOutputs(totalInput, spend, measure, satPerKb) {
+    const payments = spend.payments || [];
+    const paid = payments.reduce((sum, payment) => sum + payment.value, 0);
+    
+    const withChange = value => [...payments, { value, script: spend.changeScript }];
+    
+    // First fee that covers the size of the outputs it leaves
+    let fee = fees.feeForSize(measure(withChange(0)), satPerKb);
+    let lowest = fee;
+    let settled = null;
+    for (let i = 0; i < 10 && totalInput - paid - fee >= CONFIG.MIN_OUTPUT; i++) {
+        const size = measure(withChange(totalInput - paid - fee));
+        const needed = fees.feeForSize(size, satPerKb);
+        lowest = Math.min(lowest, needed);
+        if (needed <= fee && (!settled || fee < settled.fee)) settled = { fee, size };
+        if (needed === fee) break;
+        fee = needed;
+    }
+    
+    // When the size varies, a fee below the settled one may cover itself too
+    for (let candidate = lowest; settled && candidate < settled.fee; candidate++) {
+        const size = measure(withChange(totalInput - paid - candidate));
+        if (fees.feeForSize(size, satPerKb) <= candidate) {
+            settled = { fee: candidate, size };
+            break;
+        }
+    }
+    
+    if (settled) {
+        const changeValue = totalInput - paid - settled.fee;
+        return {
+            outputs: withChange(changeValue),
+            fee: settled.fee,
+            size: settled.size,
+            changeValue,
+            outputValue: paid + changeValue
+        };
+    }
+    
+    if (paid > 0) {
+        const sizeWithoutChange = measure(payments);
+        if (totalInput - paid >= fees.feeForSize(sizeWithoutChange, satPerKb)) {
+            return { outputs: payments, fee: totalInput - paid, size: sizeWithoutChange, changeValue: 0, outputValue: paid };
+        }
+    }
+    
+    throw new Error(`Insufficient funds: ${totalInput} sats - ${paid} sent - ${fee} fee = ${totalInput - paid - fee} left (minimum ${CONFIG.MIN_OUTPUT})`);
+}
+
+function buildRawTransaction(utxos, lockingScript, unlockingScript, outputs, nLockTime = 0) {
     const parts = [];
     
     const version = Buffer.alloc(4);
@@ -436,15 +737,8 @@ function buildRawTransaction(utxos, lockingScript, unlockingScript, outputScript
         }
     }
     
-    parts.push(Buffer.from([0x01]));
-    
-    const valueBuf = Buffer.alloc(8);
-    valueBuf.writeBigUInt64LE(BigInt(outputValue));
-    parts.push(valueBuf);
-    
-    const outScriptBuf = Buffer.isBuffer(outputScript) ? outputScript : Buffer.from(outputScript, 'hex');
-    parts.push(encodeVarInt(outScriptBuf.length));
-    parts.push(outScriptBuf);
+    parts.push(encodeVarInt(outputs.length));
+    parts.push(serializeOutputs(outputs));
     
     const locktime = Buffer.alloc(4);
     locktime.writeUInt32LE(nLockTime);
@@ -465,7 +759,7 @@ function buildDepositTransaction(utxos, privateKey, pubKeyHashHex, lockingScript
         bsvPrivKey = privateKey;
     } else {
         const privBuf = Buffer.isBuffer(privateKey) ? privateKey : Buffer.from(privateKey, 'hex');
-        bsvPrivKey = new bsv.PrivateKey(privBuf, 'livenet');
+        bsvPrivKey = new bsv.PrivateKey(privBuf, NETWORK.bsvNetwork);
     }
 
     const bsvAddress = bsvPrivKey.toAddress();
@@ -495,180 +789,623 @@ function buildDepositTransaction(utxos, privateKey, pubKeyHashHex, lockingScript
     return Buffer.from(tx.serialize(), 'hex');
 }
 
-/**
- * Build WOTS-16 sweep transaction WITH COVENANT
- */
-async function buildWOTS16CovenantTransaction(vault, utxos, destinationAddress, feeRate = 1) {
-    const secret = JSON.parse(Buffer.from(vault.secret, 'base64').toString());
-    
+function wots16KeypairFromSecret(secret) {
     if (!secret.wots16) {
         throw new Error('Vault does not have WOTS-16 keys');
     }
     
-    const wots16Keypair = {
-        privateScalars: secret.wots16.privateScalars.map(hex => Buffer.from(hex, 'hex')),
-        publicCommitments: secret.wots16.publicCommitments.map(hex => Buffer.from(hex, 'hex')),
-        publicKeyHash: Buffer.from(secret.wots16.publicKeyHash, 'hex'),
-        params: secret.wots16.params
-    };
-    
-    const covenantPrivKey = wots.getCovenantPrivateKey();
-    const totalInput = utxos.reduce((sum, utxo) => sum + utxo.value, 0);
-    
-    const decoded = base58CheckDecode(destinationAddress);
-    const destPubKeyHash = decoded.payload;
-    
-    const outputScript = Buffer.concat([
-        Buffer.from([0x76, 0xa9, 0x14]),
-        destPubKeyHash,
-        Buffer.from([0x88, 0xac])
-    ]);
-    
-    const lockingScript = Buffer.from(secret.lockingScript, 'hex');
-    
-    const estimatedUnlockSize = 2312 + 73 + lockingScript.length + 160;
-    const estimatedTxSize = 10 + 41 + estimatedUnlockSize + 34;
-    const fee = Math.ceil(estimatedTxSize * feeRate);
+    return wots.restoreWOTS16Keypair(secret.wots16);
+}
+
+/**
+ * Leaf indices an XMSS vault's spends have revealed on chain. Every input
+ * in the script's history that unlocks this tree names its leaf, so a vault
+ * restored without its signing ledger still skips them. Throws when the
+ * history cannot be read: guessing would risk signing twice with one leaf.
+ */
+async function xmssChainLeaves(secretData, wocScriptHash) {
+    if (!secretData.xmss) return [];
     
-    const outputValue = totalInput - fee;
-    if (outputValue <= 546) {
-        throw new Error(`Output value too low: ${outputValue} sats`);
+    const leaves = new Set();
+    for (const entry of await getHistoryByScriptHash(wocScriptHash)) {
+        const tx = await getTransaction(entry.tx_hash);
+        for (const input of tx.vin || []) {
+            if (!input.scriptSig || !input.scriptSig.hex) continue;
+            const unlock = interpreter.classifyUnlockingScript(input.scriptSig.hex);
+            if (unlock.type === 'wots16-xmss' && unlock.merkleRoot === secretData.xmss.root) {
+                leaves.add(unlock.leafIndex);
+            }
+        }
+    }
+    return [...leaves].sort((a, b) => a - b);
+}
+
+/**
+ * Whether a transaction in the script's history spends one of its outputs
+ */
+async function scriptSpentOnChain(script) {
+    const hex = script.toString('hex');
+    const txs = [];
+    for (const entry of await getHistoryByScriptHash(Buffer.from(sha256(script)).reverse().toString('hex'))) {
+        txs.push(await getTransaction(entry.tx_hash));
     }
     
-    const outputs = [{ value: outputValue, script: outputScript }];
-    const outputsBuffer = serializeOutputs(outputs);
-    const hashOutputs = hash256(outputsBuffer);
-    
-    const wots16Signature = wots.signWOTS16(wots16Keypair, hashOutputs);
-    
-    const utxo = utxos[0];
-    const txidField = utxo.tx_hash || utxo.txid;
-    const voutField = utxo.tx_pos !== undefined ? utxo.tx_pos : utxo.vout;
+    const outpoints = new Set();
+    txs.forEach(tx => (tx.vout || []).forEach(output => {
+        if (output.scriptPubKey && output.scriptPubKey.hex === hex) outpoints.add(`${tx.txid}:${output.n}`);
+    }));
+    return txs.some(tx => (tx.vin || []).some(input => outpoints.has(`${input.txid}:${input.vout}`)));
+}
+
+/**
+ * Refuse to pay into a compact WOTS-16 or generic Winternitz script whose
+ * key has signed (ledger) or spent (chain). These scripts take the digits
+ * from the spender, so that first signature reveals enough for anyone to
+ * spend every later deposit.
+ */
+async function requireFreshChainEndScript(script) {
+    const buf = Buffer.isBuffer(script) ? script : Buffer.from(script, 'hex');
+    const template = interpreter.classifyScript(buf);
+    if (!interpreter.chainEndLayout(template.type)) return;
     
-    const prevTxId = Buffer.from(txidField, 'hex').reverse();
-    const prevVout = Buffer.alloc(4);
-    prevVout.writeUInt32LE(voutField);
+    const signed = template.publicKeyHash && ledger.getSignatures(template.publicKeyHash).length > 0;
+    if (signed || await scriptSpentOnChain(buf)) {
+        throw new Error(`Vault ${wots.createVaultId(hash160(buf))} (${template.type}) has already spent: its script ` +
+            'does not bind the digits, so anyone can spend new deposits. Send to a fresh vault');
+    }
+}
+
+/**
+ * WOTS-16 key, signed message and unlock builder for covenant vaults.
+ * An XMSS vault signs with its lowest leaf unused in the ledger and on chain
+ * (spentLeaves), over hashPrevouts as well as hashOutputs, and prefixes the
+ * leaf's authentication path.
+ */
+function covenantSignerFromSecret(secret, spentLeaves = []) {
+    if (secret.xmss) {
+        const tree = wots.restoreXMSSTree(secret);
+        const leafIndex = wots.nextXMSSLeaf(tree, spentLeaves);
+        const authPath = wots.xmssAuthPath(tree, leafIndex);
+        return {
+            keypair: wots.generateXMSSLeafKeypair(tree.seed, tree.vaultIndex, leafIndex),
+            message: (hashPrevouts, hashOutputs) => wots.boundSpendMessage(hashPrevouts, hashOutputs),
+            buildUnlock: (signature, preimage) => wots.buildXMSSUnlockingScript(signature, leafIndex, authPath, preimage),
+            leaf: { index: leafIndex, of: tree.levels[0].length }
+        };
+    }
     
-    const outpoint = Buffer.concat([prevTxId, prevVout]);
-    const hashPrevouts = hash256(outpoint);
+    const keypair = wots16KeypairFromSecret(secret);
+    return {
+        keypair,
+        message: (hashPrevouts, hashOutputs) => hashOutputs,
+        buildUnlock: (signature, preimage) => wots.buildCovenantWOTS16UnlockingScript(signature, preimage),
+        leaf: null
+    };
+}
+
+/**
+ * Covenant inputs as { outpoint, valueBuf }, in transaction order
+ */
+function covenantInputs(utxos) {
+    return utxos.map(utxo => {
+        const txidField = utxo.tx_hash || utxo.txid;
+        const voutField = utxo.tx_pos !== undefined ? utxo.tx_pos : utxo.vout;
+        const prevVout = Buffer.alloc(4);
+        prevVout.writeUInt32LE(voutField);
+        const valueBuf = Buffer.alloc(8);
+        valueBuf.writeBigUInt64LE(BigInt(utxo.value));
+        return {
+            outpoint: Buffer.concat([Buffer.from(txidField, 'hex').reverse(), prevVout]),
+            valueBuf
+        };
+    });
+}
+
+/**
+ * Length of a covenant input's BIP143 preimage (it never varies)
+ */
+function covenantPreimageSize(scriptCode) {
+    return 4 + 32 + 32 + 36 + encodeVarInt(scriptCode.length).length + scriptCode.length + 8 + 4 + 32 + 4 + 4;
+}
+
+/**
+ * BIP143 preimage of every covenant input. nLockTime is free to vary (from
+ * firstLockTime up) until the in-script signature of every input
+ * serializes as canonical DER.
+ */
+function findCovenantPreimages(tx, covenantPrivKey, firstLockTime = 0) {
+    const sighashType = Buffer.alloc(4);
+    sighashType.writeUInt32LE(0x41);
     
-    const sequence = Buffer.from([0xff, 0xff, 0xff, 0xff]);
-    const hashSequence = hash256(sequence);
+    const nVersion = Buffer.alloc(4);
+    nVersion.writeUInt32LE(1);
     
-    const scriptCode = lockingScript;
-    const scriptCodeLen = encodeVarInt(scriptCode.length);
+    const scriptCodeLen = encodeVarInt(tx.scriptCode.length);
+    const nLocktime = Buffer.alloc(4);
+    for (let lockTime = firstLockTime; lockTime < firstLockTime + 10000; lockTime++) {
+        nLocktime.writeUInt32LE(lockTime);
+        const preimages = tx.inputs.map(input => Buffer.concat([
+            nVersion, tx.hashPrevouts, tx.hashSequence, input.outpoint,
+            scriptCodeLen, tx.scriptCode,
+            input.valueBuf, tx.sequence, tx.hashOutputs, nLocktime, sighashType
+        ]));
+        if (preimages.every(preimage => wots.isPushTxPreimageUsable(preimage, covenantPrivKey))) {
+            return { preimages, nLocktime };
+        }
+    }
+    throw new Error('Could not find a usable covenant preimage');
+}
+
+function serializeCovenantTransaction(inputs, unlockingScripts, sequence, outputCount, outputsBuffer, nLocktime) {
+    const nVersion = Buffer.alloc(4);
+    nVersion.writeUInt32LE(1);
     
-    const valueBuf = Buffer.alloc(8);
-    valueBuf.writeBigUInt64LE(BigInt(utxo.value));
+    const txParts = [];
+    txParts.push(nVersion);
+    txParts.push(encodeVarInt(inputs.length));
+    inputs.forEach((input, i) => {
+        txParts.push(input.outpoint);
+        txParts.push(encodeVarInt(unlockingScripts[i].length));
+        txParts.push(unlockingScripts[i]);
+        txParts.push(sequence);
+    });
+    txParts.push(encodeVarInt(outputCount));
+    txParts.push(outputsBuffer);
+    txParts.push(nLocktime);
     
-    const nLocktime = Buffer.alloc(4);
-    nLocktime.writeUInt32LE(0);
+    return Buffer.concat(txParts);
+}
+
+/**
+ * Build WOTS-16 sweep transaction WITH COVENANT
+ * 
+ * The WOTS-16 signature covers hashOutputs; the locking script pulls
+ * hashOutputs out of the pushed sighash preimage and proves that preimage
+ * is genuine with OP_PUSH_TX, so the outputs cannot be swapped in flight.
+ */
+async function buildWOTS16CovenantTransaction(vault, utxos, spend, satPerKb = fees.resolveFeeRate(), options = {}) {
+    const secret = JSON.parse(Buffer.from(vault.secret, 'base64').toString());
+    const signer = covenantSignerFromSecret(secret, options.xmssSpentLeaves);
+    const wots16Keypair = signer.keypair;
     
-    const sighashType = Buffer.alloc(4);
-    sighashType.writeUInt32LE(0x41);
+    // Per-vault key for v5 secrets, global key for older vaults
+    const covenantPrivKey = wots.getVaultCovenantPrivateKey(secret);
+    const totalInput = utxos.reduce((sum, utxo) => sum + utxo.value, 0);
     
-    const nVersion = Buffer.alloc(4);
-    nVersion.writeUInt32LE(1);
+    const lockingScript = Buffer.from(secret.lockingScript, 'hex');
     
-    const preimage = Buffer.concat([
-        nVersion, hashPrevouts, hashSequence, outpoint,
-        scriptCodeLen, scriptCode,
-        valueBuf, sequence, hashOutputs, nLocktime, sighashType
-    ]);
+    // OP_CHECKSIG sits behind OP_CODESEPARATOR: scriptCode is <pubkey> OP_CHECKSIG
+    const scriptCode = wots.getCovenantScriptCode(covenantPrivKey);
     
-    const sighash = hash256(preimage);
-    const ecdsaSignature = signWithCovenantKey(covenantPrivKey, sighash);
+    // The unlocking script is always 68 32-byte chain values plus a preimage
+    // of fixed length (and a fixed-size XMSS path), so a placeholder of that
+    // shape gives the exact size
+    const placeholderSignature = { chunks: wots16Keypair.publicCommitments.map(() => ({ value: Buffer.alloc(32, 0xff) })) };
+    const placeholderUnlock = signer.buildUnlock(placeholderSignature, Buffer.alloc(covenantPreimageSize(scriptCode), 0xff));
+    const plan = planSpendOutputs(totalInput, spend,
+        outputs => buildRawTransaction(utxos, lockingScript, placeholderUnlock, outputs).length, satPerKb);
     
-    const unlockParts = [];
-    unlockParts.push(encodePushData(preimage));
+    // One signature over hashOutputs commits to every output, change included
+    const outputsBuffer = serializeOutputs(plan.outputs);
+    const hashOutputs = hash256(outputsBuffer);
     
-    const ecdsaSigWithType = Buffer.concat([ecdsaSignature, Buffer.from([0x41])]);
-    unlockParts.push(encodePushData(ecdsaSigWithType));
+    // Every input spends the same locking script, so one WOTS-16 signature
+    // is reused; only the preimage differs per input
+    const inputs = covenantInputs(utxos);
     
-    for (let i = wots16Signature.chunks.length - 1; i >= 0; i--) {
-        const chunk = wots16Signature.chunks[i];
-        
-        if (chunk.remaining === 0) {
-            unlockParts.push(Buffer.from([0x00]));
-        } else if (chunk.remaining <= 16) {
-            unlockParts.push(Buffer.from([0x50 + chunk.remaining]));
-        } else {
-            unlockParts.push(Buffer.from([0x01, chunk.remaining]));
-        }
-        
-        unlockParts.push(Buffer.from([0x20]));
-        unlockParts.push(chunk.value);
-    }
+    const sequence = Buffer.from([0xff, 0xff, 0xff, 0xff]);
+    const hashPrevouts = hash256(Buffer.concat(inputs.map(input => input.outpoint)));
+    const hashSequence = hash256(Buffer.concat(inputs.map(() => sequence)));
     
-    const unlockingScript = Buffer.concat(unlockParts);
+    // A dry run keeps the placeholder chain values: two previews must never
+    // hand out two signatures from the one-time key
+    const wots16Signature = options.dryRun ? placeholderSignature : wots.signWOTS16(
+        wots16Keypair, signer.message(hashPrevouts, hashOutputs),
+        { allowReuse: options.allowSignatureReuse, reason: options.reason || 'sweep' }
+    );
     
-    const txParts = [];
-    txParts.push(nVersion);
-    txParts.push(Buffer.from([0x01]));
-    txParts.push(prevTxId);
-    txParts.push(prevVout);
-    txParts.push(encodeVarInt(unlockingScript.length));
-    txParts.push(unlockingScript);
-    txParts.push(sequence);
-    txParts.push(Buffer.from([0x01]));
-    
-    const outputValueBuf = Buffer.alloc(8);
-    outputValueBuf.writeBigUInt64LE(BigInt(outputValue));
-    txParts.push(outputValueBuf);
-    txParts.push(encodeVarInt(outputScript.length));
-    txParts.push(outputScript);
-    txParts.push(nLocktime);
+    const { preimages, nLocktime } = findCovenantPreimages({
+        inputs, hashPrevouts, hashSequence, hashOutputs, sequence, scriptCode
+    }, covenantPrivKey);
     
-    const rawTx = Buffer.concat(txParts);
+    const rawTx = serializeCovenantTransaction(inputs,
+        preimages.map(preimage => signer.buildUnlock(wots16Signature, preimage)),
+        sequence, plan.outputs.length, outputsBuffer, nLocktime);
     
     return {
         rawTx: rawTx.toString('hex'),
         txSize: rawTx.length,
-        fee,
-        outputValue,
+        fee: plan.fee,
+        outputValue: plan.outputValue,
+        changeValue: plan.changeValue,
+        outputs: plan.outputs.length,
         inputValue: totalInput,
-        hashOutputs: hashOutputs.toString('hex')
+        inputs: utxos.length,
+        hashOutputs: hashOutputs.toString('hex'),
+        signed: !options.dryRun,
+        xmssLeaf: signer.leaf,
+        prevouts: utxos.map(utxo => ({ lockingScript, satoshis: utxo.value }))
     };
 }
 
 /**
- * Build standard sweep transaction (non-WOTS-16)
+ * Same-size stand-in for an m-of-n unlock (which m keys sign does not
+ * change its length), for fee planning before anyone has signed
  */
-function buildStandardSweepTransaction(utxos, vault, toAddress, feeRate = 1) {
+function multisigPlaceholderUnlock(vault) {
+    const scriptCode = wots.getCovenantScriptCode(vault.covenantPrivateKey);
+    const signature = {
+        chunks: Array.from({ length: wots.WOTS16.CHUNKS + wots.WOTS16.CHECKSUM_CHUNKS }, () => ({ value: Buffer.alloc(32, 0xff) }))
+    };
+    return wots.buildMultisigUnlockingScript(
+        vault.publicKeyHashes.map((hash, slot) => (slot < vault.m ? signature : null)),
+        Buffer.alloc(covenantPreimageSize(scriptCode), 0xff)
+    );
+}
+
+/**
+ * Build an m-of-n multisig spend from an opened proposal and the combined
+ * custodian signatures (multisigLib.combineSignatures)
+ * 
+ * The signatures cover hashPrevouts and hashOutputs only, so nLockTime is
+ * still free for the OP_PUSH_TX search. A CLTV vault spends with
+ * non-final sequences from its lockTime up.
+ */
+function buildMultisigTransaction(opened, signatures) {
+    const { vault, proposal } = opened;
+    
+    const outputs = proposal.outputs.map(output => ({ script: Buffer.from(output.script, 'hex'), value: output.value }));
+    const outputsBuffer = serializeOutputs(outputs);
+    const { hashPrevouts, hashOutputs } = multisigLib.proposalMessage(proposal);
+    
+    const inputs = covenantInputs(proposal.inputs);
+    const sequence = Buffer.from(vault.lockTime > 0 ? [0xfe, 0xff, 0xff, 0xff] : [0xff, 0xff, 0xff, 0xff]);
+    const hashSequence = hash256(Buffer.concat(inputs.map(() => sequence)));
+    const scriptCode = wots.getCovenantScriptCode(vault.covenantPrivateKey);
+    
+    const { preimages, nLocktime } = findCovenantPreimages({
+        inputs, hashPrevouts, hashSequence, hashOutputs, sequence, scriptCode
+    }, vault.covenantPrivateKey, vault.lockTime);
+    
+    const rawTx = serializeCovenantTransaction(inputs,
+        preimages.map(preimage => wots.buildMultisigUnlockingScript(signatures, preimage)),
+        sequence, outputs.length, outputsBuffer, nLocktime);
+    
+    return {
+        rawTx: rawTx.toString('hex'),
+        txSize: rawTx.length,
+        fee: opened.fee,
+        inputValue: opened.inputValue,
+        outputValue: opened.outputValue,
+        inputs: inputs.length,
+        outputs: outputs.length,
+        hashOutputs: hashOutputs.toString('hex'),
+        prevouts: proposal.inputs.map(input => ({ lockingScript: vault.lockingScript, satoshis: input.value }))
+    };
+}
+
+/**
+ * Signer for vaults whose script checks chain ends against publicKeyHash
+ * (compact WOTS-16 and the generic Winternitz levels). previewUnlock(message)
+ * has the digit pushes of a signature over message and zeroed chain values,
+ * so it is as long as the real unlock without signing anything.
+ */
+function chainEndSignerFromSecret(secret) {
+    if (secret.scriptType === 'wots16-compact') {
+        const keypair = wots16KeypairFromSecret(secret);
+        // Bit pushes are one byte whatever the digit
+        const preview = wots.buildCompactWOTS16UnlockingScript(
+            { chunks: keypair.publicCommitments.map(() => ({ value: Buffer.alloc(32), remaining: 0 })) }
+        );
+        return {
+            sign: (message, options) => wots.signWOTS16(keypair, message, options),
+            buildUnlock: signature => wots.buildCompactWOTS16UnlockingScript(signature),
+            previewUnlock: () => preview
+        };
+    }
+    
+    if (!secret.wots) {
+        throw new Error('Vault does not have Winternitz keys');
+    }
+    const keypair = wots.restoreWOTSKeypair(secret.wots);
+    const { params } = keypair;
+    return {
+        sign: (message, options) => wots.signWOTS(keypair, message, options),
+        buildUnlock: signature => wots.buildWOTSUnlockingScript(signature, params),
+        previewUnlock: message => wots.buildWOTSUnlockingScript({
+            chunks: wots.wotsMessageDigits(params, message)
+                .map(digit => ({ value: Buffer.alloc(32), remaining: params.w - 1 - digit }))
+        }, params)
+    };
+}
+
+/**
+ * Build sweep transaction for a compact WOTS-16 or generic Winternitz vault
+ * 
+ * The signature covers hashOutputs like the covenant sweep, but these
+ * scripts cannot see the outputs, so this only keeps the signing ledger
+ * meaningful. Anyone who sees the unlock can replay it with other outputs,
+ * which is why these spends are reported as not quantum-safe.
+ */
+function buildChainEndTransaction(vault, utxos, spend, satPerKb = fees.resolveFeeRate(), options = {}) {
+    const secret = JSON.parse(Buffer.from(vault.secret, 'base64').toString());
+    const signer = chainEndSignerFromSecret(secret);
+    
+    const totalInput = utxos.reduce((sum, utxo) => sum + utxo.value, 0);
+    const lockingScript = Buffer.from(secret.lockingScript, 'hex');
+    const nLockTime = secret.lockTime || 0;
+    
+    // Each candidate output set is measured with the unlock that would sign
+    // it, so the fee matches the broadcast size
+    const plan = planSpendOutputs(totalInput, spend, outputs => buildRawTransaction(
+        utxos, lockingScript, signer.previewUnlock(hash256(serializeOutputs(outputs))), outputs, nLockTime
+    ).length, satPerKb);
+    
+    const hashOutputs = hash256(serializeOutputs(plan.outputs));
+    const unlock = options.dryRun
+        ? signer.previewUnlock(hashOutputs)
+        : signer.buildUnlock(signer.sign(hashOutputs, {
+            allowReuse: options.allowSignatureReuse,
+            reason: options.reason || 'sweep'
+        }));
+    
+    const rawTx = buildRawTransaction(utxos, lockingScript, unlock, plan.outputs, nLockTime);
+    
+    return {
+        rawTx: rawTx.toString('hex'),
+        txSize: rawTx.length,
+        fee: plan.fee,
+        outputValue: plan.outputValue,
+        changeValue: plan.changeValue,
+        outputs: plan.outputs.length,
+        inputValue: totalInput,
+        inputs: utxos.length,
+        hashOutputs: hashOutputs.toString('hex'),
+        signed: !options.dryRun,
+        prevouts: utxos.map(utxo => ({ lockingScript, satoshis: utxo.value }))
+    };
+}
+
+/**
+ * Build standard sweep transaction (non-WOTS-16). The unlock is the key
+ * preimage itself, so a dry run zeroes it.
+ * 
+ * options.scriptSig replaces the preimage unlock (full-verification vaults).
+ * options.ephemeralPrivateKey (maximum vaults) adds, per input, the ECDSA
+ * signature their script checks after the preimage.
+ */
+function buildStandardSweepTransaction(utxos, vault, spend, satPerKb = fees.resolveFeeRate(), options = {}) {
     let totalInput = 0;
     utxos.forEach(u => totalInput += u.value);
     
-    const outputScript = buildOutputScript(toAddress);
-    const unlockData = wots.createUnlockingData(vault);
+    let scriptSig = options.scriptSig;
+    if (!scriptSig) {
+        const unlockData = wots.createUnlockingData(vault);
+        scriptSig = unlockData.scriptSig;
+        if (options.dryRun) {
+            const header = scriptSig.length - unlockData.preimageSize;
+            scriptSig = Buffer.concat([scriptSig.slice(0, header), Buffer.alloc(unlockData.preimageSize)]);
+        }
+    }
     
-    const scriptSigSize = 3 + unlockData.preimageSize;
-    const inputSize = 32 + 4 + 3 + scriptSigSize + 4;
-    const outputSize = 8 + 1 + 25;
-    const txOverhead = 4 + 1 + 1 + 4;
-    const estimatedSize = txOverhead + (utxos.length * inputSize) + outputSize;
-    const fee = Math.ceil(estimatedSize * feeRate);
-    const outputValue = totalInput - fee;
+    const ephemeralKey = options.ephemeralPrivateKey ? Buffer.from(options.ephemeralPrivateKey, 'hex') : null;
+    const withSignature = signature => Buffer.concat([scriptSig, encodePushData(signature)]);
+    const unlock = ephemeralKey ? withSignature(Buffer.alloc(EPHEMERAL_DER_SIZE + 1)) : scriptSig;
     
-    if (outputValue < CONFIG.MIN_OUTPUT) {
-        throw new Error(`Insufficient funds: ${totalInput} sats - ${fee} fee = ${outputValue}`);
-    }
+    const plan = planSpendOutputs(totalInput, spend,
+        outputs => buildRawTransaction(utxos, vault.lockingScript, unlock, outputs).length, satPerKb);
     
-    const rawTx = buildRawTransaction(
+    let rawTx = buildRawTransaction(
         utxos,
         vault.lockingScript,
-        unlockData.scriptSig,
-        outputScript,
-        outputValue
+        unlock,
+        plan.outputs
     );
     
+    if (ephemeralKey && !options.dryRun) {
+        // Sign the finished layout: only the scriptSigs change, and BIP143 does not cover them
+        const parsed = interpreter.parseTransaction(rawTx);
+        const unlocks = utxos.map((utxo, i) => withSignature(signWithEphemeralKey(ephemeralKey,
+            hash256(interpreter.buildSighashPreimage(parsed, i, vault.lockingScript, utxo.value)))));
+        rawTx = serializeCovenantTransaction(covenantInputs(utxos), unlocks, Buffer.from([0xff, 0xff, 0xff, 0xff]),
+            plan.outputs.length, serializeOutputs(plan.outputs), Buffer.alloc(4));
+    }
+    
     return {
         rawHex: rawTx.toString('hex'),
         txid: hash256(rawTx).reverse().toString('hex'),
-        fee,
-        outputValue,
+        fee: plan.fee,
+        outputValue: plan.outputValue,
+        changeValue: plan.changeValue,
+        outputs: plan.outputs.length,
         inputValue: totalInput,
         size: rawTx.length,
-        inputs: utxos.length
+        inputs: utxos.length,
+        signed: !options.dryRun,
+        prevouts: utxos.map(u => ({ lockingScript: vault.lockingScript, satoshis: u.value }))
+    };
+}
+
+/**
+ * Spend every UTXO of a vault (see planSpendOutputs for `spend`), picking the
+ * covenant or standard builder from the secret. Returns a uniform summary.
+ * options.dryRun builds the same-size transaction with a placeholder unlock
+ * (`signed: false`): nothing is signed or recorded until the real call.
+ */
+async function buildSweepTransaction(vault, secretData, utxos, spend, satPerKb, options = {}) {
+    for (const script of [spend.changeScript, ...(spend.payments || []).map(payment => payment.script)]) {
+        if (script) await requireFreshChainEndScript(script);
+    }
+    
+    if ((secretData.scriptType === 'wots16-covenant' && secretData.wots16) || secretData.xmss) {
+        console.log(`🛡️ Building WOTS-16 ${secretData.xmss ? 'XMSS' : 'COVENANT'} transaction (${utxos.length} inputs)`);
+        const xmssSpentLeaves = options.xmssSpentLeaves || await xmssChainLeaves(secretData, vault.wocScriptHash);
+        const tx = await buildWOTS16CovenantTransaction(vault, utxos, spend, satPerKb, { ...options, xmssSpentLeaves });
+        if (tx.xmssLeaf) {
+            console.log(`   XMSS leaf ${tx.xmssLeaf.index} of ${tx.xmssLeaf.of}`);
+        }
+        return {
+            rawTx: tx.rawTx,
+            prevouts: tx.prevouts,
+            inputValue: tx.inputValue,
+            outputValue: tx.outputValue,
+            changeValue: tx.changeValue,
+            fee: tx.fee,
+            size: tx.txSize,
+            inputs: tx.inputs,
+            signed: tx.signed,
+            signatureType: tx.xmssLeaf
+                ? `WOTS-16 + Covenant (XMSS leaf ${tx.xmssLeaf.index} of ${tx.xmssLeaf.of})` : 'WOTS-16 + Covenant',
+            xmssLeaf: tx.xmssLeaf,
+            frontRunImmune: true,
+            quantumSafeSpend: true
+        };
+    }
+    
+    if ((secretData.scriptType === 'wots16-compact' && secretData.wots16) || secretData.wots) {
+        const label = secretData.wots ? `w=${secretData.wots.w}${secretData.wots.plus ? ' WOTS+' : ''}` : 'WOTS-16 COMPACT';
+        console.log(`🔐 Building ${label} transaction (${utxos.length} inputs)`);
+        const tx = buildChainEndTransaction(vault, utxos, spend, satPerKb, options);
+        return {
+            rawTx: tx.rawTx,
+            prevouts: tx.prevouts,
+            inputValue: tx.inputValue,
+            outputValue: tx.outputValue,
+            changeValue: tx.changeValue,
+            fee: tx.fee,
+            size: tx.txSize,
+            inputs: tx.inputs,
+            signed: tx.signed,
+            signatureType: secretData.wots
+                ? `WOTS${secretData.wots.plus ? '+' : ''} (w=${secretData.wots.w})` : 'WOTS-16 (compact)',
+            frontRunImmune: false,
+            quantumSafeSpend: false,
+            warning: 'Outputs are not bound by the script: until it confirms, anyone who sees this transaction can redirect the funds'
+        };
+    }
+    
+    if (secretData.scriptType === 'wots16-full-verification' && secretData.wots16) {
+        console.log(`🔓 Building WOTS-16 full-verification transaction (${utxos.length} inputs)`);
+        // The script hashes each chain value rem times and compares it with a
+        // commitment it carries, so the commitments with rem 0 unlock it
+        // without revealing any key material
+        const scriptSig = wots.buildWOTS16UnlockingScript({
+            chunks: secretData.wots16.publicCommitments.map(commitment => ({ value: Buffer.from(commitment, 'hex'), remaining: 0 }))
+        });
+        const tx = buildStandardSweepTransaction(utxos, vault, spend, satPerKb, { ...options, scriptSig });
+        return {
+            rawTx: tx.rawHex,
+            prevouts: tx.prevouts,
+            inputValue: tx.inputValue,
+            outputValue: tx.outputValue,
+            changeValue: tx.changeValue,
+            fee: tx.fee,
+            size: tx.size,
+            inputs: tx.inputs,
+            signed: tx.signed,
+            signatureType: 'WOTS-16 public commitments',
+            frontRunImmune: false,
+            quantumSafeSpend: false,
+            warning: `The ultimate level is retired: ${RETIRED_LEVELS.ultimate.reason}. Sweep it into an ultimate-covenant vault`
+        };
+    }
+    
+    const maximum = secretData.scriptType === 'preimage-ecdsa-covenant';
+    if (maximum && !secretData.ephemeralPrivateKey) {
+        throw new Error('Maximum vault secret has no ephemeral key');
+    }
+    
+    console.log(`📝 Building ${maximum ? 'maximum' : 'standard'} transaction`);
+    const tx = buildStandardSweepTransaction(utxos, vault, spend, satPerKb,
+        maximum ? { ...options, ephemeralPrivateKey: secretData.ephemeralPrivateKey } : options);
+    return {
+        rawTx: tx.rawHex,
+        prevouts: tx.prevouts,
+        inputValue: tx.inputValue,
+        outputValue: tx.outputValue,
+        changeValue: tx.changeValue,
+        fee: tx.fee,
+        size: tx.size,
+        inputs: tx.inputs,
+        signed: tx.signed,
+        signatureType: maximum ? 'Winternitz OTS + ephemeral ECDSA' : 'Winternitz OTS',
+        frontRunImmune: maximum,
+        quantumSafeSpend: false
+    };
+}
+
+/**
+ * Child-pays-for-parent for a stuck, unconfirmed parent (typically a vault
+ * sweep, which cannot be re-signed without revealing more of the WOTS key).
+ *
+ * Spends every unspent parent output locked to privKey's address into one
+ * output at toAddress, paying whatever lifts parent + child to satPerKb.
+ */
+async function buildCPFPTransaction(parentTxid, privKey, toAddress, satPerKb) {
+    const parent = await getTransaction(parentTxid);
+    if (parent.confirmations > 0 || parent.blockheight > 0) {
+        throw new Error('Parent transaction is already confirmed');
+    }
+    
+    const parentSize = parent.size || parent.hex.length / 2;
+    const parentInputs = await fetchPrevouts(parent.vin);
+    const parentInputValue = parentInputs.reduce((sum, p) => sum + p.satoshis, 0);
+    const parentOutputValue = parent.vout.reduce((sum, o) => sum + Math.round(o.value * 100000000), 0);
+    const parentFee = parentInputValue - parentOutputValue;
+    
+    if (parentFee >= fees.feeForSize(parentSize, satPerKb)) {
+        throw new Error(`Parent already pays ${Math.round(parentFee * 1000 / parentSize)} sat/kB (target ${satPerKb}); nothing to bump`);
+    }
+    
+    const keyAddress = privKey.toAddress().toString();
+    const utxos = (await getUTXOs(keyAddress)).filter(u => u.tx_hash === parentTxid);
+    if (utxos.length === 0) {
+        throw new Error(`Parent has no unspent output to ${keyAddress}`);
+    }
+    const totalInput = utxos.reduce((sum, u) => sum + u.value, 0);
+    
+    // fitFee works on the package: parent + child size against parent + child fee
+    const child = fees.fitFee(packageFee => {
+        const childFee = Math.max(packageFee - parentFee, 0);
+        const outputValue = totalInput - childFee;
+        if (outputValue < CONFIG.MIN_OUTPUT) {
+            throw new Error(`Insufficient funds: ${totalInput} sats cannot pay a ${childFee} sat child fee`);
+        }
+        
+        const tx = new bsv.Transaction();
+        for (const utxo of utxos) {
+            tx.from({
+                txId: utxo.tx_hash,
+                outputIndex: utxo.tx_pos,
+                script: bsv.Script.fromAddress(keyAddress),
+                satoshis: utxo.value
+            });
+        }
+        tx.to(toAddress, outputValue);
+        tx.sign(privKey);
+        
+        const rawHex = tx.serialize();
+        return { rawHex, childFee, outputValue, childSize: rawHex.length / 2, size: parentSize + rawHex.length / 2 };
+    }, satPerKb);
+    
+    return {
+        rawTx: child.rawHex,
+        prevouts: utxos.map(u => ({ lockingScript: buildOutputScript(keyAddress), satoshis: u.value })),
+        inputValue: totalInput,
+        outputValue: child.outputValue,
+        fee: child.childFee,
+        size: child.childSize,
+        parent: {
+            txid: parentTxid,
+            size: parentSize,
+            fee: parentFee,
+            satPerKb: Math.round(parentFee * 1000 / parentSize)
+        },
+        package: {
+            size: child.size,
+            fee: child.fee,
+            satPerKb: Math.round(child.fee * 1000 / child.size)
+        }
     };
 }
 
@@ -680,7 +1417,9 @@ app.get('/api/health', (req, res) => {
     res.json({
         status: 'ok',
         version: '4.6.0',
+        network: CONFIG.NETWORK,
         timestamp: new Date().toISOString(),
+        provider: providers.chain.name,
         features: { wots16: true, covenant: true, frontRunImmune: true }
     });
 });
@@ -690,21 +1429,28 @@ app.get('/api/health', (req, res) => {
  */
 app.get('/api/create', async (req, res) => {
     try {
-        const { security, lockTime, lockType } = req.query;
+        const { security, lockTime, lockType, w, wotsPlus, height } = req.query;
         
         console.log(`\n📦 Creating vault: ${security || 'standard'} security`);
         
         const vault = wots.createQuantumVault({
-            securityLevel: security || 'standard',
+            securityLevel: offeredLevel(security || 'standard'),
             lockTime: parseInt(lockTime) || 0,
             lockType: lockType || 'blocks',
-            network: 'mainnet'
+            network: CONFIG.NETWORK,
+            w: parseInt(w) || 16,
+            wotsPlus: wotsPlus === 'true',
+            height: parseInt(height) || wots.XMSS.DEFAULT_HEIGHT,
+            satPerKb: fees.resolveFeeRate(req.query)
         });
         
         console.log(`   Vault ID: ${vault.vaultId}`);
         console.log(`   Script hash: ${vault.scriptHash}`);
         console.log(`   Front-run immune: ${vault.frontRunImmune ? 'YES ✓' : 'No'}`);
         
+        // Chain-end scripts (compact, wots) hold a hash-based key but do not bind the outputs
+        const unboundWots = !!interpreter.chainEndLayout(vault.scriptType);
+        
         res.json({
             success: true,
             vaultId: vault.vaultId,
@@ -713,13 +1459,21 @@ app.get('/api/create', async (req, res) => {
             lockingScript: vault.lockingScript,
             lockingScriptASM: vault.lockingScriptASM || 'Verification script',
             secret: vault.secret,
+            compactSecret: vault.compactSecret,
+            seedBackup: vault.seedBackup,
             security: {
                 level: vault.securityLevel,
-                signatureType: vault.quantumImmuneSpend ? 'WOTS-16 (Quantum-Safe)' : 'Winternitz OTS',
-                keyEntropy: vault.quantumImmuneSpend ? '2176 bytes' : '1024 bytes',
+                signatureType: vault.quantumImmuneSpend ? 'WOTS-16 (Quantum-Safe)'
+                    : unboundWots ? 'WOTS (outputs not bound)' : 'Winternitz OTS',
+                keyEntropy: vault.quantumImmuneSpend || unboundWots ? '2176 bytes' : '1024 bytes',
                 frontRunImmune: vault.frontRunImmune,
-                quantumSafe: vault.quantumImmuneSpend
-            }
+                quantumSafe: vault.quantumImmuneSpend,
+                singleUse: unboundWots,
+                warning: unboundWots ? 'Single use: the first spend reveals enough for anyone to spend later deposits, ' +
+                    'so fund this vault once and never again after it spends' : undefined
+            },
+            depositInfo: vault.depositInfo,
+            sweepInfo: vault.sweepInfo
         });
         
     } catch (error) {
@@ -729,554 +1483,1949 @@ app.get('/api/create', async (req, res) => {
 });
 
 /**
- * POST /api/balance - Check vault balance
+ * POST /api/restore - Rebuild a vault from its seed (mnemonic or hex) and parameters
  */
-app.post('/api/balance', async (req, res) => {
+app.post('/api/restore', (req, res) => {
     try {
-        const { secret } = req.body;
+        const { mnemonic, seed, vaultIndex, securityLevel, lockTime, network, w, wotsPlus, height } = req.body;
         
-        if (!secret) {
-            return res.status(400).json({ success: false, error: 'Secret required' });
+        if (!mnemonic && !seed) {
+            return res.status(400).json({ success: false, error: 'mnemonic or seed required' });
         }
         
-        const vault = wots.restoreVaultFromSecret(secret);
-        
-        console.log(`\n💰 Checking balance for: ${vault.vaultId}`);
-        
-        const utxos = await getUTXOsByScriptHash(vault.wocScriptHash);
-        
-        let confirmed = 0;
-        let unconfirmed = 0;
-        
-        utxos.forEach(u => {
-            if (u.height > 0) {
-                confirmed += u.value;
-            } else {
-                unconfirmed += u.value;
-            }
+        const vault = wots.restoreVaultFromSeed({
+            mnemonic,
+            seed,
+            vaultIndex: parseInt(vaultIndex) || 0,
+            securityLevel: securityLevel || 'standard',
+            lockTime: parseInt(lockTime) || 0,
+            network: network || CONFIG.NETWORK,
+            w: parseInt(w) || 16,
+            wotsPlus: wotsPlus === true || wotsPlus === 'true',
+            height: parseInt(height) || wots.XMSS.DEFAULT_HEIGHT
         });
         
-        const total = confirmed + unconfirmed;
-        const bsvPrice = await getBSVPrice();
-        
-        const canSweep = total >= CONFIG.MIN_SWEEP;
-        const sweepNote = total < CONFIG.MIN_SWEEP 
-            ? `Need at least ${CONFIG.MIN_SWEEP} sats` 
-            : 'Ready to sweep';
+        console.log(`\n♻️ Restored vault from seed: ${vault.vaultId}`);
         
         res.json({
             success: true,
             vaultId: vault.vaultId,
-            scriptHash: vault.wocScriptHash,
-            balance: {
-                confirmed,
-                unconfirmed,
-                satoshis: total,
-                bsv: (total / 100000000).toFixed(8),
-                usd: bsvPrice > 0 ? (total / 100000000 * bsvPrice).toFixed(2) : '0.00'
-            },
-            utxoCount: utxos.length,
-            price: bsvPrice.toFixed(2),
-            canSweep,
-            sweepNote
+            scriptHash: vault.scriptHash,
+            wocScriptHash: vault.wocScriptHash,
+            lockingScript: vault.lockingScript,
+            securityLevel: vault.securityLevel,
+            network: vault.network,
+            secret: vault.secret,
+            compactSecret: vault.compactSecret
         });
-        
     } catch (error) {
-        console.error('Balance check error:', error);
         res.status(400).json({ success: false, error: error.message });
     }
 });
 
+// =============================================================================
+// WALLET ENDPOINTS
+// =============================================================================
+
+const MAX_WALLET_LIST = 50;
+
 /**
- * POST /api/verify - Verify vault secret (returns 'derived' for frontend)
+ * POST /api/wallet/create - New wallet (root seed) and its first vault
  */
-app.post('/api/verify', (req, res) => {
+app.post('/api/wallet/create', (req, res) => {
     try {
-        const { secret } = req.body;
-        
-        if (!secret) {
-            return res.status(400).json({ success: false, error: 'Secret required' });
-        }
+        const { security, lockTime, lockType, mnemonic, passphrase } = req.body;
         
-        console.log('\n🔍 Verifying vault secret...');
+        console.log(`\n👛 Creating wallet: ${security || 'standard'} security`);
         
-        const vault = wots.restoreVaultFromSecret(secret);
+        const { wallet, walletSecret, mnemonic: walletMnemonic } = walletLib.createWallet({
+            securityLevel: offeredLevel(security || 'standard'),
+            lockTime: parseInt(lockTime) || 0,
+            lockType: lockType || 'blocks',
+            network: CONFIG.NETWORK,
+            mnemonic
+        });
         
-        console.log(`   ✅ Vault ID: ${vault.vaultId}`);
+        const firstVault = walletLib.summarizeWalletVault(walletLib.deriveWalletVault(wallet, 0));
         
-        // CRITICAL: Frontend expects 'derived' field!
         res.json({
             success: true,
-            matches: { valid: true },
-            derived: {
-                vaultId: vault.vaultId,
-                scriptHash: vault.scriptHash,
-                wocScriptHash: vault.wocScriptHash,
-                securityLevel: vault.securityLevel,
-                scriptType: vault.scriptType,
-                lockingScriptHex: vault.lockingScriptHex
-            }
+            walletSecret: passphrase ? wots.encryptSecret(walletSecret, passphrase) : walletSecret,
+            encrypted: !!passphrase,
+            mnemonic: walletMnemonic,
+            securityLevel: wallet.securityLevel,
+            lockTime: wallet.lockTime,
+            network: wallet.network,
+            vaults: [firstVault]
         });
-        
     } catch (error) {
-        console.error('Verify error:', error);
         res.status(400).json({ success: false, error: error.message });
     }
 });
 
 /**
- * POST /api/generate-funding-address - Generate a funding address
+ * POST /api/wallet/vaults - Derive vaults [from, from + count)
  */
-app.post('/api/generate-funding-address', async (req, res) => {
+app.post('/api/wallet/vaults', (req, res) => {
     try {
-        console.log('\n🔑 Generating funding address...');
-        
-        let address, wif, privateKeyHex, publicKeyHex, publicKeyHash;
+        const { walletSecret, passphrase } = req.body;
+        const from = parseInt(req.body.from) || 0;
+        const count = parseInt(req.body.count) || 10;
         
-        if (bsv) {
-            const bsvPrivKey = new bsv.PrivateKey();
-            const bsvPubKey = bsvPrivKey.toPublicKey();
-            const bsvAddress = bsvPrivKey.toAddress();
-            
-            wif = bsvPrivKey.toWIF();
-            privateKeyHex = bsvPrivKey.bn.toBuffer({size: 32}).toString('hex');
-            publicKeyHex = bsvPubKey.toString();
-            publicKeyHash = bsv.crypto.Hash.sha256ripemd160(bsvPubKey.toBuffer()).toString('hex');
-            address = bsvAddress.toString();
-        } else {
-            const privateKey = crypto.randomBytes(32);
-            const ecdh = crypto.createECDH('secp256k1');
-            ecdh.setPrivateKey(privateKey);
-            const publicKey = ecdh.getPublicKey(null, 'compressed');
-            
-            const pubKeyHashBuf = hash160(publicKey);
-            const versionedPayload = Buffer.concat([Buffer.from([0x00]), pubKeyHashBuf]);
-            const checksum = hash256(versionedPayload).slice(0, 4);
-            address = base58Encode(Buffer.concat([versionedPayload, checksum]));
-            
-            const wifPayload = Buffer.concat([Buffer.from([0x80]), privateKey, Buffer.from([0x01])]);
-            const wifChecksum = hash256(wifPayload).slice(0, 4);
-            wif = base58Encode(Buffer.concat([wifPayload, wifChecksum]));
-            
-            privateKeyHex = privateKey.toString('hex');
-            publicKeyHex = publicKey.toString('hex');
-            publicKeyHash = pubKeyHashBuf.toString('hex');
+        if (count < 1 || count > MAX_WALLET_LIST) {
+            return res.status(400).json({ success: false, error: `count must be between 1 and ${MAX_WALLET_LIST}` });
         }
         
-        const fundingData = {
-            address,
-            privateKeyWIF: wif,
-            privateKeyHex: privateKeyHex,
-            publicKeyHash: publicKeyHash,
-            publicKeyHex: publicKeyHex,
-            created: Date.now(),
-            network: 'mainnet'
-        };
-        
-        console.log(`💳 Generated funding address: ${address}`);
+        const wallet = walletLib.openWallet(walletSecret, passphrase);
+        requireNetwork(wallet.network, 'Wallet');
         
         res.json({
             success: true,
-            fundingAddress: address,
-            fundingData: Buffer.from(JSON.stringify(fundingData)).toString('base64'),
-            qrData: `bitcoin:${address}`,
-            keys: {
-                privateKeyWIF: wif,
-                privateKeyHex: privateKeyHex,
-                publicKeyHex: publicKeyHex,
-                publicKeyHash: publicKeyHash
-            },
-            instructions: {
-                step1: 'Scan the QR code or copy the address',
-                step2: 'Send BSV from any wallet to this address',
-                step3: 'Click "Deposit to Vault" once funds arrive',
-                note: 'This is a temporary address - funds will be swept to your quantum vault'
-            }
+            securityLevel: wallet.securityLevel,
+            network: wallet.network,
+            from,
+            count,
+            vaults: walletLib.listWalletVaults(wallet, from, count)
         });
-        
     } catch (error) {
-        console.error('Generate funding address error:', error);
         res.status(400).json({ success: false, error: error.message });
     }
 });
 
 /**
- * POST /api/check-funding - Check balance of funding address
+ * POST /api/wallet/scan - Gap-limit discovery of funded vaults plus aggregate balance
  */
-app.post('/api/check-funding', async (req, res) => {
+app.post('/api/wallet/scan', async (req, res) => {
     try {
-        const { fundingData } = req.body;
+        const { walletSecret, passphrase } = req.body;
         
-        if (!fundingData) {
-            return res.status(400).json({ success: false, error: 'Funding data required' });
-        }
+        const wallet = walletLib.openWallet(walletSecret, passphrase);
+        requireNetwork(wallet.network, 'Wallet');
         
-        // Decode from base64
-        const decoded = JSON.parse(Buffer.from(fundingData, 'base64').toString());
-        const address = decoded.address;
+        console.log(`\n🔍 Scanning wallet (${wallet.securityLevel})...`);
         
-        console.log(`\n💳 Checking funding address: ${address}`);
+        const scan = await walletLib.scanWallet(wallet, getUTXOsByScriptHash, {
+            gapLimit: parseInt(req.body.gapLimit) || walletLib.DEFAULT_GAP_LIMIT,
+            from: parseInt(req.body.from) || 0,
+            getHistoryByScriptHash
+        });
+        
+        const bsvPrice = await getBSVPrice();
+        const total = scan.balance.total;
+        
+        console.log(`   Scanned ${scan.scanned} vaults, ${scan.vaults.length} funded, ${total} sats`);
+        
+        res.json({
+            success: true,
+            network: wallet.network,
+            securityLevel: wallet.securityLevel,
+            scanned: scan.scanned,
+            gapLimit: scan.gapLimit,
+            nextUnusedIndex: scan.nextUnusedIndex,
+            balance: {
+                confirmed: scan.balance.confirmed,
+                unconfirmed: scan.balance.unconfirmed,
+                satoshis: total,
+                bsv: (total / 100000000).toFixed(8),
+                usd: bsvPrice > 0 ? (total / 100000000 * bsvPrice).toFixed(2) : '0.00'
+            },
+            price: bsvPrice.toFixed(2),
+            vaults: scan.vaults.map(vault => ({
+                ...vault,
+                canSweep: vault.balance.total >= CONFIG.MIN_SWEEP
+            }))
+        });
+    } catch (error) {
+        console.error('Wallet scan error:', error);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// =============================================================================
+// MULTISIG ENDPOINTS
+// =============================================================================
+
+/**
+ * Public view of a multisig vault; `descriptor` is what the other
+ * multisig routes (and /api/balance) take
+ */
+function summarizeMultisigVault(vault) {
+    return {
+        vaultId: vault.vaultId,
+        descriptor: vault.descriptor,
+        m: vault.m,
+        n: vault.n,
+        publicKeyHashes: vault.publicKeyHashes,
+        lockingScript: vault.lockingScriptHex,
+        scriptSize: vault.scriptSize,
+        wocScriptHash: vault.wocScriptHash,
+        scriptType: vault.scriptType,
+        securityLevel: vault.securityLevel,
+        lockTime: vault.lockTime,
+        network: vault.network,
+        unlockingScriptSize: multisigPlaceholderUnlock(vault).length
+    };
+}
+
+/**
+ * What a custodian is asked to sign, with every output labelled
+ */
+function describeSpendProposal(opened) {
+    const { message } = multisigLib.proposalMessage(opened.proposal);
+    return {
+        vaultId: opened.vault.vaultId,
+        m: opened.vault.m,
+        n: opened.vault.n,
+        inputs: opened.proposal.inputs.length,
+        inputValue: opened.inputValue,
+        outputs: opened.proposal.outputs.map(output => {
+            const script = Buffer.from(output.script, 'hex');
+            const template = interpreter.classifyScript(script);
+            const to = template.type === 'p2pkh' ? scriptToAddress(script)
+                : template.vault ? wots.createVaultId(hash160(script)) : null;
+            return { value: output.value, type: template.type, to };
+        }),
+        fee: opened.fee,
+        satPerKb: opened.proposal.satPerKb,
+        message: message.toString('hex'),
+        createdAt: opened.proposal.createdAt
+    };
+}
+
+/**
+ * POST /api/multisig/key - New custodian key (fresh seed or `mnemonic` at
+ * `keyIndex`), or with `keySecret` the custodian's next key
+ */
+app.post('/api/multisig/key', (req, res) => {
+    try {
+        const { keySecret, mnemonic, passphrase } = req.body;
+        
+        let created;
+        if (keySecret) {
+            const { key } = multisigLib.openCustodianKey(keySecret, passphrase);
+            requireNetwork(key.network, 'Custodian key');
+            created = multisigLib.nextCustodianKey(key);
+        } else {
+            created = multisigLib.createCustodianKey({
+                mnemonic,
+                keyIndex: parseInt(req.body.keyIndex) || 0,
+                network: CONFIG.NETWORK
+            });
+        }
+        
+        console.log(`\n🔑 Custodian key ${created.key.keyIndex}: ${created.publicKeyHash.slice(0, 16)}...`);
+        
+        res.json({
+            success: true,
+            keySecret: passphrase ? wots.encryptSecret(created.keySecret, passphrase) : created.keySecret,
+            encrypted: !!passphrase,
+            publicKeyHash: created.publicKeyHash,
+            keyIndex: created.key.keyIndex,
+            mnemonic: created.mnemonic,
+            network: created.key.network
+        });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/multisig/create - m-of-n vault from the custodians' public key hashes
+ */
+app.post('/api/multisig/create', (req, res) => {
+    try {
+        const { publicKeyHashes, lockTime, lockType } = req.body;
+        const m = parseInt(req.body.m);
+        
+        const vault = multisigLib.createMultisigVault({
+            m,
+            publicKeyHashes,
+            lockTime: parseInt(lockTime) || 0,
+            lockType: lockType || 'blocks',
+            network: CONFIG.NETWORK
+        });
+        
+        console.log(`\n🤝 Multisig vault ${vault.vaultId}: ${vault.m} of ${vault.n}, ${vault.scriptSize} bytes`);
+        
+        res.json({ success: true, ...summarizeMultisigVault(vault) });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/multisig/propose - Fix the inputs and outputs of a multisig spend
+ *
+ * Without `amount` every UTXO goes to the destination. With `amount` the
+ * rest needs a `change` destination: the custodians' keys are one-time,
+ * so change usually goes to a new multisig vault ({ multisigDescriptor }).
+ */
+app.post('/api/multisig/propose', async (req, res) => {
+    try {
+        const { descriptor, toAddress, destination: target, change, data } = req.body;
+        const amount = req.body.amount !== undefined ? parseInt(req.body.amount) : null;
+        
+        const vault = multisigLib.openMultisigVault(descriptor);
+        requireNetwork(vault.network, 'Multisig vault');
+        
+        const destination = resolveDestination(target || toAddress);
+        checkNotSelf(destination, vault);
+        
+        if (amount !== null && !(amount >= CONFIG.MIN_OUTPUT)) {
+            return res.status(400).json({ success: false, error: `amount must be at least ${CONFIG.MIN_OUTPUT} sats` });
+        }
+        if (amount !== null && !change) {
+            return res.status(400).json({
+                success: false,
+                error: 'change destination required: the custodian keys are one-time, so change cannot return to this vault'
+            });
+        }
+        
+        const changeDestination = amount !== null ? resolveDestination(change) : destination;
+        checkNotSelf(changeDestination, vault);
+        await requireFreshChainEndScript(destination.script);
+        await requireFreshChainEndScript(changeDestination.script);
+        
+        const utxos = await getUTXOsByScriptHash(vault.wocScriptHash);
+        console.log(`\n📝 Multisig proposal from ${vault.vaultId}: ${utxos.length} UTXOs`);
+        
+        if (utxos.length === 0) {
+            return res.status(400).json({ success: false, error: 'No funds in vault' });
+        }
+        
+        const payments = amount !== null ? [{ script: destination.script, value: amount }] : [];
+        if (data) payments.push({ script: buildDataScript(data), value: 0 });
+        
+        const rate = fees.resolveFeeRate(req.body);
+        const placeholderUnlock = multisigPlaceholderUnlock(vault);
+        const totalInput = utxos.reduce((sum, utxo) => sum + utxo.value, 0);
+        const plan = planSpendOutputs(totalInput, { payments, changeScript: changeDestination.script },
+            outputs => buildRawTransaction(utxos, vault.lockingScript, placeholderUnlock, outputs, vault.lockTime).length, rate);
+        
+        const { encoded } = multisigLib.createSpendProposal(vault, {
+            inputs: utxos.map(utxo => ({ txid: utxo.tx_hash, vout: utxo.tx_pos, value: utxo.value })),
+            outputs: plan.outputs,
+            fee: plan.fee,
+            satPerKb: rate
+        });
+        
+        res.json({
+            success: true,
+            proposal: encoded,
+            summary: describeSpendProposal(multisigLib.openSpendProposal(encoded)),
+            estimatedSize: plan.size
+        });
+    } catch (error) {
+        console.error('Multisig propose error:', error);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/multisig/sign - One custodian signs a proposal with their key secret
+ *
+ * The message is recomputed from the proposal's inputs and outputs, and
+ * the summary shows what the signature pays; the key is burned afterwards.
+ */
+app.post('/api/multisig/sign', (req, res) => {
+    try {
+        const { proposal, keySecret, passphrase, allowSignatureReuse } = req.body;
+        
+        const opened = multisigLib.openSpendProposal(proposal);
+        requireNetwork(opened.vault.network, 'Multisig vault');
+        
+        const custodian = multisigLib.openCustodianKey(keySecret, passphrase);
+        const summary = describeSpendProposal(opened);
+        
+        const partialSignature = multisigLib.signSpendProposal(custodian, opened, {
+            allowReuse: allowSignatureReuse === true,
+            reason: `multisig spend from ${opened.vault.vaultId}: ` +
+                summary.outputs.map(output => `${output.value} to ${output.to || output.type}`).join(', ')
+        });
+        
+        console.log(`\n✍️ Custodian ${partialSignature.slot} signed a spend from ${opened.vault.vaultId}`);
+        
+        res.json({ success: true, partialSignature, summary });
+    } catch (error) {
+        console.error('Multisig sign error:', error);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/multisig/combine - Verify partial signatures, build and broadcast
+ *
+ * Any m valid signatures (by slot order, extras ignored) unlock the vault.
+ */
+app.post('/api/multisig/combine', async (req, res) => {
+    try {
+        const { proposal, signatures, dryRun } = req.body;
+        
+        const opened = multisigLib.openSpendProposal(proposal);
+        requireNetwork(opened.vault.network, 'Multisig vault');
+        
+        const combined = multisigLib.combineSignatures(opened, signatures);
+        const tx = buildMultisigTransaction(opened, combined.signatures);
+        
+        console.log(`\n🤝 Combining ${combined.signers.length} of ${opened.vault.n} signatures for ${opened.vault.vaultId}`);
+        
+        const details = {
+            from: opened.vault.vaultId,
+            signers: combined.signers,
+            outputValue: tx.outputValue,
+            inputValue: tx.inputValue,
+            fee: tx.fee,
+            size: tx.txSize,
+            inputs: tx.inputs,
+            signatureType: `WOTS-16 multisig (${opened.vault.m} of ${opened.vault.n}) + Covenant`,
+            frontRunImmune: true,
+            quantumSafeSpend: true
+        };
+        
+        if (dryRun === true) {
+            console.log('🧪 Dry run - not broadcasting');
+            return res.json({
+                success: true,
+                dryRun: true,
+                details,
+                transaction: describeTransaction(tx.rawTx, tx.prevouts)
+            });
+        }
+        
+        const result = await broadcastTransaction(tx.rawTx, tx.prevouts);
+        
+        if (!result.success) {
+            return res.status(400).json({ success: false, error: result.error, simulation: result.simulation });
+        }
+        
+        console.log(`✅ Multisig spend broadcast: ${result.txid}`);
+        
+        res.json({
+            success: true,
+            txid: result.txid,
+            explorerLink: explorerLink(result.txid),
+            details: { ...details, broadcastVia: result.via }
+        });
+    } catch (error) {
+        console.error('Multisig combine error:', error);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/balance - Check vault balance
+ */
+app.post('/api/balance', async (req, res) => {
+    try {
+        const { secret, passphrase, multisigDescriptor } = req.body;
+        
+        if (!secret && !multisigDescriptor) {
+            return res.status(400).json({ success: false, error: 'Secret (or multisigDescriptor) required' });
+        }
+        
+        const vault = multisigDescriptor ? multisigLib.openMultisigVault(multisigDescriptor)
+            : wots.restoreVaultFromSecret(secret, passphrase);
+        requireNetwork(vault.network, 'Vault');
+        
+        console.log(`\n💰 Checking balance for: ${vault.vaultId}`);
+        
+        const utxos = await getUTXOsByScriptHash(vault.wocScriptHash);
+        
+        let confirmed = 0;
+        let unconfirmed = 0;
+        
+        utxos.forEach(u => {
+            if (u.height > 0) {
+                confirmed += u.value;
+            } else {
+                unconfirmed += u.value;
+            }
+        });
+        
+        const total = confirmed + unconfirmed;
+        const bsvPrice = await getBSVPrice();
+        
+        const canSweep = total >= CONFIG.MIN_SWEEP;
+        const sweepNote = total < CONFIG.MIN_SWEEP 
+            ? `Need at least ${CONFIG.MIN_SWEEP} sats` 
+            : 'Ready to sweep';
+        
+        res.json({
+            success: true,
+            vaultId: vault.vaultId,
+            scriptHash: vault.wocScriptHash,
+            balance: {
+                confirmed,
+                unconfirmed,
+                satoshis: total,
+                bsv: (total / 100000000).toFixed(8),
+                usd: bsvPrice > 0 ? (total / 100000000 * bsvPrice).toFixed(2) : '0.00'
+            },
+            utxoCount: utxos.length,
+            price: bsvPrice.toFixed(2),
+            canSweep,
+            sweepNote
+        });
+        
+    } catch (error) {
+        console.error('Balance check error:', error);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/verify - Verify vault secret (returns 'derived' for frontend)
+ */
+app.post('/api/verify', (req, res) => {
+    try {
+        const { secret, passphrase } = req.body;
+        
+        if (!secret) {
+            return res.status(400).json({ success: false, error: 'Secret required' });
+        }
+        
+        console.log('\n🔍 Verifying vault secret...');
+        
+        const vault = wots.restoreVaultFromSecret(secret, passphrase);
+        
+        console.log(`   ✅ Vault ID: ${vault.vaultId}`);
+        
+        // CRITICAL: Frontend expects 'derived' field!
+        res.json({
+            success: true,
+            matches: { valid: true },
+            derived: {
+                vaultId: vault.vaultId,
+                scriptHash: vault.scriptHash,
+                wocScriptHash: vault.wocScriptHash,
+                securityLevel: vault.securityLevel,
+                scriptType: vault.scriptType,
+                lockingScriptHex: vault.lockingScriptHex,
+                covenantPublicKey: vault.covenantPublicKey,
+                network: vault.network,
+                secretVersion: vault.version
+            }
+        });
+        
+    } catch (error) {
+        console.error('Verify error:', error);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/encrypt-secret - Wrap a master secret with a passphrase
+ */
+app.post('/api/encrypt-secret', (req, res) => {
+    try {
+        const { secret, passphrase } = req.body;
+        
+        if (!secret || !passphrase) {
+            return res.status(400).json({ success: false, error: 'Secret and passphrase required' });
+        }
+        
+        // Wallet secrets are wrapped the same way as vault secrets
+        let decoded = null;
+        try {
+            decoded = JSON.parse(Buffer.from(secret, 'base64').toString());
+        } catch (e) {
+            // not JSON; restoreVaultFromSecret reports the problem
+        }
+        if (walletLib.isWalletSecret(decoded)) {
+            walletLib.openWallet(secret);
+            console.log('\n🔒 Encrypted wallet secret');
+            return res.json({ success: true, wallet: true, encryptedSecret: wots.encryptSecret(secret, passphrase) });
+        }
+        
+        // Refuse to wrap something that is not a valid vault secret
+        const vault = wots.restoreVaultFromSecret(secret);
+        const encryptedSecret = wots.encryptSecret(secret, passphrase);
+        
+        console.log(`\n🔒 Encrypted secret for vault: ${vault.vaultId}`);
+        
+        res.json({ success: true, vaultId: vault.vaultId, encryptedSecret });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/generate-funding-address - Generate a funding address
+ */
+app.post('/api/generate-funding-address', async (req, res) => {
+    try {
+        console.log('\n🔑 Generating funding address...');
+        
+        let address, wif, privateKeyHex, publicKeyHex, publicKeyHash;
+        
+        if (bsv) {
+            const bsvPrivKey = new bsv.PrivateKey(undefined, NETWORK.bsvNetwork);
+            const bsvPubKey = bsvPrivKey.toPublicKey();
+            const bsvAddress = bsvPrivKey.toAddress();
+            
+            wif = bsvPrivKey.toWIF();
+            privateKeyHex = bsvPrivKey.bn.toBuffer({size: 32}).toString('hex');
+            publicKeyHex = bsvPubKey.toString();
+            publicKeyHash = bsv.crypto.Hash.sha256ripemd160(bsvPubKey.toBuffer()).toString('hex');
+            address = bsvAddress.toString();
+        } else {
+            const privateKey = crypto.randomBytes(32);
+            const ecdh = crypto.createECDH('secp256k1');
+            ecdh.setPrivateKey(privateKey);
+            const publicKey = ecdh.getPublicKey(null, 'compressed');
+            
+            const pubKeyHashBuf = hash160(publicKey);
+            const versionedPayload = Buffer.concat([Buffer.from([NETWORK.addressVersion]), pubKeyHashBuf]);
+            const checksum = hash256(versionedPayload).slice(0, 4);
+            address = base58Encode(Buffer.concat([versionedPayload, checksum]));
+            
+            const wifPayload = Buffer.concat([Buffer.from([NETWORK.wifVersion]), privateKey, Buffer.from([0x01])]);
+            const wifChecksum = hash256(wifPayload).slice(0, 4);
+            wif = base58Encode(Buffer.concat([wifPayload, wifChecksum]));
+            
+            privateKeyHex = privateKey.toString('hex');
+            publicKeyHex = publicKey.toString('hex');
+            publicKeyHash = pubKeyHashBuf.toString('hex');
+        }
+        
+        const fundingData = {
+            address,
+            privateKeyWIF: wif,
+            privateKeyHex: privateKeyHex,
+            publicKeyHash: publicKeyHash,
+            publicKeyHex: publicKeyHex,
+            created: Date.now(),
+            network: CONFIG.NETWORK
+        };
+        
+        console.log(`💳 Generated funding address: ${address}`);
+        
+        res.json({
+            success: true,
+            fundingAddress: address,
+            fundingData: Buffer.from(JSON.stringify(fundingData)).toString('base64'),
+            qrData: `bitcoin:${address}`,
+            keys: {
+                privateKeyWIF: wif,
+                privateKeyHex: privateKeyHex,
+                publicKeyHex: publicKeyHex,
+                publicKeyHash: publicKeyHash
+            },
+            instructions: {
+                step1: 'Scan the QR code or copy the address',
+                step2: 'Send BSV from any wallet to this address',
+                step3: 'Click "Deposit to Vault" once funds arrive',
+                note: 'This is a temporary address - funds will be swept to your quantum vault'
+            }
+        });
+        
+    } catch (error) {
+        console.error('Generate funding address error:', error);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/check-funding - Check balance of funding address
+ */
+app.post('/api/check-funding', async (req, res) => {
+    try {
+        const { fundingData } = req.body;
+        
+        if (!fundingData) {
+            return res.status(400).json({ success: false, error: 'Funding data required' });
+        }
+        
+        // Decode from base64
+        const decoded = JSON.parse(Buffer.from(fundingData, 'base64').toString());
+        const address = decoded.address;
+        
+        console.log(`\n💳 Checking funding address: ${address}`);
         
         // Get balance and UTXOs
         const balance = await getBalance(address);
         const utxos = await getUTXOs(address);
         const price = await getBSVPrice();
         
-        console.log(`   Balance: ${balance.total} sats (${balance.confirmed} confirmed)`);
+        console.log(`   Balance: ${balance.total} sats (${balance.confirmed} confirmed)`);
+        
+        res.json({
+            success: true,
+            address,
+            balance: {
+                satoshis: balance.total,
+                bsv: (balance.total / 100000000).toFixed(8),
+                usd: ((balance.total / 100000000) * price).toFixed(2),
+                confirmed: balance.confirmed,
+                unconfirmed: balance.unconfirmed
+            },
+            utxoCount: utxos.length,
+            readyToDeposit: balance.total >= CONFIG.MIN_SWEEP,
+            price: price.toFixed(2)
+        });
+        
+    } catch (error) {
+        console.error('Check funding error:', error);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/send-from-funding - Send from temporary funding address
+ */
+app.post('/api/send-from-funding', async (req, res) => {
+    try {
+        const { fundingData, toAddress, dryRun } = req.body;
+        
+        if (!fundingData || !toAddress) {
+            return res.status(400).json({ success: false, error: 'Funding data and destination required' });
+        }
+        
+        console.log(`\n📤 Sending from funding address to: ${toAddress}`);
+        
+        let funding;
+        try {
+            funding = JSON.parse(Buffer.from(fundingData, 'base64').toString());
+        } catch (e) {
+            funding = typeof fundingData === 'object' ? fundingData : JSON.parse(fundingData);
+        }
+        
+        const fundingAddress = funding.address;
+        const wif = funding.privateKeyWIF || funding.wif;
+        const privateKeyHex = funding.privateKeyHex || funding.privateKey;
+        
+        if (!fundingAddress) {
+            return res.status(400).json({ success: false, error: 'Invalid funding data' });
+        }
+        requireNetwork(funding.network, 'Funding address');
+        
+        if (!wots.isValidP2PKHAddress(toAddress, CONFIG.NETWORK)) {
+            return res.status(400).json({ success: false, error: `Destination must be a ${CONFIG.NETWORK} P2PKH address` });
+        }
+        
+        const utxos = await getUTXOs(fundingAddress);
+        
+        if (utxos.length === 0) {
+            return res.status(400).json({ success: false, error: 'No funds at funding address' });
+        }
+        
+        let totalInput = 0;
+        utxos.forEach(u => totalInput += u.value);
+        
+        if (!bsv) {
+            return res.status(400).json({ success: false, error: 'BSV library required' });
+        }
+        
+        let privKey;
+        if (wif) {
+            privKey = bsv.PrivateKey.fromWIF(wif);
+        } else if (privateKeyHex) {
+            privKey = new bsv.PrivateKey(privateKeyHex, NETWORK.bsvNetwork);
+        } else {
+            return res.status(400).json({ success: false, error: 'No private key in funding data' });
+        }
+        
+        // Re-sign until the fee covers the signed size
+        const { rawHex, outputValue, fee } = fees.fitFee(fee => {
+            const outputValue = totalInput - fee;
+            if (outputValue < CONFIG.MIN_OUTPUT) {
+                throw new Error(`Insufficient funds: ${outputValue} sats`);
+            }
+            
+            const tx = new bsv.Transaction();
+            for (const utxo of utxos) {
+                tx.from({
+                    txId: utxo.tx_hash,
+                    outputIndex: utxo.tx_pos,
+                    script: bsv.Script.fromAddress(fundingAddress),
+                    satoshis: utxo.value
+                });
+            }
+            tx.to(toAddress, outputValue);
+            tx.sign(privKey);
+            
+            const rawHex = tx.serialize();
+            return { rawHex, outputValue, size: rawHex.length / 2 };
+        }, fees.resolveFeeRate(req.body));
+        const prevouts = utxos.map(u => ({ lockingScript: buildOutputScript(fundingAddress), satoshis: u.value }));
+        
+        if (dryRun === true) {
+            console.log('🧪 Dry run - not broadcasting');
+            return res.json({ success: true, dryRun: true, transaction: describeTransaction(rawHex, prevouts) });
+        }
+        
+        const result = await broadcastTransaction(rawHex, prevouts);
+        
+        if (result.success) {
+            res.json({
+                success: true,
+                txid: result.txid,
+                explorerLink: explorerLink(result.txid),
+                details: {
+                    amount: outputValue,
+                    toAddress,
+                    fee,
+                    broadcastVia: result.via
+                }
+            });
+        } else {
+            res.status(400).json({ success: false, error: result.error, simulation: result.simulation });
+        }
+        
+    } catch (error) {
+        console.error('Send error:', error);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/deposit-to-vault - Deposit from funding address to vault
+ */
+app.post('/api/deposit-to-vault', async (req, res) => {
+    try {
+        const { fundingData, vaultSecret, vaultLockingScript, passphrase, dryRun } = req.body;
+        
+        if (!fundingData) {
+            return res.status(400).json({ success: false, error: 'Funding data required' });
+        }
+        if (!vaultSecret && !vaultLockingScript) {
+            return res.status(400).json({ success: false, error: 'Vault secret or locking script required' });
+        }
+        
+        // Decode funding data
+        let funding;
+        try {
+            funding = JSON.parse(Buffer.from(fundingData, 'base64').toString());
+        } catch (e) {
+            funding = typeof fundingData === 'object' ? fundingData : JSON.parse(fundingData);
+        }
+        
+        requireNetwork(funding.network, 'Funding address');
+        
+        // Get locking script - either from vaultSecret or directly provided
+        let lockingScript, vaultId;
+        if (vaultSecret) {
+            const vault = wots.restoreVaultFromSecret(vaultSecret, passphrase);
+            requireNetwork(vault.network, 'Vault');
+            lockingScript = vault.lockingScriptHex || vault.lockingScript.toString('hex');
+            vaultId = vault.vaultId;
+            console.log(`\n🔐 Depositing to vault: ${vaultId}`);
+        } else {
+            lockingScript = vaultLockingScript;
+            vaultId = 'direct-script';
+            console.log(`\n🔐 Depositing to vault (direct script)`);
+        }
+        await requireFreshChainEndScript(lockingScript);
+        
+        // Get private key
+        const wif = funding.privateKeyWIF || funding.wif;
+        const privateKeyHex = funding.privateKeyHex || funding.privateKey;
+        
+        if (!bsv) {
+            return res.status(400).json({ success: false, error: 'BSV library required' });
+        }
+        
+        let bsvPrivKey;
+        if (wif) {
+            console.log('🔑 Recovering key from WIF...');
+            bsvPrivKey = bsv.PrivateKey.fromWIF(wif);
+        } else if (privateKeyHex) {
+            console.log('⚠️ No WIF found, trying hex recovery...');
+            const rawKeyBuffer = Buffer.from(privateKeyHex, 'hex');
+            bsvPrivKey = new bsv.PrivateKey(rawKeyBuffer, NETWORK.bsvNetwork);
+        } else {
+            return res.status(400).json({ success: false, error: 'No private key found' });
+        }
+        
+        // Verify address matches
+        const derivedAddress = bsvPrivKey.toAddress().toString();
+        if (derivedAddress !== funding.address) {
+            console.log(`❌ Address mismatch! Derived: ${derivedAddress}, Expected: ${funding.address}`);
+            return res.status(400).json({ success: false, error: `Key mismatch: derived ${derivedAddress} but expected ${funding.address}` });
+        }
+        
+        console.log(`✅ Key verified: ${derivedAddress}`);
+        
+        // Get UTXOs
+        const utxos = await getUTXOs(funding.address);
+        console.log(`📥 Found ${utxos.length} UTXOs in funding address`);
+        
+        if (utxos.length === 0) {
+            return res.status(400).json({ success: false, error: 'No funds found in funding address' });
+        }
+        
+        let totalInput = 0;
+        utxos.forEach(u => totalInput += u.value);
+        console.log(`💰 Total available: ${totalInput} satoshis`);
+        
+        // Fee from the signed size: sign, measure, re-sign with the fee that size needs
+        const satPerKb = fees.resolveFeeRate(req.body);
+        const { rawTx, outputValue, fee } = fees.fitFee(fee => {
+            const outputValue = totalInput - fee;
+            if (outputValue < CONFIG.MIN_OUTPUT) {
+                throw new Error(`Insufficient funds: ${totalInput} sats (need ${fee + CONFIG.MIN_OUTPUT})`);
+            }
+            const rawTx = buildDepositTransaction(
+                utxos,
+                bsvPrivKey,
+                funding.publicKeyHash,
+                lockingScript,
+                outputValue
+            );
+            return { rawTx, outputValue, size: rawTx.length };
+        }, satPerKb);
+        
+        console.log(`📝 Built deposit transaction:`);
+        console.log(`   Input: ${totalInput} sats`);
+        console.log(`   Output: ${outputValue} sats (to vault)`);
+        console.log(`   Fee: ${fee} sats (${rawTx.length} bytes at ${satPerKb} sat/kB)`);
+        
+        const prevouts = utxos.map(u => ({ lockingScript: buildOutputScript(funding.address), satoshis: u.value }));
+        
+        if (dryRun === true) {
+            console.log('🧪 Dry run - not broadcasting');
+            return res.json({ success: true, dryRun: true, transaction: describeTransaction(rawTx.toString('hex'), prevouts) });
+        }
+        
+        console.log(`📡 Broadcasting ${rawTx.length} byte transaction...`);
+        const result = await broadcastTransaction(rawTx.toString('hex'), prevouts);
+        
+        if (result.success) {
+            console.log(`✅ Deposit successful: ${result.txid}`);
+            res.json({
+                success: true,
+                txid: result.txid,
+                explorerLink: explorerLink(result.txid),
+                details: {
+                    vaultId: vaultId,
+                    toVault: vaultId,
+                    amount: outputValue,
+                    outputValue: outputValue,
+                    fee,
+                    fromAddress: funding.address,
+                    broadcastVia: result.via
+                }
+            });
+        } else {
+            res.status(400).json({ success: false, error: result.error, simulation: result.simulation });
+        }
+        
+    } catch (error) {
+        console.error('Deposit to vault error:', error);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/sweep - Sweep all funds from vault
+ */
+app.post('/api/sweep', async (req, res) => {
+    try {
+        const { toAddress, destination: target, data, passphrase, allowSignatureReuse, dryRun } = req.body;
+        let { secret } = req.body;
+        
+        if (!secret) {
+            return res.status(400).json({ success: false, error: 'Vault secret required' });
+        }
+        
+        const destination = resolveDestination(target || toAddress);
+        
+        secret = wots.openSecret(secret, passphrase);
+        const secretData = JSON.parse(Buffer.from(secret, 'base64').toString());
+        
+        const vault = wots.restoreVaultFromSecret(secret);
+        vault.secret = secret;
+        requireNetwork(vault.network, 'Vault');
+        checkNotSelf(destination, vault);
+        
+        console.log(`\n🔓 Sweeping vault: ${vault.vaultId} → ${destination.label}`);
+        console.log(`   Security: ${secretData.securityLevel || 'standard'}`);
+        
+        const utxos = await getUTXOsByScriptHash(vault.wocScriptHash);
+        console.log(`📥 Found ${utxos.length} UTXOs`);
+        
+        if (utxos.length === 0) {
+            return res.status(400).json({ success: false, error: 'No funds in vault' });
+        }
+        
+        let total = 0;
+        utxos.forEach(u => total += u.value);
+        console.log(`💰 Total: ${total} sats`);
+        
+        if (total < CONFIG.MIN_SWEEP) {
+            return res.status(400).json({ success: false, error: `Insufficient funds: ${total} sats` });
+        }
+        
+        const rate = fees.resolveFeeRate(req.body);
+        const tx = await buildSweepTransaction(vault, secretData, utxos, {
+            payments: data ? [{ script: buildDataScript(data), value: 0 }] : [],
+            changeScript: destination.script
+        }, rate, {
+            allowSignatureReuse: allowSignatureReuse === true,
+            reason: `sweep to ${destination.label}`,
+            dryRun: dryRun === true
+        });
+        
+        if (dryRun === true) {
+            console.log('🧪 Dry run - not broadcasting');
+            return res.json({ success: true, dryRun: true, transaction: describeTransaction(tx.rawTx, tx.prevouts, { signed: tx.signed }) });
+        }
+        
+        const result = await broadcastTransaction(tx.rawTx, tx.prevouts);
+        
+        if (result.success) {
+            res.json({
+                success: true,
+                txid: result.txid,
+                explorerLink: explorerLink(result.txid),
+                details: {
+                    from: vault.vaultId,
+                    to: destination.label,
+                    destinationType: destination.type,
+                    inputValue: tx.inputValue,
+                    outputValue: tx.outputValue,
+                    fee: tx.fee,
+                    size: tx.size,
+                    inputs: tx.inputs,
+                    broadcastVia: result.via,
+                    signatureType: tx.signatureType,
+                    frontRunImmune: tx.frontRunImmune,
+                    quantumSafeSpend: tx.quantumSafeSpend,
+                    warning: tx.warning
+                }
+            });
+        } else {
+            res.status(400).json({ success: false, error: result.error, simulation: result.simulation });
+        }
+        
+    } catch (error) {
+        console.error('Sweep error:', error);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Vault that receives funds leaving a burned key: the caller's own
+ * (options.secret) or a new one with the old vault's parameters by default
+ */
+function prepareSuccessorVault(vault, options, what) {
+    let successor;
+    if (options.secret) {
+        const restored = wots.restoreVaultFromSecret(options.secret, options.passphrase);
+        successor = {
+            vaultId: restored.vaultId,
+            lockingScript: restored.lockingScriptHex,
+            wocScriptHash: restored.wocScriptHash,
+            securityLevel: restored.securityLevel,
+            scriptType: restored.scriptType,
+            lockTime: restored.lockTime,
+            network: restored.network,
+            secret: null
+        };
+    } else {
+        const retired = RETIRED_LEVELS[vault.securityLevel];
+        const created = wots.createQuantumVault({
+            securityLevel: offeredLevel(options.securityLevel || (retired ? retired.replacement : vault.securityLevel)),
+            lockTime: options.lockTime !== undefined ? parseInt(options.lockTime) || 0 : vault.lockTime,
+            lockType: options.lockTime !== undefined ? options.lockType || 'blocks' : 'blocks',
+            network: vault.network
+        });
+        successor = {
+            vaultId: created.vaultId,
+            lockingScript: created.lockingScript,
+            wocScriptHash: created.wocScriptHash,
+            securityLevel: created.securityLevel,
+            scriptType: created.scriptType,
+            lockTime: created.lockTime,
+            network: created.network,
+            secret: created.secret,
+            compactSecret: created.compactSecret,
+            seedBackup: created.seedBackup
+        };
+    }
+    
+    requireNetwork(successor.network, `${what} vault`);
+    if (successor.vaultId === vault.vaultId) {
+        throw new Error(`${what} must be a different vault`);
+    }
+    return successor;
+}
+
+/**
+ * Leaves an XMSS vault has not signed with yet (0 for one-time vaults);
+ * spentLeaves are the ones seen on chain (xmssChainLeaves)
+ */
+function xmssLeavesLeft(secretData, spentLeaves = []) {
+    if (!secretData.xmss) return 0;
+    return wots.xmssLeafStatus(wots.restoreXMSSTree(secretData), spentLeaves).filter(leaf => !leaf.used).length;
+}
+
+/**
+ * Change goes back to a many-time vault unless the caller names another
+ * vault or this spend uses its last leaf
+ */
+function keepsChange(secretData, changeSecret, spentLeaves = []) {
+    return !changeSecret && xmssLeavesLeft(secretData, spentLeaves) > 1;
+}
+
+/**
+ * Keep a generated successor at least as protected as the vault it replaces
+ */
+function protectSuccessorVault(successor, passphrase) {
+    if (!successor.secret || !passphrase) return;
+    successor.secret = wots.encryptSecret(successor.secret, passphrase);
+    successor.compactSecret = wots.encryptSecret(successor.compactSecret, passphrase);
+    successor.encrypted = true;
+}
+
+/**
+ * POST /api/rotate - Sweep a vault into a successor vault
+ *
+ * The successor is freshly generated (same security level unless
+ * `securityLevel` is given) or supplied as `successorSecret` so it can be
+ * backed up before any funds move. Its bare locking script is the output.
+ */
+app.post('/api/rotate', async (req, res) => {
+    try {
+        const { passphrase, allowSignatureReuse, dryRun, securityLevel, lockTime, lockType, successorSecret } = req.body;
+        let { secret } = req.body;
+        
+        if (!secret) {
+            return res.status(400).json({ success: false, error: 'Vault secret required' });
+        }
+        
+        const wasEncrypted = wots.isEncryptedSecret(secret.trim());
+        secret = wots.openSecret(secret, passphrase);
+        const secretData = JSON.parse(Buffer.from(secret, 'base64').toString());
+        
+        const vault = wots.restoreVaultFromSecret(secret);
+        vault.secret = secret;
+        requireNetwork(vault.network, 'Vault');
+        
+        const successor = prepareSuccessorVault(vault, {
+            secret: successorSecret,
+            passphrase: req.body.successorPassphrase || passphrase,
+            securityLevel, lockTime, lockType
+        }, 'Successor');
+        
+        console.log(`\n🔄 Rotating vault: ${vault.vaultId} → ${successor.vaultId}`);
+        
+        const utxos = await getUTXOsByScriptHash(vault.wocScriptHash);
+        console.log(`📥 Found ${utxos.length} UTXOs`);
+        
+        if (utxos.length === 0) {
+            return res.status(400).json({ success: false, error: 'No funds in vault' });
+        }
+        
+        const total = utxos.reduce((sum, u) => sum + u.value, 0);
+        if (total < CONFIG.MIN_SWEEP) {
+            return res.status(400).json({ success: false, error: `Insufficient funds: ${total} sats` });
+        }
+        
+        const rate = fees.resolveFeeRate(req.body);
+        const tx = await buildSweepTransaction(
+            vault, secretData, utxos, { changeScript: Buffer.from(successor.lockingScript, 'hex') }, rate,
+            { allowSignatureReuse: allowSignatureReuse === true, reason: `rotate to ${successor.vaultId}`, dryRun: dryRun === true }
+        );
+        
+        protectSuccessorVault(successor, req.body.successorPassphrase || (wasEncrypted ? passphrase : null));
+        
+        const lineage = {
+            from: { vaultId: vault.vaultId, securityLevel: vault.securityLevel, scriptType: vault.scriptType },
+            to: { vaultId: successor.vaultId, securityLevel: successor.securityLevel, scriptType: successor.scriptType },
+            amount: tx.outputValue,
+            fee: tx.fee,
+            rotatedAt: new Date().toISOString()
+        };
+        
+        if (dryRun === true) {
+            console.log('🧪 Dry run - not broadcasting');
+            return res.json({
+                success: true,
+                dryRun: true,
+                successor,
+                lineage,
+                transaction: describeTransaction(tx.rawTx, tx.prevouts, { signed: tx.signed })
+            });
+        }
+        
+        const result = await broadcastTransaction(tx.rawTx, tx.prevouts);
+        
+        if (!result.success) {
+            return res.status(400).json({ success: false, error: result.error, simulation: result.simulation });
+        }
+        
+        lineage.txid = result.txid;
+        console.log(`✅ Rotated into ${successor.vaultId}`);
         
         res.json({
             success: true,
-            address,
-            balance: {
-                satoshis: balance.total,
-                bsv: (balance.total / 100000000).toFixed(8),
-                usd: ((balance.total / 100000000) * price).toFixed(2),
-                confirmed: balance.confirmed,
-                unconfirmed: balance.unconfirmed
-            },
-            utxoCount: utxos.length,
-            readyToDeposit: balance.total >= CONFIG.MIN_SWEEP,
-            price: price.toFixed(2)
+            txid: result.txid,
+            explorerLink: explorerLink(result.txid),
+            successor,
+            lineage,
+            details: {
+                inputValue: tx.inputValue,
+                outputValue: tx.outputValue,
+                fee: tx.fee,
+                size: tx.size,
+                inputs: tx.inputs,
+                broadcastVia: result.via,
+                signatureType: tx.signatureType
+            }
         });
         
     } catch (error) {
-        console.error('Check funding error:', error);
+        console.error('Rotate error:', error);
         res.status(400).json({ success: false, error: error.message });
     }
 });
 
 /**
- * POST /api/send-from-funding - Send from temporary funding address
+ * POST /api/withdraw - Send `amount` sats to an address, change to a new vault
+ *
+ * Spending burns the vault key, so the remainder never returns to it: it goes
+ * to a generated change vault (or `changeSecret`) whose secret is returned.
+ * An XMSS vault keeps its change while it has another unused leaf.
  */
-app.post('/api/send-from-funding', async (req, res) => {
+app.post('/api/withdraw', async (req, res) => {
     try {
-        const { fundingData, toAddress } = req.body;
+        const { toAddress, destination: target, data, passphrase, allowSignatureReuse, dryRun,
+            securityLevel, lockTime, lockType, changeSecret } = req.body;
+        let { secret } = req.body;
+        const amount = parseInt(req.body.amount);
         
-        if (!fundingData || !toAddress) {
-            return res.status(400).json({ success: false, error: 'Funding data and destination required' });
+        if (!secret) {
+            return res.status(400).json({ success: false, error: 'Vault secret required' });
+        }
+        if (!(amount >= CONFIG.MIN_OUTPUT)) {
+            return res.status(400).json({ success: false, error: `amount must be at least ${CONFIG.MIN_OUTPUT} sats` });
         }
         
-        console.log(`\n📤 Sending from funding address to: ${toAddress}`);
+        const destination = resolveDestination(target || toAddress);
         
-        let funding;
-        try {
-            funding = JSON.parse(Buffer.from(fundingData, 'base64').toString());
-        } catch (e) {
-            funding = typeof fundingData === 'object' ? fundingData : JSON.parse(fundingData);
+        const wasEncrypted = wots.isEncryptedSecret(secret.trim());
+        secret = wots.openSecret(secret, passphrase);
+        const secretData = JSON.parse(Buffer.from(secret, 'base64').toString());
+        
+        const vault = wots.restoreVaultFromSecret(secret);
+        vault.secret = secret;
+        requireNetwork(vault.network, 'Vault');
+        checkNotSelf(destination, vault);
+        
+        const xmssSpentLeaves = await xmssChainLeaves(secretData, vault.wocScriptHash);
+        const changeVault = keepsChange(secretData, changeSecret, xmssSpentLeaves) ? null : prepareSuccessorVault(vault, {
+            secret: changeSecret,
+            passphrase: req.body.changePassphrase || passphrase,
+            securityLevel, lockTime, lockType
+        }, 'Change');
+        const changeVaultId = changeVault ? changeVault.vaultId : vault.vaultId;
+        
+        console.log(`\n💸 Withdrawing ${amount} sats from ${vault.vaultId}`);
+        console.log(`   Change vault: ${changeVaultId}${changeVault ? '' : ' (same XMSS vault)'}`);
+        
+        const utxos = await getUTXOsByScriptHash(vault.wocScriptHash);
+        console.log(`📥 Found ${utxos.length} UTXOs`);
+        
+        if (utxos.length === 0) {
+            return res.status(400).json({ success: false, error: 'No funds in vault' });
         }
         
-        const fundingAddress = funding.address;
-        const wif = funding.privateKeyWIF || funding.wif;
-        const privateKeyHex = funding.privateKeyHex || funding.privateKey;
+        const rate = fees.resolveFeeRate(req.body);
+        const payments = [{ script: destination.script, value: amount }];
+        if (data) payments.push({ script: buildDataScript(data), value: 0 });
+        
+        const tx = await buildSweepTransaction(vault, secretData, utxos, {
+            payments,
+            changeScript: changeVault ? Buffer.from(changeVault.lockingScript, 'hex') : vault.lockingScript
+        }, rate, {
+            allowSignatureReuse: allowSignatureReuse === true,
+            reason: `withdraw ${amount} to ${destination.label}, change to ${changeVaultId}`,
+            dryRun: dryRun === true,
+            xmssSpentLeaves
+        });
         
-        if (!fundingAddress) {
-            return res.status(400).json({ success: false, error: 'Invalid funding data' });
+        if (changeVault) {
+            protectSuccessorVault(changeVault, req.body.changePassphrase || (wasEncrypted ? passphrase : null));
         }
         
-        const utxos = await getUTXOs(fundingAddress);
+        const details = {
+            from: vault.vaultId,
+            to: destination.label,
+            destinationType: destination.type,
+            amount,
+            change: tx.changeValue,
+            changeVaultId,
+            inputValue: tx.inputValue,
+            fee: tx.fee,
+            size: tx.size,
+            inputs: tx.inputs,
+            signatureType: tx.signatureType,
+            frontRunImmune: tx.frontRunImmune,
+            quantumSafeSpend: tx.quantumSafeSpend,
+            warning: tx.warning
+        };
+        
+        if (dryRun === true) {
+            console.log('🧪 Dry run - not broadcasting');
+            return res.json({
+                success: true,
+                dryRun: true,
+                changeVault,
+                details,
+                transaction: describeTransaction(tx.rawTx, tx.prevouts, { signed: tx.signed })
+            });
+        }
+        
+        const result = await broadcastTransaction(tx.rawTx, tx.prevouts);
+        
+        if (!result.success) {
+            return res.status(400).json({ success: false, error: result.error, simulation: result.simulation });
+        }
+        
+        console.log(`✅ Withdrew ${amount} sats, ${tx.changeValue} sats change`);
+        
+        res.json({
+            success: true,
+            txid: result.txid,
+            explorerLink: explorerLink(result.txid),
+            changeVault,
+            details: { ...details, broadcastVia: result.via }
+        });
+        
+    } catch (error) {
+        console.error('Withdraw error:', error);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/spend - Pay several addresses from one vault in one transaction
+ *
+ * Body: { secret, outputs: [{ address, amount }], change?, changeSecret? }
+ * Each output is any resolveDestination() form plus `amount`, or { data } for
+ * an OP_RETURN output. Change goes to `change` (a destination; `changeAddress`
+ * also works), to the vault in changeSecret, or to a newly generated vault
+ * whose secret is returned. An XMSS vault keeps its change while it has
+ * another unused leaf, and may name itself as `change`.
+ */
+app.post('/api/spend', async (req, res) => {
+    try {
+        const { outputs, changeSecret, passphrase, allowSignatureReuse, dryRun,
+            securityLevel, lockTime, lockType } = req.body;
+        const changeTarget = req.body.change || req.body.changeAddress;
+        let { secret } = req.body;
+        
+        if (!secret) {
+            return res.status(400).json({ success: false, error: 'Vault secret required' });
+        }
+        if (!Array.isArray(outputs) || outputs.length === 0) {
+            return res.status(400).json({ success: false, error: 'outputs must be a non-empty array of { address, amount }' });
+        }
+        if (outputs.length > CONFIG.MAX_RECIPIENTS) {
+            return res.status(400).json({ success: false, error: `At most ${CONFIG.MAX_RECIPIENTS} outputs per spend` });
+        }
+        
+        const payments = [];
+        const recipients = [];
+        for (const [i, output] of outputs.entries()) {
+            if (output && output.data) {
+                payments.push({ script: buildDataScript(output.data), value: 0 });
+                recipients.push({ type: 'op-return', amount: 0 });
+                continue;
+            }
+            
+            const amount = Number(output && output.amount);
+            if (!Number.isInteger(amount) || amount < CONFIG.MIN_OUTPUT) {
+                return res.status(400).json({ success: false, error: `outputs[${i}]: amount must be an integer of at least ${CONFIG.MIN_OUTPUT} sats` });
+            }
+            
+            let destination;
+            try {
+                destination = resolveDestination(output);
+            } catch (e) {
+                return res.status(400).json({ success: false, error: `outputs[${i}]: ${e.message}` });
+            }
+            payments.push({ script: destination.script, value: amount });
+            recipients.push({ to: destination.label, type: destination.type, amount });
+        }
+        
+        if (changeTarget && changeSecret) {
+            return res.status(400).json({ success: false, error: 'Give a change destination or changeSecret, not both' });
+        }
+        const change = changeTarget ? resolveDestination(changeTarget) : null;
+        
+        const wasEncrypted = wots.isEncryptedSecret(secret.trim());
+        secret = wots.openSecret(secret, passphrase);
+        const secretData = JSON.parse(Buffer.from(secret, 'base64').toString());
+        
+        const vault = wots.restoreVaultFromSecret(secret);
+        vault.secret = secret;
+        requireNetwork(vault.network, 'Vault');
+        payments.forEach(payment => checkNotSelf(payment, vault));
+        const xmssSpentLeaves = await xmssChainLeaves(secretData, vault.wocScriptHash);
+        if (change && !keepsChange(secretData, changeSecret, xmssSpentLeaves)) checkNotSelf(change, vault);
+        
+        const changeToSelf = !change && keepsChange(secretData, changeSecret, xmssSpentLeaves);
+        const changeVault = change || changeToSelf ? null : prepareSuccessorVault(vault, {
+            secret: changeSecret,
+            passphrase: req.body.changePassphrase || passphrase,
+            securityLevel, lockTime, lockType
+        }, 'Change');
+        const changeScript = change ? change.script
+            : changeToSelf ? vault.lockingScript : Buffer.from(changeVault.lockingScript, 'hex');
+        
+        const totalOut = payments.reduce((sum, payment) => sum + payment.value, 0);
+        console.log(`\n📤 Spending ${totalOut} sats from ${vault.vaultId} to ${payments.length} recipient(s)`);
+        
+        const utxos = await getUTXOsByScriptHash(vault.wocScriptHash);
+        console.log(`📥 Found ${utxos.length} UTXOs`);
         
         if (utxos.length === 0) {
-            return res.status(400).json({ success: false, error: 'No funds at funding address' });
+            return res.status(400).json({ success: false, error: 'No funds in vault' });
         }
         
-        let totalInput = 0;
-        utxos.forEach(u => totalInput += u.value);
+        const rate = fees.resolveFeeRate(req.body);
+        const tx = await buildSweepTransaction(vault, secretData, utxos, { payments, changeScript }, rate, {
+            allowSignatureReuse: allowSignatureReuse === true,
+            reason: `spend to ${payments.length} recipient(s)`,
+            dryRun: dryRun === true,
+            xmssSpentLeaves
+        });
+        
+        if (changeVault) {
+            protectSuccessorVault(changeVault, req.body.changePassphrase || (wasEncrypted ? passphrase : null));
+        }
+        
+        const details = {
+            from: vault.vaultId,
+            recipients,
+            totalSent: totalOut,
+            change: tx.changeValue,
+            changeTo: change ? change.label : changeToSelf ? vault.vaultId : changeVault.vaultId,
+            inputValue: tx.inputValue,
+            fee: tx.fee,
+            size: tx.size,
+            inputs: tx.inputs,
+            signatureType: tx.signatureType,
+            frontRunImmune: tx.frontRunImmune,
+            quantumSafeSpend: tx.quantumSafeSpend,
+            warning: tx.warning
+        };
+        
+        if (dryRun === true) {
+            console.log('🧪 Dry run - not broadcasting');
+            return res.json({
+                success: true,
+                dryRun: true,
+                changeVault,
+                details,
+                transaction: describeTransaction(tx.rawTx, tx.prevouts, { signed: tx.signed })
+            });
+        }
+        
+        const result = await broadcastTransaction(tx.rawTx, tx.prevouts);
+        
+        if (!result.success) {
+            return res.status(400).json({ success: false, error: result.error, simulation: result.simulation });
+        }
+        
+        console.log(`✅ Paid ${payments.length} recipient(s), ${tx.changeValue} sats change`);
+        
+        res.json({
+            success: true,
+            txid: result.txid,
+            explorerLink: explorerLink(result.txid),
+            changeVault,
+            details: { ...details, broadcastVia: result.via }
+        });
+        
+    } catch (error) {
+        console.error('Spend error:', error);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/bump-fee - Child-pays-for-parent for a stuck transaction
+ *
+ * Body: { txid, wif | fundingData, toAddress?, feePolicy | satPerKb, dryRun }
+ * The key must own an output of the parent (the sweep destination). The
+ * child pays back to that address unless toAddress is given. Defaults to
+ * the priority policy.
+ */
+app.post('/api/bump-fee', async (req, res) => {
+    try {
+        const { txid, wif, fundingData, dryRun } = req.body;
         
+        if (!txid || !/^[0-9a-fA-F]{64}$/.test(txid)) {
+            return res.status(400).json({ success: false, error: 'Parent txid required' });
+        }
+        if (!wif && !fundingData) {
+            return res.status(400).json({ success: false, error: 'Destination key required (wif or fundingData)' });
+        }
         if (!bsv) {
             return res.status(400).json({ success: false, error: 'BSV library required' });
         }
         
-        let privKey;
-        if (wif) {
-            privKey = bsv.PrivateKey.fromWIF(wif);
-        } else if (privateKeyHex) {
-            privKey = bsv.PrivateKey.fromHex(privateKeyHex);
-        } else {
-            return res.status(400).json({ success: false, error: 'No private key in funding data' });
+        let keyWIF = wif;
+        if (!keyWIF) {
+            let funding;
+            try {
+                funding = JSON.parse(Buffer.from(fundingData, 'base64').toString());
+            } catch (e) {
+                funding = typeof fundingData === 'object' ? fundingData : JSON.parse(fundingData);
+            }
+            requireNetwork(funding.network, 'Funding address');
+            keyWIF = funding.privateKeyWIF || funding.wif;
+            if (!keyWIF) {
+                return res.status(400).json({ success: false, error: 'No WIF in funding data' });
+            }
         }
         
-        const tx = new bsv.Transaction();
-        
-        for (const utxo of utxos) {
-            tx.from({
-                txId: utxo.tx_hash,
-                outputIndex: utxo.tx_pos,
-                script: bsv.Script.fromAddress(fundingAddress),
-                satoshis: utxo.value
-            });
+        const privKey = bsv.PrivateKey.fromWIF(keyWIF.trim());
+        const toAddress = req.body.toAddress || privKey.toAddress().toString();
+        if (!wots.isValidP2PKHAddress(toAddress, CONFIG.NETWORK)) {
+            return res.status(400).json({ success: false, error: `Destination must be a ${CONFIG.NETWORK} P2PKH address` });
         }
         
-        const estimatedSize = utxos.length * 148 + 34 + 10;
-        const fee = Math.ceil(estimatedSize * CONFIG.FEE_RATE_STANDARD);
-        const outputValue = totalInput - fee;
+        const rate = fees.resolveFeeRate({ feePolicy: 'priority', ...req.body });
         
-        if (outputValue < CONFIG.MIN_OUTPUT) {
-            return res.status(400).json({ success: false, error: `Insufficient funds: ${outputValue} sats` });
-        }
+        console.log(`\n🚀 CPFP bump for ${txid} to ${rate} sat/kB`);
         
-        tx.to(toAddress, outputValue);
-        tx.sign(privKey);
+        const child = await buildCPFPTransaction(txid, privKey, toAddress, rate);
         
-        const rawHex = tx.serialize();
-        const result = await broadcastTransaction(rawHex);
+        console.log(`   Parent: ${child.parent.size} bytes, ${child.parent.fee} sats (${child.parent.satPerKb} sat/kB)`);
+        console.log(`   Child: ${child.size} bytes, ${child.fee} sats → package ${child.package.satPerKb} sat/kB`);
+        
+        const details = {
+            parent: child.parent,
+            package: child.package,
+            fee: child.fee,
+            size: child.size,
+            amount: child.outputValue,
+            toAddress
+        };
+        
+        if (dryRun === true) {
+            console.log('🧪 Dry run - not broadcasting');
+            return res.json({ success: true, dryRun: true, details, transaction: describeTransaction(child.rawTx, child.prevouts) });
+        }
+        
+        const result = await broadcastTransaction(child.rawTx, child.prevouts);
         
         if (result.success) {
+            console.log(`✅ Child broadcast: ${result.txid}`);
             res.json({
                 success: true,
                 txid: result.txid,
-                explorerLink: `https://whatsonchain.com/tx/${result.txid}`,
-                details: {
-                    amount: outputValue,
-                    toAddress,
-                    fee,
-                    broadcastVia: result.via
-                }
+                explorerLink: explorerLink(result.txid),
+                details: { ...details, broadcastVia: result.via }
             });
         } else {
-            res.status(400).json({ success: false, error: result.error });
+            res.status(400).json({ success: false, error: result.error, simulation: result.simulation });
         }
         
     } catch (error) {
-        console.error('Send error:', error);
+        console.error('Bump fee error:', error);
         res.status(400).json({ success: false, error: error.message });
     }
 });
 
 /**
- * POST /api/deposit-to-vault - Deposit from funding address to vault
+ * POST /api/simulate - Run scripts through the local interpreter
+ *
+ * Body: { rawTx, prevouts? } or { unlockingScript, lockingScript }
+ * prevouts[i] = { lockingScript, satoshis }; fetched from the chain when omitted.
  */
-app.post('/api/deposit-to-vault', async (req, res) => {
+app.post('/api/simulate', async (req, res) => {
     try {
-        const { fundingData, vaultSecret, vaultLockingScript } = req.body;
+        const { rawTx, prevouts, unlockingScript, lockingScript } = req.body;
         
-        if (!fundingData) {
-            return res.status(400).json({ success: false, error: 'Funding data required' });
-        }
-        if (!vaultSecret && !vaultLockingScript) {
-            return res.status(400).json({ success: false, error: 'Vault secret or locking script required' });
+        if (!rawTx) {
+            if (unlockingScript === undefined || !lockingScript) {
+                return res.status(400).json({ success: false, error: 'rawTx or unlockingScript + lockingScript required' });
+            }
+            
+            console.log('\n🧪 Simulating script pair');
+            const result = interpreter.verifyScript(unlockingScript, lockingScript);
+            return res.json({ success: true, valid: result.success, result });
         }
         
-        // Decode funding data
-        let funding;
-        try {
-            funding = JSON.parse(Buffer.from(fundingData, 'base64').toString());
-        } catch (e) {
-            funding = typeof fundingData === 'object' ? fundingData : JSON.parse(fundingData);
-        }
+        console.log('\n🧪 Simulating transaction');
+        const tx = interpreter.parseTransaction(rawTx);
         
-        // Get locking script - either from vaultSecret or directly provided
-        let lockingScript, vaultId;
-        if (vaultSecret) {
-            const vault = wots.restoreVaultFromSecret(vaultSecret);
-            lockingScript = vault.lockingScriptHex || vault.lockingScript.toString('hex');
-            vaultId = vault.vaultId;
-            console.log(`\n🔐 Depositing to vault: ${vaultId}`);
-        } else {
-            lockingScript = vaultLockingScript;
-            vaultId = 'direct-script';
-            console.log(`\n🔐 Depositing to vault (direct script)`);
-        }
+        const spent = prevouts || await fetchPrevouts(tx.inputs);
         
-        // Get private key
-        const wif = funding.privateKeyWIF || funding.wif;
-        const privateKeyHex = funding.privateKeyHex || funding.privateKey;
+        const simulation = interpreter.verifyTransaction(rawTx, spent.map(p => ({
+            lockingScript: p.lockingScript,
+            satoshis: Number(p.satoshis)
+        })));
         
-        if (!bsv) {
-            return res.status(400).json({ success: false, error: 'BSV library required' });
-        }
+        console.log(`   ${simulation.valid ? '✅ Valid' : '❌ ' + interpreter.describeFailure(simulation)}`);
         
-        let bsvPrivKey;
-        if (wif) {
-            console.log('🔑 Recovering key from WIF...');
-            bsvPrivKey = bsv.PrivateKey.fromWIF(wif);
-        } else if (privateKeyHex) {
-            console.log('⚠️ No WIF found, trying hex recovery...');
-            const rawKeyBuffer = Buffer.from(privateKeyHex, 'hex');
-            bsvPrivKey = new bsv.PrivateKey(rawKeyBuffer, 'livenet');
-        } else {
-            return res.status(400).json({ success: false, error: 'No private key found' });
-        }
+        res.json({
+            success: true,
+            valid: simulation.valid,
+            error: simulation.valid ? undefined : interpreter.describeFailure(simulation),
+            simulation
+        });
         
-        // Verify address matches
-        const derivedAddress = bsvPrivKey.toAddress().toString();
-        if (derivedAddress !== funding.address) {
-            console.log(`❌ Address mismatch! Derived: ${derivedAddress}, Expected: ${funding.address}`);
-            return res.status(400).json({ success: false, error: `Key mismatch: derived ${derivedAddress} but expected ${funding.address}` });
+    } catch (error) {
+        console.error('Simulate error:', error);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/decode - Decode raw transaction hex locally
+ *
+ * Body: { rawTx, prevouts?, fetchPrevouts? }
+ * Recognises the vault templates in outputs and unlocking scripts, and
+ * recovers the message a WOTS-16 unlock signs. With prevouts (given, or
+ * looked up on the chain when fetchPrevouts is true) it adds the spent
+ * templates and the fee.
+ */
+app.post('/api/decode', async (req, res) => {
+    try {
+        const { rawTx, prevouts, fetchPrevouts: lookup } = req.body;
+        
+        if (!rawTx || typeof rawTx !== 'string' || !/^([0-9a-fA-F]{2})+$/.test(rawTx.trim())) {
+            return res.status(400).json({ success: false, error: 'rawTx (hex) required' });
         }
         
-        console.log(`✅ Key verified: ${derivedAddress}`);
+        const tx = interpreter.parseTransaction(rawTx.trim());
+        const spent = prevouts || (lookup === true ? await fetchPrevouts(tx.inputs) : null);
+        const decoded = interpreter.decodeTransaction(rawTx.trim(), spent);
         
-        // Get UTXOs
-        const utxos = await getUTXOs(funding.address);
-        console.log(`📥 Found ${utxos.length} UTXOs in funding address`);
+        decoded.outputs.forEach(output => {
+            output.address = scriptToAddress(Buffer.from(output.scriptPubKey.hex, 'hex'));
+        });
         
-        if (utxos.length === 0) {
-            return res.status(400).json({ success: false, error: 'No funds found in funding address' });
-        }
+        console.log(`\n🔎 Decoded ${decoded.txid}: ${decoded.inputs.map(i => i.unlock.type).join(', ')} → ${decoded.outputs.map(o => o.template.type).join(', ')}`);
         
-        let totalInput = 0;
-        utxos.forEach(u => totalInput += u.value);
-        console.log(`💰 Total available: ${totalInput} satoshis`);
+        res.json({ success: true, transaction: decoded });
         
-        // Calculate fee
-        const lockingScriptSize = lockingScript.length / 2;
-        const estimatedSize = 10 + (utxos.length * 148) + lockingScriptSize + 9;
-        const fee = Math.ceil(estimatedSize * CONFIG.FEE_RATE_STANDARD);
+    } catch (error) {
+        console.error('Decode error:', error);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/asm - Disassemble or assemble a script
+ *
+ * Body: { script: hex, annotate? } -> { asm }
+ *       { asm }                    -> { script: hex }
+ */
+app.post('/api/asm', (req, res) => {
+    try {
+        const { script, asm, annotate } = req.body;
         
-        if (totalInput < fee + CONFIG.MIN_OUTPUT) {
-            return res.status(400).json({ success: false, error: `Insufficient funds: ${totalInput} sats (need ${fee + CONFIG.MIN_OUTPUT})` });
+        if (typeof script === 'string') {
+            if (!/^([0-9a-fA-F]{2})*$/.test(script)) {
+                return res.status(400).json({ success: false, error: 'script must be hex' });
+            }
+            return res.json({
+                success: true,
+                asm: interpreter.scriptToASM(script, { annotate: annotate === true }),
+                size: script.length / 2
+            });
         }
         
-        const outputValue = totalInput - fee;
+        if (typeof asm === 'string') {
+            const assembled = interpreter.asmToScript(asm);
+            return res.json({ success: true, script: assembled.toString('hex'), size: assembled.length });
+        }
         
-        console.log(`📝 Building deposit transaction:`);
-        console.log(`   Input: ${totalInput} sats`);
-        console.log(`   Output: ${outputValue} sats (to vault)`);
-        console.log(`   Fee: ${fee} sats`);
-        
-        // Build transaction
-        const rawTx = buildDepositTransaction(
-            utxos,
-            bsvPrivKey,
-            funding.publicKeyHash,
-            lockingScript,
-            outputValue
-        );
+        res.status(400).json({ success: false, error: 'script (hex) or asm required' });
         
-        console.log(`📡 Broadcasting ${rawTx.length} byte transaction...`);
-        const result = await broadcastTransaction(rawTx.toString('hex'));
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/verify-signature - Check a WOTS-16 signature without running script
+ *
+ * Body: { signature, message?, publicKeyHash? | publicCommitments? | lockingScript? }
+ *   signature          hex: the 68 chain values (2176 bytes), or a WOTS-16
+ *                      unlocking script as found on chain
+ *   message            32-byte hex; taken from the unlocking script when omitted
+ *   publicCommitments  68 hex strings or one 2176-byte hex blob
+ *   lockingScript      a WOTS-16 vault script; its commitments or publicKeyHash are used
+ */
+app.post('/api/verify-signature', (req, res) => {
+    try {
+        const { signature, publicKeyHash, publicCommitments, lockingScript } = req.body;
+        let { message } = req.body;
         
-        if (result.success) {
-            console.log(`✅ Deposit successful: ${result.txid}`);
-            res.json({
-                success: true,
-                txid: result.txid,
-                explorerLink: `https://whatsonchain.com/tx/${result.txid}`,
-                details: {
-                    vaultId: vaultId,
-                    toVault: vaultId,
-                    amount: outputValue,
-                    outputValue: outputValue,
-                    fee,
-                    fromAddress: funding.address,
-                    broadcastVia: result.via
-                }
-            });
+        if (!signature || typeof signature !== 'string' || !/^([0-9a-fA-F]{2})+$/.test(signature)) {
+            return res.status(400).json({ success: false, error: 'signature (hex) required' });
+        }
+        
+        let values;
+        let source = 'chain-values';
+        let unlock = null;
+        const totalChunks = wots.WOTS16.CHUNKS + wots.WOTS16.CHECKSUM_CHUNKS;
+        if (signature.length === totalChunks * 64) {
+            values = Buffer.from(signature, 'hex');
         } else {
-            res.status(400).json({ success: false, error: result.error });
+            unlock = interpreter.classifyUnlockingScript(signature);
+            if (!['wots16-full-verification', 'wots16-covenant', 'wots16-compact', 'wots16-xmss'].includes(unlock.type)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `signature is neither ${totalChunks} chain values nor a WOTS-16 unlocking script (${unlock.type})`
+                });
+            }
+            values = unlock.pairs.map(pair => pair.chunk);
+            message = message || unlock.message;
+            source = unlock.type;
+        }
+        
+        if (!message || !/^[0-9a-fA-F]{64}$/.test(message)) {
+            return res.status(400).json({ success: false, error: 'message must be 32 bytes of hex' });
+        }
+        
+        let publicKey = publicCommitments || publicKeyHash;
+        if (lockingScript) {
+            const template = interpreter.classifyScript(lockingScript);
+            publicKey = template.commitments || (template.type === 'wots16-compact' ? template.publicKeyHash : null);
+            if (template.merkleRoot) {
+                // The leaf key is only known from an XMSS unlock whose path leads to this root
+                if (!unlock || unlock.type !== 'wots16-xmss') {
+                    return res.status(400).json({ success: false, error: 'An XMSS lockingScript needs the XMSS unlocking script as signature' });
+                }
+                if (unlock.merkleRoot !== template.merkleRoot) {
+                    return res.status(400).json({ success: false, error: 'The authentication path does not lead to this lockingScript\'s merkleRoot' });
+                }
+                publicKey = unlock.leafPublicKeyHash;
+            }
+            if (!publicKey) {
+                return res.status(400).json({ success: false, error: `lockingScript is not a WOTS-16 vault script (${template.type})` });
+            }
+        }
+        if (!publicKey) {
+            return res.status(400).json({ success: false, error: 'publicKeyHash, publicCommitments or lockingScript required' });
         }
         
+        const result = wots.verifyWOTS16(publicKey, message, values);
+        
+        console.log(`\n🔏 Signature check (${source}) over ${result.message.slice(0, 16)}...: ${result.valid ? 'VALID' : 'INVALID'}`);
+        
+        res.json({
+            success: true,
+            valid: result.valid,
+            source,
+            message: result.message,
+            publicKeyHash: result.publicKeyHash,
+            ...(unlock && unlock.type === 'wots16-xmss' ? { leafIndex: unlock.leafIndex, merkleRoot: unlock.merkleRoot } : {}),
+            mismatchedChunks: result.mismatchedChunks
+        });
+        
     } catch (error) {
-        console.error('Deposit to vault error:', error);
         res.status(400).json({ success: false, error: error.message });
     }
 });
 
 /**
- * POST /api/sweep - Sweep all funds from vault
+ * POST /api/sign-message - Sign a statement with an ultimate-covenant vault's WOTS-16 key
+ *
+ * Body: { secret, passphrase?, message, consumeKey: true }
+ * The key is one-time, so signing consumes it: later sweeps are refused
+ * until allowSignatureReuse is set. consumeKey must acknowledge that.
  */
-app.post('/api/sweep', async (req, res) => {
+app.post('/api/sign-message', (req, res) => {
     try {
-        const { secret, toAddress, feeRate } = req.body;
+        const { message, passphrase, consumeKey } = req.body;
+        let { secret } = req.body;
         
         if (!secret) {
             return res.status(400).json({ success: false, error: 'Vault secret required' });
         }
-        if (!toAddress) {
-            return res.status(400).json({ success: false, error: 'Destination address required' });
+        if (!message || typeof message !== 'string') {
+            return res.status(400).json({ success: false, error: 'message (text) required' });
         }
-        
-        if (!toAddress.startsWith('1')) {
-            return res.status(400).json({ success: false, error: 'Destination must be P2PKH (starts with 1)' });
+        if (consumeKey !== true) {
+            return res.status(400).json({
+                success: false,
+                error: 'Signing a message consumes the vault\'s one-time WOTS-16 key. Any later sweep signs a ' +
+                    'second message and is refused unless allowSignatureReuse is set. Set consumeKey: true to proceed.'
+            });
         }
         
-        const secretData = JSON.parse(Buffer.from(secret, 'base64').toString());
-        const isWOTS16 = secretData.wots16 && secretData.securityLevel === 'ultimate';
-        const isCovenant = secretData.scriptType === 'wots16-covenant';
+        secret = wots.openSecret(secret, passphrase);
+        const signed = wots.signVaultMessage(secret, message);
         
-        const vault = wots.restoreVaultFromSecret(secret);
-        vault.secret = secret;
+        console.log(`\n✍️ Signed message with vault ${signed.vaultId} (digest ${signed.digest.slice(0, 16)}...)`);
+        console.log('   ⚠️ WOTS-16 key consumed');
         
-        console.log(`\n🔓 Sweeping vault: ${vault.vaultId}`);
-        console.log(`   Security: ${secretData.securityLevel || 'standard'}`);
+        res.json({
+            success: true,
+            signedMessage: signed.encoded,
+            vaultId: signed.vaultId,
+            digest: signed.digest,
+            publicKeyHash: signed.publicKeyHash,
+            signedAt: signed.signedAt,
+            keyConsumed: true,
+            warning: 'This vault\'s WOTS-16 key has now signed a message. Sweeping it needs allowSignatureReuse, ' +
+                'and the two public signatures together weaken the key while the sweep is in the mempool.'
+        });
         
-        const utxos = await getUTXOsByScriptHash(vault.wocScriptHash);
-        console.log(`📥 Found ${utxos.length} UTXOs`);
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/verify-message - Check a signed message
+ *
+ * Body: { signedMessage, lockingScript?, checkBalance? }
+ * lockingScript pins the vault the verifier expects; checkBalance adds
+ * the balance held by the signing vault's script (proof of reserves).
+ */
+app.post('/api/verify-message', async (req, res) => {
+    try {
+        const { signedMessage, lockingScript, checkBalance } = req.body;
         
-        if (utxos.length === 0) {
-            return res.status(400).json({ success: false, error: 'No funds in vault' });
+        if (!signedMessage) {
+            return res.status(400).json({ success: false, error: 'signedMessage required' });
+        }
+        if (!lockingScript || !/^([0-9a-fA-F]{2})+$/.test(lockingScript)) {
+            return res.status(400).json({ success: false, error: 'lockingScript (hex) of the vault you expect is required' });
         }
         
-        let total = 0;
-        utxos.forEach(u => total += u.value);
-        console.log(`💰 Total: ${total} sats`);
+        const result = wots.verifySignedMessage(signedMessage, { lockingScript });
         
-        if (total < CONFIG.MIN_SWEEP) {
-            return res.status(400).json({ success: false, error: `Insufficient funds: ${total} sats` });
+        let balance;
+        if (checkBalance === true && result.valid) {
+            const utxos = await getUTXOsByScriptHash(result.scriptHash);
+            const confirmed = utxos.filter(u => u.height > 0).reduce((sum, u) => sum + u.value, 0);
+            const total = utxos.reduce((sum, u) => sum + u.value, 0);
+            balance = { confirmed, unconfirmed: total - confirmed, total, utxoCount: utxos.length };
         }
         
-        const rate = parseInt(feeRate) || CONFIG.FEE_RATE_STANDARD;
+        console.log(`\n🔏 Signed message from vault ${result.vaultId}: ${result.valid ? 'VALID' : 'INVALID'}`);
         
-        if (isCovenant && isWOTS16) {
-            console.log('🛡️ Building WOTS-16 COVENANT transaction');
-            const txResult = await buildWOTS16CovenantTransaction(vault, utxos, toAddress, rate);
-            const result = await broadcastTransaction(txResult.rawTx);
-            
-            if (result.success) {
-                res.json({
-                    success: true,
-                    txid: result.txid,
-                    explorerLink: `https://whatsonchain.com/tx/${result.txid}`,
-                    details: {
-                        from: vault.vaultId,
-                        to: toAddress,
-                        inputValue: total,
-                        outputValue: txResult.outputValue,
-                        fee: txResult.fee,
-                        size: txResult.txSize,
-                        broadcastVia: result.via,
-                        signatureType: 'WOTS-16 + Covenant',
-                        frontRunImmune: true,
-                        quantumSafeSpend: true
-                    }
-                });
-            } else {
-                res.status(400).json({ success: false, error: result.error });
-            }
-        } else {
-            console.log('📝 Building standard transaction');
-            const tx = buildStandardSweepTransaction(utxos, vault, toAddress, rate);
-            const result = await broadcastTransaction(tx.rawHex);
-            
-            if (result.success) {
-                res.json({
-                    success: true,
-                    txid: result.txid,
-                    explorerLink: `https://whatsonchain.com/tx/${result.txid}`,
-                    details: {
-                        from: vault.vaultId,
-                        to: toAddress,
-                        inputValue: tx.inputValue,
-                        outputValue: tx.outputValue,
-                        fee: tx.fee,
-                        size: tx.size,
-                        broadcastVia: result.via,
-                        signatureType: 'Winternitz OTS',
-                        frontRunImmune: false,
-                        quantumSafeSpend: false
-                    }
-                });
-            } else {
-                res.status(400).json({ success: false, error: result.error });
-            }
+        res.json({ success: true, ...result, balance });
+        
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/xmss-status - Leaf usage of an XMSS vault
+ *
+ * Body: { secret, passphrase? }. A leaf is used once the signing ledger
+ * holds a message for its key or a spend on chain has revealed it; spends
+ * take the lowest unused leaf.
+ */
+app.post('/api/xmss-status', async (req, res) => {
+    try {
+        const { passphrase } = req.body;
+        let { secret } = req.body;
+        
+        if (!secret) {
+            return res.status(400).json({ success: false, error: 'Vault secret required' });
+        }
+        
+        secret = wots.openSecret(secret, passphrase);
+        const secretData = JSON.parse(Buffer.from(secret, 'base64').toString());
+        if (!secretData.xmss) {
+            return res.status(400).json({ success: false, error: 'Not an XMSS vault (create one with security=ultimate-xmss)' });
         }
         
+        const vault = wots.restoreVaultFromSecret(secret);
+        const spentLeaves = await xmssChainLeaves(secretData, vault.wocScriptHash);
+        const leaves = wots.xmssLeafStatus(wots.restoreXMSSTree(secretData), spentLeaves);
+        const used = leaves.filter(leaf => leaf.used);
+        const next = leaves.find(leaf => !leaf.used);
+        
+        res.json({
+            success: true,
+            vaultId: vault.vaultId,
+            height: secretData.xmss.height,
+            merkleRoot: secretData.xmss.root,
+            leaves: leaves.length,
+            used: used.length,
+            remaining: leaves.length - used.length,
+            nextLeaf: next ? next.leafIndex : null,
+            usedLeaves: used.map(leaf => ({
+                leafIndex: leaf.leafIndex,
+                publicKeyHash: leaf.publicKeyHash,
+                onChain: leaf.onChain,
+                signatures: leaf.signatures
+            }))
+        });
+        
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/signatures/:publicKeyHash - Messages signed by a WOTS-16 key
+ */
+app.get('/api/signatures/:publicKeyHash', (req, res) => {
+    const { publicKeyHash } = req.params;
+    
+    if (!/^[0-9a-fA-F]{64}$/.test(publicKeyHash)) {
+        return res.status(400).json({ success: false, error: 'publicKeyHash must be 32 bytes of hex' });
+    }
+    
+    try {
+        const signatures = ledger.getSignatures(publicKeyHash);
+        res.json({
+            success: true,
+            publicKeyHash: publicKeyHash.toLowerCase(),
+            count: signatures.length,
+            reused: signatures.length > 1,
+            signatures
+        });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/regtest/fund - Create coins on the mock chain
+ */
+app.post('/api/regtest/fund', (req, res) => {
+    if (!providers.chain.fund) {
+        return res.status(400).json({ success: false, error: 'Only available with CHAIN_PROVIDER=mock' });
+    }
+    
+    const { address, lockingScript, satoshis } = req.body;
+    const amount = parseInt(satoshis);
+    
+    if (!address && !lockingScript) {
+        return res.status(400).json({ success: false, error: 'address or lockingScript required' });
+    }
+    if (!(amount > 0)) {
+        return res.status(400).json({ success: false, error: 'satoshis must be a positive integer' });
+    }
+    
+    try {
+        const utxo = providers.chain.fund(address || lockingScript, amount);
+        res.json({ success: true, ...utxo, height: providers.chain.getHeight() });
     } catch (error) {
-        console.error('Sweep error:', error);
         res.status(400).json({ success: false, error: error.message });
     }
 });
 
+/**
+ * POST /api/regtest/mine - Confirm mempool transactions on the mock chain
+ */
+app.post('/api/regtest/mine', (req, res) => {
+    if (!providers.chain.mine) {
+        return res.status(400).json({ success: false, error: 'Only available with CHAIN_PROVIDER=mock' });
+    }
+    
+    const height = providers.chain.mine(parseInt(req.body.blocks) || 1);
+    res.json({ success: true, height });
+});
+
 /**
  * GET /api/price
  */
@@ -1289,6 +3438,19 @@ app.get('/api/price', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/fee-quote - Local fee policies in mAPI feeQuote shape
+ *
+ * Any policy name is accepted as `feePolicy` by the routes that build
+ * transactions; `satPerKb` (or legacy `feeRate`, sat/byte) overrides it.
+ */
+app.get('/api/fee-quote', (req, res) => {
+    res.json({
+        success: true,
+        quote: fees.buildFeeQuote({ network: CONFIG.NETWORK, dustLimit: CONFIG.MIN_OUTPUT })
+    });
+});
+
 /**
  * GET /api/tx/:txid
  */
@@ -0,0 +1,25 @@
+/**
+ * BSV Quantum Vault - End-to-end tests
+ *
+ * Registers the cases in test/*.test.js and runs them against server.js on
+ * the in-memory mock chain. See test/harness.js.
+ *
+ * Run with `npm test`.
+ *
+ * @version 1
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { run } = require('./test/harness');
+
+const TEST_DIR = path.join(__dirname, 'test');
+for (const file of fs.readdirSync(TEST_DIR).filter(name => name.endsWith('.test.js')).sort()) {
+    require(path.join(TEST_DIR, file));
+}
+
+run().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,42 @@
+/**
+ * Disassembler and assembler: ASM round trips byte for byte
+ */
+
+const assert = require('assert');
+
+const { test, get, post, expectSuccess, fundedVault, newAddress } = require('./harness');
+
+async function roundTrip(script, what) {
+    for (const annotate of [false, true]) {
+        const { asm } = expectSuccess(await post('/api/asm', { script, annotate }), `${what} disassemble`);
+        const assembled = expectSuccess(await post('/api/asm', { asm }), `${what} assemble`);
+        assert.strictEqual(assembled.script, script, `${what}${annotate ? ' (annotated)' : ''}`);
+        assert.strictEqual(assembled.size, script.length / 2);
+    }
+}
+
+test('vault locking and unlocking scripts survive an ASM round trip', async () => {
+    for (const level of ['ultimate-covenant', 'compact', 'standard']) {
+        const vault = await get(`/api/create?security=${level}`);
+        await roundTrip(vault.lockingScript, level);
+    }
+
+    const vault = await fundedVault('security=ultimate-covenant');
+    const swept = expectSuccess(await post('/api/sweep', { secret: vault.secret, toAddress: await newAddress() }), 'sweep');
+    const tx = expectSuccess(await get(`/api/tx/${swept.txid}`), 'tx').transaction;
+    await roundTrip(tx.vin[0].scriptSig.hex, 'covenant unlock');
+});
+
+test('ASM keeps non-minimal pushes and unknown opcodes', async () => {
+    // PUSHDATA1 of one byte, PUSHDATA2 of two, a 1-byte direct push of 0x05, then 0xba
+    await roundTrip('4c01ff4d0200abcd0105ba', 'non-minimal');
+
+    const unknown = await post('/api/asm', { asm: 'OP_DUP OP_FROBNICATE' });
+    assert.strictEqual(unknown.success, false);
+    assert.match(unknown.error, /Unknown opcode OP_FROBNICATE/);
+
+    const malformed = expectSuccess(await post('/api/asm', { script: '4c05ff' }), 'truncated push');
+    const refused = await post('/api/asm', { asm: malformed.asm });
+    assert.strictEqual(refused.success, false);
+    assert.match(refused.error, /malformed/);
+});
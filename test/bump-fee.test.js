@@ -0,0 +1,54 @@
+/**
+ * Child-pays-for-parent fee bumps for unconfirmed sweeps
+ */
+
+const assert = require('assert');
+
+const fees = require('../fees');
+const { test, get, post, expectSuccess, fundedVault } = require('./harness');
+
+async function cheapSweep() {
+    const vault = await fundedVault('security=ultimate-covenant');
+    const funding = expectSuccess(await post('/api/generate-funding-address'), 'funding address');
+    const swept = expectSuccess(await post('/api/sweep', {
+        secret: vault.secret,
+        toAddress: funding.fundingAddress,
+        satPerKb: 100
+    }), 'sweep');
+    return { swept, funding };
+}
+
+test('bump-fee lifts an unconfirmed sweep and its child to the target rate', async () => {
+    const { swept, funding } = await cheapSweep();
+
+    const bumped = expectSuccess(await post('/api/bump-fee', { txid: swept.txid, fundingData: funding.fundingData }), 'bump');
+    const { parent, package: pkg } = bumped.details;
+    assert.strictEqual(parent.txid, swept.txid);
+    assert.strictEqual(parent.fee, swept.details.fee);
+    assert.strictEqual(pkg.size, parent.size + bumped.details.size);
+    assert.strictEqual(pkg.fee, parent.fee + bumped.details.fee);
+
+    const policies = expectSuccess(await get('/api/fee-quote'), 'fee quote').quote.fees;
+    const priority = policies.find(policy => policy.feeType === 'priority').miningFee.satoshis;
+    assert.ok(pkg.fee >= fees.feeForSize(pkg.size, priority), `package pays ${pkg.satPerKb} sat/kB`);
+    assert.strictEqual(bumped.details.amount, swept.details.outputValue - bumped.details.fee);
+    assert.strictEqual(bumped.details.toAddress, funding.fundingAddress);
+});
+
+test('bump-fee refuses parents that are confirmed or already pay the rate', async () => {
+    const { swept, funding } = await cheapSweep();
+
+    const low = await post('/api/bump-fee', { txid: swept.txid, fundingData: funding.fundingData, satPerKb: 50 });
+    assert.strictEqual(low.success, false);
+    assert.match(low.error, /nothing to bump/);
+
+    const stranger = expectSuccess(await post('/api/generate-funding-address'), 'funding address');
+    const foreign = await post('/api/bump-fee', { txid: swept.txid, fundingData: stranger.fundingData });
+    assert.strictEqual(foreign.success, false);
+    assert.match(foreign.error, /no unspent output/);
+
+    expectSuccess(await post('/api/regtest/mine'), 'mine');
+    const confirmed = await post('/api/bump-fee', { txid: swept.txid, fundingData: funding.fundingData });
+    assert.strictEqual(confirmed.success, false);
+    assert.match(confirmed.error, /already confirmed/);
+});
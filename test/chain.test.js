@@ -0,0 +1,65 @@
+/**
+ * Mock chain and providers: a sweep at every security level, the retired
+ * ultimate level, and provider error handling
+ */
+
+const assert = require('assert');
+
+const providers = require('../providers');
+const {
+    FUND_SATS, test, get, post, expectSuccess, fund, fundedVault, restoredVault, newAddress
+} = require('./harness');
+
+const SWEEP_LEVELS = [
+    'standard',
+    'enhanced',
+    'maximum',
+    'ultimate-covenant',
+    'ultimate-xmss',
+    'compact',
+    'wots'
+];
+
+for (const level of SWEEP_LEVELS) {
+    test(`sweep ${level} vault`, async () => {
+        const vault = await fundedVault(`security=${level}`);
+        const toAddress = await newAddress();
+
+        const preview = expectSuccess(await post('/api/sweep', { secret: vault.secret, toAddress, dryRun: true }), 'dry run');
+        assert.strictEqual(preview.dryRun, true);
+        assert.strictEqual(preview.transaction.signed, false);
+
+        const swept = expectSuccess(await post('/api/sweep', { secret: vault.secret, toAddress }), 'sweep');
+        assert.match(swept.txid, /^[0-9a-f]{64}$/);
+        assert.ok(swept.details.outputValue > 0 && swept.details.outputValue < FUND_SATS);
+        assert.strictEqual(swept.details.size, preview.transaction.size);
+        assert.strictEqual(swept.details.fee, preview.transaction.fee);
+
+        const balance = await post('/api/balance', { secret: vault.secret });
+        assert.strictEqual(balance.balance.satoshis, 0);
+
+        const again = await post('/api/sweep', { secret: vault.secret, toAddress });
+        assert.strictEqual(again.success, false);
+    });
+}
+
+test('the retired ultimate level is refused for new vaults but existing ones still sweep', async () => {
+    const created = await get('/api/create?security=ultimate');
+    assert.strictEqual(created.success, false);
+    assert.match(created.error, /retired/);
+    const wallet = await post('/api/wallet/create', { security: 'ultimate' });
+    assert.strictEqual(wallet.success, false);
+
+    const vault = await restoredVault('ultimate');
+    await fund(vault.lockingScript);
+    const swept = expectSuccess(await post('/api/sweep', { secret: vault.secret, toAddress: await newAddress() }), 'sweep');
+    assert.match(swept.details.warning, /retired/);
+
+    const balance = await post('/api/balance', { secret: vault.secret });
+    assert.strictEqual(balance.balance.satoshis, 0);
+});
+
+test('WhatsOnChain script UTXO errors propagate instead of reading as an empty vault', async () => {
+    const provider = providers.createWhatsOnChainProvider({ baseUrl: 'http://127.0.0.1:1', timeout: 2000 });
+    await assert.rejects(provider.getUTXOsByScriptHash('00'.repeat(32)), /Script UTXOs unavailable/);
+});
@@ -0,0 +1,55 @@
+/**
+ * Compact WOTS-16: a short script whose unlock is single use and not bound
+ * to the spending transaction's outputs
+ */
+
+const assert = require('assert');
+
+const { FUND_SATS, test, get, post, expectSuccess, fundedVault, newAddress } = require('./harness');
+
+test('unbound-output levels report the spend as not quantum-safe', async () => {
+    for (const level of ['compact', 'wots']) {
+        const vault = await fundedVault(`security=${level}`);
+        const swept = expectSuccess(await post('/api/sweep', { secret: vault.secret, toAddress: await newAddress() }), level);
+        assert.strictEqual(swept.details.quantumSafeSpend, false);
+        assert.match(swept.details.warning, /not bound/);
+    }
+});
+
+test('a compact unlock still verifies with its output redirected', async () => {
+    const vault = await fundedVault('security=compact');
+    const swept = expectSuccess(await post('/api/sweep', { secret: vault.secret, toAddress: await newAddress() }), 'sweep');
+    const { transaction } = expectSuccess(await get(`/api/tx/${swept.txid}`), 'tx');
+
+    // The same swap that breaks a covenant sweep: nothing here signs the outputs
+    const output = transaction.vout[0].scriptPubKey.hex;
+    const redirected = output.slice(0, 6) + 'ee'.repeat(20) + output.slice(46);
+    const result = expectSuccess(await post('/api/simulate', { rawTx: transaction.hex.replace(output, redirected) }), 'simulate');
+    assert.strictEqual(result.valid, true);
+});
+
+test('a spent compact script is refused as a deposit or payment target', async () => {
+    const compact = await fundedVault('security=compact');
+    assert.strictEqual(compact.security.singleUse, true);
+    expectSuccess(await post('/api/sweep', { secret: compact.secret, toAddress: await newAddress() }), 'compact sweep');
+
+    const funding = expectSuccess(await post('/api/generate-funding-address'), 'funding address');
+    expectSuccess(await post('/api/regtest/fund', { address: funding.fundingAddress, satoshis: FUND_SATS }), 'fund');
+    const deposit = await post('/api/deposit-to-vault', { fundingData: funding.fundingData, vaultLockingScript: compact.lockingScript });
+    assert.strictEqual(deposit.success, false);
+    assert.match(deposit.error, /already spent/);
+
+    const source = await fundedVault('security=ultimate-covenant');
+    const payment = await post('/api/sweep', {
+        secret: source.secret,
+        destination: { vaultId: compact.vaultId, lockingScript: compact.lockingScript }
+    });
+    assert.strictEqual(payment.success, false);
+    assert.match(payment.error, /already spent/);
+
+    const fresh = await get('/api/create?security=compact');
+    expectSuccess(await post('/api/sweep', {
+        secret: source.secret,
+        destination: { vaultId: fresh.vaultId, lockingScript: fresh.lockingScript }
+    }), 'sweep into a fresh compact vault');
+});
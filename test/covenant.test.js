@@ -0,0 +1,21 @@
+/**
+ * Ultimate Covenant: OP_PUSH_TX ties the WOTS-16 signature to the spending
+ * transaction's outputs
+ */
+
+const assert = require('assert');
+
+const { test, get, post, expectSuccess, fundedVault, newAddress } = require('./harness');
+
+test('a covenant sweep redirected to another output fails verification', async () => {
+    const vault = await fundedVault('security=ultimate-covenant');
+    const swept = expectSuccess(await post('/api/sweep', { secret: vault.secret, toAddress: await newAddress() }), 'sweep');
+    assert.strictEqual(swept.details.frontRunImmune, true);
+    const { transaction } = expectSuccess(await get(`/api/tx/${swept.txid}`), 'tx');
+
+    // Swap the P2PKH output's hash for another one, as a front-runner would
+    const output = transaction.vout[0].scriptPubKey.hex;
+    const redirected = output.slice(0, 6) + 'ee'.repeat(20) + output.slice(46);
+    const result = expectSuccess(await post('/api/simulate', { rawTx: transaction.hex.replace(output, redirected) }), 'simulate');
+    assert.strictEqual(result.valid, false);
+});
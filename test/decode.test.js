@@ -0,0 +1,58 @@
+/**
+ * Transaction decoder: templates, recovered WOTS-16 messages and fees
+ */
+
+const assert = require('assert');
+
+const wots = require('../winternitz');
+const interpreter = require('../interpreter');
+const { test, get, post, expectSuccess, fundedVault, newAddress } = require('./harness');
+
+function serializeOutputs(outputs) {
+    return Buffer.concat(outputs.map(output => {
+        const value = Buffer.alloc(8);
+        value.writeBigUInt64LE(BigInt(output.value));
+        const script = Buffer.from(output.scriptPubKey.hex, 'hex');
+        return Buffer.concat([value, interpreter.encodeVarInt(script.length), script]);
+    }));
+}
+
+test('decode recognises a covenant sweep and recovers the message it signs', async () => {
+    const vault = await fundedVault('security=ultimate-covenant');
+    const toAddress = await newAddress();
+    const swept = expectSuccess(await post('/api/sweep', { secret: vault.secret, toAddress, data: 'beef' }), 'sweep');
+    const rawTx = expectSuccess(await get(`/api/tx/${swept.txid}`), 'tx').transaction.hex;
+
+    const decoded = expectSuccess(await post('/api/decode', { rawTx, fetchPrevouts: true }), 'decode').transaction;
+    assert.strictEqual(decoded.txid, swept.txid);
+    assert.strictEqual(decoded.fee, swept.details.fee);
+    assert.strictEqual(decoded.inputValue, swept.details.inputValue);
+
+    const [input] = decoded.inputs;
+    assert.strictEqual(input.prevout.lockingScript.type, 'wots16-covenant');
+    assert.strictEqual(input.prevout.lockingScript.vault, true);
+    assert.strictEqual(input.unlock.type, 'wots16-covenant');
+    assert.strictEqual(input.unlock.checksumValid, true);
+    assert.strictEqual(input.unlock.message, wots.hash256(serializeOutputs(decoded.outputs)).toString('hex'));
+
+    const data = decoded.outputs.find(output => output.template.type === 'op-return');
+    const payment = decoded.outputs.find(output => output.template.type === 'p2pkh');
+    assert.strictEqual(data.value, 0);
+    assert.strictEqual(payment.address, toAddress);
+    assert.strictEqual(payment.value, swept.details.outputValue);
+});
+
+test('decode leaves out the fee without prevouts and rejects bad hex', async () => {
+    const vault = await fundedVault('security=ultimate-covenant');
+    const swept = expectSuccess(await post('/api/sweep', { secret: vault.secret, toAddress: await newAddress() }), 'sweep');
+    const rawTx = expectSuccess(await get(`/api/tx/${swept.txid}`), 'tx').transaction.hex;
+
+    const decoded = expectSuccess(await post('/api/decode', { rawTx }), 'decode').transaction;
+    assert.strictEqual(decoded.fee, undefined);
+    assert.strictEqual(decoded.inputs[0].prevout, undefined);
+    assert.strictEqual(decoded.inputs[0].unlock.type, 'wots16-covenant');
+
+    const bad = await post('/api/decode', { rawTx: 'xyz' });
+    assert.strictEqual(bad.success, false);
+    assert.match(bad.error, /hex/);
+});
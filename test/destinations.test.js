@@ -0,0 +1,40 @@
+/**
+ * Sweep destinations: addresses, other vaults and raw output scripts
+ */
+
+const assert = require('assert');
+
+const { FUND_SATS, test, get, post, expectSuccess, fundedVault } = require('./harness');
+
+test('a sweep pays another vault named by its secret', async () => {
+    const source = await fundedVault('security=ultimate-covenant');
+    const target = await get('/api/create?security=ultimate-covenant');
+
+    const swept = expectSuccess(await post('/api/sweep', { secret: source.secret, destination: { vaultSecret: target.secret } }), 'sweep');
+    assert.strictEqual(swept.details.to, target.vaultId);
+    assert.strictEqual(swept.details.destinationType, 'wots16-covenant');
+
+    const balance = await post('/api/balance', { secret: target.secret });
+    assert.strictEqual(balance.balance.satoshis, FUND_SATS - swept.details.fee);
+});
+
+test('raw output scripts need nonStandard unless they match a template', async () => {
+    const vault = await fundedVault('security=ultimate-covenant');
+
+    const unflagged = await post('/api/sweep', { secret: vault.secret, destination: { script: '51' } });
+    assert.strictEqual(unflagged.success, false);
+    assert.match(unflagged.error, /nonStandard: true/);
+
+    const opReturn = await post('/api/sweep', { secret: vault.secret, destination: { script: '006a02cafe' } });
+    assert.strictEqual(opReturn.success, false);
+    assert.match(opReturn.error, /unspendable/);
+
+    const self = await post('/api/sweep', { secret: vault.secret, destination: { script: vault.lockingScript } });
+    assert.strictEqual(self.success, false);
+    assert.match(self.error, /vault being spent/);
+
+    const swept = expectSuccess(await post('/api/sweep', { secret: vault.secret, destination: { script: '51', nonStandard: true } }), 'sweep');
+    assert.strictEqual(swept.details.to, 'script:nonstandard');
+    const tx = expectSuccess(await get(`/api/tx/${swept.txid}`), 'tx').transaction;
+    assert.strictEqual(tx.vout[0].scriptPubKey.hex, '51');
+});
@@ -0,0 +1,24 @@
+/**
+ * Dry runs: same-size previews with placeholder unlocks, nothing signed
+ */
+
+const assert = require('assert');
+
+const { test, get, post, expectSuccess, fundedVault, newAddress, wots16KeyHash } = require('./harness');
+
+test('dry runs sign nothing, so previews to different addresses leak no signatures', async () => {
+    const vault = await fundedVault('security=ultimate-covenant');
+    const placeholder = 'ff'.repeat(32);
+
+    for (let i = 0; i < 2; i++) {
+        const preview = expectSuccess(await post('/api/sweep', { secret: vault.secret, toAddress: await newAddress(), dryRun: true }), 'dry run');
+        assert.strictEqual(preview.transaction.signed, false);
+        assert.strictEqual(preview.transaction.simulation.valid, null);
+        assert.ok(preview.transaction.decoded.vin[0].scriptSig.hex.includes(placeholder));
+    }
+    const recorded = expectSuccess(await get(`/api/signatures/${wots16KeyHash(vault.secret)}`), 'signatures');
+    assert.strictEqual(recorded.count, 0);
+
+    const swept = expectSuccess(await post('/api/sweep', { secret: vault.secret, toAddress: await newAddress() }), 'sweep');
+    assert.match(swept.txid, /^[0-9a-f]{64}$/);
+});
@@ -0,0 +1,65 @@
+/**
+ * Passphrase-encrypted secrets (scrypt + AES-256-GCM envelope)
+ */
+
+const assert = require('assert');
+
+const wots = require('../winternitz');
+const { test, get, post, expectSuccess } = require('./harness');
+
+const PASSPHRASE = 'correct horse battery staple';
+
+async function encryptedVault() {
+    const vault = expectSuccess(await get('/api/create?security=standard'), 'create');
+    const { encryptedSecret } = expectSuccess(await post('/api/encrypt-secret', { secret: vault.secret, passphrase: PASSPHRASE }), 'encrypt');
+    return { vault, encryptedSecret };
+}
+
+// Flip one ciphertext byte; optionally re-seal the outer checksum so only
+// the GCM tag can catch it
+function tamper(encryptedSecret, resealChecksum) {
+    const prefix = encryptedSecret.slice(0, encryptedSecret.indexOf(':') + 1);
+    const data = Buffer.from(encryptedSecret.slice(prefix.length), 'base64');
+    const body = data.slice(0, -4);
+    body[5 + 16 + 12] ^= 0x01;
+    const checksum = resealChecksum ? wots.hash256(body).slice(0, 4) : data.slice(-4);
+    return prefix + Buffer.concat([body, checksum]).toString('base64');
+}
+
+test('an encrypted secret opens only with its passphrase', async () => {
+    const { vault, encryptedSecret } = await encryptedVault();
+    assert.ok(!encryptedSecret.includes(vault.secret));
+
+    const opened = expectSuccess(await post('/api/verify', { secret: encryptedSecret, passphrase: PASSPHRASE }), 'verify');
+    assert.strictEqual(opened.derived.vaultId, vault.vaultId);
+
+    const wrong = await post('/api/verify', { secret: encryptedSecret, passphrase: 'incorrect horse battery' });
+    assert.strictEqual(wrong.success, false);
+    assert.match(wrong.error, /Wrong passphrase/);
+
+    const missing = await post('/api/balance', { secret: encryptedSecret });
+    assert.strictEqual(missing.success, false);
+    assert.match(missing.error, /Passphrase required/);
+});
+
+test('a tampered envelope is rejected', async () => {
+    const { encryptedSecret } = await encryptedVault();
+
+    const corrupted = await post('/api/verify', { secret: tamper(encryptedSecret, false), passphrase: PASSPHRASE });
+    assert.strictEqual(corrupted.success, false);
+    assert.match(corrupted.error, /checksum mismatch/);
+
+    const forged = await post('/api/verify', { secret: tamper(encryptedSecret, true), passphrase: PASSPHRASE });
+    assert.strictEqual(forged.success, false);
+    assert.match(forged.error, /Wrong passphrase/);
+});
+
+test('encrypt-secret refuses short passphrases and double encryption', async () => {
+    const { vault, encryptedSecret } = await encryptedVault();
+
+    const short = await post('/api/encrypt-secret', { secret: vault.secret, passphrase: 'short' });
+    assert.strictEqual(short.success, false);
+
+    const twice = await post('/api/encrypt-secret', { secret: encryptedSecret, passphrase: PASSPHRASE });
+    assert.strictEqual(twice.success, false);
+});
@@ -0,0 +1,39 @@
+/**
+ * Fees from the serialized size at the requested rate or policy
+ */
+
+const assert = require('assert');
+
+const fees = require('../fees');
+const { test, get, post, expectSuccess, fundedVault, newAddress } = require('./harness');
+
+test('the sweep fee is the rate applied to the broadcast size', async () => {
+    const policies = expectSuccess(await get('/api/fee-quote'), 'fee quote').quote.fees;
+    const priority = policies.find(policy => policy.feeType === 'priority').miningFee.satoshis;
+
+    for (const [rate, options] of [[priority, { feePolicy: 'priority' }], [750, { satPerKb: 750 }], [1500, { feeRate: 1.5 }]]) {
+        for (const level of ['standard', 'ultimate-covenant']) {
+            const vault = await fundedVault(`security=${level}`);
+            const swept = expectSuccess(await post('/api/sweep', { secret: vault.secret, toAddress: await newAddress(), ...options }), level);
+            const tx = expectSuccess(await get(`/api/tx/${swept.txid}`), 'tx').transaction;
+
+            const size = tx.hex.length / 2;
+            assert.strictEqual(swept.details.size, size, `${level} size`);
+            assert.strictEqual(swept.details.fee, fees.feeForSize(size, rate), `${level} fee at ${rate} sat/kB`);
+            assert.strictEqual(swept.details.inputValue - swept.details.outputValue, swept.details.fee);
+        }
+    }
+});
+
+test('unknown fee policies and excessive rates are refused', async () => {
+    const vault = await fundedVault('security=standard');
+    const toAddress = await newAddress();
+
+    const unknown = await post('/api/sweep', { secret: vault.secret, toAddress, feePolicy: 'urgent' });
+    assert.strictEqual(unknown.success, false);
+    assert.match(unknown.error, /Unknown fee policy/);
+
+    const excessive = await post('/api/sweep', { secret: vault.secret, toAddress, satPerKb: fees.MAX_SAT_PER_KB + 1 });
+    assert.strictEqual(excessive.success, false);
+    assert.match(excessive.error, /exceeds/);
+});
@@ -0,0 +1,139 @@
+/**
+ * BSV Quantum Vault - Test harness
+ *
+ * Test files register cases with test(name, fn); run() starts server.js on
+ * the in-memory mock chain (CHAIN_PROVIDER=mock) with a throwaway signing
+ * ledger, runs every case in registration order against its HTTP API and
+ * prints a summary.
+ *
+ * @version 1
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const axios = require('axios');
+
+const wots = require('../winternitz');
+
+const PORT = parseInt(process.env.TEST_PORT) || 3900 + (process.pid % 100);
+const BASE = `http://127.0.0.1:${PORT}`;
+const FUND_SATS = 100000;
+
+// =============================================================================
+// REGISTRATION
+// =============================================================================
+
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+// =============================================================================
+// HTTP
+// =============================================================================
+
+async function get(route) {
+    const res = await axios.get(BASE + route, { validateStatus: () => true });
+    return res.data;
+}
+
+async function post(route, body) {
+    const res = await axios.post(BASE + route, body || {}, { validateStatus: () => true });
+    return res.data;
+}
+
+function expectSuccess(result, what) {
+    assert.strictEqual(result.success, true, `${what} failed: ${result.error}`);
+    return result;
+}
+
+// =============================================================================
+// VAULTS AND ADDRESSES
+// =============================================================================
+
+async function fund(lockingScript, satoshis = FUND_SATS) {
+    return expectSuccess(await post('/api/regtest/fund', { lockingScript, satoshis }), 'fund');
+}
+
+async function fundedVault(query) {
+    const vault = expectSuccess(await get(`/api/create?${query}`), `create ${query}`);
+    await fund(vault.lockingScript);
+    return vault;
+}
+
+// Vaults of a retired level can no longer be created, only restored
+async function restoredVault(level) {
+    return expectSuccess(await post('/api/restore', { seed: wots.generateSeed().toString('hex'), securityLevel: level }), `restore ${level}`);
+}
+
+// Hash of a WOTS-16 vault's one-time key, as the signature ledger lists it
+function wots16KeyHash(secret) {
+    return JSON.parse(Buffer.from(secret, 'base64').toString()).wots16.publicKeyHash;
+}
+
+async function newAddress() {
+    return expectSuccess(await post('/api/generate-funding-address'), 'funding address').fundingAddress;
+}
+
+// =============================================================================
+// RUNNER
+// =============================================================================
+
+async function startServer(dataDir) {
+    const server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, PORT: String(PORT), CHAIN_PROVIDER: 'mock', QV_DATA_DIR: dataDir },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    server.stdout.on('data', chunk => { output += chunk; });
+    server.stderr.on('data', chunk => { output += chunk; });
+
+    for (let i = 0; i < 100; i++) {
+        if (server.exitCode !== null) break;
+        try {
+            await axios.get(BASE + '/api/health', { timeout: 1000 });
+            return server;
+        } catch (e) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+    server.kill();
+    throw new Error(`Server did not start on port ${PORT}:\n${output}`);
+}
+
+async function run() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qv-test-'));
+    const server = await startServer(dataDir);
+    let failed = 0;
+
+    try {
+        for (const { name, fn } of tests) {
+            try {
+                await fn();
+                console.log(`✅ ${name}`);
+            } catch (error) {
+                failed++;
+                console.log(`❌ ${name}\n   ${error.message}`);
+            }
+        }
+    } finally {
+        server.kill();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n${tests.length - failed}/${tests.length} passed`);
+    if (failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    FUND_SATS,
+    test, get, post, expectSuccess,
+    fund, fundedVault, restoredVault, wots16KeyHash, newAddress,
+    run
+};
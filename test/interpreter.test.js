@@ -0,0 +1,82 @@
+/**
+ * Local script interpreter: verifying real vault spends before broadcast,
+ * and the resource limits that keep a hostile /api/simulate payload from
+ * blocking the server
+ */
+
+const assert = require('assert');
+
+const interpreter = require('../interpreter');
+const { test, get, post, expectSuccess, fundedVault, newAddress } = require('./harness');
+
+test('simulate accepts a broadcast covenant sweep and rejects a tampered chain value', async () => {
+    const vault = await fundedVault('security=ultimate-covenant');
+    const swept = expectSuccess(await post('/api/sweep', { secret: vault.secret, toAddress: await newAddress() }), 'sweep');
+    const { transaction } = expectSuccess(await get(`/api/tx/${swept.txid}`), 'tx');
+
+    const genuine = expectSuccess(await post('/api/simulate', { rawTx: transaction.hex }), 'simulate');
+    assert.strictEqual(genuine.valid, true, genuine.error);
+
+    // Flip one bit of the first pushed chain value
+    const scriptSig = transaction.vin[0].scriptSig.hex;
+    const tampered = scriptSig.slice(0, 2) + (parseInt(scriptSig.slice(2, 4), 16) ^ 1).toString(16).padStart(2, '0') + scriptSig.slice(4);
+    const forged = expectSuccess(await post('/api/simulate', { rawTx: transaction.hex.replace(scriptSig, tampered) }), 'simulate tampered');
+    assert.strictEqual(forged.valid, false);
+    assert.match(forged.error, /^Input 0: .* locking script/);
+});
+
+function pushData(length, byte) {
+    const size = Buffer.alloc(4);
+    size.writeUInt32LE(length);
+    return '4e' + size.toString('hex') + byte.repeat(length);
+}
+
+test('interpreter rejects oversized stack elements', () => {
+    const result = interpreter.verifyScript(pushData(interpreter.MAX_ELEMENT_SIZE + 1, '11'), '51', {}, { requirePushOnly: false });
+    assert.strictEqual(result.success, false);
+});
+
+test('interpreter caps OP_CAT growth', () => {
+    const result = interpreter.verifyScript('0111', '767e'.repeat(30) + '51', {}, { requirePushOnly: false });
+    assert.strictEqual(result.success, false);
+});
+
+test('interpreter caps the stack item count', () => {
+    const result = interpreter.verifyScript('', '51'.repeat(interpreter.MAX_STACK_ITEMS + 1), {}, { requirePushOnly: false });
+    assert.strictEqual(result.success, false);
+});
+
+test('interpreter caps the op count', () => {
+    const result = interpreter.verifyScript('51', '61'.repeat(interpreter.MAX_OPS + 1), {}, { requirePushOnly: false });
+    assert.strictEqual(result.success, false);
+});
+
+test('interpreter stops a large-element shift loop at the processing budget', () => {
+    // OP_DUP 1 OP_LSHIFT OP_DROP over a 1 MB element, far more times than the budget allows
+    const started = Date.now();
+    const result = interpreter.verifyScript(
+        pushData(interpreter.MAX_ELEMENT_SIZE, 'ab'),
+        '76519875'.repeat(20000) + '51',
+        {},
+        { requirePushOnly: false }
+    );
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /Processing limit exceeded/);
+    assert.ok(Date.now() - started < 5000, `took ${Date.now() - started} ms`);
+});
+
+test('interpreter still runs ordinary arithmetic', () => {
+    const result = interpreter.verifyScript('5152', '935387', {}, { requirePushOnly: false });
+    assert.strictEqual(result.success, true, result.error);
+});
+
+test('simulate reports a limit breach instead of hanging', async () => {
+    const result = await post('/api/simulate', {
+        unlockingScript: '0111',
+        lockingScript: '767e'.repeat(30) + '51'
+    });
+    expectSuccess(result, 'simulate');
+    assert.strictEqual(result.valid, false);
+    assert.match(result.result.error, /exceeds/);
+});
+
@@ -0,0 +1,37 @@
+/**
+ * One-time signature ledger: a WOTS-16 key signs one message, and every
+ * signature it made is listed by /api/signatures
+ */
+
+const assert = require('assert');
+
+const { test, get, post, expectSuccess, fund, fundedVault, newAddress, wots16KeyHash } = require('./harness');
+
+test('sweep refuses a second message for a signed key unless reuse is allowed', async () => {
+    const vault = await fundedVault('security=ultimate-covenant');
+    const publicKeyHash = wots16KeyHash(vault.secret);
+    expectSuccess(await post('/api/sweep', { secret: vault.secret, toAddress: await newAddress() }), 'first sweep');
+
+    const recorded = expectSuccess(await get(`/api/signatures/${publicKeyHash}`), 'signatures');
+    assert.strictEqual(recorded.count, 1);
+    assert.strictEqual(recorded.reused, false);
+
+    await fund(vault.lockingScript);
+    const second = await post('/api/sweep', { secret: vault.secret, toAddress: await newAddress() });
+    assert.strictEqual(second.success, false);
+    assert.match(second.error, /already signed/i);
+
+    expectSuccess(await post('/api/sweep', {
+        secret: vault.secret,
+        toAddress: await newAddress(),
+        allowSignatureReuse: true
+    }), 'sweep with reuse allowed');
+    const reused = expectSuccess(await get(`/api/signatures/${publicKeyHash}`), 'signatures after reuse');
+    assert.strictEqual(reused.count, 2);
+    assert.strictEqual(reused.reused, true);
+});
+
+test('the signature ledger rejects a malformed key hash', async () => {
+    const result = await get('/api/signatures/not-a-hash');
+    assert.strictEqual(result.success, false);
+});
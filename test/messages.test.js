@@ -0,0 +1,75 @@
+/**
+ * Signed messages and attestations with a vault's WOTS-16 key
+ */
+
+const assert = require('assert');
+
+const wots = require('../winternitz');
+const { test, get, post, expectSuccess, fundedVault, restoredVault, wots16KeyHash, newAddress } = require('./harness');
+
+test('verify-message accepts a genuine signature', async () => {
+    const vault = await get('/api/create?security=ultimate-covenant');
+    const signed = expectSuccess(await post('/api/sign-message', {
+        secret: vault.secret,
+        message: 'proof of reserves',
+        consumeKey: true
+    }), 'sign');
+
+    const result = expectSuccess(await post('/api/verify-message', {
+        signedMessage: signed.signedMessage,
+        lockingScript: vault.lockingScript
+    }), 'verify');
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.vaultId, vault.vaultId);
+});
+
+test('sign-message refuses vaults whose script lets the spender choose the digits', async () => {
+    for (const vault of [await get('/api/create?security=compact'), await restoredVault('ultimate')]) {
+        const signed = await post('/api/sign-message', { secret: vault.secret, message: 'proof of reserves', consumeKey: true });
+        assert.strictEqual(signed.success, false);
+        assert.match(signed.error, /ultimate-covenant/);
+    }
+});
+
+test('verify-message rejects a forged vaultId', async () => {
+    const signer = await get('/api/create?security=ultimate-covenant');
+    const victim = await get('/api/create?security=ultimate-covenant');
+    const signed = expectSuccess(await post('/api/sign-message', {
+        secret: signer.secret,
+        message: 'I control this vault',
+        consumeKey: true
+    }), 'sign');
+
+    const forged = wots.decodeSignedMessage(signed.signedMessage);
+    forged.vaultId = victim.vaultId;
+    const signedMessage = wots.encodeSignedMessage(forged);
+
+    const againstVictim = expectSuccess(await post('/api/verify-message', {
+        signedMessage,
+        lockingScript: victim.lockingScript
+    }), 'verify against victim');
+    assert.strictEqual(againstVictim.valid, false);
+
+    const againstSigner = expectSuccess(await post('/api/verify-message', {
+        signedMessage,
+        lockingScript: signer.lockingScript
+    }), 'verify against signer');
+    assert.strictEqual(againstSigner.valid, false);
+
+    const missing = await post('/api/verify-message', { signedMessage });
+    assert.strictEqual(missing.success, false);
+});
+
+test('signing a message consumes the key for later sweeps', async () => {
+    const vault = await fundedVault('security=ultimate-covenant');
+    const unacknowledged = await post('/api/sign-message', { secret: vault.secret, message: 'proof of reserves' });
+    assert.strictEqual(unacknowledged.success, false);
+
+    expectSuccess(await post('/api/sign-message', { secret: vault.secret, message: 'proof of reserves', consumeKey: true }), 'sign');
+    const recorded = expectSuccess(await get(`/api/signatures/${wots16KeyHash(vault.secret)}`), 'signatures');
+    assert.strictEqual(recorded.count, 1);
+
+    const swept = await post('/api/sweep', { secret: vault.secret, toAddress: await newAddress() });
+    assert.strictEqual(swept.success, false);
+    assert.match(swept.error, /already signed/i);
+});
@@ -0,0 +1,26 @@
+/**
+ * Multi-UTXO sweeps: every deposit to a WOTS-16 vault leaves in one transaction
+ */
+
+const assert = require('assert');
+
+const { FUND_SATS, test, get, post, expectSuccess, fund, fundedVault, newAddress, wots16KeyHash } = require('./harness');
+
+test('a WOTS-16 vault with several deposits sweeps them all under one signature', async () => {
+    for (const level of ['ultimate-covenant', 'compact']) {
+        const vault = await fundedVault(`security=${level}`);
+        await fund(vault.lockingScript, 20000);
+        await fund(vault.lockingScript, 30000);
+
+        const swept = expectSuccess(await post('/api/sweep', { secret: vault.secret, toAddress: await newAddress() }), level);
+        assert.strictEqual(swept.details.inputs, 3, level);
+        assert.strictEqual(swept.details.inputValue, FUND_SATS + 50000, level);
+
+        const tx = expectSuccess(await get(`/api/tx/${swept.txid}`), 'tx').transaction;
+        assert.strictEqual(tx.vin.length, 3);
+        assert.strictEqual(tx.vout.length, 1);
+
+        const recorded = expectSuccess(await get(`/api/signatures/${wots16KeyHash(vault.secret)}`), 'signatures');
+        assert.strictEqual(recorded.reused, false, level);
+    }
+});
@@ -0,0 +1,53 @@
+/**
+ * Hash-based m-of-n multisig vaults
+ */
+
+const assert = require('assert');
+
+const wots = require('../winternitz');
+const multisig = require('../multisig');
+const { test, post, expectSuccess, fund, newAddress } = require('./harness');
+
+test('2-of-3 multisig combines two partial signatures', async () => {
+    const keys = [];
+    for (let i = 0; i < 3; i++) {
+        keys.push(expectSuccess(await post('/api/multisig/key'), 'key'));
+    }
+
+    const vault = expectSuccess(await post('/api/multisig/create', {
+        m: 2,
+        publicKeyHashes: keys.map(k => k.publicKeyHash)
+    }), 'create');
+    await fund(vault.lockingScript);
+
+    const proposal = expectSuccess(await post('/api/multisig/propose', {
+        descriptor: vault.descriptor,
+        toAddress: await newAddress()
+    }), 'propose').proposal;
+
+    const signatures = [];
+    for (const key of [keys[0], keys[2]]) {
+        const signed = expectSuccess(await post('/api/multisig/sign', { proposal, keySecret: key.keySecret }), 'sign');
+        signatures.push(signed.partialSignature);
+    }
+
+    const short = await post('/api/multisig/combine', { proposal, signatures: signatures.slice(0, 1) });
+    assert.strictEqual(short.success, false);
+
+    const combined = expectSuccess(await post('/api/multisig/combine', { proposal, signatures }), 'combine');
+    assert.match(combined.txid, /^[0-9a-f]{64}$/);
+});
+
+test('multisig proposals hash outputs over 64 KB with a 5-byte length', () => {
+    const script = Buffer.alloc(0x10000, 0x6a);
+    const proposal = {
+        inputs: [{ txid: '11'.repeat(32), vout: 0 }],
+        outputs: [{ value: 1000, script: script.toString('hex') }]
+    };
+    const value = Buffer.alloc(8);
+    value.writeBigUInt64LE(1000n);
+    const length = Buffer.from([0xfe, 0x00, 0x00, 0x01, 0x00]);
+
+    const { hashOutputs } = multisig.proposalMessage(proposal);
+    assert.ok(hashOutputs.equals(wots.hash256(Buffer.concat([value, length, script]))));
+});
@@ -0,0 +1,29 @@
+/**
+ * Networks: vaults and addresses of another network are refused
+ */
+
+const assert = require('assert');
+
+const wots = require('../winternitz');
+const { test, get, post, expectSuccess, fundedVault } = require('./harness');
+
+test('a vault or address from another network is refused', async () => {
+    const { network } = await get('/api/health');
+    const other = network === 'mainnet' ? 'testnet' : 'mainnet';
+
+    const foreign = expectSuccess(await post('/api/restore', {
+        seed: wots.generateSeed().toString('hex'),
+        securityLevel: 'ultimate-covenant',
+        network: other
+    }), 'restore');
+    assert.strictEqual(foreign.network, other);
+    const balance = await post('/api/balance', { secret: foreign.secret });
+    assert.strictEqual(balance.success, false);
+    assert.match(balance.error, new RegExp(`is for ${other} but this server is running on ${network}`));
+
+    const vault = await fundedVault('security=ultimate-covenant');
+    const otherAddress = wots.base58CheckEncode(wots.getNetwork(other).addressVersion, Buffer.alloc(20, 0x11));
+    const swept = await post('/api/sweep', { secret: vault.secret, toAddress: otherAddress });
+    assert.strictEqual(swept.success, false);
+    assert.match(swept.error, new RegExp(`${network} P2PKH address`));
+});
@@ -0,0 +1,43 @@
+/**
+ * Key rotation: sweeping a vault into its successor
+ */
+
+const assert = require('assert');
+
+const { FUND_SATS, test, post, expectSuccess, fundedVault, restoredVault, newAddress } = require('./harness');
+
+test('rotate moves the funds into a fresh successor vault', async () => {
+    const vault = await fundedVault('security=ultimate-covenant');
+
+    const preview = expectSuccess(await post('/api/rotate', { secret: vault.secret, dryRun: true }), 'dry run');
+    assert.strictEqual(preview.transaction.signed, false);
+    expectSuccess(await post('/api/rotate', { secret: vault.secret, dryRun: true }), 'second dry run');
+
+    const rotated = expectSuccess(await post('/api/rotate', {
+        secret: vault.secret,
+        successorSecret: preview.successor.secret
+    }), 'rotate');
+    assert.strictEqual(rotated.successor.vaultId, preview.successor.vaultId);
+    assert.notStrictEqual(rotated.successor.vaultId, vault.vaultId);
+
+    const oldBalance = await post('/api/balance', { secret: vault.secret });
+    assert.strictEqual(oldBalance.balance.satoshis, 0);
+
+    // A successor passed in is the caller's own; only its public parts come back
+    assert.strictEqual(rotated.successor.secret, null);
+    const successorSecret = preview.successor.secret;
+
+    const newBalance = await post('/api/balance', { secret: successorSecret });
+    assert.ok(newBalance.balance.satoshis > 0 && newBalance.balance.satoshis < FUND_SATS);
+    assert.strictEqual(newBalance.balance.satoshis, rotated.lineage.amount);
+
+    const swept = expectSuccess(await post('/api/sweep', { secret: successorSecret, toAddress: await newAddress() }), 'successor sweep');
+    assert.match(swept.txid, /^[0-9a-f]{64}$/);
+});
+
+test('rotating an empty vault is refused', async () => {
+    const vault = await restoredVault('ultimate-covenant');
+    const rotated = await post('/api/rotate', { secret: vault.secret });
+    assert.strictEqual(rotated.success, false);
+    assert.match(rotated.error, /No funds/);
+});
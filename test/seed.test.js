@@ -0,0 +1,30 @@
+/**
+ * Deterministic keys: a vault rebuilds byte for byte from its seed backup,
+ * and the compact secret stands in for the full one
+ */
+
+const assert = require('assert');
+
+const { test, post, expectSuccess, fundedVault, newAddress } = require('./harness');
+
+test('a vault restores from its mnemonic backup and sweeps with its compact secret', async () => {
+    const vault = await fundedVault('security=ultimate-covenant');
+    assert.ok(vault.seedBackup.mnemonic, 'mnemonic');
+
+    const restored = expectSuccess(await post('/api/restore', vault.seedBackup), 'restore');
+    assert.strictEqual(restored.lockingScript, vault.lockingScript);
+    assert.strictEqual(restored.vaultId, vault.vaultId);
+    assert.strictEqual(restored.secret, vault.secret);
+
+    const balance = expectSuccess(await post('/api/balance', { secret: vault.compactSecret }), 'balance');
+    assert.ok(balance.balance.satoshis > 0);
+    expectSuccess(await post('/api/sweep', { secret: vault.compactSecret, toAddress: await newAddress() }), 'sweep');
+});
+
+test('restore needs a mnemonic or seed and rejects a bad one', async () => {
+    const missing = await post('/api/restore', { securityLevel: 'standard' });
+    assert.strictEqual(missing.success, false);
+
+    const short = await post('/api/restore', { seed: 'abcd', securityLevel: 'standard' });
+    assert.strictEqual(short.success, false);
+});
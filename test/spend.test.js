@@ -0,0 +1,63 @@
+/**
+ * Multiple-recipient payouts from one vault
+ */
+
+const assert = require('assert');
+
+const { FUND_SATS, test, get, post, expectSuccess, fundedVault, newAddress } = require('./harness');
+
+const sats = output => Math.round(output.value * 1e8);
+
+test('spend pays every recipient and an OP_RETURN in one transaction', async () => {
+    const vault = await fundedVault('security=ultimate-covenant');
+    const [first, second, changeAddress] = [await newAddress(), await newAddress(), await newAddress()];
+
+    const spent = expectSuccess(await post('/api/spend', {
+        secret: vault.secret,
+        outputs: [{ address: first, amount: 20000 }, { address: second, amount: 15000 }, { data: 'cafe' }],
+        change: changeAddress
+    }), 'spend');
+    const { details } = spent;
+    assert.strictEqual(spent.changeVault, null);
+    assert.strictEqual(details.totalSent, 35000);
+    assert.strictEqual(details.changeTo, changeAddress);
+    assert.strictEqual(details.totalSent + details.change + details.fee, FUND_SATS);
+
+    const tx = expectSuccess(await get(`/api/tx/${spent.txid}`), 'tx').transaction;
+    const paid = address => tx.vout.find(output => output.scriptPubKey.addresses.includes(address));
+    assert.strictEqual(tx.vout.length, 4);
+    assert.strictEqual(sats(paid(first)), 20000);
+    assert.strictEqual(sats(paid(second)), 15000);
+    assert.strictEqual(sats(paid(changeAddress)), details.change);
+    assert.ok(tx.vout.some(output => output.scriptPubKey.hex === '006a02cafe' && output.value === 0));
+});
+
+test('spend without a change destination creates a change vault', async () => {
+    const vault = await fundedVault('security=ultimate-covenant');
+    const spent = expectSuccess(await post('/api/spend', {
+        secret: vault.secret,
+        outputs: [{ address: await newAddress(), amount: 10000 }]
+    }), 'spend');
+
+    assert.strictEqual(spent.details.changeTo, spent.changeVault.vaultId);
+    const changeBalance = await post('/api/balance', { secret: spent.changeVault.secret });
+    assert.strictEqual(changeBalance.balance.satoshis, spent.details.change);
+});
+
+test('spend names the output it cannot accept', async () => {
+    const vault = await fundedVault('security=ultimate-covenant');
+    const toAddress = await newAddress();
+
+    const dust = await post('/api/spend', { secret: vault.secret, outputs: [{ address: toAddress, amount: 20000 }, { address: toAddress, amount: 1 }] });
+    assert.strictEqual(dust.success, false);
+    assert.match(dust.error, /^outputs\[1\]/);
+
+    const both = await post('/api/spend', {
+        secret: vault.secret,
+        outputs: [{ address: toAddress, amount: 20000 }],
+        change: toAddress,
+        changeSecret: vault.secret
+    });
+    assert.strictEqual(both.success, false);
+    assert.match(both.error, /not both/);
+});
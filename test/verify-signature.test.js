@@ -0,0 +1,58 @@
+/**
+ * Independent WOTS-16 signature checks, from chain values or an on-chain unlock
+ */
+
+const assert = require('assert');
+
+const { test, get, post, expectSuccess, fundedVault, wots16KeyHash, newAddress } = require('./harness');
+
+async function sweptUnlock() {
+    const vault = await fundedVault('security=ultimate-covenant');
+    const swept = expectSuccess(await post('/api/sweep', { secret: vault.secret, toAddress: await newAddress() }), 'sweep');
+    const rawTx = expectSuccess(await get(`/api/tx/${swept.txid}`), 'tx').transaction.hex;
+    const [input] = expectSuccess(await post('/api/decode', { rawTx }), 'decode').transaction.inputs;
+    return { vault, scriptSig: input.scriptSig.hex, unlock: input.unlock };
+}
+
+test('verify-signature accepts a sweep unlock against its vault', async () => {
+    const { vault, scriptSig, unlock } = await sweptUnlock();
+
+    const fromScript = expectSuccess(await post('/api/verify-signature', {
+        signature: scriptSig,
+        lockingScript: vault.lockingScript
+    }), 'verify unlock');
+    assert.strictEqual(fromScript.valid, true);
+    assert.strictEqual(fromScript.source, 'wots16-covenant');
+    assert.strictEqual(fromScript.message, unlock.message);
+
+    const fromValues = expectSuccess(await post('/api/verify-signature', {
+        signature: unlock.pairs.map(pair => pair.chunk).join(''),
+        message: unlock.message,
+        publicKeyHash: wots16KeyHash(vault.secret)
+    }), 'verify chain values');
+    assert.strictEqual(fromValues.valid, true);
+    assert.strictEqual(fromValues.source, 'chain-values');
+});
+
+test('verify-signature rejects another message or another key', async () => {
+    const { vault, scriptSig, unlock } = await sweptUnlock();
+
+    const otherMessage = expectSuccess(await post('/api/verify-signature', {
+        signature: scriptSig,
+        message: unlock.message.replace(/^./, digit => (parseInt(digit, 16) ^ 1).toString(16)),
+        lockingScript: vault.lockingScript
+    }), 'verify another message');
+    assert.strictEqual(otherMessage.valid, false);
+    assert.ok(otherMessage.mismatchedChunks.length > 0);
+
+    const stranger = await get('/api/create?security=ultimate-covenant');
+    const otherKey = expectSuccess(await post('/api/verify-signature', {
+        signature: scriptSig,
+        lockingScript: stranger.lockingScript
+    }), 'verify another key');
+    assert.strictEqual(otherKey.valid, false);
+
+    const noKey = await post('/api/verify-signature', { signature: scriptSig });
+    assert.strictEqual(noKey.success, false);
+    assert.match(noKey.error, /required/);
+});
@@ -0,0 +1,70 @@
+/**
+ * Hierarchical wallet: per-vault secrets and the gap-limit scan
+ */
+
+const assert = require('assert');
+
+const { FUND_SATS, test, post, expectSuccess, fund, newAddress } = require('./harness');
+
+function decodeSecret(secret) {
+    return JSON.parse(Buffer.from(secret, 'base64').toString());
+}
+
+test('wallet vault secrets carry their own seed, never the wallet root', async () => {
+    const created = expectSuccess(await post('/api/wallet/create', { security: 'standard' }), 'wallet create');
+    const root = decodeSecret(created.walletSecret).seed;
+    const listed = expectSuccess(await post('/api/wallet/vaults', { walletSecret: created.walletSecret, count: 3 }), 'vaults');
+
+    assert.strictEqual(listed.vaults[0].lockingScript, created.vaults[0].lockingScript);
+    const seeds = listed.vaults.map(vault => decodeSecret(vault.secret).seed);
+    assert.strictEqual(new Set(seeds).size, 3);
+    for (const vault of listed.vaults) {
+        assert.ok(!JSON.stringify(decodeSecret(vault.secret)).includes(root));
+    }
+
+    // The per-vault secret alone still spends its vault
+    const vault = listed.vaults[1];
+    await fund(vault.lockingScript);
+    expectSuccess(await post('/api/sweep', { secret: vault.secret, toAddress: await newAddress() }), 'sweep');
+});
+
+test('wallet scan stops at the gap limit and reports nextUnusedIndex', async () => {
+    const { walletSecret } = expectSuccess(await post('/api/wallet/create', { security: 'standard' }), 'wallet create');
+    const { vaults } = expectSuccess(await post('/api/wallet/vaults', { walletSecret, count: 6 }), 'vaults');
+    for (const index of [0, 2]) {
+        await fund(vaults[index].lockingScript);
+    }
+
+    const narrow = expectSuccess(await post('/api/wallet/scan', { walletSecret, gapLimit: 1 }), 'scan gap 1');
+    assert.deepStrictEqual(narrow.vaults.map(v => v.index), [0]);
+    assert.strictEqual(narrow.scanned, 2);
+    assert.strictEqual(narrow.nextUnusedIndex, 1);
+
+    const wide = expectSuccess(await post('/api/wallet/scan', { walletSecret, gapLimit: 2 }), 'scan gap 2');
+    assert.deepStrictEqual(wide.vaults.map(v => v.index), [0, 2]);
+    assert.strictEqual(wide.scanned, 5);
+    assert.strictEqual(wide.nextUnusedIndex, 3);
+    assert.strictEqual(wide.balance.satoshis, 2 * FUND_SATS);
+
+    // A swept-empty vault stays used, so nextUnusedIndex never hands it out again
+    expectSuccess(await post('/api/sweep', { secret: vaults[2].secret, toAddress: await newAddress() }), 'sweep');
+    const after = expectSuccess(await post('/api/wallet/scan', { walletSecret, gapLimit: 2 }), 'scan after sweep');
+    assert.deepStrictEqual(after.vaults.map(v => v.index), [0]);
+    assert.strictEqual(after.nextUnusedIndex, 3);
+    assert.strictEqual(after.balance.satoshis, FUND_SATS);
+
+    const tooWide = await post('/api/wallet/scan', { walletSecret, gapLimit: 51 });
+    assert.strictEqual(tooWide.success, false);
+});
+
+test('a wallet recreated from its mnemonic derives the same vaults', async () => {
+    const created = expectSuccess(await post('/api/wallet/create', { security: 'standard' }), 'wallet create');
+    assert.ok(created.mnemonic, 'mnemonic');
+    const again = expectSuccess(await post('/api/wallet/create', { security: 'standard', mnemonic: created.mnemonic }), 'wallet from mnemonic');
+
+    const listed = expectSuccess(await post('/api/wallet/vaults', { walletSecret: again.walletSecret, count: 2 }), 'vaults');
+    assert.strictEqual(listed.vaults[0].lockingScript, created.vaults[0].lockingScript);
+
+    const tooMany = await post('/api/wallet/vaults', { walletSecret: again.walletSecret, count: 51 });
+    assert.strictEqual(tooMany.success, false);
+});
@@ -0,0 +1,47 @@
+/**
+ * Partial withdrawals: the payment plus change into a new vault
+ */
+
+const assert = require('assert');
+
+const { FUND_SATS, test, get, post, expectSuccess, fundedVault, newAddress } = require('./harness');
+
+test('withdraw pays the amount and sends the change to a new vault', async () => {
+    const vault = await fundedVault('security=ultimate-covenant');
+    const toAddress = await newAddress();
+
+    const withdrawn = expectSuccess(await post('/api/withdraw', { secret: vault.secret, toAddress, amount: 30000 }), 'withdraw');
+    const { details, changeVault } = withdrawn;
+    assert.strictEqual(details.amount, 30000);
+    assert.strictEqual(details.amount + details.change + details.fee, FUND_SATS);
+    assert.strictEqual(details.changeVaultId, changeVault.vaultId);
+    assert.notStrictEqual(changeVault.vaultId, vault.vaultId);
+
+    const tx = expectSuccess(await get(`/api/tx/${withdrawn.txid}`), 'tx').transaction;
+    const sats = output => Math.round(output.value * 1e8);
+    const payment = tx.vout.find(output => output.scriptPubKey.addresses.includes(toAddress));
+    const change = tx.vout.find(output => output.scriptPubKey.hex === changeVault.lockingScript);
+    assert.strictEqual(tx.vout.length, 2);
+    assert.strictEqual(sats(payment), 30000);
+    assert.strictEqual(sats(change), details.change);
+
+    const oldBalance = await post('/api/balance', { secret: vault.secret });
+    assert.strictEqual(oldBalance.balance.satoshis, 0);
+    const changeBalance = await post('/api/balance', { secret: changeVault.secret });
+    assert.strictEqual(changeBalance.balance.satoshis, details.change);
+
+    expectSuccess(await post('/api/sweep', { secret: changeVault.secret, toAddress: await newAddress() }), 'change sweep');
+});
+
+test('withdraw refuses amounts below dust or above the balance', async () => {
+    const vault = await fundedVault('security=ultimate-covenant');
+    const toAddress = await newAddress();
+
+    const dust = await post('/api/withdraw', { secret: vault.secret, toAddress, amount: 100 });
+    assert.strictEqual(dust.success, false);
+    assert.match(dust.error, /at least 546/);
+
+    const excess = await post('/api/withdraw', { secret: vault.secret, toAddress, amount: FUND_SATS });
+    assert.strictEqual(excess.success, false);
+    assert.match(excess.error, /Insufficient funds/);
+});
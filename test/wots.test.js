@@ -0,0 +1,34 @@
+/**
+ * Parameterizable Winternitz vaults: w = 4, 16, 256, plain or WOTS+
+ */
+
+const assert = require('assert');
+
+const { test, get, post, expectSuccess, fundedVault, newAddress } = require('./harness');
+
+test('WOTS vaults sweep at every w, plain and WOTS+', async () => {
+    for (const [w, plus] of [[4, false], [4, true], [16, true], [256, false], [256, true]]) {
+        const type = `wots${w}${plus ? '-plus' : ''}`;
+        const vault = await fundedVault(`security=wots&w=${w}&wotsPlus=${plus}`);
+        const swept = expectSuccess(await post('/api/sweep', { secret: vault.secret, toAddress: await newAddress() }), type);
+        assert.strictEqual(swept.details.quantumSafeSpend, false, type);
+
+        const rawTx = expectSuccess(await get(`/api/tx/${swept.txid}`), 'tx').transaction.hex;
+        const decoded = expectSuccess(await post('/api/decode', { rawTx, fetchPrevouts: true }), 'decode').transaction;
+        assert.strictEqual(decoded.inputs[0].prevout.lockingScript.type, type);
+        assert.strictEqual(decoded.inputs[0].unlock.type, type);
+        assert.strictEqual(decoded.inputs[0].unlock.checksumValid, true, type);
+    }
+});
+
+test('a WOTS vault restores from its secret at the same w', async () => {
+    const vault = await get('/api/create?security=wots&w=4&wotsPlus=true');
+    const verified = expectSuccess(await post('/api/verify', { secret: vault.secret }), 'verify');
+    assert.strictEqual(verified.derived.vaultId, vault.vaultId);
+});
+
+test('unsupported Winternitz parameters are refused', async () => {
+    const created = await get('/api/create?security=wots&w=8');
+    assert.strictEqual(created.success, false);
+    assert.match(created.error, /w=8/);
+});
@@ -0,0 +1,45 @@
+/**
+ * XMSS many-time vaults: each spend signs with the next unused leaf
+ */
+
+const assert = require('assert');
+
+const { test, get, post, expectSuccess, fundedVault, newAddress } = require('./harness');
+
+async function leafOf(txid, lockingScript) {
+    const rawTx = expectSuccess(await get(`/api/tx/${txid}`), 'tx').transaction.hex;
+    const [input] = expectSuccess(await post('/api/decode', { rawTx }), 'decode').transaction.inputs;
+    const checked = expectSuccess(await post('/api/verify-signature', { signature: input.scriptSig.hex, lockingScript }), 'verify');
+    assert.strictEqual(checked.valid, true);
+    return checked.leafIndex;
+}
+
+test('XMSS withdrawals keep their change and sign with a fresh leaf each time', async () => {
+    const vault = await fundedVault('security=ultimate-xmss&height=2');
+    const fresh = expectSuccess(await post('/api/xmss-status', { secret: vault.secret }), 'status');
+    assert.strictEqual(fresh.leaves, 4);
+    assert.strictEqual(fresh.nextLeaf, 0);
+
+    const txids = [];
+    for (let i = 0; i < 2; i++) {
+        const withdrawn = expectSuccess(await post('/api/withdraw', { secret: vault.secret, toAddress: await newAddress(), amount: 10000 }), `withdraw ${i}`);
+        assert.strictEqual(withdrawn.changeVault, null);
+        assert.strictEqual(withdrawn.details.changeVaultId, vault.vaultId);
+        txids.push(withdrawn.txid);
+    }
+
+    const status = expectSuccess(await post('/api/xmss-status', { secret: vault.secret }), 'status after spends');
+    assert.strictEqual(status.used, 2);
+    assert.strictEqual(status.remaining, 2);
+    assert.strictEqual(status.nextLeaf, 2);
+    assert.deepStrictEqual(status.usedLeaves.map(leaf => leaf.leafIndex), [0, 1]);
+
+    assert.deepStrictEqual([await leafOf(txids[0], vault.lockingScript), await leafOf(txids[1], vault.lockingScript)], [0, 1]);
+});
+
+test('xmss-status refuses a one-time vault', async () => {
+    const vault = await get('/api/create?security=ultimate-covenant');
+    const status = await post('/api/xmss-status', { secret: vault.secret });
+    assert.strictEqual(status.success, false);
+    assert.match(status.error, /Not an XMSS vault/);
+});
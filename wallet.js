@@ -0,0 +1,253 @@
+/**
+ * BSV Quantum Vault - Hierarchical Vault Wallet
+ *
+ * One root seed, many vaults: vault N is createQuantumVault with vaultIndex N
+ * and a seed derived from the root for that index, so a single mnemonic (or
+ * wallet secret) backs up every vault the wallet has ever handed out, while
+ * a vault's own secret never reveals the root. Discovery walks indices in
+ * order and stops after `gapLimit` consecutive vaults that were never used.
+ *
+ * The wallet secret is base64 JSON:
+ *   { type: 'wallet', version, seed, securityLevel, lockTime, network }
+ * and can be passphrase-encrypted like any vault secret.
+ *
+ * @version 1
+ */
+
+const crypto = require('crypto');
+const wots = require('./winternitz');
+const ledger = require('./ledger');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const WALLET_VERSION = 1;
+const DEFAULT_GAP_LIMIT = 5;
+const MAX_GAP_LIMIT = 50;
+const MAX_VAULT_INDEX = 0x7fffffff;
+
+// =============================================================================
+// WALLET SECRET
+// =============================================================================
+
+/**
+ * New wallet from a fresh seed, a mnemonic or an existing seed.
+ * A relative timestamp lockTime is fixed once here so every vault shares it.
+ */
+function createWallet(options = {}) {
+    const {
+        securityLevel = 'standard',
+        lockTime = 0,
+        lockType = 'blocks',
+        network = 'mainnet'
+    } = options;
+
+    wots.getNetwork(network);
+
+    const seed = options.mnemonic ? wots.mnemonicToSeed(options.mnemonic)
+        : options.seed ? wots.normalizeSeed(options.seed)
+        : wots.generateSeed();
+
+    const wallet = {
+        type: 'wallet',
+        version: WALLET_VERSION,
+        seed: seed.toString('hex'),
+        securityLevel,
+        lockTime: wots.resolveLockTime(lockTime, lockType),
+        network
+    };
+
+    let mnemonic = null;
+    try {
+        mnemonic = wots.seedToMnemonic(seed);
+    } catch (e) {
+        // bsv wordlist unavailable; the wallet secret still carries the seed
+    }
+
+    return {
+        wallet,
+        walletSecret: Buffer.from(JSON.stringify(wallet)).toString('base64'),
+        mnemonic
+    };
+}
+
+function isWalletSecret(secret) {
+    return !!(secret && secret.type === 'wallet' && secret.seed);
+}
+
+/**
+ * Decode a (possibly encrypted) wallet secret
+ */
+function openWallet(walletSecret, passphrase = null) {
+    if (!walletSecret) throw new Error('Wallet secret required');
+
+    const trimmed = walletSecret.trim();
+    const plain = wots.isEncryptedSecret(trimmed) ? wots.decryptSecret(trimmed, passphrase) : trimmed;
+
+    let wallet;
+    try {
+        wallet = JSON.parse(Buffer.from(plain, 'base64').toString());
+    } catch (e) {
+        throw new Error('Invalid wallet secret format');
+    }
+
+    if (!isWalletSecret(wallet)) {
+        throw new Error('Not a wallet secret');
+    }
+    if (wallet.version > WALLET_VERSION) {
+        throw new Error(`Unsupported wallet version: ${wallet.version}`);
+    }
+
+    wots.normalizeSeed(wallet.seed);
+    wots.getNetwork(wallet.network || 'mainnet');
+    return wallet;
+}
+
+// =============================================================================
+// DERIVATION
+// =============================================================================
+
+function checkVaultIndex(index) {
+    if (!Number.isInteger(index) || index < 0 || index > MAX_VAULT_INDEX) {
+        throw new Error(`Invalid vault index: ${index}`);
+    }
+}
+
+/**
+ * Seed of vault N:
+ *   HMAC-SHA256(root seed, "QV-WALLET" | index(4 BE))
+ */
+function deriveWalletVaultSeed(wallet, index) {
+    checkVaultIndex(index);
+    const info = Buffer.alloc(4);
+    info.writeUInt32BE(index);
+    return crypto.createHmac('sha256', wots.normalizeSeed(wallet.seed))
+        .update(Buffer.from('QV-WALLET'))
+        .update(info)
+        .digest();
+}
+
+/**
+ * Vault N of the wallet (same shape as createQuantumVault)
+ */
+function deriveWalletVault(wallet, index) {
+    const vault = wots.restoreVaultFromSeed({
+        seed: deriveWalletVaultSeed(wallet, index),
+        vaultIndex: index,
+        securityLevel: wallet.securityLevel,
+        lockTime: wallet.lockTime,
+        network: wallet.network
+    });
+    return { index, ...vault };
+}
+
+/**
+ * Public view of a derived vault; the compact secret is what the sweep,
+ * balance and verify routes take. It holds the vault's own seed, never the
+ * wallet root.
+ */
+function summarizeWalletVault(vault) {
+    return {
+        index: vault.index,
+        vaultId: vault.vaultId,
+        wocScriptHash: vault.wocScriptHash,
+        lockingScript: vault.lockingScript,
+        scriptSize: vault.scriptSize,
+        scriptType: vault.scriptType,
+        securityLevel: vault.securityLevel,
+        lockTime: vault.lockTime,
+        unlockInfo: vault.unlockInfo,
+        network: vault.network,
+        secret: vault.compactSecret
+    };
+}
+
+function listWalletVaults(wallet, from = 0, count = 10) {
+    checkVaultIndex(from);
+    checkVaultIndex(from + count - 1);
+
+    const vaults = [];
+    for (let index = from; index < from + count; index++) {
+        vaults.push(summarizeWalletVault(deriveWalletVault(wallet, index)));
+    }
+    return vaults;
+}
+
+// =============================================================================
+// DISCOVERY
+// =============================================================================
+
+/**
+ * A vault with no UTXOs is still used once its key has signed (ledger) or
+ * its script has any chain history, e.g. after a sweep
+ */
+async function vaultWasUsed(vault, getHistoryByScriptHash) {
+    if (ledger.getSignatures(vault.publicKeyHash).length > 0) return true;
+    if (!getHistoryByScriptHash) return false;
+    return (await getHistoryByScriptHash(vault.wocScriptHash)).length > 0;
+}
+
+/**
+ * Gap-limit scan. getUTXOsByScriptHash is the chain provider's method
+ * (async, WhatsOnChain script hash -> [{ tx_hash, tx_pos, value, height }]);
+ * options.getHistoryByScriptHash, when given, lets a swept-empty vault count
+ * as used instead of as a gap.
+ */
+async function scanWallet(wallet, getUTXOsByScriptHash, options = {}) {
+    const gapLimit = options.gapLimit || DEFAULT_GAP_LIMIT;
+    if (!Number.isInteger(gapLimit) || gapLimit < 1 || gapLimit > MAX_GAP_LIMIT) {
+        throw new Error(`gapLimit must be between 1 and ${MAX_GAP_LIMIT}`);
+    }
+
+    const funded = [];
+    const balance = { confirmed: 0, unconfirmed: 0, total: 0 };
+    let gap = 0;
+    let index = options.from || 0;
+    let scanned = 0;
+    let lastUsed = -1;
+
+    while (gap < gapLimit && index <= MAX_VAULT_INDEX) {
+        const vault = deriveWalletVault(wallet, index);
+        const utxos = await getUTXOsByScriptHash(vault.wocScriptHash);
+        scanned++;
+
+        if (utxos.length > 0) {
+            const confirmed = utxos.filter(u => u.height > 0).reduce((sum, u) => sum + u.value, 0);
+            const unconfirmed = utxos.filter(u => !(u.height > 0)).reduce((sum, u) => sum + u.value, 0);
+
+            funded.push({
+                ...summarizeWalletVault(vault),
+                balance: { confirmed, unconfirmed, total: confirmed + unconfirmed },
+                utxoCount: utxos.length
+            });
+            balance.confirmed += confirmed;
+            balance.unconfirmed += unconfirmed;
+            lastUsed = index;
+            gap = 0;
+        } else if (await vaultWasUsed(vault, options.getHistoryByScriptHash)) {
+            lastUsed = index;
+            gap = 0;
+        } else {
+            gap++;
+        }
+        index++;
+    }
+
+    balance.total = balance.confirmed + balance.unconfirmed;
+
+    return {
+        vaults: funded,
+        balance,
+        scanned,
+        gapLimit,
+        nextUnusedIndex: lastUsed >= 0 ? lastUsed + 1 : (options.from || 0)
+    };
+}
+
+module.exports = {
+    WALLET_VERSION, DEFAULT_GAP_LIMIT, MAX_GAP_LIMIT,
+    createWallet, isWalletSecret, openWallet,
+    deriveWalletVaultSeed, deriveWalletVault, summarizeWalletVault, listWalletVaults,
+    scanWallet
+};
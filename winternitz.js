@@ -5,6 +5,8 @@
  */
 
 const crypto = require('crypto');
+const ledger = require('./ledger');
+const fees = require('./fees');
 
 // =============================================================================
 // CONSTANTS
@@ -16,27 +18,31 @@ const SCALAR_SIZE = 32;
 
 const OP = {
     OP_0: 0x00, OP_FALSE: 0x00,
+    OP_PUSHDATA1: 0x4c, OP_PUSHDATA2: 0x4d, OP_PUSHDATA4: 0x4e, OP_1NEGATE: 0x4f,
+    OP_RESERVED: 0x50,
     OP_1: 0x51, OP_TRUE: 0x51,
     OP_2: 0x52, OP_3: 0x53, OP_4: 0x54, OP_5: 0x55,
     OP_6: 0x56, OP_7: 0x57, OP_8: 0x58, OP_9: 0x59,
     OP_10: 0x5a, OP_11: 0x5b, OP_12: 0x5c, OP_13: 0x5d,
     OP_14: 0x5e, OP_15: 0x5f, OP_16: 0x60,
     
-    OP_IF: 0x63, OP_NOTIF: 0x64, OP_ELSE: 0x67, OP_ENDIF: 0x68,
+    OP_NOP: 0x61, OP_VER: 0x62,
+    OP_IF: 0x63, OP_NOTIF: 0x64, OP_VERIF: 0x65, OP_VERNOTIF: 0x66, OP_ELSE: 0x67, OP_ENDIF: 0x68,
     OP_VERIFY: 0x69, OP_RETURN: 0x6a,
     
     OP_TOALTSTACK: 0x6b, OP_FROMALTSTACK: 0x6c,
     OP_DROP: 0x75, OP_DUP: 0x76, OP_NIP: 0x77, OP_OVER: 0x78,
     OP_PICK: 0x79, OP_ROLL: 0x7a, OP_ROT: 0x7b, OP_SWAP: 0x7c,
     OP_TUCK: 0x7d, OP_2DROP: 0x6d, OP_2DUP: 0x6e, OP_3DUP: 0x6f,
-    OP_2OVER: 0x70, OP_2ROT: 0x71, OP_2SWAP: 0x72, OP_DEPTH: 0x74,
+    OP_2OVER: 0x70, OP_2ROT: 0x71, OP_2SWAP: 0x72, OP_IFDUP: 0x73, OP_DEPTH: 0x74,
     
-    OP_CAT: 0x7e, OP_SPLIT: 0x7f, OP_SIZE: 0x82,
-    OP_AND: 0x84, OP_OR: 0x85, OP_XOR: 0x86,
+    OP_CAT: 0x7e, OP_SPLIT: 0x7f, OP_NUM2BIN: 0x80, OP_BIN2NUM: 0x81, OP_SIZE: 0x82,
+    OP_INVERT: 0x83, OP_AND: 0x84, OP_OR: 0x85, OP_XOR: 0x86,
     
-    OP_1ADD: 0x8b, OP_1SUB: 0x8c, OP_NEGATE: 0x8f, OP_ABS: 0x90,
+    OP_1ADD: 0x8b, OP_1SUB: 0x8c, OP_2MUL: 0x8d, OP_2DIV: 0x8e, OP_NEGATE: 0x8f, OP_ABS: 0x90,
     OP_NOT: 0x91, OP_0NOTEQUAL: 0x92,
     OP_ADD: 0x93, OP_SUB: 0x94, OP_MUL: 0x95, OP_DIV: 0x96, OP_MOD: 0x97,
+    OP_LSHIFT: 0x98, OP_RSHIFT: 0x99, OP_BOOLAND: 0x9a, OP_BOOLOR: 0x9b,
     OP_NUMEQUAL: 0x9c, OP_NUMEQUALVERIFY: 0x9d, OP_NUMNOTEQUAL: 0x9e,
     OP_LESSTHAN: 0x9f, OP_GREATERTHAN: 0xa0,
     OP_LESSTHANOREQUAL: 0xa1, OP_GREATERTHANOREQUAL: 0xa2,
@@ -48,7 +54,12 @@ const OP = {
     OP_CHECKMULTISIG: 0xae, OP_CHECKMULTISIGVERIFY: 0xaf,
     
     OP_CHECKLOCKTIMEVERIFY: 0xb1, OP_CHECKSEQUENCEVERIFY: 0xb2,
-    OP_EQUAL: 0x87, OP_EQUALVERIFY: 0x88,
+    OP_EQUAL: 0x87, OP_EQUALVERIFY: 0x88, OP_RESERVED1: 0x89, OP_RESERVED2: 0x8a,
+    
+    // Post-Genesis CLTV/CSV are NOPs again; their names above win in ASM
+    OP_NOP1: 0xb0, OP_NOP2: 0xb1, OP_NOP3: 0xb2, OP_NOP4: 0xb3, OP_NOP5: 0xb4,
+    OP_NOP6: 0xb5, OP_NOP7: 0xb6, OP_NOP8: 0xb7, OP_NOP9: 0xb8, OP_NOP10: 0xb9,
+    OP_INVALIDOPCODE: 0xff
 };
 
 // =============================================================================
@@ -185,46 +196,130 @@ function encodeLocktimeForScript(lockTime) {
     return Buffer.concat([Buffer.from([data.length]), data]);
 }
 
-function scriptToASM(script) {
-    const opcodeNames = {
-        0x00: 'OP_0', 0x4f: 'OP_1NEGATE',
-        0x51: 'OP_1', 0x52: 'OP_2', 0x53: 'OP_3', 0x54: 'OP_4',
-        0x55: 'OP_5', 0x56: 'OP_6', 0x57: 'OP_7', 0x58: 'OP_8',
-        0x63: 'OP_IF', 0x67: 'OP_ELSE', 0x68: 'OP_ENDIF',
-        0x69: 'OP_VERIFY', 0x75: 'OP_DROP', 0x76: 'OP_DUP',
-        0x7c: 'OP_SWAP', 0x87: 'OP_EQUAL', 0x88: 'OP_EQUALVERIFY',
-        0x96: 'OP_DIV', 0x97: 'OP_MOD', 0xa8: 'OP_SHA256',
-        0xb1: 'OP_CHECKLOCKTIMEVERIFY'
-    };
-    const parts = [];
-    let i = 0;
-    while (i < script.length) {
-        const opcode = script[i];
-        if (opcode >= 0x01 && opcode <= 0x4b) {
-            parts.push(script.slice(i + 1, i + 1 + opcode).toString('hex'));
-            i += 1 + opcode;
-        } else if (opcode === 0x4c) {
-            const len = script[i + 1];
-            parts.push(script.slice(i + 2, i + 2 + len).toString('hex'));
-            i += 2 + len;
-        } else {
-            parts.push(opcodeNames[opcode] || `OP_${opcode.toString(16)}`);
-            i++;
+/**
+ * Script -> ASM. The disassembler (and asmToScript) live with the
+ * interpreter; options.annotate labels WOTS-16 chunk sections.
+ */
+function scriptToASM(script, options = {}) {
+    return require('./interpreter').scriptToASM(script, options);
+}
+
+// =============================================================================
+// SEED DERIVATION
+// =============================================================================
+
+const SEED_SIZE = 32;
+
+// Key types mixed into the PRF so the same (vault, chunk) never collides
+const KEY_TYPE = {
+    WINTERNITZ: 0,
+    WOTS16: 1,
+    EPHEMERAL: 2,
+    WOTS: 0x10,         // generic Winternitz: WOTS | log2(w) (| WOTS_PLUS)
+    WOTS_PLUS: 0x20,
+    XMSS: 0x40,         // Merkle tree leaves: chunk = leaf * 68 + i
+    MULTISIG: 0x50      // custodian keys: vaultIndex = custodian key index
+};
+
+function generateSeed() {
+    return crypto.randomBytes(SEED_SIZE);
+}
+
+function normalizeSeed(seed) {
+    const buf = Buffer.isBuffer(seed) ? seed : Buffer.from(seed, 'hex');
+    if (buf.length !== SEED_SIZE) {
+        throw new Error(`Seed must be ${SEED_SIZE} bytes`);
+    }
+    return buf;
+}
+
+/**
+ * Private scalar PRF:
+ *   HMAC-SHA256(seed, "QV-KEY" | keyType(1) | vaultIndex(4 BE) | chunkIndex(4 BE))
+ */
+function deriveSeedScalar(seed, vaultIndex, keyType, chunkIndex) {
+    const info = Buffer.alloc(9);
+    info[0] = keyType;
+    info.writeUInt32BE(vaultIndex, 1);
+    info.writeUInt32BE(chunkIndex, 5);
+    return crypto.createHmac('sha256', normalizeSeed(seed))
+        .update(Buffer.from('QV-KEY'))
+        .update(info)
+        .digest();
+}
+
+let mnemonicWords = null;
+function getMnemonicWordlist() {
+    if (!mnemonicWords) {
+        try {
+            mnemonicWords = require('bsv/mnemonic').Words.ENGLISH;
+        } catch (e) {
+            throw new Error('Mnemonic support requires the bsv package (npm install bsv)');
         }
     }
-    return parts.join(' ');
+    return mnemonicWords;
+}
+
+/**
+ * Encode a 32-byte seed as a 24-word BIP39 (English) mnemonic
+ * 
+ * The words carry the seed itself as BIP39 entropy; there is no PBKDF2 step.
+ */
+function seedToMnemonic(seed) {
+    const entropy = normalizeSeed(seed);
+    const words = getMnemonicWordlist();
+    const checksum = sha256(entropy)[0];
+    
+    let bits = '';
+    for (const byte of entropy) bits += byte.toString(2).padStart(8, '0');
+    bits += checksum.toString(2).padStart(8, '0');
+    
+    const result = [];
+    for (let i = 0; i < bits.length; i += 11) {
+        result.push(words[parseInt(bits.slice(i, i + 11), 2)]);
+    }
+    return result.join(' ');
+}
+
+function mnemonicToSeed(mnemonic) {
+    const words = getMnemonicWordlist();
+    const parts = mnemonic.trim().toLowerCase().split(/\s+/);
+    if (parts.length !== 24) {
+        throw new Error(`Mnemonic must have 24 words (got ${parts.length})`);
+    }
+    
+    let bits = '';
+    for (const word of parts) {
+        const index = words.indexOf(word);
+        if (index < 0) throw new Error(`Unknown mnemonic word: ${word}`);
+        bits += index.toString(2).padStart(11, '0');
+    }
+    
+    const entropy = Buffer.alloc(SEED_SIZE);
+    for (let i = 0; i < SEED_SIZE; i++) {
+        entropy[i] = parseInt(bits.slice(i * 8, i * 8 + 8), 2);
+    }
+    if (parseInt(bits.slice(256), 2) !== sha256(entropy)[0]) {
+        throw new Error('Mnemonic checksum mismatch');
+    }
+    return entropy;
 }
 
 // =============================================================================
 // WINTERNITZ KEY GENERATION (Original 32-chunk)
 // =============================================================================
 
-function generateWinternitzKeypair() {
+/**
+ * Random scalars by default; deterministic when a seed is given
+ */
+function generateWinternitzKeypair(seed = null, vaultIndex = 0) {
     const privateScalars = [];
     const publicCommitments = [];
     
     for (let i = 0; i < CHUNKS; i++) {
-        const scalar = crypto.randomBytes(SCALAR_SIZE);
+        const scalar = seed
+            ? deriveSeedScalar(seed, vaultIndex, KEY_TYPE.WINTERNITZ, i)
+            : crypto.randomBytes(SCALAR_SIZE);
         privateScalars.push(scalar);
         publicCommitments.push(iteratedSha256(scalar, MAX_ITERATIONS));
     }
@@ -275,15 +370,116 @@ function restoreKeypairFromPrivate(privateKeyHex) {
     };
 }
 
+// =============================================================================
+// NETWORKS
+// =============================================================================
+
+const NETWORKS = {
+    mainnet: {
+        name: 'mainnet',
+        addressVersion: 0x00,
+        wifVersion: 0x80,
+        bsvNetwork: 'livenet',
+        wocBase: 'https://api.whatsonchain.com/v1/bsv/main',
+        explorer: 'https://whatsonchain.com'
+    },
+    testnet: {
+        name: 'testnet',
+        addressVersion: 0x6f,
+        wifVersion: 0xef,
+        bsvNetwork: 'testnet',
+        wocBase: 'https://api.whatsonchain.com/v1/bsv/test',
+        explorer: 'https://test.whatsonchain.com'
+    },
+    regtest: {
+        name: 'regtest',
+        addressVersion: 0x6f,
+        wifVersion: 0xef,
+        bsvNetwork: 'regtest',
+        wocBase: null,
+        explorer: null
+    }
+};
+
+function getNetwork(name) {
+    const network = NETWORKS[name || 'mainnet'];
+    if (!network) {
+        throw new Error(`Unknown network: ${name} (expected ${Object.keys(NETWORKS).join(', ')})`);
+    }
+    return network;
+}
+
+function addressToNetwork(address) {
+    const { version } = base58CheckDecode(address);
+    if (version === 0x00) return 'mainnet';
+    if (version === 0x6f) return 'testnet';
+    throw new Error(`Unsupported address version 0x${version.toString(16)}`);
+}
+
+function explorerTxLink(txid, network) {
+    const { explorer } = getNetwork(network);
+    return explorer ? `${explorer}/tx/${txid}` : null;
+}
+
 // =============================================================================
 // COVENANT KEY
 // =============================================================================
 
 const COVENANT_SEED = "BSV_QUANTUM_VAULT_COVENANT_V1";
+const COVENANT_SEED_V2 = "BSV_QUANTUM_VAULT_COVENANT_V2";
+
+/**
+ * Legacy global covenant key (master secret v4 and earlier)
+ * 
+ * Derived from a public constant, so it is the same for every vault.
+ */
 function getCovenantPrivateKey() {
     return sha256(Buffer.from(COVENANT_SEED));
 }
 
+// secp256k1 group order and generator x-coordinate (r for nonce k = 1)
+const SECP256K1_N = BigInt('0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141');
+const SECP256K1_GX = Buffer.from('79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798', 'hex');
+
+/**
+ * Derive a per-vault covenant key from the vault's WOTS-16 private scalars
+ * 
+ * HMAC-SHA256 keyed with the V2 seed, retried with a counter in the
+ * (negligible) case the result is not a valid secp256k1 scalar.
+ */
+function deriveCovenantPrivateKey(privateScalars) {
+    const material = Buffer.concat(privateScalars);
+    for (let counter = 0; ; counter++) {
+        const key = crypto.createHmac('sha256', COVENANT_SEED_V2)
+            .update(material)
+            .update(Buffer.from([counter]))
+            .digest();
+        const d = BigInt('0x' + key.toString('hex'));
+        if (d > 0n && d < SECP256K1_N) return key;
+    }
+}
+
+/**
+ * Covenant key for a decoded master secret
+ * 
+ * v5+ secrets record a per-vault key; older secrets used the global key.
+ */
+function getVaultCovenantPrivateKey(secret) {
+    if (secret.covenantPrivateKey) {
+        return Buffer.from(secret.covenantPrivateKey, 'hex');
+    }
+    if ((secret.version || 3) >= 5 && secret.wots16) {
+        return deriveCovenantPrivateKey(secret.wots16.privateScalars.map(hex => Buffer.from(hex, 'hex')));
+    }
+    return getCovenantPrivateKey();
+}
+
+function getCovenantPublicKey(privateKey) {
+    const ecdh = crypto.createECDH('secp256k1');
+    ecdh.setPrivateKey(privateKey);
+    return ecdh.getPublicKey(null, 'compressed');
+}
+
 // =============================================================================
 // WOTS-16 PARAMETERS (w=16, 4-bit digits)
 // =============================================================================
@@ -301,13 +497,17 @@ const WOTS16 = {
  * 
  * commitment_i = H^15(private_i)
  * (15 hashes, not 16, so remaining values are 0-15)
+ * 
+ * Random scalars by default; deterministic when a seed is given.
  */
-function generateWOTS16Keypair() {
+function generateWOTS16Keypair(seed = null, vaultIndex = 0) {
     const totalChunks = WOTS16.CHUNKS + WOTS16.CHECKSUM_CHUNKS; // 68
     
     const privateScalars = [];
     for (let i = 0; i < totalChunks; i++) {
-        privateScalars.push(crypto.randomBytes(WOTS16.SCALAR_SIZE));
+        privateScalars.push(seed
+            ? deriveSeedScalar(seed, vaultIndex, KEY_TYPE.WOTS16, i)
+            : crypto.randomBytes(WOTS16.SCALAR_SIZE));
     }
     
     // Hash 15 times to get commitments
@@ -332,40 +532,79 @@ function generateWOTS16Keypair() {
 }
 
 /**
- * Sign a 32-byte message with WOTS-16
- * 
- * For each nibble d (0-15):
- *   sig = H^d(private)
- *   remaining = 15 - d
- * 
- * Verifier hashes sig 'remaining' more times to get commitment.
+ * Refuse a second, different message for a one-time key unless
+ * options.allowReuse is set
  */
-function signWOTS16(keypair, message) {
-    if (message.length !== 32) {
-        throw new Error('Message must be 32 bytes');
+function checkSigningLedger(scheme, publicKeyHashHex, messageHex, options = {}) {
+    const conflicts = ledger.findConflicts(publicKeyHashHex, messageHex);
+    if (conflicts.length > 0 && !options.allowReuse) {
+        const previous = conflicts[0].reason ? `${conflicts[0].reason}, ` : '';
+        throw new Error(`${scheme} key ${publicKeyHashHex.slice(0, 16)}... already signed a different message ` +
+            `(${previous}${conflicts[0].message.slice(0, 16)}... at ${conflicts[0].signedAt}); refusing to reuse a one-time key`);
     }
-    
-    // Convert to 4-bit nibbles
+}
+
+/**
+ * WOTS-16 digits of a 32-byte message: 64 nibbles (high nibble first), then
+ * the checksum of (15 - nibble) as 4 nibbles, least significant first
+ */
+function wots16MessageDigits(message) {
     const messageChunks = [];
     for (let i = 0; i < 32; i++) {
         messageChunks.push((message[i] >> 4) & 0x0F);
         messageChunks.push(message[i] & 0x0F);
     }
     
-    // Calculate checksum
     let checksum = 0;
     for (const chunk of messageChunks) {
         checksum += 15 - chunk;
     }
     
-    // Checksum nibbles
     const checksumChunks = [];
     for (let i = 0; i < WOTS16.CHECKSUM_CHUNKS; i++) {
         checksumChunks.push(checksum & 0x0F);
         checksum >>= 4;
     }
     
-    const allChunks = [...messageChunks, ...checksumChunks];
+    return [...messageChunks, ...checksumChunks];
+}
+
+/**
+ * Keypair from the `wots16` section of a master secret
+ */
+function restoreWOTS16Keypair(stored) {
+    const publicKeyHash = Buffer.from(stored.publicKeyHash, 'hex');
+    return {
+        privateScalars: stored.privateScalars.map(hex => Buffer.from(hex, 'hex')),
+        publicCommitments: stored.publicCommitments.map(hex => Buffer.from(hex, 'hex')),
+        publicKeyHash,
+        publicKeyHashHex: publicKeyHash.toString('hex'),
+        params: stored.params
+    };
+}
+
+/**
+ * Sign a 32-byte message with WOTS-16
+ * 
+ * For each nibble d (0-15):
+ *   sig = H^d(private)
+ *   remaining = 15 - d
+ * 
+ * Verifier hashes sig 'remaining' more times to get commitment.
+ * 
+ * Every signed message is recorded in the spend ledger. Signing a second,
+ * different message with the same key throws unless options.allowReuse is set.
+ */
+function signWOTS16(keypair, message, options = {}) {
+    if (message.length !== 32) {
+        throw new Error('Message must be 32 bytes');
+    }
+    
+    const publicKeyHashHex = keypair.publicKeyHashHex || Buffer.from(keypair.publicKeyHash).toString('hex');
+    const messageHex = message.toString('hex');
+    checkSigningLedger('WOTS-16', publicKeyHashHex, messageHex, options);
+    
+    const allChunks = wots16MessageDigits(message);
     
     // Generate signature
     const signature = [];
@@ -384,6 +623,8 @@ function signWOTS16(keypair, message) {
         });
     }
     
+    ledger.recordSignature(publicKeyHashHex, messageHex, options.reason ? { reason: options.reason } : {});
+    
     return {
         chunks: signature,
         message: message,
@@ -391,10 +632,168 @@ function signWOTS16(keypair, message) {
     };
 }
 
+function toBuffer(value) {
+    return Buffer.isBuffer(value) ? value : Buffer.from(value, 'hex');
+}
+
+/**
+ * Off-chain WOTS-16 verification, no script involved.
+ * 
+ *   publicKey   68 commitments (array or 2176-byte blob), the 32-byte
+ *               publicKeyHash, or a keypair-like { publicCommitments | publicKeyHash }
+ *   message     32 bytes (Buffer or hex)
+ *   signature   signWOTS16 output, 68 chain values, or their 2176-byte blob
+ * 
+ * Digits and checksum are recomputed from the message; any `remaining`
+ * carried by the signature is ignored. Each chain value is hashed
+ * 15 - digit times and compared with its commitment (or, for a
+ * publicKeyHash, the concatenated chain ends are hashed and compared).
+ */
+function verifyWOTS16(publicKey, message, signature) {
+    const totalChunks = WOTS16.CHUNKS + WOTS16.CHECKSUM_CHUNKS;
+    const chainSize = WOTS16.SCALAR_SIZE;
+    
+    const splitBlob = blob => Array.from({ length: blob.length / chainSize },
+        (_, i) => blob.slice(i * chainSize, (i + 1) * chainSize));
+    
+    const messageBuf = toBuffer(message);
+    if (messageBuf.length !== 32) {
+        throw new Error('Message must be 32 bytes');
+    }
+    
+    let values;
+    if (signature && Array.isArray(signature.chunks)) {
+        values = signature.chunks.map(chunk => toBuffer(chunk.value));
+    } else if (Array.isArray(signature)) {
+        values = signature.map(toBuffer);
+    } else {
+        values = splitBlob(toBuffer(signature));
+    }
+    if (values.length !== totalChunks || values.some(value => value.length !== chainSize)) {
+        throw new Error(`Signature must be ${totalChunks} chain values of ${chainSize} bytes`);
+    }
+    
+    let commitments = null;
+    let expectedHash = null;
+    if (publicKey && !Buffer.isBuffer(publicKey) && typeof publicKey === 'object' && !Array.isArray(publicKey)) {
+        publicKey = publicKey.publicCommitments || publicKey.publicKeyHash;
+    }
+    if (Array.isArray(publicKey)) {
+        commitments = publicKey.map(toBuffer);
+    } else {
+        const buf = toBuffer(publicKey);
+        if (buf.length === chainSize) {
+            expectedHash = buf;
+        } else if (buf.length === totalChunks * chainSize) {
+            commitments = splitBlob(buf);
+        }
+    }
+    if (commitments && (commitments.length !== totalChunks || commitments.some(c => c.length !== chainSize))) {
+        throw new Error(`Expected ${totalChunks} commitments of ${chainSize} bytes`);
+    }
+    if (!commitments && !expectedHash) {
+        throw new Error('Public key must be 68 commitments or a 32-byte publicKeyHash');
+    }
+    
+    const digits = wots16MessageDigits(messageBuf);
+    const chainEnds = values.map((value, i) => iteratedSha256(value, 15 - digits[i]));
+    const publicKeyHash = sha256(Buffer.concat(chainEnds));
+    
+    const mismatchedChunks = commitments
+        ? chainEnds.map((end, i) => (end.equals(commitments[i]) ? -1 : i)).filter(i => i >= 0)
+        : null;
+    
+    return {
+        valid: commitments ? mismatchedChunks.length === 0 : publicKeyHash.equals(expectedHash),
+        message: messageBuf.toString('hex'),
+        publicKeyHash: publicKeyHash.toString('hex'),
+        digits,
+        mismatchedChunks
+    };
+}
+
 // =============================================================================
 // WOTS-16 LOCKING SCRIPT v1
 // =============================================================================
 
+/**
+ * Hash-chain block: [sig, rem] -> [H^rem(sig), rem]
+ * 
+ * Hashes sig exactly 'rem' (0-15) times using binary decomposition.
+ */
+function buildHashChainBlock() {
+    const parts = [];
+    
+    // =====================================================================
+    // BINARY DECOMPOSITION (FIXED - uses OP_MOD/OP_DIV, not OP_AND)
+    // =====================================================================
+    // Hash sig_i exactly rem_i times using binary decomposition:
+    //   bit 0: if (rem % 2) hash 1x
+    //   bit 1: if ((rem/2) % 2) hash 2x
+    //   bit 2: if ((rem/4) % 2) hash 4x
+    //   bit 3: if ((rem/8) % 2) hash 8x
+    
+    // Bit 0: hash 1 time if (rem % 2) == 1
+    parts.push(Buffer.from([OP.OP_DUP]));     // sig, rem, rem
+    parts.push(Buffer.from([OP.OP_2]));       // sig, rem, rem, 2
+    parts.push(Buffer.from([OP.OP_MOD]));     // sig, rem, (rem%2)
+    parts.push(Buffer.from([OP.OP_IF]));
+    parts.push(Buffer.from([OP.OP_SWAP]));    // rem, sig
+    parts.push(Buffer.from([OP.OP_SHA256]));  // rem, H(sig)
+    parts.push(Buffer.from([OP.OP_SWAP]));    // H(sig), rem
+    parts.push(Buffer.from([OP.OP_ENDIF]));
+    // Stack: (maybe hashed)sig, rem
+    
+    // Bit 1: hash 2 times if ((rem/2) % 2) == 1
+    parts.push(Buffer.from([OP.OP_DUP]));     // sig, rem, rem
+    parts.push(Buffer.from([OP.OP_2]));       // sig, rem, rem, 2
+    parts.push(Buffer.from([OP.OP_DIV]));     // sig, rem, rem/2
+    parts.push(Buffer.from([OP.OP_2]));       // sig, rem, rem/2, 2
+    parts.push(Buffer.from([OP.OP_MOD]));     // sig, rem, (rem/2)%2
+    parts.push(Buffer.from([OP.OP_IF]));
+    parts.push(Buffer.from([OP.OP_SWAP]));
+    parts.push(Buffer.from([OP.OP_SHA256]));
+    parts.push(Buffer.from([OP.OP_SHA256]));
+    parts.push(Buffer.from([OP.OP_SWAP]));
+    parts.push(Buffer.from([OP.OP_ENDIF]));
+    
+    // Bit 2: hash 4 times if ((rem/4) % 2) == 1
+    parts.push(Buffer.from([OP.OP_DUP]));
+    parts.push(Buffer.from([OP.OP_4]));
+    parts.push(Buffer.from([OP.OP_DIV]));
+    parts.push(Buffer.from([OP.OP_2]));
+    parts.push(Buffer.from([OP.OP_MOD]));
+    parts.push(Buffer.from([OP.OP_IF]));
+    parts.push(Buffer.from([OP.OP_SWAP]));
+    parts.push(Buffer.from([OP.OP_SHA256]));
+    parts.push(Buffer.from([OP.OP_SHA256]));
+    parts.push(Buffer.from([OP.OP_SHA256]));
+    parts.push(Buffer.from([OP.OP_SHA256]));
+    parts.push(Buffer.from([OP.OP_SWAP]));
+    parts.push(Buffer.from([OP.OP_ENDIF]));
+    
+    // Bit 3: hash 8 times if ((rem/8) % 2) == 1
+    parts.push(Buffer.from([OP.OP_DUP]));
+    parts.push(Buffer.from([OP.OP_8]));
+    parts.push(Buffer.from([OP.OP_DIV]));
+    parts.push(Buffer.from([OP.OP_2]));
+    parts.push(Buffer.from([OP.OP_MOD]));
+    parts.push(Buffer.from([OP.OP_IF]));
+    parts.push(Buffer.from([OP.OP_SWAP]));
+    parts.push(Buffer.from([OP.OP_SHA256]));
+    parts.push(Buffer.from([OP.OP_SHA256]));
+    parts.push(Buffer.from([OP.OP_SHA256]));
+    parts.push(Buffer.from([OP.OP_SHA256]));
+    parts.push(Buffer.from([OP.OP_SHA256]));
+    parts.push(Buffer.from([OP.OP_SHA256]));
+    parts.push(Buffer.from([OP.OP_SHA256]));
+    parts.push(Buffer.from([OP.OP_SHA256]));
+    parts.push(Buffer.from([OP.OP_SWAP]));
+    parts.push(Buffer.from([OP.OP_ENDIF]));
+    
+    return Buffer.concat(parts);
+}
+
 /**
  * Build WOTS-16 locking script
  * 
@@ -447,72 +846,7 @@ function buildFullWOTS16LockingScript(publicKeyHash, publicCommitments, options
         parts.push(Buffer.from([OP.OP_SWAP]));
         // Stack: [..., sig_i, rem_i]
         
-        // =====================================================================
-        // BINARY DECOMPOSITION (FIXED - uses OP_MOD/OP_DIV, not OP_AND)
-        // =====================================================================
-        // Hash sig_i exactly rem_i times using binary decomposition:
-        //   bit 0: if (rem % 2) hash 1x
-        //   bit 1: if ((rem/2) % 2) hash 2x
-        //   bit 2: if ((rem/4) % 2) hash 4x
-        //   bit 3: if ((rem/8) % 2) hash 8x
-        
-        // Bit 0: hash 1 time if (rem % 2) == 1
-        parts.push(Buffer.from([OP.OP_DUP]));     // sig, rem, rem
-        parts.push(Buffer.from([OP.OP_2]));       // sig, rem, rem, 2
-        parts.push(Buffer.from([OP.OP_MOD]));     // sig, rem, (rem%2)
-        parts.push(Buffer.from([OP.OP_IF]));
-        parts.push(Buffer.from([OP.OP_SWAP]));    // rem, sig
-        parts.push(Buffer.from([OP.OP_SHA256]));  // rem, H(sig)
-        parts.push(Buffer.from([OP.OP_SWAP]));    // H(sig), rem
-        parts.push(Buffer.from([OP.OP_ENDIF]));
-        // Stack: (maybe hashed)sig, rem
-        
-        // Bit 1: hash 2 times if ((rem/2) % 2) == 1
-        parts.push(Buffer.from([OP.OP_DUP]));     // sig, rem, rem
-        parts.push(Buffer.from([OP.OP_2]));       // sig, rem, rem, 2
-        parts.push(Buffer.from([OP.OP_DIV]));     // sig, rem, rem/2
-        parts.push(Buffer.from([OP.OP_2]));       // sig, rem, rem/2, 2
-        parts.push(Buffer.from([OP.OP_MOD]));     // sig, rem, (rem/2)%2
-        parts.push(Buffer.from([OP.OP_IF]));
-        parts.push(Buffer.from([OP.OP_SWAP]));
-        parts.push(Buffer.from([OP.OP_SHA256]));
-        parts.push(Buffer.from([OP.OP_SHA256]));
-        parts.push(Buffer.from([OP.OP_SWAP]));
-        parts.push(Buffer.from([OP.OP_ENDIF]));
-        
-        // Bit 2: hash 4 times if ((rem/4) % 2) == 1
-        parts.push(Buffer.from([OP.OP_DUP]));
-        parts.push(Buffer.from([OP.OP_4]));
-        parts.push(Buffer.from([OP.OP_DIV]));
-        parts.push(Buffer.from([OP.OP_2]));
-        parts.push(Buffer.from([OP.OP_MOD]));
-        parts.push(Buffer.from([OP.OP_IF]));
-        parts.push(Buffer.from([OP.OP_SWAP]));
-        parts.push(Buffer.from([OP.OP_SHA256]));
-        parts.push(Buffer.from([OP.OP_SHA256]));
-        parts.push(Buffer.from([OP.OP_SHA256]));
-        parts.push(Buffer.from([OP.OP_SHA256]));
-        parts.push(Buffer.from([OP.OP_SWAP]));
-        parts.push(Buffer.from([OP.OP_ENDIF]));
-        
-        // Bit 3: hash 8 times if ((rem/8) % 2) == 1
-        parts.push(Buffer.from([OP.OP_DUP]));
-        parts.push(Buffer.from([OP.OP_8]));
-        parts.push(Buffer.from([OP.OP_DIV]));
-        parts.push(Buffer.from([OP.OP_2]));
-        parts.push(Buffer.from([OP.OP_MOD]));
-        parts.push(Buffer.from([OP.OP_IF]));
-        parts.push(Buffer.from([OP.OP_SWAP]));
-        parts.push(Buffer.from([OP.OP_SHA256]));
-        parts.push(Buffer.from([OP.OP_SHA256]));
-        parts.push(Buffer.from([OP.OP_SHA256]));
-        parts.push(Buffer.from([OP.OP_SHA256]));
-        parts.push(Buffer.from([OP.OP_SHA256]));
-        parts.push(Buffer.from([OP.OP_SHA256]));
-        parts.push(Buffer.from([OP.OP_SHA256]));
-        parts.push(Buffer.from([OP.OP_SHA256]));
-        parts.push(Buffer.from([OP.OP_SWAP]));
-        parts.push(Buffer.from([OP.OP_ENDIF]));
+        parts.push(buildHashChainBlock());
         
         // Stack: hashed_sig, rem
         // Drop rem
@@ -599,74 +933,1075 @@ function buildWOTS16UnlockingScriptWithCovenant(signature, sighashPreimage, cove
 }
 
 // =============================================================================
-// STANDARD LOCKING SCRIPTS (Non-WOTS-16)
+// WOTS-16 COVENANT SCRIPT (OP_PUSH_TX)
 // =============================================================================
 
-function buildStandardLockingScript(publicKeyHash) {
-    const pubKeyHashBuf = Buffer.isBuffer(publicKeyHash) 
-        ? publicKeyHash : Buffer.from(publicKeyHash, 'hex');
-    
-    return Buffer.concat([
-        Buffer.from([OP.OP_SHA256]),
-        Buffer.from([0x20]),
-        pubKeyHashBuf,
-        Buffer.from([OP.OP_EQUAL])
-    ]);
+/**
+ * The covenant proves the pushed sighash preimage belongs to the spending
+ * transaction: the script derives an ECDSA signature from the preimage with
+ * a fixed nonce (k = 1) and a known covenant key, then runs OP_CHECKSIG.
+ * That only passes if hash256(preimage) is the real sighash, so the
+ * hashOutputs the script extracts (and the WOTS-16 digits derived from it)
+ * are bound to the actual outputs.
+ * 
+ * s = k^-1 * (z + r * d) mod n, with k = 1 and r = G.x
+ */
+function computePushTxS(preimage, covenantPrivateKey) {
+    const z = BigInt('0x' + hash256(preimage).toString('hex'));
+    const d = BigInt('0x' + covenantPrivateKey.toString('hex'));
+    const r = BigInt('0x' + SECP256K1_GX.toString('hex'));
+    let s = (z + r * d) % SECP256K1_N;
+    if (s > SECP256K1_N / 2n) s = SECP256K1_N - s;
+    return s;
 }
 
-function buildTimelockLockingScript(publicKeyHash, lockTime) {
-    const pubKeyHashBuf = Buffer.isBuffer(publicKeyHash) 
-        ? publicKeyHash : Buffer.from(publicKeyHash, 'hex');
-    
-    return Buffer.concat([
-        encodeLocktimeForScript(lockTime),
-        Buffer.from([OP.OP_CHECKLOCKTIMEVERIFY]),
-        Buffer.from([OP.OP_DROP]),
-        Buffer.from([OP.OP_SHA256]),
-        Buffer.from([0x20]),
-        pubKeyHashBuf,
-        Buffer.from([OP.OP_EQUAL])
-    ]);
+/**
+ * The script always serializes s as 32 bytes, which is only canonical DER
+ * when the top byte is non-zero. Roughly 1 in 128 preimages fail this and
+ * the builder has to vary nLockTime and retry.
+ */
+function isPushTxPreimageUsable(preimage, covenantPrivateKey) {
+    const s = computePushTxS(preimage, covenantPrivateKey);
+    return s >= (1n << 248n);
 }
 
-function buildMaximumSecurityScript(publicKeyHash, ephemeralPubKey = null, options = {}) {
-    const { lockTime = null } = options;
-    const pubKeyHashBuf = Buffer.isBuffer(publicKeyHash) 
-        ? publicKeyHash : Buffer.from(publicKeyHash, 'hex');
-    
+function bigIntToScriptNum(value) {
+    let hex = value.toString(16);
+    if (hex.length % 2) hex = '0' + hex;
+    const bytes = Buffer.from(hex, 'hex').reverse();
+    if (bytes[bytes.length - 1] & 0x80) {
+        return Buffer.concat([bytes, Buffer.from([0x00])]);
+    }
+    return bytes;
+}
+
+/**
+ * Reverse a 32-byte value on top of the stack
+ */
+function buildReverse32Block() {
     const parts = [];
-    
-    if (lockTime && lockTime > 0) {
-        parts.push(encodeLocktimeForScript(lockTime));
-        parts.push(Buffer.from([OP.OP_CHECKLOCKTIMEVERIFY]));
-        parts.push(Buffer.from([OP.OP_DROP]));
+    for (let i = 0; i < 31; i++) {
+        parts.push(Buffer.from([OP.OP_1, OP.OP_SPLIT]));
     }
-    
-    if (ephemeralPubKey) {
-        const ephemPubKeyBuf = Buffer.isBuffer(ephemeralPubKey)
-            ? ephemeralPubKey : Buffer.from(ephemeralPubKey, 'hex');
-        parts.push(Buffer.from([ephemPubKeyBuf.length]));
-        parts.push(ephemPubKeyBuf);
-        parts.push(Buffer.from([OP.OP_CHECKSIGVERIFY]));
+    for (let i = 0; i < 31; i++) {
+        parts.push(Buffer.from([OP.OP_SWAP, OP.OP_CAT]));
     }
-    
-    parts.push(Buffer.from([OP.OP_SIZE]));
-    parts.push(Buffer.from([0x02, 0x00, 0x04])); // 1024
-    parts.push(Buffer.from([OP.OP_EQUALVERIFY]));
-    parts.push(Buffer.from([OP.OP_SHA256]));
-    parts.push(Buffer.from([0x20]));
-    parts.push(pubKeyHashBuf);
-    parts.push(Buffer.from([OP.OP_EQUAL]));
-    
     return Buffer.concat(parts);
 }
 
-function generateEphemeralKeypair() {
-    const privateKey = crypto.randomBytes(32);
-    return { privateKey, privateKeyHex: privateKey.toString('hex') };
+/**
+ * OP_PUSH_TX check: [preimage] -> [bool]
+ * 
+ * Placed at the very end of the locking script behind OP_CODESEPARATOR so
+ * the scriptCode inside the preimage is only <pubkey> OP_CHECKSIG.
+ */
+function buildPushTxBlock(covenantPrivateKey) {
+    const d = BigInt('0x' + covenantPrivateKey.toString('hex'));
+    const r = BigInt('0x' + SECP256K1_GX.toString('hex'));
+    const rd = (r * d) % SECP256K1_N;
+    const pubKey = getCovenantPublicKey(covenantPrivateKey);
+    
+    // DER prefix: SEQUENCE(68) INTEGER(32) r INTEGER(32)
+    const derPrefix = Buffer.concat([
+        Buffer.from([0x30, 0x44, 0x02, 0x20]),
+        SECP256K1_GX,
+        Buffer.from([0x02, 0x20])
+    ]);
+    
+    return Buffer.concat([
+        // z = big-endian integer of hash256(preimage)
+        Buffer.from([OP.OP_HASH256]),
+        buildReverse32Block(),
+        encodePushData(Buffer.from([0x00])),
+        Buffer.from([OP.OP_CAT, OP.OP_BIN2NUM]),
+        
+        // s = (z + r*d) mod n
+        encodePushData(bigIntToScriptNum(rd)),
+        Buffer.from([OP.OP_ADD]),
+        encodePushData(bigIntToScriptNum(SECP256K1_N)),
+        Buffer.from([OP.OP_MOD]),
+        
+        // Low-S: if s > n/2 then s = n - s
+        Buffer.from([OP.OP_DUP]),
+        encodePushData(bigIntToScriptNum(SECP256K1_N / 2n)),
+        Buffer.from([OP.OP_GREATERTHAN, OP.OP_IF]),
+        encodePushData(bigIntToScriptNum(SECP256K1_N)),
+        Buffer.from([OP.OP_SWAP, OP.OP_SUB, OP.OP_ENDIF]),
+        
+        // DER signature || SIGHASH_ALL|FORKID
+        encodeScriptNum(32),
+        Buffer.from([OP.OP_NUM2BIN]),
+        buildReverse32Block(),
+        encodePushData(derPrefix),
+        Buffer.from([OP.OP_SWAP, OP.OP_CAT]),
+        encodePushData(Buffer.from([0x41])),
+        Buffer.from([OP.OP_CAT]),
+        
+        Buffer.from([OP.OP_CODESEPARATOR]),
+        encodePushData(pubKey),
+        Buffer.from([OP.OP_CHECKSIG])
+    ]);
 }
 
-function buildFrontRunImmuneScript(publicKeyHash, ephemeralPubKey, options = {}) {
+/**
+ * Verify one WOTS-16 digit: [sig, d] -> []
+ * 
+ * rem = 15 - d is derived in script, so the signer cannot pick it.
+ * Message digits also add rem to the running checksum on the alt stack
+ * (alt stack layout: [preimage, checksum, remainingMessage]).
+ * 
+ * With no commitment the chain end is appended to an accumulator kept on
+ * the alt stack just below the checksum (XMSS leaf scripts).
+ */
+function buildCovenantDigitCheck(commitment, accumulate) {
+    const parts = [
+        Buffer.from([OP.OP_15, OP.OP_SWAP, OP.OP_SUB])        // sig, rem
+    ];
+    
+    if (accumulate) {
+        parts.push(Buffer.from([
+            OP.OP_DUP, OP.OP_FROMALTSTACK, OP.OP_FROMALTSTACK,  // sig, rem, rem, msg, cs
+            OP.OP_ROT, OP.OP_ADD,                               // sig, rem, msg, cs+rem
+            OP.OP_TOALTSTACK, OP.OP_TOALTSTACK                  // sig, rem
+        ]));
+    }
+    
+    parts.push(buildHashChainBlock());                        // H^rem(sig), rem
+    parts.push(Buffer.from([OP.OP_DROP]));
+    
+    if (commitment) {
+        parts.push(encodePushData(commitment));
+        parts.push(Buffer.from([OP.OP_EQUALVERIFY]));
+    } else if (accumulate) {
+        parts.push(Buffer.from([
+            OP.OP_FROMALTSTACK, OP.OP_FROMALTSTACK, OP.OP_FROMALTSTACK, // end, msg, cs, ends
+            OP.OP_3, OP.OP_ROLL, OP.OP_CAT,                             // msg, cs, ends||end
+            OP.OP_TOALTSTACK, OP.OP_TOALTSTACK, OP.OP_TOALTSTACK
+        ]));
+    } else {
+        parts.push(Buffer.from([OP.OP_FROMALTSTACK, OP.OP_SWAP, OP.OP_CAT, OP.OP_TOALTSTACK]));
+    }
+    
+    return Buffer.concat(parts);
+}
+
+/**
+ * Digits of hashOutputs checked against 68 chains:
+ * [sig_67, ..., sig_0, preimage] -> []   Alt: [preimage]
+ * 
+ * Without commitments the chain ends are concatenated instead:
+ * [sig_67, ..., sig_0, preimage] -> []   Alt: [preimage, end_0 || ... || end_67]
+ * 
+ * options.bindPrevouts signs SHA256(hashPrevouts || hashOutputs) instead,
+ * so the signature is only valid for the exact set of inputs it was made for.
+ */
+function buildCovenantChainsBlock(commitments = null, options = {}) {
+    const commitment = k => commitments ? commitments[k] : null;
+    const parts = [];
+    
+    // Stack: [sig_67, ..., sig_0, preimage]
+    parts.push(Buffer.from([OP.OP_DUP, OP.OP_TOALTSTACK]));
+    
+    if (options.bindPrevouts) {
+        // Preimage starts with nVersion(4) hashPrevouts(32)
+        parts.push(Buffer.from([OP.OP_DUP, OP.OP_4, OP.OP_SPLIT, OP.OP_NIP]));
+        parts.push(encodeScriptNum(32));
+        parts.push(Buffer.from([OP.OP_SPLIT, OP.OP_DROP, OP.OP_SWAP]));
+    }
+    
+    // Preimage ends with hashOutputs(32) nLockTime(4) sighashType(4)
+    parts.push(Buffer.from([OP.OP_SIZE]));
+    parts.push(encodeScriptNum(40));
+    parts.push(Buffer.from([OP.OP_SUB, OP.OP_SPLIT, OP.OP_NIP]));
+    parts.push(encodeScriptNum(32));
+    parts.push(Buffer.from([OP.OP_SPLIT, OP.OP_DROP]));
+    
+    if (options.bindPrevouts) {
+        parts.push(Buffer.from([OP.OP_CAT, OP.OP_SHA256]));
+    }
+    
+    // Stack: [sig_67, ..., sig_0, message]   Alt: [preimage, (ends,) 0]
+    if (!commitments) {
+        parts.push(Buffer.from([OP.OP_0, OP.OP_TOALTSTACK]));
+    }
+    parts.push(Buffer.from([OP.OP_0, OP.OP_TOALTSTACK]));
+    
+    for (let byte = 0; byte < WOTS16.CHUNKS / 2; byte++) {
+        // Split next byte, park the rest of the message
+        parts.push(Buffer.from([OP.OP_1, OP.OP_SPLIT, OP.OP_TOALTSTACK]));
+        
+        // Unsigned byte value -> hi, lo nibbles
+        parts.push(encodePushData(Buffer.from([0x00])));
+        parts.push(Buffer.from([OP.OP_CAT, OP.OP_BIN2NUM]));
+        parts.push(Buffer.from([OP.OP_DUP, OP.OP_16, OP.OP_MOD, OP.OP_SWAP, OP.OP_16, OP.OP_DIV]));
+        
+        // [sig_b, sig_a, lo, hi] -> [sig_b, lo, sig_a, hi]
+        parts.push(Buffer.from([OP.OP_ROT, OP.OP_SWAP]));
+        parts.push(buildCovenantDigitCheck(commitment(byte * 2), true));
+        parts.push(buildCovenantDigitCheck(commitment(byte * 2 + 1), true));
+        
+        parts.push(Buffer.from([OP.OP_FROMALTSTACK]));
+    }
+    
+    // Drop the (now empty) message, fetch the checksum
+    parts.push(Buffer.from([OP.OP_DROP, OP.OP_FROMALTSTACK]));
+    
+    // Stack: [sig_67, sig_66, sig_65, sig_64, checksum]
+    for (let k = 0; k < WOTS16.CHECKSUM_CHUNKS; k++) {
+        const last = k === WOTS16.CHECKSUM_CHUNKS - 1;
+        if (!last) {
+            // [sig, cs] -> [cs, sig, cs % 16]
+            parts.push(Buffer.from([OP.OP_DUP, OP.OP_16, OP.OP_MOD, OP.OP_ROT, OP.OP_SWAP]));
+        }
+        parts.push(buildCovenantDigitCheck(commitment(WOTS16.CHUNKS + k), false));
+        if (!last) {
+            parts.push(Buffer.from([OP.OP_16, OP.OP_DIV]));
+        }
+    }
+    
+    return Buffer.concat(parts);
+}
+
+/**
+ * Build WOTS-16 covenant locking script
+ * 
+ * Unlocking script pushes: sig_67, ..., sig_0, preimage
+ * 
+ * 1. Copy preimage to alt stack, extract hashOutputs (the WOTS-16 message)
+ * 2. For each message byte: split off, derive both nibbles, verify chains
+ * 3. Derive the 4 checksum nibbles from the accumulated checksum, verify
+ * 4. OP_PUSH_TX: prove the preimage belongs to this transaction
+ */
+function buildCovenantWOTS16LockingScript(publicCommitments, covenantPrivateKey, options = {}) {
+    const { lockTime = null } = options;
+    const commitments = publicCommitments.map(c => Buffer.isBuffer(c) ? c : Buffer.from(c, 'hex'));
+    const parts = [];
+    
+    if (lockTime && lockTime > 0) {
+        parts.push(encodeLocktimeForScript(lockTime));
+        parts.push(Buffer.from([OP.OP_CHECKLOCKTIMEVERIFY]));
+        parts.push(Buffer.from([OP.OP_DROP]));
+    }
+    
+    parts.push(buildCovenantChainsBlock(commitments));
+    
+    // Stack: []   Alt: [preimage]
+    parts.push(Buffer.from([OP.OP_FROMALTSTACK]));
+    parts.push(buildPushTxBlock(covenantPrivateKey));
+    
+    return Buffer.concat(parts);
+}
+
+/**
+ * Build unlocking script for the WOTS-16 covenant script
+ * 
+ * Only the chain values are pushed; the digits come from the preimage.
+ */
+function buildCovenantWOTS16UnlockingScript(signature, preimage) {
+    const parts = [];
+    
+    for (let i = signature.chunks.length - 1; i >= 0; i--) {
+        parts.push(encodePushData(signature.chunks[i].value));
+    }
+    parts.push(encodePushData(preimage));
+    
+    return Buffer.concat(parts);
+}
+
+/**
+ * scriptCode committed to by the covenant's OP_CHECKSIG
+ * (everything after the final OP_CODESEPARATOR)
+ */
+function getCovenantScriptCode(covenantPrivateKey) {
+    return Buffer.concat([
+        encodePushData(getCovenantPublicKey(covenantPrivateKey)),
+        Buffer.from([OP.OP_CHECKSIG])
+    ]);
+}
+
+// =============================================================================
+// WOTS-16 COMPACT SCRIPT
+// =============================================================================
+
+/**
+ * Compact chain block: [b3, b2, b1, b0, sig] -> [H^rem(sig)]
+ * 
+ * The signer pushes rem as `bits` bits (b0 on top of the bits), so each bit
+ * is a bare OP_IF. 2^k SHA256s are written as 2^(k-1) OP_HASH256s.
+ */
+function buildCompactChainBlock(bits = 4) {
+    const ops = [];
+    for (let k = 0; k < bits; k++) {
+        ops.push(OP.OP_SWAP, OP.OP_IF);
+        if (k === 0) {
+            ops.push(OP.OP_SHA256);
+        } else {
+            for (let j = 0; j < 1 << (k - 1); j++) ops.push(OP.OP_HASH256);
+        }
+        ops.push(OP.OP_ENDIF);
+    }
+    return Buffer.from(ops);
+}
+
+/**
+ * [optional CLTV] block_0 .. block_n-1, each leaving its chain end, which is
+ * concatenated on the alt stack, then SHA256(ends) == publicKeyHash
+ */
+function buildChainEndLockingScript(blocks, publicKeyHash, lockTime) {
+    const pubKeyHashBuf = Buffer.isBuffer(publicKeyHash)
+        ? publicKeyHash : Buffer.from(publicKeyHash, 'hex');
+    
+    const parts = [];
+    
+    if (lockTime && lockTime > 0) {
+        parts.push(encodeLocktimeForScript(lockTime));
+        parts.push(Buffer.from([OP.OP_CHECKLOCKTIMEVERIFY]));
+        parts.push(Buffer.from([OP.OP_DROP]));
+    }
+    
+    blocks.forEach((block, i) => {
+        parts.push(block);
+        
+        // Alt stack: [end_0 || ... || end_i]
+        if (i === 0) {
+            parts.push(Buffer.from([OP.OP_TOALTSTACK]));
+        } else {
+            parts.push(Buffer.from([OP.OP_FROMALTSTACK, OP.OP_SWAP, OP.OP_CAT, OP.OP_TOALTSTACK]));
+        }
+    });
+    
+    parts.push(Buffer.from([OP.OP_FROMALTSTACK, OP.OP_SHA256]));
+    parts.push(encodePushData(pubKeyHashBuf));
+    parts.push(Buffer.from([OP.OP_EQUAL]));
+    
+    return Buffer.concat(parts);
+}
+
+/**
+ * Build compact WOTS-16 locking script (~1.7KB instead of ~5.8KB)
+ * 
+ * Same key and the same check as buildFullWOTS16LockingScript, but the 68
+ * chain ends are concatenated on the alt stack and compared once with
+ * publicKeyHash = SHA256(commitment_0 || ... || commitment_67) instead of
+ * against 68 inline commitments.
+ * 
+ * Unlocking script pushes, chunk 67 first: <b3> <b2> <b1> <b0> <sig_i>
+ */
+function buildCompactWOTS16LockingScript(publicKeyHash, options = {}) {
+    const totalChunks = WOTS16.CHUNKS + WOTS16.CHECKSUM_CHUNKS;
+    const block = buildCompactChainBlock();
+    return buildChainEndLockingScript(new Array(totalChunks).fill(block), publicKeyHash, options.lockTime);
+}
+
+/**
+ * Build unlocking script for the compact WOTS-16 script
+ */
+function buildCompactWOTS16UnlockingScript(signature) {
+    const parts = [];
+    
+    for (let i = signature.chunks.length - 1; i >= 0; i--) {
+        const remaining = signature.chunks[i].remaining;
+        for (let bit = 3; bit >= 0; bit--) {
+            parts.push(Buffer.from([(remaining >> bit) & 1 ? OP.OP_1 : OP.OP_0]));
+        }
+        parts.push(encodePushData(signature.chunks[i].value));
+    }
+    
+    return Buffer.concat(parts);
+}
+
+// =============================================================================
+// GENERIC WINTERNITZ (w = 4 | 16 | 256, optional WOTS+)
+// =============================================================================
+
+const WOTS_W_VALUES = [4, 16, 256];
+
+/**
+ * Parameter set for a 32-byte message:
+ *   messageChunks  = 256 / log2(w)
+ *   checksumChunks = floor(log2(messageChunks * (w - 1)) / log2(w)) + 1
+ * Larger w means fewer, longer chains: a shorter unlocking script and a
+ * longer locking script. plus selects WOTS+ chains.
+ */
+function getWOTSParams(w = 16, plus = false) {
+    w = Number(w);
+    if (!WOTS_W_VALUES.includes(w)) {
+        throw new Error(`Unsupported Winternitz parameter w=${w} (use ${WOTS_W_VALUES.join(', ')})`);
+    }
+    const bits = Math.log2(w);
+    const messageChunks = 256 / bits;
+    const checksumChunks = Math.floor(Math.log2(messageChunks * (w - 1)) / bits) + 1;
+    return {
+        type: `wots${w}${plus ? '-plus' : ''}`,
+        w,
+        bits,
+        plus: !!plus,
+        messageChunks,
+        checksumChunks,
+        totalChunks: messageChunks + checksumChunks
+    };
+}
+
+function wotsKeyType(params) {
+    return KEY_TYPE.WOTS | params.bits | (params.plus ? KEY_TYPE.WOTS_PLUS : 0);
+}
+
+/**
+ * WOTS+ randomization, public and derived from the key's public seed:
+ *   key_i      = SHA256("QV-WOTS+KEY" | publicSeed | i(4 BE))
+ *   mask_i,j   = SHA256("QV-WOTS+MASK" | publicSeed | i(4 BE) | j(4 BE))
+ *   step j of chain i:  x -> SHA256(key_i | (x XOR mask_i,j))
+ */
+function wotsChainKey(publicSeed, chain) {
+    const address = Buffer.alloc(4);
+    address.writeUInt32BE(chain);
+    return sha256(Buffer.concat([Buffer.from('QV-WOTS+KEY'), publicSeed, address]));
+}
+
+function wotsChainMask(publicSeed, chain, step) {
+    const address = Buffer.alloc(8);
+    address.writeUInt32BE(chain);
+    address.writeUInt32BE(step, 4);
+    return sha256(Buffer.concat([Buffer.from('QV-WOTS+MASK'), publicSeed, address]));
+}
+
+function xorBuffers(a, b) {
+    const out = Buffer.alloc(a.length);
+    for (let i = 0; i < a.length; i++) out[i] = a[i] ^ b[i];
+    return out;
+}
+
+/**
+ * Advance chain `chain` from position `from` by `steps` steps
+ */
+function wotsChain(params, publicSeed, chain, value, from, steps) {
+    const key = params.plus ? wotsChainKey(publicSeed, chain) : null;
+    let x = value;
+    for (let j = from; j < from + steps; j++) {
+        x = params.plus
+            ? sha256(Buffer.concat([key, xorBuffers(x, wotsChainMask(publicSeed, chain, j))]))
+            : sha256(x);
+    }
+    return x;
+}
+
+/**
+ * Message digits (most significant first) followed by the checksum of
+ * (w - 1 - digit), least significant digit first
+ */
+function wotsMessageDigits(params, message) {
+    const digits = [];
+    for (const byte of message) {
+        for (let shift = 8 - params.bits; shift >= 0; shift -= params.bits) {
+            digits.push((byte >> shift) & (params.w - 1));
+        }
+    }
+    
+    let checksum = digits.reduce((sum, digit) => sum + params.w - 1 - digit, 0);
+    for (let i = 0; i < params.checksumChunks; i++) {
+        digits.push(checksum % params.w);
+        checksum = Math.floor(checksum / params.w);
+    }
+    return digits;
+}
+
+/**
+ * Generate a Winternitz keypair for options.w (4, 16, 256), WOTS+ when
+ * options.plus is set. Random by default; deterministic from options.seed.
+ * 
+ * commitment_i = chain_i^(w-1)(private_i), publicKeyHash = SHA256(commitments)
+ */
+function generateWOTSKeypair(options = {}) {
+    const { w = 16, plus = false, seed = null, vaultIndex = 0 } = options;
+    const params = getWOTSParams(w, plus);
+    const keyType = wotsKeyType(params);
+    
+    const privateScalars = [];
+    for (let i = 0; i < params.totalChunks; i++) {
+        privateScalars.push(seed
+            ? deriveSeedScalar(seed, vaultIndex, keyType, i)
+            : crypto.randomBytes(SCALAR_SIZE));
+    }
+    
+    let publicSeed = null;
+    if (params.plus) {
+        publicSeed = seed ? deriveSeedScalar(seed, vaultIndex, keyType, 0xffffffff) : crypto.randomBytes(SCALAR_SIZE);
+    }
+    
+    return wotsKeypairFromScalars(params, privateScalars, publicSeed);
+}
+
+function wotsKeypairFromScalars(params, privateScalars, publicSeed = null) {
+    const publicCommitments = privateScalars.map((scalar, i) =>
+        wotsChain(params, publicSeed, i, scalar, 0, params.w - 1));
+    const publicKeyHash = sha256(Buffer.concat(publicCommitments));
+    
+    return {
+        privateScalars,
+        publicCommitments,
+        publicSeed,
+        publicKeyHash,
+        publicKeyHashHex: publicKeyHash.toString('hex'),
+        params
+    };
+}
+
+/**
+ * Keypair from the `wots` section of a master secret
+ */
+function restoreWOTSKeypair(stored) {
+    const params = getWOTSParams(stored.w, stored.plus);
+    const keypair = wotsKeypairFromScalars(
+        params,
+        stored.privateScalars.map(hex => Buffer.from(hex, 'hex')),
+        stored.publicSeed ? Buffer.from(stored.publicSeed, 'hex') : null
+    );
+    if (stored.publicKeyHash && keypair.publicKeyHashHex !== stored.publicKeyHash) {
+        throw new Error('Corrupted secret: Winternitz public key hash mismatch');
+    }
+    return keypair;
+}
+
+/**
+ * Sign a 32-byte message: sig_i = chain_i^digit(private_i), recorded in the
+ * spend ledger like signWOTS16
+ */
+function signWOTS(keypair, message, options = {}) {
+    if (message.length !== 32) {
+        throw new Error('Message must be 32 bytes');
+    }
+    
+    const { params } = keypair;
+    const messageHex = message.toString('hex');
+    checkSigningLedger(`WOTS w=${params.w}`, keypair.publicKeyHashHex, messageHex, options);
+    
+    const digits = wotsMessageDigits(params, message);
+    const chunks = digits.map((digit, i) => ({
+        value: wotsChain(params, keypair.publicSeed, i, keypair.privateScalars[i], 0, digit),
+        iterations: digit,
+        remaining: params.w - 1 - digit
+    }));
+    
+    ledger.recordSignature(keypair.publicKeyHashHex, messageHex, options.reason ? { reason: options.reason } : {});
+    
+    return {
+        chunks,
+        message,
+        messageChunks: digits,
+        params
+    };
+}
+
+/**
+ * WOTS+ chain block: [digit, x] -> [chain_i^(w-1)(x)]
+ * 
+ * Steps depend on their position, so instead of binary decomposition every
+ * step j runs under OP_IF (digit <= j) with its mask inline; key_i is pushed
+ * once and kept under x.
+ */
+function buildWOTSPlusChainBlock(params, publicSeed, chain) {
+    const parts = [];
+    
+    parts.push(encodePushData(wotsChainKey(publicSeed, chain)));
+    parts.push(Buffer.from([OP.OP_SWAP]));
+    // Stack: digit, key, x
+    
+    for (let j = 0; j < params.w - 1; j++) {
+        parts.push(Buffer.from([OP.OP_2, OP.OP_PICK]));
+        parts.push(encodeScriptNum(j));
+        parts.push(Buffer.from([OP.OP_LESSTHANOREQUAL, OP.OP_IF]));
+        parts.push(encodePushData(wotsChainMask(publicSeed, chain, j)));
+        parts.push(Buffer.from([OP.OP_XOR, OP.OP_OVER, OP.OP_SWAP, OP.OP_CAT, OP.OP_SHA256, OP.OP_ENDIF]));
+    }
+    
+    parts.push(Buffer.from([OP.OP_NIP, OP.OP_NIP]));
+    return Buffer.concat(parts);
+}
+
+/**
+ * Locking script for a generic Winternitz key ({ params, publicKeyHash,
+ * publicSeed }, e.g. from generateWOTSKeypair). Like the compact WOTS-16
+ * script, chain ends are concatenated and checked against publicKeyHash.
+ * 
+ * Unlocking script pushes, last chain first:
+ *   plain:  <b_bits-1> ... <b0> <sig_i>   (remaining in binary)
+ *   WOTS+:  <digit> <sig_i>
+ */
+function buildWOTSLockingScript(publicKey, options = {}) {
+    const { params } = publicKey;
+    const publicSeed = publicKey.publicSeed && !Buffer.isBuffer(publicKey.publicSeed)
+        ? Buffer.from(publicKey.publicSeed, 'hex') : publicKey.publicSeed;
+    
+    if (params.plus && !publicSeed) {
+        throw new Error('WOTS+ locking script needs the public seed');
+    }
+    
+    const plainBlock = params.plus ? null : buildCompactChainBlock(params.bits);
+    const blocks = [];
+    for (let i = 0; i < params.totalChunks; i++) {
+        blocks.push(params.plus ? buildWOTSPlusChainBlock(params, publicSeed, i) : plainBlock);
+    }
+    
+    return buildChainEndLockingScript(blocks, publicKey.publicKeyHash, options.lockTime);
+}
+
+function buildWOTSUnlockingScript(signature, params = signature.params) {
+    const parts = [];
+    
+    for (let i = signature.chunks.length - 1; i >= 0; i--) {
+        const chunk = signature.chunks[i];
+        if (params.plus) {
+            parts.push(encodeScriptNum(params.w - 1 - chunk.remaining));
+        } else {
+            for (let bit = params.bits - 1; bit >= 0; bit--) {
+                parts.push(Buffer.from([(chunk.remaining >> bit) & 1 ? OP.OP_1 : OP.OP_0]));
+            }
+        }
+        parts.push(encodePushData(chunk.value));
+    }
+    
+    return Buffer.concat(parts);
+}
+
+/**
+ * Largest unlocking script for the parameter set (WOTS+ digit pushes grow
+ * with the digit; plain bit pushes are always one byte)
+ */
+function wotsUnlockingScriptSize(params) {
+    const digitSize = params.plus ? encodeScriptNum(params.w - 1).length : params.bits;
+    return params.totalChunks * (digitSize + 33);
+}
+
+// =============================================================================
+// XMSS MERKLE TREE (many-time WOTS-16)
+// =============================================================================
+
+/**
+ * 2^height WOTS-16 keys under one Merkle root. Every leaf signs one spend;
+ * the vault address stays the same until the leaves run out.
+ * 
+ *   leaf_L = publicKeyHash of leaf key L = sha256(commitment_0 || ... || commitment_67)
+ *   node   = sha256(left || right)
+ * 
+ * Leaf keys are derived from the vault seed, so the secret only records
+ * the height and root. Which leaves are used is read from the signing ledger
+ * plus the leaf indices the vault's spends have revealed on chain (the
+ * ledger is local, so a restored vault only knows them from the chain).
+ */
+const XMSS = {
+    DEFAULT_HEIGHT: 4,          // 16 spends
+    MAX_HEIGHT: 8,              // 256 spends; key generation hashes every leaf
+    COVENANT_CHUNK: 0xffffffff
+};
+
+function checkXMSSHeight(height) {
+    if (!Number.isInteger(height) || height < 1 || height > XMSS.MAX_HEIGHT) {
+        throw new Error(`XMSS height must be an integer between 1 and ${XMSS.MAX_HEIGHT}`);
+    }
+}
+
+/**
+ * WOTS-16 keypair of leaf L (same shape as generateWOTS16Keypair)
+ */
+function generateXMSSLeafKeypair(seed, vaultIndex, leafIndex) {
+    const totalChunks = WOTS16.CHUNKS + WOTS16.CHECKSUM_CHUNKS;
+    
+    const privateScalars = [];
+    for (let i = 0; i < totalChunks; i++) {
+        privateScalars.push(deriveSeedScalar(seed, vaultIndex, KEY_TYPE.XMSS, leafIndex * totalChunks + i));
+    }
+    const publicCommitments = privateScalars.map(scalar => iteratedSha256(scalar, 15));
+    const publicKeyHash = sha256(Buffer.concat(publicCommitments));
+    
+    return {
+        leafIndex,
+        privateScalars,
+        publicCommitments,
+        publicKeyHash,
+        publicKeyHashHex: publicKeyHash.toString('hex'),
+        params: WOTS16
+    };
+}
+
+/**
+ * Per-vault covenant key, from its own PRF slot rather than any leaf
+ */
+function deriveXMSSCovenantPrivateKey(seed, vaultIndex) {
+    return deriveCovenantPrivateKey([deriveSeedScalar(seed, vaultIndex, KEY_TYPE.XMSS, XMSS.COVENANT_CHUNK)]);
+}
+
+/**
+ * Full tree: levels[0] are the leaves, levels[height] = [root]
+ */
+function buildXMSSTree(seed, vaultIndex = 0, height = XMSS.DEFAULT_HEIGHT) {
+    checkXMSSHeight(height);
+    
+    const leaves = [];
+    for (let leaf = 0; leaf < 2 ** height; leaf++) {
+        leaves.push(generateXMSSLeafKeypair(seed, vaultIndex, leaf).publicKeyHash);
+    }
+    
+    const levels = [leaves];
+    for (let level = 0; level < height; level++) {
+        const below = levels[level];
+        const nodes = [];
+        for (let i = 0; i < below.length; i += 2) {
+            nodes.push(sha256(Buffer.concat([below[i], below[i + 1]])));
+        }
+        levels.push(nodes);
+    }
+    
+    const root = levels[height][0];
+    return { seed: normalizeSeed(seed), vaultIndex, height, levels, root, rootHex: root.toString('hex') };
+}
+
+/**
+ * Tree of a decoded ultimate-xmss master secret, checked against its root
+ */
+function restoreXMSSTree(secret) {
+    if (!secret.xmss || !secret.seed) {
+        throw new Error('Vault does not have XMSS keys');
+    }
+    const tree = buildXMSSTree(secret.seed, secret.vaultIndex || 0, secret.xmss.height);
+    if (tree.rootHex !== secret.xmss.root) {
+        throw new Error('Corrupted secret: XMSS root mismatch');
+    }
+    return tree;
+}
+
+/**
+ * Sibling of the path node at every level, leaf level first
+ */
+function xmssAuthPath(tree, leafIndex) {
+    if (!Number.isInteger(leafIndex) || leafIndex < 0 || leafIndex >= tree.levels[0].length) {
+        throw new Error(`XMSS leaf index out of range: ${leafIndex}`);
+    }
+    return tree.levels.slice(0, tree.height).map((nodes, level) => nodes[(leafIndex >> level) ^ 1]);
+}
+
+/**
+ * Fold an authentication path: bit L of leafIndex set means the path node
+ * is the right child at level L
+ */
+function computeXMSSRoot(leafHash, leafIndex, authPath) {
+    return authPath.reduce((node, sibling, level) => sha256((leafIndex >> level) & 1
+        ? Buffer.concat([toBuffer(sibling), node])
+        : Buffer.concat([node, toBuffer(sibling)])), toBuffer(leafHash));
+}
+
+/**
+ * Leaves in order with the messages each has signed (from the ledger) and
+ * whether a spend on chain used it (spentOnChain: leaf indices)
+ */
+function xmssLeafStatus(tree, spentOnChain = []) {
+    return tree.levels[0].map((leafHash, leafIndex) => {
+        const signatures = ledger.getSignatures(leafHash.toString('hex'));
+        const onChain = spentOnChain.includes(leafIndex);
+        return {
+            leafIndex,
+            publicKeyHash: leafHash.toString('hex'),
+            used: signatures.length > 0 || onChain,
+            onChain,
+            signatures
+        };
+    });
+}
+
+/**
+ * Lowest leaf that has neither signed in the ledger nor appeared on chain
+ */
+function nextXMSSLeaf(tree, spentOnChain = []) {
+    const next = xmssLeafStatus(tree, spentOnChain).find(leaf => !leaf.used);
+    if (!next) {
+        throw new Error(`All ${tree.levels[0].length} XMSS leaves of this vault have signed; no one-time key is left`);
+    }
+    return next.leafIndex;
+}
+
+/**
+ * SHA256(hashPrevouts || hashOutputs), signed by XMSS leaves and multisig
+ * custodians: where an address is reused, a signature over the outputs alone
+ * could be replayed against a later deposit by a transaction with the same
+ * outputs
+ */
+function boundSpendMessage(hashPrevouts, hashOutputs) {
+    return sha256(Buffer.concat([hashPrevouts, hashOutputs]));
+}
+
+/**
+ * Build XMSS locking script (WOTS-16 covenant over a Merkle root)
+ * 
+ * Unlocking script pushes:
+ *   <bit_h-1> <sibling_h-1> ... <bit_0> <sibling_0> sig_67, ..., sig_0, preimage
+ * 
+ * 1. Covenant chains: digits of boundSpendMessage, chain ends concatenated
+ * 2. sha256 of the chain ends is the leaf (its WOTS-16 publicKeyHash)
+ * 3. Per level: order (node, sibling) by the pushed bit, CAT, SHA256
+ * 4. Compare with the root, then OP_PUSH_TX on the preimage
+ */
+function buildXMSSLockingScript(root, height, covenantPrivateKey, options = {}) {
+    const { lockTime = null } = options;
+    checkXMSSHeight(height);
+    const parts = [];
+    
+    if (lockTime && lockTime > 0) {
+        parts.push(encodeLocktimeForScript(lockTime));
+        parts.push(Buffer.from([OP.OP_CHECKLOCKTIMEVERIFY]));
+        parts.push(Buffer.from([OP.OP_DROP]));
+    }
+    
+    parts.push(buildCovenantChainsBlock(null, { bindPrevouts: true }));
+    
+    // Stack: [bit_h-1, sibling_h-1, ..., bit_0, sibling_0]   Alt: [preimage, ends]
+    parts.push(Buffer.from([OP.OP_FROMALTSTACK, OP.OP_SHA256]));
+    
+    for (let level = 0; level < height; level++) {
+        // [bit, sibling, node] -> [sibling, node, bit]; left child swaps
+        parts.push(Buffer.from([OP.OP_ROT, OP.OP_NOTIF, OP.OP_SWAP, OP.OP_ENDIF, OP.OP_CAT, OP.OP_SHA256]));
+    }
+    
+    parts.push(encodePushData(toBuffer(root)));
+    parts.push(Buffer.from([OP.OP_EQUALVERIFY]));
+    
+    // Stack: []   Alt: [preimage]
+    parts.push(Buffer.from([OP.OP_FROMALTSTACK]));
+    parts.push(buildPushTxBlock(covenantPrivateKey));
+    
+    return Buffer.concat(parts);
+}
+
+function buildXMSSUnlockingScript(signature, leafIndex, authPath, preimage) {
+    const parts = [];
+    
+    for (let level = authPath.length - 1; level >= 0; level--) {
+        parts.push(Buffer.from([(leafIndex >> level) & 1 ? OP.OP_1 : OP.OP_0]));
+        parts.push(encodePushData(toBuffer(authPath[level])));
+    }
+    parts.push(buildCovenantWOTS16UnlockingScript(signature, preimage));
+    
+    return Buffer.concat(parts);
+}
+
+// =============================================================================
+// MULTISIG (m-of-n WOTS-16)
+// =============================================================================
+
+/**
+ * n custodians, each with their own WOTS-16 key, and any m of them sign
+ * the same boundSpendMessage. The locking script carries one covenant
+ * chains block per key, each behind an OP_IF the unlocker switches on
+ * or off, and counts the keys that verified.
+ * 
+ * No custodian knows the others' keys, so the OP_PUSH_TX key is derived
+ * from public data. That is safe: it only proves the pushed preimage is
+ * the spending transaction's, and anyone can produce that proof.
+ */
+const MULTISIG = {
+    MIN_KEYS: 2,
+    MAX_KEYS: 7                 // ~5.3 KB of script per key
+};
+
+function checkMultisigParams(m, publicKeyHashes) {
+    if (!Array.isArray(publicKeyHashes) || publicKeyHashes.length < MULTISIG.MIN_KEYS ||
+        publicKeyHashes.length > MULTISIG.MAX_KEYS) {
+        throw new Error(`Multisig needs between ${MULTISIG.MIN_KEYS} and ${MULTISIG.MAX_KEYS} public key hashes`);
+    }
+    const hashes = publicKeyHashes.map(toBuffer);
+    if (hashes.some(hash => hash.length !== 32)) {
+        throw new Error('Public key hashes must be 32 bytes');
+    }
+    if (new Set(hashes.map(hash => hash.toString('hex'))).size !== hashes.length) {
+        throw new Error('Public key hashes must be distinct');
+    }
+    if (!Number.isInteger(m) || m < 1 || m > hashes.length) {
+        throw new Error(`m must be an integer between 1 and ${hashes.length}`);
+    }
+    return hashes;
+}
+
+/**
+ * Custodian key K of a seed (same shape as generateWOTS16Keypair)
+ */
+function generateMultisigKeypair(seed, keyIndex = 0) {
+    const totalChunks = WOTS16.CHUNKS + WOTS16.CHECKSUM_CHUNKS;
+    
+    const privateScalars = [];
+    for (let i = 0; i < totalChunks; i++) {
+        privateScalars.push(deriveSeedScalar(seed, keyIndex, KEY_TYPE.MULTISIG, i));
+    }
+    const publicCommitments = privateScalars.map(scalar => iteratedSha256(scalar, 15));
+    const publicKeyHash = sha256(Buffer.concat(publicCommitments));
+    
+    return {
+        privateScalars,
+        publicCommitments,
+        publicKeyHash,
+        publicKeyHashHex: publicKeyHash.toString('hex'),
+        params: WOTS16
+    };
+}
+
+function deriveMultisigCovenantPrivateKey(m, publicKeyHashes) {
+    return deriveCovenantPrivateKey([Buffer.from([m]), ...checkMultisigParams(m, publicKeyHashes)]);
+}
+
+/**
+ * Build m-of-n multisig locking script
+ * 
+ * Unlocking script pushes, for key n-1 down to key 0, either
+ *   sig_67, ..., sig_0, OP_1     (key signs)
+ * or
+ *   OP_0                         (key skipped)
+ * and then the preimage.
+ * 
+ * Alt stack between keys: [preimage, count]. Each switched-on key runs the
+ * covenant chains over boundSpendMessage, compares sha256 of the chain
+ * ends with its publicKeyHash and increments count. count >= m, then
+ * OP_PUSH_TX on the preimage.
+ */
+function buildMultisigLockingScript(publicKeyHashes, m, covenantPrivateKey, options = {}) {
+    const { lockTime = null } = options;
+    const hashes = checkMultisigParams(m, publicKeyHashes);
+    const parts = [];
+    
+    if (lockTime && lockTime > 0) {
+        parts.push(encodeLocktimeForScript(lockTime));
+        parts.push(Buffer.from([OP.OP_CHECKLOCKTIMEVERIFY]));
+        parts.push(Buffer.from([OP.OP_DROP]));
+    }
+    
+    parts.push(Buffer.from([OP.OP_TOALTSTACK, OP.OP_0, OP.OP_TOALTSTACK]));
+    
+    for (const publicKeyHash of hashes) {
+        parts.push(Buffer.from([
+            OP.OP_IF,
+            OP.OP_FROMALTSTACK, OP.OP_FROMALTSTACK,             // sigs, count, preimage
+            OP.OP_DUP, OP.OP_TOALTSTACK,
+            OP.OP_SWAP, OP.OP_TOALTSTACK                        // alt: [preimage, count]
+        ]));
+        parts.push(buildCovenantChainsBlock(null, { bindPrevouts: true }));
+        
+        // Alt: [preimage, count, preimage, ends]
+        parts.push(Buffer.from([OP.OP_FROMALTSTACK, OP.OP_SHA256]));
+        parts.push(encodePushData(publicKeyHash));
+        parts.push(Buffer.from([
+            OP.OP_EQUALVERIFY,
+            OP.OP_FROMALTSTACK, OP.OP_DROP,
+            OP.OP_FROMALTSTACK, OP.OP_1ADD, OP.OP_TOALTSTACK,
+            OP.OP_ENDIF
+        ]));
+    }
+    
+    parts.push(Buffer.from([OP.OP_FROMALTSTACK]));
+    parts.push(encodeScriptNum(m));
+    parts.push(Buffer.from([OP.OP_GREATERTHANOREQUAL, OP.OP_VERIFY]));
+    
+    // Stack: []   Alt: [preimage]
+    parts.push(Buffer.from([OP.OP_FROMALTSTACK]));
+    parts.push(buildPushTxBlock(covenantPrivateKey));
+    
+    return Buffer.concat(parts);
+}
+
+/**
+ * signatures[k] is key k's WOTS-16 signature, or null to skip the key
+ */
+function buildMultisigUnlockingScript(signatures, preimage) {
+    const parts = [];
+    
+    for (let k = signatures.length - 1; k >= 0; k--) {
+        const signature = signatures[k];
+        if (!signature) {
+            parts.push(Buffer.from([OP.OP_0]));
+            continue;
+        }
+        for (let i = signature.chunks.length - 1; i >= 0; i--) {
+            parts.push(encodePushData(toBuffer(signature.chunks[i].value)));
+        }
+        parts.push(Buffer.from([OP.OP_1]));
+    }
+    parts.push(encodePushData(preimage));
+    
+    return Buffer.concat(parts);
+}
+
+// =============================================================================
+// STANDARD LOCKING SCRIPTS (Non-WOTS-16)
+// =============================================================================
+
+function buildStandardLockingScript(publicKeyHash) {
+    const pubKeyHashBuf = Buffer.isBuffer(publicKeyHash) 
+        ? publicKeyHash : Buffer.from(publicKeyHash, 'hex');
+    
+    return Buffer.concat([
+        Buffer.from([OP.OP_SHA256]),
+        Buffer.from([0x20]),
+        pubKeyHashBuf,
+        Buffer.from([OP.OP_EQUAL])
+    ]);
+}
+
+function buildTimelockLockingScript(publicKeyHash, lockTime) {
+    const pubKeyHashBuf = Buffer.isBuffer(publicKeyHash) 
+        ? publicKeyHash : Buffer.from(publicKeyHash, 'hex');
+    
+    return Buffer.concat([
+        encodeLocktimeForScript(lockTime),
+        Buffer.from([OP.OP_CHECKLOCKTIMEVERIFY]),
+        Buffer.from([OP.OP_DROP]),
+        Buffer.from([OP.OP_SHA256]),
+        Buffer.from([0x20]),
+        pubKeyHashBuf,
+        Buffer.from([OP.OP_EQUAL])
+    ]);
+}
+
+function buildMaximumSecurityScript(publicKeyHash, ephemeralPubKey = null, options = {}) {
+    const { lockTime = null } = options;
+    const pubKeyHashBuf = Buffer.isBuffer(publicKeyHash) 
+        ? publicKeyHash : Buffer.from(publicKeyHash, 'hex');
+    
+    const parts = [];
+    
+    if (lockTime && lockTime > 0) {
+        parts.push(encodeLocktimeForScript(lockTime));
+        parts.push(Buffer.from([OP.OP_CHECKLOCKTIMEVERIFY]));
+        parts.push(Buffer.from([OP.OP_DROP]));
+    }
+    
+    if (ephemeralPubKey) {
+        const ephemPubKeyBuf = Buffer.isBuffer(ephemeralPubKey)
+            ? ephemeralPubKey : Buffer.from(ephemeralPubKey, 'hex');
+        parts.push(Buffer.from([ephemPubKeyBuf.length]));
+        parts.push(ephemPubKeyBuf);
+        parts.push(Buffer.from([OP.OP_CHECKSIGVERIFY]));
+    }
+    
+    parts.push(Buffer.from([OP.OP_SIZE]));
+    parts.push(Buffer.from([0x02, 0x00, 0x04])); // 1024
+    parts.push(Buffer.from([OP.OP_EQUALVERIFY]));
+    parts.push(Buffer.from([OP.OP_SHA256]));
+    parts.push(Buffer.from([0x20]));
+    parts.push(pubKeyHashBuf);
+    parts.push(Buffer.from([OP.OP_EQUAL]));
+    
+    return Buffer.concat(parts);
+}
+
+function generateEphemeralKeypair(seed = null, vaultIndex = 0) {
+    if (!seed) {
+        const privateKey = crypto.randomBytes(32);
+        return { privateKey, privateKeyHex: privateKey.toString('hex') };
+    }
+    
+    for (let counter = 0; ; counter++) {
+        const privateKey = deriveSeedScalar(seed, vaultIndex, KEY_TYPE.EPHEMERAL, counter);
+        const d = BigInt('0x' + privateKey.toString('hex'));
+        if (d > 0n && d < SECP256K1_N) return { privateKey, privateKeyHex: privateKey.toString('hex') };
+    }
+}
+
+function buildFrontRunImmuneScript(publicKeyHash, ephemeralPubKey, options = {}) {
     if (!ephemeralPubKey) throw new Error('Ephemeral public key required');
     return buildMaximumSecurityScript(publicKeyHash, ephemeralPubKey, options);
 }
@@ -705,49 +2040,309 @@ function buildFullWinternitzUnlockingScript(signature) {
     return buildWOTS16UnlockingScript(signature);
 }
 
-function calculateWOTS16ScriptSize() {
+/**
+ * One-input deposit into lockingScript and one-input sweep out of it to a
+ * P2PKH address
+ */
+function measureScriptPair(lockingScript, unlockingScript, satPerKb) {
+    const depositTxSize = fees.transactionSize([fees.P2PKH_UNLOCK_SIZE], [lockingScript.length]);
+    const sweepTxSize = fees.transactionSize([unlockingScript.length], [25]);
+    const depositFee = fees.feeForSize(depositTxSize, satPerKb);
+    const sweepFee = fees.feeForSize(sweepTxSize, satPerKb);
+    return {
+        lockingScriptSize: lockingScript.length,
+        unlockingScriptSize: unlockingScript.length,
+        depositTxSize,
+        sweepTxSize,
+        depositFee,
+        sweepFee,
+        totalFee: depositFee + sweepFee
+    };
+}
+
+/**
+ * Exact sizes and fees of the three WOTS-16 scripts, built with dummy keys:
+ * a one-input deposit into the script and a one-input sweep out of it to a
+ * P2PKH address, at options.satPerKb (standard policy by default).
+ * perChunk / total describe the full-verification script.
+ */
+function calculateWOTS16ScriptSize(options = {}) {
+    const { lockTime = 0, satPerKb = fees.resolveFeeRate() } = options;
     const totalChunks = WOTS16.CHUNKS + WOTS16.CHECKSUM_CHUNKS;
-    const perChunkSize = 85; // Simplified estimate
+    
+    const dummy = label => sha256(Buffer.from(`QV-SIZE-${label}`));
+    const commitments = Array.from({ length: totalChunks }, (_, i) => dummy(`commitment-${i}`));
+    const covenantKey = dummy('covenant');
+    const signature = {
+        chunks: commitments.map(value => ({ value, remaining: 15 }))
+    };
+    
+    const scriptCode = getCovenantScriptCode(covenantKey);
+    const preimageSize = 4 + 32 + 32 + 36 + 1 + scriptCode.length + 8 + 4 + 32 + 4 + 4;
+    
+    const measure = (lockingScript, unlockingScript) => measureScriptPair(lockingScript, unlockingScript, satPerKb);
+    
+    const full = measure(
+        buildFullWOTS16LockingScript(null, commitments, { lockTime }),
+        buildWOTS16UnlockingScript(signature)
+    );
+    const compact = measure(
+        buildCompactWOTS16LockingScript(dummy('hash'), { lockTime }),
+        buildCompactWOTS16UnlockingScript(signature)
+    );
+    const covenant = measure(
+        buildCovenantWOTS16LockingScript(commitments, covenantKey, { lockTime }),
+        buildCovenantWOTS16UnlockingScript(signature, Buffer.alloc(preimageSize))
+    );
+    
     return {
-        perChunk: perChunkSize,
-        total: totalChunks * perChunkSize + 35
+        perChunk: Math.floor(full.lockingScriptSize / totalChunks),
+        total: full.lockingScriptSize,
+        satPerKb,
+        full,
+        compact,
+        covenant,
+        compactSavings: {
+            lockingScriptBytes: full.lockingScriptSize - compact.lockingScriptSize,
+            totalTxBytes: full.depositTxSize + full.sweepTxSize - compact.depositTxSize - compact.sweepTxSize,
+            totalFee: full.totalFee - compact.totalFee,
+            percent: Math.round(100 * (1 - (compact.depositTxSize + compact.sweepTxSize) / (full.depositTxSize + full.sweepTxSize)))
+        }
     };
 }
 
+/**
+ * Sizes and fees of every generic Winternitz parameter set (plain and WOTS+),
+ * measured like calculateWOTS16ScriptSize with the largest unlocking script
+ */
+function calculateWOTSScriptSizes(options = {}) {
+    const { lockTime = 0, satPerKb = fees.resolveFeeRate() } = options;
+    const dummy = label => sha256(Buffer.from(`QV-SIZE-${label}`));
+    
+    const schemes = [];
+    for (const plus of [false, true]) {
+        for (const w of WOTS_W_VALUES) {
+            const params = getWOTSParams(w, plus);
+            const lockingScript = buildWOTSLockingScript(
+                { params, publicKeyHash: dummy('hash'), publicSeed: dummy('seed') },
+                { lockTime }
+            );
+            const unlockingScript = buildWOTSUnlockingScript({
+                chunks: Array.from({ length: params.totalChunks }, (_, i) => ({ value: dummy(`chunk-${i}`), remaining: 0 }))
+            }, params);
+            schemes.push({
+                type: params.type,
+                w,
+                plus,
+                chains: params.totalChunks,
+                ...measureScriptPair(lockingScript, unlockingScript, satPerKb)
+            });
+        }
+    }
+    
+    return { satPerKb, schemes };
+}
+
+// =============================================================================
+// SECRET ENCRYPTION
+// =============================================================================
+
+/**
+ * Encrypted master secret: "QVENC1:" + base64 of
+ * 
+ *   version(1) | kdf(1) | log2 N(1) | r(1) | p(1) | salt(16) | iv(12)
+ *   | ciphertext | GCM tag(16) | checksum(4)
+ * 
+ * kdf 1 = scrypt -> 32-byte AES-256-GCM key; the header is bound in as AAD.
+ * checksum = first 4 bytes of hash256(everything before it), so a mangled
+ * paste is reported as such instead of as a wrong passphrase.
+ */
+const ENCRYPTED_SECRET_PREFIX = 'QVENC1:';
+const SECRET_ENVELOPE_VERSION = 1;
+const KDF_SCRYPT = 1;
+const SCRYPT_DEFAULTS = { log2N: 15, r: 8, p: 1 };
+
+// The header is read before anything is authenticated, so only cost
+// parameters this code writes are accepted; anything else could make a
+// pasted secret pin the process on gigabytes of scrypt memory
+const SCRYPT_PROFILES = [SCRYPT_DEFAULTS];
+
+function checkScryptParams(log2N, r, p) {
+    if (!SCRYPT_PROFILES.some(profile => profile.log2N === log2N && profile.r === r && profile.p === p)) {
+        throw new Error(`Unsupported scrypt parameters (N=2^${log2N}, r=${r}, p=${p})`);
+    }
+}
+
+function isEncryptedSecret(secret) {
+    return typeof secret === 'string' && secret.trim().startsWith(ENCRYPTED_SECRET_PREFIX);
+}
+
+function deriveSecretKey(passphrase, salt, log2N, r, p) {
+    const N = 2 ** log2N;
+    return crypto.scryptSync(Buffer.from(passphrase.normalize('NFKC'), 'utf8'), salt, 32, {
+        N, r, p, maxmem: 256 * N * r
+    });
+}
+
+function encryptSecret(secretBase64, passphrase, options = {}) {
+    if (!passphrase || passphrase.length < 8) {
+        throw new Error('Passphrase must be at least 8 characters');
+    }
+    if (isEncryptedSecret(secretBase64)) {
+        throw new Error('Secret is already encrypted');
+    }
+    
+    const { log2N, r, p } = { ...SCRYPT_DEFAULTS, ...options };
+    checkScryptParams(log2N, r, p);
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const header = Buffer.concat([Buffer.from([SECRET_ENVELOPE_VERSION, KDF_SCRYPT, log2N, r, p]), salt, iv]);
+    
+    const key = deriveSecretKey(passphrase, salt, log2N, r, p);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(header);
+    const ciphertext = Buffer.concat([cipher.update(Buffer.from(secretBase64, 'utf8')), cipher.final()]);
+    
+    const body = Buffer.concat([header, ciphertext, cipher.getAuthTag()]);
+    const checksum = hash256(body).slice(0, 4);
+    
+    return ENCRYPTED_SECRET_PREFIX + Buffer.concat([body, checksum]).toString('base64');
+}
+
+function decryptSecret(encrypted, passphrase) {
+    if (!isEncryptedSecret(encrypted)) {
+        throw new Error('Not an encrypted secret');
+    }
+    if (!passphrase) {
+        throw new Error('Passphrase required for encrypted secret');
+    }
+    
+    const data = Buffer.from(encrypted.trim().slice(ENCRYPTED_SECRET_PREFIX.length), 'base64');
+    if (data.length < 5 + 16 + 12 + 16 + 4) {
+        throw new Error('Encrypted secret is truncated');
+    }
+    
+    const body = data.slice(0, -4);
+    if (!hash256(body).slice(0, 4).equals(data.slice(-4))) {
+        throw new Error('Encrypted secret checksum mismatch (corrupted or incomplete copy)');
+    }
+    
+    const [version, kdf, log2N, r, p] = body;
+    if (version !== SECRET_ENVELOPE_VERSION) {
+        throw new Error(`Unsupported encrypted secret version: ${version}`);
+    }
+    if (kdf !== KDF_SCRYPT) {
+        throw new Error(`Unsupported key derivation function: ${kdf}`);
+    }
+    checkScryptParams(log2N, r, p);
+    
+    const header = body.slice(0, 5 + 16 + 12);
+    const salt = header.slice(5, 21);
+    const iv = header.slice(21, 33);
+    const ciphertext = body.slice(header.length, -16);
+    const tag = body.slice(-16);
+    
+    const key = deriveSecretKey(passphrase, salt, log2N, r, p);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAAD(header);
+    decipher.setAuthTag(tag);
+    
+    try {
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    } catch (e) {
+        throw new Error('Wrong passphrase');
+    }
+}
+
+/**
+ * Plain base64 master secret from either form
+ */
+function openSecret(secret, passphrase = null) {
+    const plain = isEncryptedSecret(secret) ? decryptSecret(secret, passphrase) : secret;
+    return expandCompactSecret(plain);
+}
+
 // =============================================================================
 // VAULT MANAGEMENT
 // =============================================================================
 
+/**
+ * Absolute lock time: small timestamps are seconds from now
+ */
+function resolveLockTime(lockTime, lockType = 'blocks') {
+    if (!lockTime || lockTime <= 0) return 0;
+    if (lockType === 'timestamp' && lockTime < 500000000) {
+        return Math.floor(Date.now() / 1000) + lockTime;
+    }
+    return lockTime;
+}
+
+/**
+ * Former names of levels renamed once it was clear their spends do not bind
+ * the outputs; secrets and URLs that use them keep working
+ */
+const RENAMED_SECURITY_LEVELS = {
+    'ultimate-compact': 'compact',
+    'ultimate-wots': 'wots'
+};
+
 function createQuantumVault(options = {}) {
+    const securityLevel = RENAMED_SECURITY_LEVELS[options.securityLevel] || options.securityLevel || 'standard';
     const {
-        securityLevel = 'standard',
         lockTime = 0,
         lockType = 'blocks',
-        network = 'mainnet'
+        network = 'mainnet',
+        vaultIndex = 0,
+        w = 16,
+        wotsPlus = false,
+        height = XMSS.DEFAULT_HEIGHT,
+        satPerKb = fees.resolveFeeRate()
     } = options;
     
+    getNetwork(network);
+    
+    // Every key in the vault is derived from this one seed
+    const seed = options.seed ? normalizeSeed(options.seed) : generateSeed();
+    
     let keypair;
     let wots16Keypair = null;
+    let wotsKeypair = null;
+    let xmssTree = null;
     let scriptType;
     let lockingScript;
     let ephemeralPrivateKey = null;
+    let covenantPrivateKey = null;
     let frontRunImmune = false;
     let quantumImmuneSpend = false;
     
-    let effectiveLockTime = 0;
-    if (lockTime && lockTime > 0) {
-        if (lockType === 'timestamp' && lockTime < 500000000) {
-            effectiveLockTime = Math.floor(Date.now() / 1000) + lockTime;
-        } else {
-            effectiveLockTime = lockTime;
-        }
-    }
+    const effectiveLockTime = resolveLockTime(lockTime, lockType);
     
     switch (securityLevel) {
+        case 'ultimate-covenant':
+            console.log('🛡️ ULTIMATE COVENANT vault created with WOTS-16 + OP_PUSH_TX');
+            wots16Keypair = generateWOTS16Keypair(seed, vaultIndex);
+            keypair = generateWinternitzKeypair(seed, vaultIndex);
+            covenantPrivateKey = deriveCovenantPrivateKey(wots16Keypair.privateScalars);
+            
+            lockingScript = buildCovenantWOTS16LockingScript(
+                wots16Keypair.publicCommitments,
+                covenantPrivateKey,
+                { lockTime: effectiveLockTime }
+            );
+            
+            scriptType = 'wots16-covenant';
+            quantumImmuneSpend = true;
+            frontRunImmune = true;
+            
+            console.log(`   Script size: ${lockingScript.length} bytes`);
+            console.log(`   ✅ QUANTUM-SAFE SPEND (WOTS-16 signature over hashOutputs)`);
+            console.log(`   ✅ FRONT-RUN IMMUNE (preimage checked with OP_CHECKSIG)`);
+            break;
+            
         case 'ultimate':
             console.log('🔐 ULTIMATE security vault created with WOTS-16');
-            wots16Keypair = generateWOTS16Keypair();
-            keypair = generateWinternitzKeypair();
+            wots16Keypair = generateWOTS16Keypair(seed, vaultIndex);
+            keypair = generateWinternitzKeypair(seed, vaultIndex);
             
             lockingScript = buildFullWOTS16LockingScript(
                 wots16Keypair.publicKeyHash,
@@ -763,11 +2358,66 @@ function createQuantumVault(options = {}) {
             console.log(`   ⚠️ Front-run immunity: Not yet implemented`);
             break;
             
+        case 'compact':
+            console.log('🔐 COMPACT vault created with WOTS-16');
+            wots16Keypair = generateWOTS16Keypair(seed, vaultIndex);
+            keypair = generateWinternitzKeypair(seed, vaultIndex);
+            
+            lockingScript = buildCompactWOTS16LockingScript(
+                wots16Keypair.publicKeyHash,
+                { lockTime: effectiveLockTime }
+            );
+            
+            scriptType = 'wots16-compact';
+            
+            console.log(`   Script size: ${lockingScript.length} bytes`);
+            console.log(`   ⚠️ Outputs not bound: a spend's unlock can be replayed with other outputs (use ultimate-covenant)`);
+            break;
+            
+        case 'wots':
+            wotsKeypair = generateWOTSKeypair({ w, plus: wotsPlus, seed, vaultIndex });
+            console.log(`🔐 WOTS vault created (w=${wotsKeypair.params.w}${wotsPlus ? ', WOTS+' : ''})`);
+            keypair = generateWinternitzKeypair(seed, vaultIndex);
+            
+            lockingScript = buildWOTSLockingScript(wotsKeypair, { lockTime: effectiveLockTime });
+            
+            scriptType = wotsKeypair.params.type;
+            
+            console.log(`   Script size: ${lockingScript.length} bytes, ${wotsKeypair.params.totalChunks} chains`);
+            console.log(`   ⚠️ Outputs not bound: a spend's unlock can be replayed with other outputs (use ultimate-covenant)`);
+            break;
+            
+        case 'ultimate-xmss':
+            xmssTree = buildXMSSTree(seed, vaultIndex, height);
+            console.log(`🌳 ULTIMATE XMSS vault created (height ${height}, ${2 ** height} spends)`);
+            keypair = generateWinternitzKeypair(seed, vaultIndex);
+            covenantPrivateKey = deriveXMSSCovenantPrivateKey(seed, vaultIndex);
+            
+            lockingScript = buildXMSSLockingScript(
+                xmssTree.root,
+                height,
+                covenantPrivateKey,
+                { lockTime: effectiveLockTime }
+            );
+            
+            scriptType = 'wots16-xmss';
+            quantumImmuneSpend = true;
+            frontRunImmune = true;
+            
+            console.log(`   Script size: ${lockingScript.length} bytes`);
+            console.log(`   ✅ QUANTUM-SAFE SPEND (WOTS-16 leaf signature over hashOutputs)`);
+            console.log(`   ✅ FRONT-RUN IMMUNE (preimage checked with OP_CHECKSIG)`);
+            break;
+
+        case 'ultimate-multisig':
+            // No single seed holds every key
+            throw new Error('Multisig vaults are built from the custodians\' public key hashes (multisig.createMultisigVault)');
+
         case 'maximum':
             console.log('🛡️ MAXIMUM security vault created');
-            keypair = generateWinternitzKeypair();
+            keypair = generateWinternitzKeypair(seed, vaultIndex);
             
-            const ephKeypair = generateEphemeralKeypair();
+            const ephKeypair = generateEphemeralKeypair(seed, vaultIndex);
             ephemeralPrivateKey = ephKeypair.privateKeyHex;
             
             const ecdh = require('crypto').createECDH('secp256k1');
@@ -787,7 +2437,7 @@ function createQuantumVault(options = {}) {
             
         case 'enhanced':
             console.log('⏰ ENHANCED security vault created (with timelock)');
-            keypair = generateWinternitzKeypair();
+            keypair = generateWinternitzKeypair(seed, vaultIndex);
             
             if (effectiveLockTime > 0) {
                 lockingScript = buildTimelockLockingScript(keypair.publicKeyHash, effectiveLockTime);
@@ -802,7 +2452,7 @@ function createQuantumVault(options = {}) {
         case 'standard':
         default:
             console.log('📝 STANDARD security vault created');
-            keypair = generateWinternitzKeypair();
+            keypair = generateWinternitzKeypair(seed, vaultIndex);
             lockingScript = buildStandardLockingScript(keypair.publicKeyHash);
             scriptType = 'preimage-based';
             console.log(`   Script size: ${lockingScript.length} bytes`);
@@ -824,7 +2474,9 @@ function createQuantumVault(options = {}) {
     }
     
     const masterSecret = {
-        version: 4,
+        version: 6,
+        seed: seed.toString('hex'),
+        vaultIndex,
         privateKey: keypair.privateKey.hex,
         publicKeyHash: keypair.publicKeyHashHex,
         lockingScript: lockingScript.toString('hex'),
@@ -836,6 +2488,7 @@ function createQuantumVault(options = {}) {
     };
     
     if (ephemeralPrivateKey) masterSecret.ephemeralPrivateKey = ephemeralPrivateKey;
+    if (covenantPrivateKey) masterSecret.covenantPrivateKey = covenantPrivateKey.toString('hex');
     
     if (wots16Keypair) {
         masterSecret.wots16 = {
@@ -846,22 +2499,57 @@ function createQuantumVault(options = {}) {
         };
     }
     
-    const effectivePublicKeyHash = wots16Keypair ? wots16Keypair.publicKeyHashHex : keypair.publicKeyHashHex;
+    if (wotsKeypair) {
+        masterSecret.wots = {
+            w: wotsKeypair.params.w,
+            plus: wotsKeypair.params.plus,
+            privateScalars: wotsKeypair.privateScalars.map(s => s.toString('hex')),
+            publicSeed: wotsKeypair.publicSeed ? wotsKeypair.publicSeed.toString('hex') : null,
+            publicKeyHash: wotsKeypair.publicKeyHashHex
+        };
+    }
+    
+    if (xmssTree) {
+        masterSecret.xmss = {
+            height: xmssTree.height,
+            root: xmssTree.rootHex,
+            leaves: xmssTree.levels[0].length
+        };
+    }
+    
+    const effectivePublicKeyHash = xmssTree ? xmssTree.rootHex : (wots16Keypair || wotsKeypair || keypair).publicKeyHashHex;
     const scriptSize = lockingScript.length;
     
     let sweepInfo;
-    if (securityLevel === 'ultimate') {
+    if (securityLevel === 'ultimate-covenant') {
         const totalChunks = WOTS16.CHUNKS + WOTS16.CHECKSUM_CHUNKS;
-        sweepInfo = {
-            unlockingScriptSize: totalChunks * 34,
-            estimatedTxSize: scriptSize + totalChunks * 34 + 34 + 10
-        };
+        // 68 chain values + preimage (scriptCode is only <pubkey> OP_CHECKSIG)
+        sweepInfo = { unlockingScriptSize: totalChunks * 33 + 195 };
+    } else if (securityLevel === 'ultimate') {
+        const totalChunks = WOTS16.CHUNKS + WOTS16.CHECKSUM_CHUNKS;
+        sweepInfo = { unlockingScriptSize: totalChunks * 34 };
+    } else if (securityLevel === 'compact') {
+        // 4 one-byte bit pushes + a 32-byte chain value per chunk
+        const totalChunks = WOTS16.CHUNKS + WOTS16.CHECKSUM_CHUNKS;
+        sweepInfo = { unlockingScriptSize: totalChunks * 37 };
+    } else if (securityLevel === 'wots') {
+        sweepInfo = { unlockingScriptSize: wotsUnlockingScriptSize(wotsKeypair.params) };
+    } else if (securityLevel === 'ultimate-xmss') {
+        // Covenant unlock plus a one-byte bit and a 32-byte sibling per level
+        const totalChunks = WOTS16.CHUNKS + WOTS16.CHECKSUM_CHUNKS;
+        sweepInfo = { unlockingScriptSize: totalChunks * 33 + 195 + height * 34, spends: 2 ** height };
     } else if (securityLevel === 'maximum') {
-        sweepInfo = { unlockingScriptSize: 1024 + 73 + 3, estimatedTxSize: scriptSize + 1100 + 34 + 10 };
+        // Preimage push plus a 71-byte ephemeral signature push
+        sweepInfo = { unlockingScriptSize: 1024 + 3 + 72 };
     } else {
-        sweepInfo = { unlockingScriptSize: 1024 + 3, estimatedTxSize: scriptSize + 1027 + 34 + 10 };
+        sweepInfo = { unlockingScriptSize: 1024 + 3 };
     }
     
+    // One vault input to one P2PKH output / one P2PKH input to the vault script
+    sweepInfo.estimatedTxSize = fees.transactionSize([sweepInfo.unlockingScriptSize], [25]);
+    sweepInfo.estimatedFee = fees.feeForSize(sweepInfo.estimatedTxSize, satPerKb);
+    const depositTxSize = fees.transactionSize([fees.P2PKH_UNLOCK_SIZE], [scriptSize]);
+    
     return {
         vaultId,
         scriptHash: scriptHash.toString('hex'),
@@ -882,16 +2570,103 @@ function createQuantumVault(options = {}) {
             method: 'bare-script',
             note: 'Use lockingScript directly as output script',
             scriptHex: lockingScript.toString('hex'),
-            estimatedFee: scriptSize + 148
+            estimatedTxSize: depositTxSize,
+            estimatedFee: fees.feeForSize(depositTxSize, satPerKb)
         },
-        sweepInfo
+        sweepInfo,
+        seedBackup: buildSeedBackup(masterSecret),
+        compactSecret: buildCompactSecret(masterSecret)
+    };
+}
+
+// =============================================================================
+// SEED BACKUP / RESTORE
+// =============================================================================
+
+/**
+ * Parameters that, with the seed, rebuild the vault byte for byte
+ */
+function seedParameters(masterSecret) {
+    const params = {
+        vaultIndex: masterSecret.vaultIndex || 0,
+        securityLevel: masterSecret.securityLevel,
+        lockTime: masterSecret.lockTime || 0,
+        network: masterSecret.network || 'mainnet'
     };
+    if (masterSecret.wots) {
+        params.w = masterSecret.wots.w;
+        params.wotsPlus = masterSecret.wots.plus;
+    }
+    if (masterSecret.xmss) {
+        params.height = masterSecret.xmss.height;
+    }
+    return params;
+}
+
+function buildSeedBackup(masterSecret) {
+    let mnemonic = null;
+    try {
+        mnemonic = seedToMnemonic(masterSecret.seed);
+    } catch (e) {
+        // bsv wordlist unavailable; the compact secret still carries the seed
+    }
+    return { mnemonic, ...seedParameters(masterSecret) };
+}
+
+/**
+ * Compact secret: base64 JSON of the seed plus parameters (~200 bytes
+ * instead of several KB). Accepted anywhere a full secret is.
+ */
+function buildCompactSecret(masterSecret) {
+    const compact = { version: masterSecret.version, seed: masterSecret.seed, ...seedParameters(masterSecret) };
+    return Buffer.from(JSON.stringify(compact)).toString('base64');
+}
+
+function isCompactSecret(secret) {
+    return !!(secret && secret.seed && !secret.privateKey && secret.type !== 'wallet');
+}
+
+/**
+ * Rebuild a vault from { seed | mnemonic, vaultIndex, securityLevel, lockTime, network }
+ * (plus w / wotsPlus for the wots level, height for ultimate-xmss)
+ */
+function restoreVaultFromSeed(params) {
+    const seed = params.mnemonic ? mnemonicToSeed(params.mnemonic) : normalizeSeed(params.seed);
+    
+    // lockTime is stored as the absolute value, so never re-apply a relative offset
+    return createQuantumVault({
+        seed,
+        vaultIndex: params.vaultIndex || 0,
+        securityLevel: params.securityLevel || 'standard',
+        lockTime: params.lockTime || 0,
+        lockType: 'blocks',
+        network: params.network || 'mainnet',
+        w: params.w,
+        wotsPlus: params.wotsPlus,
+        height: params.height
+    });
+}
+
+/**
+ * Full base64 master secret from a compact one (other input passes through)
+ */
+function expandCompactSecret(secretBase64) {
+    let secret;
+    try {
+        secret = JSON.parse(Buffer.from(secretBase64, 'base64').toString());
+    } catch (e) {
+        return secretBase64;
+    }
+    return isCompactSecret(secret) ? restoreVaultFromSeed(secret).secret : secretBase64;
 }
 
-function restoreVaultFromSecret(secretBase64) {
-    const secretJson = Buffer.from(secretBase64, 'base64').toString();
+function restoreVaultFromSecret(secretBase64, passphrase = null) {
+    const secretJson = Buffer.from(openSecret(secretBase64, passphrase), 'base64').toString();
     const secret = JSON.parse(secretJson);
     
+    if (secret.type === 'wallet') {
+        throw new Error('This is a wallet secret, not a vault secret; use the wallet routes');
+    }
     if (!secret.privateKey || !secret.publicKeyHash) {
         throw new Error('Invalid secret: missing required fields');
     }
@@ -909,6 +2684,17 @@ function restoreVaultFromSecret(secretBase64) {
         lockingScript = buildStandardLockingScript(keypair.publicKeyHash);
     }
     
+    let covenantPrivateKey = null;
+    if (secret.scriptType === 'wots16-covenant') {
+        covenantPrivateKey = getVaultCovenantPrivateKey(secret);
+        if (secret.covenantPrivateKey && secret.wots16 &&
+            !deriveCovenantPrivateKey(secret.wots16.privateScalars.map(hex => Buffer.from(hex, 'hex'))).equals(covenantPrivateKey)) {
+            throw new Error('Corrupted secret: covenant key mismatch');
+        }
+    } else if (secret.scriptType === 'wots16-xmss') {
+        covenantPrivateKey = getVaultCovenantPrivateKey(secret);
+    }
+    
     const scriptHash = hash160(lockingScript);
     const wocScriptHashRaw = sha256(lockingScript);
     const wocScriptHash = Buffer.from(wocScriptHashRaw).reverse();
@@ -926,6 +2712,8 @@ function restoreVaultFromSecret(secretBase64) {
         unlockInfo: secret.unlockInfo || null,
         network: secret.network || 'mainnet',
         vaultId: createVaultId(scriptHash, keypair.publicKeyHashHex),
+        covenantPrivateKey,
+        covenantPublicKey: covenantPrivateKey ? getCovenantPublicKey(covenantPrivateKey).toString('hex') : null,
         version: secret.version || 3
     };
 }
@@ -948,6 +2736,157 @@ function createUnlockingData(vault, txHash = null) {
     };
 }
 
+// =============================================================================
+// SIGNED MESSAGES
+// =============================================================================
+
+/**
+ * Off-chain statements (proof of reserves, ownership attestations) signed
+ * with a vault's WOTS-16 key. The key is one-time: a signed message is
+ * recorded in the ledger like a spend, so a later sweep is refused unless
+ * signature reuse is explicitly allowed.
+ * 
+ * Portable format: "QVSIG1:" + base64 JSON of
+ *   { type, version, scheme, vaultId, securityLevel, scriptHash, lockingScript,
+ *     message, digest, publicKeyHash, publicCommitments, signature, signedAt, keyConsumed }
+ */
+
+const SIGNED_MESSAGE_PREFIX = 'QVSIG1:';
+const SIGNED_MESSAGE_VERSION = 1;
+const SIGNED_MESSAGE_MAGIC = 'BSV Quantum Vault Signed Message:\n';
+
+// Only scripts that take the digits and checksum from the spend itself
+// (the OP_PUSH_TX preimage) may sign. Where the spender pushes the digits,
+// as in the compact and full-verification scripts, the commitments a
+// signed message publishes are enough for anyone to spend the vault.
+const MESSAGE_SIGNING_SCRIPTS = ['wots16-covenant'];
+
+/**
+ * SHA256(magic | len(4 BE) | utf8 text). Matching a transaction's
+ * hashOutputs would take a SHA256 collision, so a signed statement never
+ * doubles as a spend authorisation.
+ */
+function hashSignedMessage(message) {
+    const text = Buffer.isBuffer(message) ? message : Buffer.from(String(message), 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(text.length);
+    return sha256(Buffer.concat([Buffer.from(SIGNED_MESSAGE_MAGIC), length, text]));
+}
+
+function encodeSignedMessage(signed) {
+    return SIGNED_MESSAGE_PREFIX + Buffer.from(JSON.stringify(signed)).toString('base64');
+}
+
+function decodeSignedMessage(encoded) {
+    if (encoded && typeof encoded === 'object') return encoded;
+    if (typeof encoded !== 'string' || !encoded.startsWith(SIGNED_MESSAGE_PREFIX)) {
+        throw new Error(`Signed message must start with ${SIGNED_MESSAGE_PREFIX}`);
+    }
+    try {
+        return JSON.parse(Buffer.from(encoded.slice(SIGNED_MESSAGE_PREFIX.length), 'base64').toString());
+    } catch (e) {
+        throw new Error('Invalid signed message encoding');
+    }
+}
+
+/**
+ * Sign a text message with the WOTS-16 key of an (opened) vault secret.
+ * This consumes the key; options.allowReuse is passed to signWOTS16.
+ */
+function signVaultMessage(secretBase64, message, options = {}) {
+    if (typeof message !== 'string' || message.length === 0) {
+        throw new Error('Message text required');
+    }
+    
+    const secret = JSON.parse(Buffer.from(secretBase64, 'base64').toString());
+    if (!secret.wots16 || !MESSAGE_SIGNING_SCRIPTS.includes(secret.scriptType)) {
+        throw new Error(`Message signing needs an ultimate-covenant vault: the ${secret.scriptType || 'vault'} script ` +
+            'lets the spender choose the digits, so publishing its commitments would let anyone spend it');
+    }
+    
+    const vault = restoreVaultFromSecret(secretBase64);
+    const keypair = restoreWOTS16Keypair(secret.wots16);
+    const digest = hashSignedMessage(message);
+    
+    const signature = signWOTS16(keypair, digest, {
+        allowReuse: options.allowReuse,
+        reason: 'signed message'
+    });
+    
+    const signed = {
+        type: 'qv-signed-message',
+        version: SIGNED_MESSAGE_VERSION,
+        scheme: 'wots16',
+        vaultId: vault.vaultId,
+        securityLevel: vault.securityLevel,
+        scriptHash: vault.wocScriptHash,
+        lockingScript: vault.lockingScriptHex,
+        message,
+        digest: digest.toString('hex'),
+        publicKeyHash: keypair.publicKeyHashHex,
+        publicCommitments: secret.wots16.publicCommitments,
+        signature: Buffer.concat(signature.chunks.map(chunk => chunk.value)).toString('hex'),
+        signedAt: new Date().toISOString(),
+        keyConsumed: true
+    };
+    
+    return { ...signed, encoded: encodeSignedMessage(signed) };
+}
+
+/**
+ * Check a signed message (encoded string or object) against the locking
+ * script of the vault the verifier expects (options.lockingScript, required).
+ * The signature must verify against the embedded commitments, the
+ * commitments must hash to publicKeyHash and that script must be a covenant
+ * carrying the key.
+ * vaultId and scriptHash are derived from the script, never the payload.
+ */
+function verifySignedMessage(encoded, options = {}) {
+    if (!options.lockingScript) {
+        throw new Error('lockingScript required: a signed message only proves ownership of a script you supply');
+    }
+    
+    const signed = decodeSignedMessage(encoded);
+    if (signed.type !== 'qv-signed-message' || signed.scheme !== 'wots16') {
+        throw new Error('Not a WOTS-16 signed message');
+    }
+    if (signed.version > SIGNED_MESSAGE_VERSION) {
+        throw new Error(`Unsupported signed message version: ${signed.version}`);
+    }
+    
+    const digest = hashSignedMessage(signed.message);
+    const commitments = (signed.publicCommitments || []).map(hex => Buffer.from(hex, 'hex'));
+    const result = verifyWOTS16(commitments, digest, signed.signature);
+    
+    const lockingScript = toBuffer(options.lockingScript);
+    const vaultId = createVaultId(hash160(lockingScript));
+    const template = require('./interpreter').classifyScript(lockingScript);
+    
+    const checks = {
+        digest: digest.toString('hex') === signed.digest,
+        signature: result.valid,
+        publicKeyHash: sha256(Buffer.concat(commitments)).toString('hex') === signed.publicKeyHash,
+        expectedScript: !signed.lockingScript || toBuffer(signed.lockingScript).equals(lockingScript),
+        vaultId: signed.vaultId === vaultId,
+        scriptKey: MESSAGE_SIGNING_SCRIPTS.includes(template.type) &&
+            template.commitments.every((hex, i) => hex === (signed.publicCommitments || [])[i])
+    };
+    
+    return {
+        valid: Object.values(checks).every(Boolean),
+        checks,
+        vaultId,
+        claimedVaultId: signed.vaultId,
+        scriptHash: Buffer.from(sha256(lockingScript)).reverse().toString('hex'),
+        message: signed.message,
+        digest: digest.toString('hex'),
+        publicKeyHash: signed.publicKeyHash,
+        signedAt: signed.signedAt,
+        keyConsumed: signed.keyConsumed === true,
+        mismatchedChunks: result.mismatchedChunks
+    };
+}
+
 // =============================================================================
 // UTILITIES
 // =============================================================================
@@ -966,9 +2905,14 @@ function timestampToBlockHeight(timestamp, currentBlockHeight = 873000) {
     return currentBlockHeight + Math.ceil((timestamp - Math.floor(Date.now() / 1000)) / 600);
 }
 
-function isValidP2PKHAddress(address) {
+/**
+ * Check a P2PKH address; with `network` set, the version byte must match it
+ */
+function isValidP2PKHAddress(address, network = null) {
     try {
         const decoded = base58CheckDecode(address);
+        if (decoded.payload.length !== 20) return false;
+        if (network) return decoded.version === getNetwork(network).addressVersion;
         return decoded.version === 0x00 || decoded.version === 0x6f;
     } catch { return false; }
 }
@@ -1008,15 +2952,32 @@ module.exports = {
     base58Encode, base58Decode, base58CheckEncode, base58CheckDecode,
     encodePushData, encodeScriptNum, encodeLocktimeForScript, scriptToASM,
     generateWinternitzKeypair, restoreKeypairFromPrivate, generateWOTS16Keypair, getCovenantPrivateKey,
-    signWOTS16,
+    deriveCovenantPrivateKey, getVaultCovenantPrivateKey,
+    getCovenantPublicKey, SECP256K1_N, signWOTS16, verifyWOTS16, wots16MessageDigits, restoreWOTS16Keypair,
     buildStandardLockingScript, buildTimelockLockingScript, buildMaximumSecurityScript,
     buildFrontRunImmuneScript, buildUltimateSecurityScript, buildFullWOTS16LockingScript,
-    buildWOTS16UnlockingScript, buildWOTS16UnlockingScriptWithCovenant,
+    buildWOTS16UnlockingScript, buildWOTS16UnlockingScriptWithCovenant, buildHashChainBlock,
+    buildCovenantWOTS16LockingScript, buildCovenantWOTS16UnlockingScript, getCovenantScriptCode,
+    buildCompactWOTS16LockingScript, buildCompactWOTS16UnlockingScript, buildCompactChainBlock,
+    WOTS_W_VALUES, getWOTSParams, generateWOTSKeypair, restoreWOTSKeypair, signWOTS, wotsChain,
+    wotsMessageDigits, buildWOTSLockingScript, buildWOTSUnlockingScript, buildWOTSPlusChainBlock,
+    wotsUnlockingScriptSize,
+    XMSS, generateXMSSLeafKeypair, buildXMSSTree, restoreXMSSTree, xmssAuthPath, computeXMSSRoot,
+    xmssLeafStatus, nextXMSSLeaf, boundSpendMessage, buildXMSSLockingScript, buildXMSSUnlockingScript,
+    MULTISIG, generateMultisigKeypair, deriveMultisigCovenantPrivateKey,
+    buildMultisigLockingScript, buildMultisigUnlockingScript,
+    computePushTxS, isPushTxPreimageUsable,
     buildWOTS16ChunkVerifier, buildWOTS16ChunkVerifierWithCovenant,
     buildFullWinternitzLockingScript, buildPracticalWinternitzScript,
     buildQuantumLockingScript, buildFullWinternitzScript, buildUnlockingScript,
     generateEphemeralKeypair, buildFullWinternitzUnlockingScript,
-    calculateWOTS16ScriptSize,
-    createQuantumVault, restoreVaultFromSecret, createUnlockingData, createVaultId,
-    pushNumber, blockHeightToTimestamp, timestampToBlockHeight, isValidP2PKHAddress, estimateCurrentBlockHeight
+    calculateWOTS16ScriptSize, calculateWOTSScriptSizes,
+    createQuantumVault, resolveLockTime, restoreVaultFromSecret, createUnlockingData, createVaultId,
+    pushNumber, blockHeightToTimestamp, timestampToBlockHeight, isValidP2PKHAddress, estimateCurrentBlockHeight,
+    NETWORKS, getNetwork, addressToNetwork, explorerTxLink,
+    ENCRYPTED_SECRET_PREFIX, isEncryptedSecret, encryptSecret, decryptSecret, openSecret,
+    SEED_SIZE, KEY_TYPE, generateSeed, normalizeSeed, deriveSeedScalar, seedToMnemonic, mnemonicToSeed,
+    buildSeedBackup, buildCompactSecret, restoreVaultFromSeed, expandCompactSecret,
+    SIGNED_MESSAGE_PREFIX, hashSignedMessage, encodeSignedMessage, decodeSignedMessage,
+    signVaultMessage, verifySignedMessage
 };